@@ -1,52 +1,1129 @@
 declare module '@butler/table-operations' {
-  interface MoveTableData {
+  /** Who made a change and why, recorded in the audit log */
+  interface AuditFields {
+    actor?: {
+      captainId?: string;
+      device?: string;
+      /** Read by move policy rules (roles / exceptRoles) */
+      role?: string;
+    };
+    reasonCode?: string;
+    /** Free-text note */
+    reason?: string;
+  }
+
+  interface ApprovalFields {
+    /** Sent when the move policy requires approval; checked by verifyApproval */
+    approvalToken?: string;
+  }
+
+  interface MoveTableBaseData extends AuditFields, ApprovalFields {
     oldTableId: string;
     newTableId: string;
     restaurantId: string;
+    /** orderId -> orders.updated_at as last read by the caller */
+    expectedVersions?: Record<string, string>;
+    /** Only compute and return the planned changes, write nothing */
+    dryRun?: boolean;
+  }
+
+  /** The source order and everything on the table move */
+  interface MoveTableScopeData extends MoveTableBaseData {
+    scope?: 'table';
+    /** Source order to move; defaults to the table's non-printed order */
+    orderId?: string;
+  }
+
+  /** Only orderId moves, with its own KOTs, deliveries, offers and discounts */
+  interface MoveOrderScopeData extends MoveTableBaseData {
+    scope: 'order';
     orderId: string;
   }
 
+  type MoveTableData = MoveTableScopeData | MoveOrderScopeData;
+
+  type MoveScope = 'table' | 'order';
+
   interface MoveTableResponse {
     success: boolean;
     message: string;
+    /** Order holding the moved items on the new table, null if the source table was empty */
+    destinationOrderId: string | null;
+    /** Pass to undoMove to reverse this move */
+    moveId: string;
+    /** Discounts and dynamic offers moved, split, flagged or deactivated by the move */
+    discountChanges: DiscountChange[];
     ordersUpdated: number;
     notificationsUpdated: number;
     otpUpdated: number;
     discountUpdated: number;
     dynamicOffersUpdated: number;
     captainsUpdated: number;
+    /** order only when other orders stayed on the source table */
+    scope: MoveScope;
   }
 
-  interface MoveKOTData {
+  interface MoveKOTData extends AuditFields, ApprovalFields {
     oldTableId: string;
     newTableId: string;
     restaurantId: string;
     orderId: string;
     notificationIds: number[];
+    expectedVersions?: Record<string, string>;
+    dryRun?: boolean;
   }
 
-  interface MoveKOTResponse {
+  interface MoveKOTPartialResponse {
     success: boolean;
     message: string;
+    /** Order the KOTs' items were merged into or created as on the new table */
+    destinationOrderId: string | null;
+    /** What the kitchen got instead of a fresh KOT */
+    transferTicket: TransferTicket;
+    /** Pass to undoMove to reverse this move */
+    moveId: string;
+    /** Discounts and dynamic offers moved, split, flagged or deactivated by the move */
+    discountChanges: DiscountChange[];
+    escalatedToTableMove: false;
+  }
+
+  /** Every KOT of the order was selected, so the order moved as a whole */
+  interface MoveKOTEscalatedResponse extends MoveTableResponse {
+    escalatedToTableMove: true;
+  }
+
+  /** Also the JSON body of the Express handler */
+  type MoveKOTResponse = MoveKOTPartialResponse | MoveKOTEscalatedResponse;
+
+  interface TransferTicketLine {
+    itemId: string;
+    name: string;
+    variation: unknown;
+    addons: unknown[];
+    qty: number;
+    delivered: number;
+    cancelled: number;
+    status: 'pending' | 'partly delivered' | 'delivered' | 'cancelled';
   }
 
-  interface MoveItemsData {
+  /** KOT transfer ticket: items a move re-created on another table, not to be prepared again */
+  interface TransferTicket {
+    transferId: string;
+    restaurantId: string;
+    /** The kot_transfer notification carrying the items on the new table */
+    notificationId: string;
+    operation: 'moveKOT' | 'moveItems' | 'splitTable';
+    fromTableId: string;
+    toTableId: string;
+    sourceOrderId: string | null;
+    orderId: string | null;
+    /** KOTs the items were first printed on */
+    originalNotificationIds: string[];
+    lines: TransferTicketLine[];
+    notForPreparation: true;
+    createdAt: string;
+    /** When the move was undone; the ticket is kept, its kot_transfer KOT is removed */
+    undoneAt: string | null;
+  }
+
+  interface KotTransferQuery {
+    restaurantId: string;
+    transferId: string | number;
+    /** Default 'json': the ticket itself */
+    format?: 'json' | 'text' | 'escpos';
+    /** Characters per line for text / escpos (default 42) */
+    width?: number;
+  }
+
+  interface RenderTicketOptions {
+    format?: 'text' | 'escpos';
+    /** Characters per line, at least 24 (default 42; 32 for 58 mm paper, 48 for 80 mm) */
+    width?: number;
+    /** ESC/POS only: cut the paper at the end (default true) */
+    cut?: boolean;
+  }
+
+  /** Customizations of an item are the same when variation and addons match */
+  interface CustomizationSelector {
+    variation?: unknown;
+    addons?: unknown;
+  }
+
+  interface MoveItemsData extends AuditFields, ApprovalFields {
     oldTableId: string;
     newTableId: string;
     restaurantId: string;
     orderId: string;
+    /** Without a selector, the quantity is taken from the item's customizations in order */
     items: Array<{
       itemId: string;
       quantity: number;
+      /** Only move units of the customization at this index */
+      customizationIndex?: number;
+      /** Only move units of customizations matching this variation and addons */
+      customization?: CustomizationSelector;
+    }>;
+    expectedVersions?: Record<string, string>;
+    dryRun?: boolean;
+  }
+
+  interface MovedItem {
+    itemId: string;
+    quantity: number;
+  }
+
+  interface MoveItemsPartialResponse {
+    success: boolean;
+    message: string;
+    movedItems: MovedItem[];
+    destinationOrderId: string | null;
+    transferTicket: TransferTicket;
+    moveId: string;
+    /** Discounts and dynamic offers moved, split, flagged or deactivated by the move */
+    discountChanges: DiscountChange[];
+    escalatedToTableMove: false;
+  }
+
+  /** Every item moved with its full quantity, so the whole table was moved */
+  interface MoveItemsEscalatedResponse extends MoveTableResponse {
+    movedItems: MovedItem[];
+    escalatedToTableMove: true;
+  }
+
+  type MoveItemsResponse = MoveItemsPartialResponse | MoveItemsEscalatedResponse;
+
+  interface SwapTablesData extends AuditFields, ApprovalFields {
+    restaurantId: string;
+    tableA: string;
+    tableB: string;
+    /** orderId -> orders.updated_at as last read by the caller, for either table */
+    expectedVersions?: Record<string, string>;
+    dryRun?: boolean;
+  }
+
+  interface SwapTablesResponse {
+    success: boolean;
+    message: string;
+    tableA: string;
+    tableB: string;
+    /** Pass to undoMove to swap the tables back */
+    moveId: string;
+    /** Discounts and dynamic offers moved, split, flagged or deactivated by the move */
+    discountChanges: DiscountChange[];
+    ordersSwapped: number;
+    notificationsSwapped: number;
+    otpSwapped: number;
+    discountsSwapped: number;
+    dynamicOffersSwapped: number;
+    captainsUpdated: number;
+  }
+
+  /** Planned swap returned instead of swapping when `dryRun: true` */
+  interface SwapPreview {
+    success: true;
+    dryRun: true;
+    /** What the configured move policy would decide */
+    policy?: PolicyOutcome;
+    operation: 'swapTables';
+    /** What each table holds now, by table id; all of it moves to the other table */
+    tables: Record<string, {
+      orderIds: string[];
+      notificationIds: number[];
+      otps: number;
+      discounts: number;
+      dynamicOffers: number;
+      captains: number;
+    }>;
+    quantities: {
+      before: TableQuantities;
+      after: TableQuantities;
+    };
+  }
+
+  interface MergeTablesData extends AuditFields, ApprovalFields {
+    restaurantId: string;
+    /** Tables whose orders are combined into the target's bill */
+    sourceTableIds: string[];
+    targetTableId: string;
+    /** orderId -> orders.updated_at as last read by the caller, for any of the tables */
+    expectedVersions?: Record<string, string>;
+    dryRun?: boolean;
+  }
+
+  /** Link from a combined bill to an order merged into it, stored in its json_data.mergedFrom */
+  interface MergedFrom {
+    tableId: string;
+    orderId: string;
+    /** ISO timestamp */
+    mergedAt: string;
+  }
+
+  interface MergeTablesResponse {
+    success: boolean;
+    message: string;
+    /** The combined bill on the target table, null when every order was printed */
+    billOrderId: string | null;
+    /** Non-printed source orders merged into the bill and deleted */
+    mergedOrderIds: string[];
+    /** Source orders moved over as they are: printed ones, and the bill when it came from a source table */
+    reassignedOrderIds: string[];
+    /** Pass to undoMove to restore the separate tables */
+    moveId: string;
+    /** Discounts and dynamic offers moved, split, flagged or deactivated by the move */
+    discountChanges: DiscountChange[];
+    notificationsUpdated: number;
+    otpUpdated: number;
+    discountUpdated: number;
+    dynamicOffersUpdated: number;
+    captainsUpdated: number;
+  }
+
+  /** Planned merge returned instead of merging when `dryRun: true` */
+  interface MergePreview {
+    success: true;
+    dryRun: true;
+    /** What the configured move policy would decide */
+    policy?: PolicyOutcome;
+    operation: 'mergeTables';
+    target: {
+      tableId: string;
+      billOrderId: string | null;
+    };
+    sources: Array<{
+      tableId: string;
+      orderIds: string[];
+      otps: number;
+      discounts: number;
+      dynamicOffers: number;
+      captains: number;
     }>;
+    mergedOrderIds: string[];
+    reassignedOrderIds: string[];
+    /** The bill's mergedFrom after the merge */
+    mergedFrom: MergedFrom[];
+    quantities: {
+      before: TableQuantities;
+      after: TableQuantities;
+    };
+  }
+
+  interface SplitLine {
+    itemId: string;
+    /** Index in the item's customizations on the source order */
+    customizationIndex: number;
+    qty: number;
   }
 
-  interface MoveItemsResponse {
+  interface SplitTableData extends AuditFields, ApprovalFields {
+    restaurantId: string;
+    sourceTableId: string;
+    orderId: string;
+    /** One per destination table; together they may not take more than the order holds */
+    splits: Array<{
+      tableId: string;
+      items: SplitLine[];
+    }>;
+    /** orderId -> orders.updated_at as last read by the caller, for any of the tables */
+    expectedVersions?: Record<string, string>;
+    dryRun?: boolean;
+  }
+
+  interface SplitTableResponse {
     success: boolean;
     message: string;
+    /** Every item was split off, so the source order was deleted */
+    sourceOrderDeleted: boolean;
+    splits: Array<{
+      tableId: string;
+      destinationOrderId: string | null;
+      movedItems: MovedItem[];
+      transferTicket: TransferTicket;
+    }>;
+    /** Pass to undoMove to put everything back on the source order */
+    moveId: string;
+    /** Discounts and dynamic offers moved, split, flagged or deactivated by the move */
+    discountChanges: DiscountChange[];
   }
 
+  /** Planned split returned instead of splitting when `dryRun: true` */
+  interface SplitPreview {
+    success: true;
+    dryRun: true;
+    /** What the configured move policy would decide */
+    policy?: PolicyOutcome;
+    operation: 'splitTable';
+    source: {
+      tableId: string;
+      orderId: string;
+      deleted: boolean;
+    };
+    splits: Array<{
+      tableId: string;
+      strategy: 'merge' | 'new-order' | 'force-new-order';
+      orderId: string | null;
+      movedItems: MovedItem[];
+    }>;
+    notifications: {
+      deleted: number[];
+      rewritten: number[];
+      moved: number[];
+    };
+    quantities: {
+      before: TableQuantities;
+      after: TableQuantities;
+    };
+  }
+
+  interface UndoMoveResponse {
+    success: true;
+    message: string;
+    moveId: string;
+    operation: 'moveTable' | 'moveKOT' | 'moveItems' | 'swapTables' | 'splitTable' | 'mergeTables';
+    oldTableId: string;
+    newTableId: string;
+  }
+
+  /** itemId -> total quantity, per table id */
+  type TableQuantities = Record<string, Record<string, number>>;
+
+  /** Planned changes returned instead of moving when `dryRun: true` */
+  interface MovePreview {
+    success: true;
+    dryRun: true;
+    /** What the configured move policy would decide */
+    policy?: PolicyOutcome;
+    operation: 'moveTable' | 'moveKOT' | 'moveItems';
+    /** moveKOT/moveItems selected everything and will run as a full moveTable */
+    escalatedToTableMove: boolean;
+    source: {
+      tableId: string;
+      orderId: string | null;
+      /** The source order will be deleted (merged away or emptied) */
+      deleted: boolean;
+    };
+    destination: {
+      tableId: string;
+      /**
+       * merge: into the destination's open order; reassign: the source order
+       * row moves as is; new-order / force-new-order: the order engine creates
+       * one (forced when every destination order is printed); none: nothing to move
+       */
+      strategy: 'merge' | 'reassign' | 'new-order' | 'force-new-order' | 'none';
+      orderId: string | null;
+      /** Table moves only */
+      scope?: MoveScope;
+    };
+    notifications: {
+      deleted: number[];
+      rewritten: number[];
+      moved: number[];
+    };
+    quantities: {
+      before: TableQuantities;
+      after: TableQuantities;
+    };
+    movedItems?: MovedItem[];
+    /** Rows re-pointed to the new table by a full table move */
+    relatedRows?: {
+      otps: number;
+      discounts: number;
+      dynamicOffers: number;
+      captains: number;
+    };
+  }
+
+  interface AuditQuery {
+    restaurantId: string;
+    /** Entries involving this table: source, destination or split target */
+    tableId?: string;
+    /** Entries where this order was on either table, before or after */
+    orderId?: string;
+    /** Inclusive lower bound on the entry time */
+    from?: string | Date;
+    /** Exclusive upper bound on the entry time */
+    to?: string | Date;
+    /** 1-500, default 50 */
+    limit?: number;
+    offset?: number;
+  }
+
+  interface QuantityQuery {
+    restaurantId: string;
+    tableIds: string[];
+  }
+
+  /** An item whose order quantity differs from the units of its active KOTs */
+  interface QuantityMismatch {
+    tableId: string;
+    itemId: string;
+    orderQty: number;
+    kotQty: number;
+  }
+
+  interface QuantityCheck {
+    ok: boolean;
+    mismatches: QuantityMismatch[];
+  }
+
+  type TableState = 'free' | 'occupied' | 'reserved' | 'billing' | 'cleaning';
+
+  interface TableDefinition {
+    tableId: string;
+    name?: string | null;
+    section?: string | null;
+    capacity?: number | null;
+    /** Out of service tables never receive a move; default true */
+    inService?: boolean;
+  }
+
+  interface DefineTablesData {
+    restaurantId: string;
+    tables: TableDefinition[];
+  }
+
+  interface TableStateData {
+    restaurantId: string;
+    tableId: string;
+    /** At least one of state and inService */
+    state?: TableState;
+    inService?: boolean;
+  }
+
+  interface RestaurantTable {
+    tableId: string;
+    name: string | null;
+    section: string | null;
+    capacity: number | null;
+    /** null for a table that only appears on orders and is not defined */
+    state: TableState | null;
+    inService: boolean | null;
+    stateChangedAt: string | null;
+  }
+
+  interface FloorTable extends RestaurantTable {
+    orders: Array<{
+      id: string;
+      printStatus: boolean;
+      updatedAt: string;
+      /** itemId -> quantity */
+      quantities: Record<string, number>;
+    }>;
+    /** Active KOTs on the table */
+    kotCount: number;
+    captains: Array<{ id: string; name: string | null }>;
+  }
+
+  interface FloorState {
+    restaurantId: string;
+    tables: FloorTable[];
+  }
+
+  type AnomalyCategory =
+    | 'EMPTY_ORDER'
+    | 'ORPHAN_NOTIFICATION'
+    | 'ORPHAN_DELIVERY'
+    | 'ORPHAN_OTP'
+    | 'UNKNOWN_CAPTAIN_TABLE'
+    | 'QUANTITY_MISMATCH';
+
+  interface ConsistencyQuery {
+    restaurantId: string;
+    /** Every table the restaurant has, default its defined tables; captains are only checked when known */
+    tableIds?: string[];
+    /** Repair what can be repaired, on one transaction */
+    fix?: boolean;
+  }
+
+  interface Anomaly {
+    category: AnomalyCategory;
+    /** Database table of the offending row */
+    table: string;
+    /** Its primary key (tableId:itemId for QUANTITY_MISMATCH) */
+    id: string;
+    tableId?: string;
+    orderId?: string;
+    itemId?: string;
+    orderQty?: number;
+    kotQty?: number;
+    message: string;
+    fixable: boolean;
+  }
+
+  interface ConsistencyReport {
+    /** Nothing is wrong (after repairs, with fix) */
+    ok: boolean;
+    /** What is still wrong */
+    anomalies: Anomaly[];
+    /** What was repaired; empty without fix */
+    fixed: Anomaly[];
+  }
+
+  interface AuditEntry {
+    auditId: string;
+    restaurantId: string;
+    operation: 'moveTable' | 'moveKOT' | 'moveItems' | 'swapTables' | 'splitTable' | 'mergeTables' | 'undoMove';
+    moveId: string | null;
+    actor: {
+      captainId: string | null;
+      device: string | null;
+    };
+    reasonCode: string | null;
+    reason: string | null;
+    oldTableId: string;
+    newTableId: string;
+    /** orderIds per table id */
+    ordersBefore: Record<string, string[]>;
+    ordersAfter: Record<string, string[]>;
+    /** itemId -> quantity change, per table id */
+    quantityDeltas: TableQuantities;
+    createdAt: string;
+  }
+
+  /** One move that put items on an order */
+  interface ProvenanceEntry {
+    provenanceId: string;
+    /** The order holding the items after the move, and its table */
+    orderId: string;
+    tableId: string;
+    sourceOrderId: string;
+    sourceTableId: string;
+    /** order: the order changed table; merge: merged in whole; items: some of its KOTs or items */
+    kind: 'order' | 'merge' | 'items';
+    operation: 'moveTable' | 'moveKOT' | 'moveItems' | 'swapTables' | 'splitTable' | 'mergeTables';
+    moveId: string | null;
+    /** KOTs the items were printed on */
+    notificationIds: string[];
+    /** itemId -> quantity moved */
+    items: Record<string, number>;
+    /** The source order's instructions, for merges */
+    instructions: string | null;
+    actor: { captainId?: string; device?: string; role?: string } | null;
+    reasonCode: string | null;
+    reason: string | null;
+    createdAt: string;
+    undoneAt: string | null;
+  }
+
+  interface OrderLineage {
+    restaurantId: string;
+    orderId: string;
+    /** Tables the order's items came from, oldest move first */
+    sourceTableIds: string[];
+    /** Moves onto the order (depth 1) and, through their source orders, earlier ones; oldest first */
+    entries: Array<ProvenanceEntry & { depth: number }>;
+    /** Moves that took items off the order */
+    movedOut: ProvenanceEntry[];
+  }
+
+  /** One whole Redis key as read from or written to a SessionStore */
+  interface SessionEntry {
+    type: 'string' | 'hash' | 'set' | 'list' | 'zset';
+    value: string | Record<string, string> | string[] | Array<{ value: string; score: number }>;
+    /** Remaining time to live, null when the key has none */
+    ttlMs: number | null;
+  }
+
+  interface SessionStore {
+    read(key: string): Promise<SessionEntry | null>;
+    write(key: string, entry: SessionEntry): Promise<void>;
+    remove(key: string): Promise<void>;
+  }
+
+  interface MemorySessionStore extends SessionStore {
+    /** Live keys */
+    keys(): string[];
+  }
+
+  interface TableSessionsOptions {
+    /** Defaults to the shared Redis client (REDIS_URL); migration is skipped without one */
+    store?: SessionStore;
+    /** Key name -> template using {restaurantId} and {tableId} */
+    keySchema?: Record<string, string>;
+    /** Hash field holding the table id, rewritten to the new table (default 'tableId') */
+    tableIdField?: string;
+    /** TTL for migrated keys that had none; persistent by default */
+    defaultTtlSeconds?: number | null;
+  }
+
+  interface MigrateTableSessionsResult {
+    success: boolean;
+    /** No store configured and Redis disabled */
+    skipped?: true;
+    migrated: Array<{
+      name: string;
+      from: string;
+      to: string;
+      /** The new table already had a live key it was merged into */
+      merged: boolean;
+    }>;
+  }
+
+  interface NotificationEventBase<T extends string, D> {
+    eventId: string;
+    /** ISO timestamp */
+    occurredAt: string;
+    type: T;
+    restaurantId: string;
+    /** Staff the event is meant for */
+    audience: 'captain' | 'biller' | 'kitchen';
+    title: string;
+    message: string;
+    data: D;
+  }
+
+  /** Payload-free ping asking captains' devices to reload a table */
+  type TableRefreshEvent = NotificationEventBase<'table.refresh', { tableId: string }>;
+
+  type TableMovedEvent = NotificationEventBase<'table.moved', {
+    oldTableId: string;
+    newTableId: string;
+    destinationOrderId: string | null;
+    /** Set when moveKOT/moveItems selected everything */
+    escalatedFrom: 'moveKOT' | 'moveItems' | null;
+    moveId: string;
+  }>;
+
+  type OrderMovedEvent = NotificationEventBase<'order.moved', {
+    oldTableId: string;
+    newTableId: string;
+    orderId: string;
+    destinationOrderId: string | null;
+    escalatedFrom: 'moveKOT' | 'moveItems' | null;
+    moveId: string;
+  }>;
+
+  type KOTMovedEvent = NotificationEventBase<'kot.moved', {
+    oldTableId: string;
+    newTableId: string;
+    orderId: string;
+    notificationIds: number[];
+    moveId: string;
+  }>;
+
+  /** One per transfer ticket a move issued, for kitchen and bar printers */
+  type KOTTransferredEvent = NotificationEventBase<'kot.transferred', {
+    ticket: TransferTicket;
+    moveId: string;
+  }>;
+
+  type ItemsMovedEvent = NotificationEventBase<'items.moved', {
+    oldTableId: string;
+    newTableId: string;
+    orderId: string;
+    destinationOrderId: string | null;
+    movedItems: MovedItem[];
+    moveId: string;
+  }>;
+
+  type TablesSwappedEvent = NotificationEventBase<'tables.swapped', {
+    tableA: string;
+    tableB: string;
+    moveId: string;
+  }>;
+
+  type TableSplitEvent = NotificationEventBase<'table.split', {
+    sourceTableId: string;
+    orderId: string;
+    splits: SplitTableResponse['splits'];
+    moveId: string;
+  }>;
+
+  type TablesMergedEvent = NotificationEventBase<'tables.merged', {
+    sourceTableIds: string[];
+    targetTableId: string;
+    billOrderId: string | null;
+    mergedOrderIds: string[];
+    moveId: string;
+  }>;
+
+  type MoveUndoneEvent = NotificationEventBase<'move.undone', {
+    oldTableId: string;
+    newTableId: string;
+    operation: 'moveTable' | 'moveKOT' | 'moveItems' | 'swapTables' | 'splitTable' | 'mergeTables';
+    moveId: string;
+  }>;
+
+  type TableOperationEvent =
+    | TableRefreshEvent
+    | TableMovedEvent
+    | OrderMovedEvent
+    | KOTMovedEvent
+    | KOTTransferredEvent
+    | ItemsMovedEvent
+    | TablesSwappedEvent
+    | TableSplitEvent
+    | TablesMergedEvent
+    | MoveUndoneEvent;
+
+  interface NotificationTransport {
+    name?: string;
+    /** Reject to have the event retried */
+    send(event: TableOperationEvent): Promise<void>;
+  }
+
+  interface NotificationOptions {
+    /** Attempts per event and transport, the first one included (default 5) */
+    maxAttempts?: number;
+    /** Delay before the first retry, doubled on every following one (default 500) */
+    retryDelayMs?: number;
+    /** Oldest queued deliveries are dropped beyond this (default 1000) */
+    maxQueueSize?: number;
+    onDeadLetter?: ((event: TableOperationEvent, error: Error, transportName: string) => void) | null;
+  }
+
+  interface Notifier {
+    /** Starts the deliveries and resolves without waiting for them */
+    send(event: Omit<TableOperationEvent, 'eventId' | 'occurredAt'>): Promise<TableOperationEvent>;
+  }
+
+  interface ConfigurableNotifier extends Notifier {
+    registerTransport(transport: NotificationTransport): () => void;
+    configure(options: NotificationOptions): void;
+    flush(): Promise<{ delivered: number; pending: number }>;
+  }
+
+  type DiscountAction = 'keep' | 'move' | 'split' | 'flag' | 'deactivate';
+
+  /** What moves do with discounts they do not simply carry along */
+  interface DiscountPolicy {
+    /** Item discount whose item only partly moved (default split) */
+    partialItem?: 'keep' | 'split' | 'flag';
+    /** Order-wide percentage discount when part of the order moved (default split) */
+    percentage?: 'keep' | 'split' | 'flag';
+    /** Order-wide fixed amount when part of the order moved (default flag) */
+    fixedAmount?: 'keep' | 'split' | 'flag';
+    /** Discount or offer landing on a bill that already has one for the same target (default flag) */
+    stacked?: 'keep' | 'flag' | 'deactivate';
+  }
+
+  interface DiscountChange {
+    kind: 'discount' | 'offer';
+    id: string;
+    action: Exclude<DiscountAction, 'keep'>;
+    reason: string;
+    /** Where the row was when the change was made */
+    from: { tableId: string; orderId: string | null };
+    /**
+     * move / split: where the row and its copies are now; itemId when an
+     * order-wide percentage was narrowed to the items moved into an existing order
+     */
+    to?: Array<{ id: string; tableId: string; orderId: string | null; itemId?: string; value?: number }>;
+    /** split of a fixed amount: what the original row keeps */
+    value?: number;
+  }
+
+  type PolicyDecision = 'allow' | 'deny' | 'requireApproval';
+
+  interface PolicyOutcome {
+    decision: PolicyDecision;
+    /** Reasons given by the rules that reached the decision */
+    reasons: string[];
+  }
+
+  /** What move policy rules look at, read on the move's transaction */
+  interface PolicyContext {
+    operation: string;
+    restaurantId: string;
+    tableIds: string[];
+    actor: { captainId?: string; device?: string; role?: string };
+    /** The internal plan of the move */
+    plan: Record<string, unknown>;
+    /** The orders the move takes KOTs or items from, or empties */
+    orders: Array<{
+      id: string;
+      tableId: string;
+      printed: boolean;
+      billAmount: number;
+      /** Active discounts on the order's table */
+      discounts: Array<Record<string, unknown>>;
+      /** Oldest active KOT (of the moved KOTs, for moveKOT) */
+      kotSentAt: Date | null;
+      minutesSinceKot: number | null;
+      /** The orders row */
+      row: Record<string, unknown>;
+    }>;
+  }
+
+  /** Every condition given must hold; order conditions hold when one moved order meets them all */
+  interface PolicyConditions {
+    operations?: string[];
+    roles?: string[];
+    exceptRoles?: string[];
+    printed?: boolean;
+    hasDiscounts?: boolean;
+    minBillAmount?: number;
+    maxBillAmount?: number;
+    minMinutesSinceKot?: number;
+    maxMinutesSinceKot?: number;
+  }
+
+  type PolicyRule =
+    | { when: PolicyConditions; decision: PolicyDecision; reason?: string }
+    | ((context: PolicyContext) =>
+        | PolicyDecision
+        | { decision: PolicyDecision; reason?: string }
+        | void
+        | Promise<PolicyDecision | { decision: PolicyDecision; reason?: string } | void>);
+
+  interface MovePolicyOptions {
+    /** Any deny refuses the move; otherwise any requireApproval needs a token */
+    rules: PolicyRule[];
+    verifyApproval?(token: string, context: PolicyContext): boolean | Promise<boolean>;
+    /** Defaults to the item prices in json_data */
+    billAmount?(order: Record<string, unknown>): number;
+    /** When no rule decides; default 'allow' */
+    defaultDecision?: PolicyDecision;
+  }
+
+  interface MovePolicy {
+    evaluate(context: PolicyContext): Promise<PolicyOutcome>;
+    authorize(context: PolicyContext, approvalToken?: string): Promise<PolicyOutcome & { approved?: boolean }>;
+    billAmount(order: Record<string, unknown>): number;
+  }
+
+  interface Logger {
+    log(...args: unknown[]): void;
+    error(...args: unknown[]): void;
+  }
+
+  interface UpsertTableOrder {
+    restaurantId: string;
+    tableId: string;
+    /** Items to add, keyed by item id */
+    items: Record<string, unknown>;
+    /** Existing order on the table to merge into */
+    targetOrderId?: string;
+    /** Create a new order even if the table has one */
+    forceNewOrder: boolean;
+    /**
+     * false when the kitchen already has the items (every move): write the
+     * order only, with no KOT, print or notification for them
+     */
+    createKots: boolean;
+  }
+
+  /**
+   * Order engine writing the destination order. It must run every query on
+   * `client`, resolve to the order id (or `{ orderId }`) and reject on
+   * failure; only then does the write roll back with the move.
+   */
+  interface OrderEngine {
+    upsertTableOrder(client: import('pg').PoolClient, order: UpsertTableOrder): Promise<string | { orderId: string }>;
+    /**
+     * true for an engine that prints KOTs even with createKots false: moves
+     * then look for the KOTs it wrote and replace them with the transfer ticket
+     */
+    writesKots?: boolean;
+  }
+
+  interface TableOperationsOptions {
+    /** Defaults to a pool built from the DB_* env vars on first use */
+    pool?: import('pg').Pool;
+    /**
+     * Defaults to @butler/order-engine, loaded on first use, or to its createOrUpdateOrder
+     * handler for versions without upsertTableOrder. An injected engine without
+     * upsertTableOrder is refused with ORDER_ENGINE_ERROR
+     */
+    orderEngine?: OrderEngine;
+    /** Defaults to the package-wide notifier (registerNotificationTransport) */
+    notifier?: Notifier;
+    /** Defaults to the store set with configureTableSessions, or Redis from REDIS_URL */
+    sessionStore?: SessionStore;
+    /** Defaults to console */
+    logger?: Logger;
+    /** Consulted before every move writes anything */
+    policy?: MovePolicy;
+    discountPolicy?: DiscountPolicy;
+    /** Fail moves that leave order and KOT quantities out of step (QUANTITY_MISMATCH) */
+    assertQuantities?: boolean;
+  }
+
+  interface TableOperations {
+    moveTable(data: MoveTableData & { dryRun: true }): Promise<MovePreview>;
+    moveTable(data: MoveTableData): Promise<MoveTableResponse>;
+    moveKOT(data: MoveKOTData & { dryRun: true }): Promise<MovePreview>;
+    moveKOT(data: MoveKOTData): Promise<MoveKOTResponse>;
+    moveKOT(req: { body: MoveKOTData }, res: any): Promise<any>;
+    moveItems(data: MoveItemsData & { dryRun: true }): Promise<MovePreview>;
+    moveItems(data: MoveItemsData): Promise<MoveItemsResponse>;
+    moveItems(req: { body: MoveItemsData }, res: any): Promise<any>;
+    swapTables(data: SwapTablesData & { dryRun: true }): Promise<SwapPreview>;
+    swapTables(data: SwapTablesData): Promise<SwapTablesResponse>;
+    splitTable(data: SplitTableData & { dryRun: true }): Promise<SplitPreview>;
+    splitTable(data: SplitTableData): Promise<SplitTableResponse>;
+    mergeTables(data: MergeTablesData & { dryRun: true }): Promise<MergePreview>;
+    mergeTables(data: MergeTablesData): Promise<MergeTablesResponse>;
+    undoMove(moveId: string, options?: AuditFields): Promise<UndoMoveResponse>;
+    listAuditEntries(query: AuditQuery): Promise<AuditEntry[]>;
+    getOrderLineage(query: { restaurantId: string; orderId: string }): Promise<OrderLineage>;
+    checkQuantities(query: QuantityQuery): Promise<QuantityCheck>;
+    checkConsistency(query: ConsistencyQuery): Promise<ConsistencyReport>;
+    defineTables(data: DefineTablesData): Promise<RestaurantTable[]>;
+    setTableState(data: TableStateData): Promise<RestaurantTable>;
+    getFloorState(restaurantId: string): Promise<FloorState>;
+    getKotTransfer(query: KotTransferQuery & { format: 'text' }): Promise<string>;
+    getKotTransfer(query: KotTransferQuery & { format: 'escpos' }): Promise<Buffer>;
+    getKotTransfer(query: KotTransferQuery): Promise<TransferTicket>;
+    /** The instance's logger; its router logs failed requests with it */
+    readonly logger: Logger;
+  }
+
+  type TableOperationErrorCode =
+    | 'MISSING_FIELD'
+    | 'INVALID_FIELD'
+    | 'SAME_TABLE'
+    | 'INVALID_QUANTITY'
+    | 'DUPLICATE_ITEM'
+    | 'DUPLICATE_NOTIFICATION'
+    | 'ORDER_NOT_FOUND'
+    | 'ITEM_NOT_FOUND'
+    | 'QTY_EXCEEDS_AVAILABLE'
+    | 'MOVE_CONFLICT'
+    | 'ORDER_ENGINE_ERROR'
+    | 'TABLE_NOT_FOUND'
+    | 'TABLE_OUT_OF_SERVICE'
+    | 'TABLE_RESERVED'
+    | 'MOVE_DENIED'
+    | 'APPROVAL_REQUIRED'
+    | 'QUANTITY_MISMATCH'
+    | 'TRANSFER_NOT_FOUND'
+    | 'MOVE_NOT_FOUND'
+    | 'MOVE_ALREADY_UNDONE'
+    | 'UNDO_CONFLICT';
+
+  interface ValidationProblem {
+    code: TableOperationErrorCode;
+    field: string;
+    message: string;
+  }
+
+  export const ERROR_CODES: { [K in TableOperationErrorCode]: K };
+
+  export class TableOperationError extends Error {
+    code: TableOperationErrorCode;
+    /** HTTP status matching the code */
+    status: number;
+    details: {
+      /** Every payload problem found, for validation failures */
+      problems?: ValidationProblem[];
+      [key: string]: unknown;
+    };
+  }
+
+  export class MoveConflictError extends TableOperationError {
+    name: 'MoveConflictError';
+    code: 'MOVE_CONFLICT';
+    retryable: true;
+  }
+
+  /** Operations bound to their own dependencies; the module-level functions are the default instance */
+  export function createTableOperations(options?: TableOperationsOptions): TableOperations;
+
+  export function moveTable(data: MoveTableData & { dryRun: true }): Promise<MovePreview>;
   export function moveTable(data: MoveTableData): Promise<MoveTableResponse>;
+  export function moveKOT(data: MoveKOTData & { dryRun: true }): Promise<MovePreview>;
   export function moveKOT(data: MoveKOTData): Promise<MoveKOTResponse>;
+  export function moveKOT(req: { body: MoveKOTData }, res: any): Promise<any>;
+  export function moveItems(data: MoveItemsData & { dryRun: true }): Promise<MovePreview>;
   export function moveItems(data: MoveItemsData): Promise<MoveItemsResponse>;
+  export function moveItems(req: { body: MoveItemsData }, res: any): Promise<any>;
+  /** Exchange everything on two tables, merging nothing */
+  export function swapTables(data: SwapTablesData & { dryRun: true }): Promise<SwapPreview>;
+  export function swapTables(data: SwapTablesData): Promise<SwapTablesResponse>;
+  /** Distribute one order's items across several tables */
+  export function splitTable(data: SplitTableData & { dryRun: true }): Promise<SplitPreview>;
+  export function splitTable(data: SplitTableData): Promise<SplitTableResponse>;
+  /** Combine several tables into one bill on the target table */
+  export function mergeTables(data: MergeTablesData & { dryRun: true }): Promise<MergePreview>;
+  export function mergeTables(data: MergeTablesData): Promise<MergeTablesResponse>;
+  /** Restore everything a move touched, as long as neither table changed since */
+  export function undoMove(moveId: string, options?: AuditFields): Promise<UndoMoveResponse>;
+  /** Audit entries, newest first */
+  export function listAuditEntries(query: AuditQuery): Promise<AuditEntry[]>;
+  /** Where an order's items came from, move by move */
+  export function getOrderLineage(query: { restaurantId: string; orderId: string }): Promise<OrderLineage>;
+  /** Compare order quantities with active KOT units, per table and item */
+  export function checkQuantities(query: QuantityQuery): Promise<QuantityCheck>;
+  /** Find, and with fix repair, rows moves left out of step */
+  export function checkConsistency(query: ConsistencyQuery): Promise<ConsistencyReport>;
+  export const ANOMALY_CATEGORIES: { [K in AnomalyCategory]: K };
+
+  /** Create or update table definitions; once any exist, moves only accept defined tables */
+  export function defineTables(data: DefineTablesData): Promise<RestaurantTable[]>;
+  /** Reserve, free, clean or take a table out of service */
+  export function setTableState(data: TableStateData): Promise<RestaurantTable>;
+  /** Every table with its state, active orders, KOT count and captains */
+  export function getFloorState(restaurantId: string): Promise<FloorState>;
+  export const TABLE_STATES: {
+    FREE: 'free';
+    OCCUPIED: 'occupied';
+    RESERVED: 'reserved';
+    BILLING: 'billing';
+    CLEANING: 'cleaning';
+  };
+
+  /** A stored KOT transfer ticket, or its printout */
+  export function getKotTransfer(query: KotTransferQuery & { format: 'text' }): Promise<string>;
+  export function getKotTransfer(query: KotTransferQuery & { format: 'escpos' }): Promise<Buffer>;
+  export function getKotTransfer(query: KotTransferQuery): Promise<TransferTicket>;
+  export function renderTransferTicket(ticket: TransferTicket, options?: RenderTicketOptions & { format?: 'text' }): string;
+  export function renderTransferTicket(ticket: TransferTicket, options: RenderTicketOptions & { format: 'escpos' }): Buffer;
+  /** notifications.action_type of the KOT carrying a transfer ticket's items */
+  export const KOT_TRANSFER_ACTION: 'kot_transfer';
+
+  export function createMovePolicy(options: MovePolicyOptions): MovePolicy;
+  export const POLICY_DECISIONS: { ALLOW: 'allow'; DENY: 'deny'; REQUIRE_APPROVAL: 'requireApproval' };
+  export const DISCOUNT_ACTIONS: { KEEP: 'keep'; MOVE: 'move'; SPLIT: 'split'; FLAG: 'flag'; DEACTIVATE: 'deactivate' };
+
+  export function configureTableSessions(options: TableSessionsOptions): void;
+  /** Run by every table move once it committed; exposed for manual repairs */
+  export function migrateTableSessions(
+    restaurantId: string,
+    oldTableId: string,
+    newTableId: string
+  ): Promise<MigrateTableSessionsResult>;
+  /** Run by swapTables once it committed; exposed for manual repairs */
+  export function swapTableSessions(
+    restaurantId: string,
+    tableA: string,
+    tableB: string
+  ): Promise<{
+    success: boolean;
+    skipped?: true;
+    swapped: Array<{ name: string; keys: [string, string] }>;
+  }>;
+  export function createRedisSessionStore(client: import('redis').RedisClientType<any, any, any>): SessionStore;
+  export function createMemorySessionStore(initial?: Record<string, Omit<SessionEntry, 'ttlMs'> & { ttlMs?: number | null }>): MemorySessionStore;
+
+  export function createNotifier(options?: NotificationOptions & {
+    transports?: NotificationTransport[];
+    logger?: Logger;
+  }): ConfigurableNotifier;
+  /** Every event goes to every registered transport; returns an unregister function */
+  export function registerNotificationTransport(transport: NotificationTransport): () => void;
+  export function configureNotifications(options: NotificationOptions): void;
+  /** Wait for first attempts under way, then retry queued deliveries now */
+  export function flushNotificationQueue(): Promise<{ delivered: number; pending: number }>;
+  export function createWebhookTransport(options: {
+    url: string;
+    headers?: Record<string, string>;
+    timeoutMs?: number;
+  }): NotificationTransport;
+  export function createRedisPubSubTransport(options?: {
+    client?: import('redis').RedisClientType<any, any, any>;
+    /** {restaurantId} is filled in; default 'table_operations:{restaurantId}' */
+    channel?: string;
+  }): NotificationTransport;
+  export function createEventEmitterTransport(
+    emitter?: import('events').EventEmitter
+  ): NotificationTransport & { emitter: import('events').EventEmitter };
+
+  /**
+   * Express router with POST /tables/:oldTableId/move,
+   * POST /orders/:orderId/kots/move, POST /orders/:orderId/items/move,
+   * POST /moves/:moveId/undo and GET /audit, for the given operations
+   * (default: the module-level ones). Failed requests are logged with
+   * `options.logger`, else the instance's logger.
+   */
+  export function createTableOperationsRouter(operations?: TableOperations, options?: { logger?: Logger }): import('express').Router;
 } 
\ No newline at end of file
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// Command-line checkConsistency against the DB_* database:
+//
+//   butler-table-consistency --restaurant <id> [--tables T1,T2,...] [--fix] [--json]
+//
+// Exits 0 when nothing is (left) wrong, 1 when anomalies remain, 2 on errors.
+const { getPool } = require('../config/db');
+const { closeRedisClient } = require('../config/redis');
+const { createTableOperations } = require('../controllers/tableOperations');
+
+const USAGE = 'Usage: butler-table-consistency --restaurant <id> [--tables T1,T2,...] [--fix] [--json]';
+
+const parseArgs = (argv) => {
+  const args = { fix: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--restaurant':
+        args.restaurantId = argv[++i];
+        break;
+      case '--tables':
+        args.tableIds = (argv[++i] || '').split(',').map(t => t.trim()).filter(Boolean);
+        break;
+      case '--fix':
+        args.fix = true;
+        break;
+      case '--json':
+        args.json = true;
+        break;
+      default:
+        throw new Error(`Unknown argument ${argv[i]}`);
+    }
+  }
+  return args;
+};
+
+const describe = (anomaly) => {
+  const where = [anomaly.tableId && `table ${anomaly.tableId}`, anomaly.orderId && `order ${anomaly.orderId}`]
+    .filter(Boolean)
+    .join(', ');
+  return `  ${anomaly.table} ${anomaly.id}${where ? ` (${where})` : ''}: ${anomaly.message}`;
+};
+
+const printReport = ({ anomalies, fixed }) => {
+  for (const [title, list] of [['Fixed', fixed], ['Found', anomalies]]) {
+    const categories = [...new Set(list.map(a => a.category))];
+    for (const category of categories) {
+      const inCategory = list.filter(a => a.category === category);
+      console.log(`${title} ${category} (${inCategory.length})`);
+      inCategory.forEach(a => console.log(describe(a)));
+    }
+  }
+  console.log(anomalies.length ? `${anomalies.length} anomalies` : 'No anomalies');
+};
+
+const main = async (argv) => {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    return 2;
+  }
+  if (!args.restaurantId) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const pool = getPool();
+  const quiet = { log() {}, error() {} };
+  try {
+    const report = await createTableOperations({ pool, logger: quiet }).checkConsistency({
+      restaurantId: args.restaurantId,
+      tableIds: args.tableIds,
+      fix: args.fix
+    });
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+    return report.anomalies.length ? 1 : 0;
+  } catch (error) {
+    console.error('Consistency check failed:', error.message);
+    return 2;
+  } finally {
+    await Promise.all([pool.end(), closeRedisClient()]);
+  }
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => process.exit(code), () => process.exit(2));
+}
+
+module.exports = { main };
@@ -1,14 +1,23 @@
 const { Pool } = require('pg');
 
-const pool = new Pool({
-    user: process.env.DB_USER,
-    host: process.env.DB_HOST,
-    database: process.env.DB_NAME,
-    password: process.env.DB_PASSWORD,
-    port: process.env.DB_PORT,
-    ssl: process.env.DB_SSL === 'true' ? {
-        rejectUnauthorized: false
-    } : false
-});
+let pool = null;
 
-module.exports = { pool };
+// Default pool for the module-level table operations, built from the DB_*
+// env vars on first use rather than when the package is required
+const getPool = () => {
+    if (!pool) {
+        pool = new Pool({
+            user: process.env.DB_USER,
+            host: process.env.DB_HOST,
+            database: process.env.DB_NAME,
+            password: process.env.DB_PASSWORD,
+            port: process.env.DB_PORT,
+            ssl: process.env.DB_SSL === 'true' ? {
+                rejectUnauthorized: false
+            } : false
+        });
+    }
+    return pool;
+};
+
+module.exports = { getPool };
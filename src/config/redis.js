@@ -0,0 +1,35 @@
+const { createClient } = require('redis');
+
+let clientPromise = null;
+
+// Shared Redis client, connected on first use. Resolves to null when
+// REDIS_URL is not set (Redis disabled, e.g. in local context).
+const getRedisClient = () => {
+    if (!process.env.REDIS_URL) {
+        return Promise.resolve(null);
+    }
+    if (!clientPromise) {
+        const client = createClient({ url: process.env.REDIS_URL });
+        client.on('error', (error) => console.error('Redis client error:', error));
+        clientPromise = client.connect().then(() => client).catch((error) => {
+            clientPromise = null;
+            throw error;
+        });
+    }
+    return clientPromise;
+};
+
+// Close the shared client, if one was opened, so a script can exit
+const closeRedisClient = async () => {
+    if (!clientPromise) {
+        return;
+    }
+    const pending = clientPromise;
+    clientPromise = null;
+    const client = await pending.catch(() => null);
+    if (client) {
+        await client.quit();
+    }
+};
+
+module.exports = { getRedisClient, closeRedisClient };
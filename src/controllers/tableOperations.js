@@ -1,460 +1,380 @@
 // Table operations controller - extracted from backend
-const { pool } = require('../config/db');
-const { createOrUpdateOrder } = require('@butler/order-engine/src/controllers/orderController');
-
-// Utility functions - simplified for local usage
-const insertNotification = async (notificationData) => {
-  try {
-    // Simple notification insertion
-    const query = `
-      INSERT INTO notifications (
-        restaurant_id, table_number, order_id, action_type, 
-        notification_data, order_type, captain_id, active, created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
-      RETURNING notification_id
-    `;
-    
-    const values = [
-      notificationData.restaurantId,
-      notificationData.tableNumber,
-      notificationData.orderId,
-      notificationData.actionType,
-      JSON.stringify(notificationData.notificationData),
-      notificationData.orderType || 'captain',
-      notificationData.captainId || null,
-      true
-    ];
-    
-    const result = await pool.query(query, values);
-    return result.rows[0];
-  } catch (error) {
-    console.error('Error inserting notification:', error);
-    return null;
+//
+// Every operation is split in two: a plan step that only reads (under the
+// table locks) and works out exactly what the move will do, and an apply step
+// that performs those writes. A dry run stops after the plan step.
+const { getPool } = require('../config/db');
+const { createOrderEngineAdapter, loadOrderEngine } = require('../services/orderEngine');
+const { withTransaction } = require('../utils/transaction');
+const { lockTables, readTableOrders, assertOrderVersions } = require('../utils/locking');
+const {
+  ERROR_CODES,
+  TableOperationError,
+  MoveConflictError,
+  toErrorResponse
+} = require('../utils/errors');
+const {
+  validateMoveTableData,
+  validateMoveKOTData,
+  validateMoveItemsData,
+  validateSwapTablesData,
+  validateSplitTableData,
+  validateMergeTablesData,
+  validateUndoMoveOptions,
+  validateAuditQuery,
+  validateQuantityQuery,
+  validateConsistencyQuery,
+  validateDefineTablesData,
+  validateTableStateData,
+  validateFloorQuery,
+  validateKotTransferQuery,
+  validateLineageQuery
+} = require('../utils/validation');
+const {
+  captureRows,
+  recordChangeSet,
+  loadChangeSet,
+  restoreChangeSet
+} = require('../services/changeSets');
+const { writeAuditEntry, queryAuditEntries } = require('../services/auditLog');
+const { recordProvenance, markProvenanceUndone, readLineage } = require('../services/provenance');
+const { findAnomalies, repairAnomalies } = require('../services/consistency');
+const { buildPolicyContext } = require('../services/policies');
+const { resolveDiscountPolicy, reconcileDiscounts } = require('../services/discounts');
+const {
+  fetchTables,
+  assertMoveTables,
+  syncTableStates,
+  upsertTables,
+  updateTableState,
+  readFloor
+} = require('../services/tableStates');
+const { migrateTableSessions, swapTableSessions, hasTableSession } = require('../services/tableSessions');
+const { defaultNotifier } = require('../services/notifications');
+const {
+  KOT_TRANSFER_ACTION,
+  kotWatermark,
+  issueTransferTicket,
+  markTransfersUndone,
+  fetchTransferTicket
+} = require('../services/kotTransfers');
+const { sumItemQuantities, orderItems, mergeItems, itemNames } = require('../utils/items');
+const { renderTransferTicket } = require('../utils/ticketRenderer');
+const {
+  withTotals,
+  takeCustomizations,
+  remainingAfter,
+  movedPerItem,
+  kotItems,
+  removeUnits,
+  rebalanceDeliveries,
+  rebalanceKots,
+  findQuantityMismatches,
+  KOT_ACTION_TYPES_SQL
+} = require('../services/quantityLedger');
+
+const sessionOptions = (deps) => ({ store: deps.sessionStore, logger: deps.logger });
+
+// Ask captains' devices showing a table to reload it
+const refreshTable = (restaurantId, tableId, deps) => deps.notifier.send({
+  type: 'table.refresh',
+  restaurantId,
+  audience: 'captain',
+  title: '',
+  message: '',
+  data: { tableId }
+});
+
+// Transfer tickets a move issued, for kitchen and bar printers
+const announceTransfers = async (restaurantId, result, deps) => {
+  const tickets = result.transferTicket
+    ? [result.transferTicket]
+    : (result.splits || []).map(split => split.transferTicket).filter(Boolean);
+  for (const ticket of tickets) {
+    await deps.notifier.send({
+      type: 'kot.transferred',
+      restaurantId,
+      audience: 'kitchen',
+      title: 'KOT Transfer',
+      message: `Items moved from table ${ticket.fromTableId} to ${ticket.toTableId}. Not for preparation.`,
+      data: { ticket, moveId: result.moveId }
+    });
   }
 };
 
-const sendNotificationToRestaurant = async (title, message, data, restaurantId, type, active = false) => {
-  // Simplified notification sending - just log for now
-  console.log('Sending notification to restaurant:', { title, message, data, restaurantId, type, active });
-  return { success: true };
-};
-
-// For Redis session management, use placeholder for now since Redis is disabled in local context
-const migrateTableSessions = async (restaurantId, oldTableId, newTableId) => {
-  // Placeholder - Redis session management disabled in local context
-  console.log('Migrating table sessions:', { restaurantId, oldTableId, newTableId });
-  return { success: true };
-};
-
-/**
- * Move specific items from one table to another
- * @param {Object} data - Move items data
- * @param {string} data.restaurantId - Restaurant ID
- * @param {string} data.oldTableId - Source table ID
- * @param {string} data.newTableId - Destination table ID
- * @param {string} data.orderId - Order ID on old table
- * @param {Array<Object>} data.items - Items to move
- * @param {string} data.items[].itemId - Item ID
- * @param {number} data.items[].quantity - Quantity to move
- */
-const moveItems = async (data) => {
-  try {
-    const { restaurantId, oldTableId, newTableId, orderId, items } = data;
-
-    // 1. Validate inputs and fetch current state
-    const [oldOrders, notifications, deliveries] = await Promise.all([
-      pool.query(
-        `SELECT * FROM orders WHERE restaurant_id = $1 AND id = $2 AND table_id = $3`,
-        [restaurantId, orderId, oldTableId]
-      ),
-      pool.query(
-        `SELECT * FROM notifications 
-         WHERE restaurant_id = $1 
-         AND order_id = $2 
-         AND action_type IN ('order_created', 'order-updated')
-         AND active = true`,
-        [restaurantId, orderId]
-      ),
-      pool.query(
-        `SELECT id, notification_id, item_id, customization_details 
-         FROM order_customization_deliveries 
-         WHERE order_id = $1 
-         AND delivered = false 
-         AND cancelled = false`,
-        [orderId]
-      )
-    ]);
-
-    // If order not found, return error
-    if (!oldOrders.rows.length) {
-      console.log("Order not found on source table");
-      throw new Error('Order not found on source table');
-    }
+// Session migration and restaurant notifications for a committed move.
+// Registered with afterCommit so they only fire once the writes are durable.
+const announceMove = (plan, result, deps) => async () => {
+  const { restaurantId, oldTableId, newTableId } = plan;
 
-    const oldOrder = oldOrders.rows[0];
-    const oldItems = oldOrder.json_data.items;
+  await announceTransfers(restaurantId, result, deps);
 
-    // 2. Verify requested moves
-    for (const { itemId, quantity } of items) {
-      if (!oldItems[itemId]) {
-        throw new Error(`Item ${itemId} not found in the order`);
-      }
-      if (quantity < 1) {
-        throw new Error('Quantity must be at least 1');
+  if (plan.operation === 'moveTable' && plan.scope === 'order') {
+    // The guests stay seated at the source table: sessions are not touched
+    await refreshTable(restaurantId, oldTableId, deps);
+    await refreshTable(restaurantId, newTableId, deps);
+    await deps.notifier.send({
+      type: 'order.moved',
+      restaurantId,
+      audience: 'biller',
+      title: 'Order Moved',
+      message: `Order ${plan.sourceOrderId} moved from table ${oldTableId} to ${newTableId}.`,
+      data: {
+        oldTableId,
+        newTableId,
+        orderId: String(plan.sourceOrderId),
+        destinationOrderId: result.destinationOrderId,
+        escalatedFrom: plan.escalatedFrom || null,
+        moveId: result.moveId
       }
-    }
+    });
+    return;
+  }
 
-    // 3. Check if this is a full table move
-    let isFullTableMove = true;
-    const requestedItems = new Set(items.map(i => i.itemId));
-    
-    for (const itemId of Object.keys(oldItems)) {
-      if (!requestedItems.has(itemId)) {
-        isFullTableMove = false;
-        break;
-      }
-    }
+  if (plan.operation === 'moveTable') {
+    await migrateTableSessions(restaurantId, oldTableId, newTableId, sessionOptions(deps));
 
-    if (isFullTableMove) {
-      for (const { itemId, quantity } of items) {
-        const item = oldItems[itemId];
-        const totalQty = item.customizations.reduce((sum, c) => sum + c.qty, 0);
-        if (quantity !== totalQty) {
-          isFullTableMove = false;
-          break;
-        }
+    await refreshTable(restaurantId, oldTableId, deps);
+    await deps.notifier.send({
+      type: 'table.moved',
+      restaurantId,
+      audience: 'biller',
+      title: 'Table Move Completed',
+      message: `Table move from ${oldTableId} to ${newTableId} completed.`,
+      data: {
+        oldTableId,
+        newTableId,
+        destinationOrderId: result.destinationOrderId,
+        escalatedFrom: plan.escalatedFrom || null,
+        moveId: result.moveId
       }
-    }
-
-    if (isFullTableMove) {
-      console.log("Moving table since all items are being moved with exact quantities");
-      return await moveTable(data);
-    }
-
-    // 4. Prepare items for both tables
-    const itemsForNewTable = {};
-    const remainingItems = { ...oldItems };
-    
-    // Track which notifications and deliveries need updating
-    const notificationUpdates = [];
-    const deliveryUpdates = [];
-
-    for (const { itemId, quantity: requestedQty } of items) {
-      const item = oldItems[itemId];
-      const totalQty = item.customizations.reduce((sum, c) => sum + c.qty, 0);
-      let remainingQtyToMove = requestedQty;
-
-      // For the new table - use requested quantity
-      itemsForNewTable[itemId] = {
-        ...item,
-        customizations: item.customizations.map(c => ({ 
-          ...c, 
-          qty: requestedQty
-        }))
-      };
+    });
+    return;
+  }
 
-      // For the old table - remove only what exists
-      if (requestedQty >= totalQty) {
-        delete remainingItems[itemId];
-      } else {
-        remainingItems[itemId] = {
-          ...item,
-          customizations: item.customizations.map(c => ({
-            ...c,
-            qty: Math.max(0, c.qty - requestedQty)
-          })).filter(c => c.qty > 0)
-        };
-      }
+  if (plan.operation === 'swapTables') {
+    await swapTableSessions(restaurantId, oldTableId, newTableId, sessionOptions(deps));
 
-      // Group deliveries by notification_id for this item
-      const itemDeliveries = deliveries.rows
-        .filter(d => d.item_id === itemId)
-        .reduce((acc, d) => {
-          if (!acc[d.notification_id]) {
-            acc[d.notification_id] = [];
-          }
-          acc[d.notification_id].push(d);
-          return acc;
-        }, {});
-
-      // For each notification of this item
-      for (const notification of notifications.rows) {
-        const notifDeliveries = itemDeliveries[notification.notification_id] || [];
-        if (notifDeliveries.length === 0) continue;
-
-        let qtyToReduceFromThisNotif = Math.min(
-          remainingQtyToMove,
-          notifDeliveries.reduce((sum, d) => sum + (d.customization_details.qty || 0), 0)
-        );
-
-        if (qtyToReduceFromThisNotif <= 0) continue;
-
-        // Update each delivery under this notification
-        for (const delivery of notifDeliveries) {
-          if (qtyToReduceFromThisNotif <= 0) break;
-
-          const currentQty = delivery.customization_details.qty || 0;
-          const qtyToReduceFromThisDelivery = Math.min(
-            qtyToReduceFromThisNotif,
-            currentQty
-          );
-
-          if (qtyToReduceFromThisDelivery > 0) {
-            const newCustomizationDetails = {
-              ...delivery.customization_details,
-              qty: currentQty - qtyToReduceFromThisDelivery
-            };
-
-            deliveryUpdates.push({
-              id: delivery.id,
-              customization_details: newCustomizationDetails
-            });
-
-            qtyToReduceFromThisNotif -= qtyToReduceFromThisDelivery;
-            remainingQtyToMove -= qtyToReduceFromThisDelivery;
-          }
-        }
+    await refreshTable(restaurantId, oldTableId, deps);
+    await refreshTable(restaurantId, newTableId, deps);
+    await deps.notifier.send({
+      type: 'tables.swapped',
+      restaurantId,
+      audience: 'biller',
+      title: 'Tables Swapped',
+      message: `Tables ${oldTableId} and ${newTableId} were swapped.`,
+      data: { tableA: oldTableId, tableB: newTableId, moveId: result.moveId }
+    });
+    return;
+  }
 
-        // If we modified any deliveries for this notification
-        if (qtyToReduceFromThisNotif < remainingQtyToMove) {
-          notificationUpdates.push(notification.notification_id);
-        }
-      }
+  if (plan.operation === 'mergeTables') {
+    // Guests of every source table join the target's session
+    for (const tableId of plan.sourceTableIds) {
+      await migrateTableSessions(restaurantId, tableId, newTableId, sessionOptions(deps));
     }
 
-    // 5. Update notifications and deliveries
-    if (deliveryUpdates.length > 0) {
-      await Promise.all(deliveryUpdates.map(update => 
-        pool.query(
-          `UPDATE order_customization_deliveries 
-           SET customization_details = $1 
-           WHERE id = $2`,
-          [update.customization_details, update.id]
-        )
-      ));
+    for (const tableId of plan.tableIds) {
+      await refreshTable(restaurantId, tableId, deps);
     }
-
-    // Get all active notifications for this order
-    const activeNotifications = notifications.rows
-      .filter(n => n.action_type === 'order_created' || n.action_type === 'order-updated')
-      .filter(n => n.active)
-      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));  // Process oldest first
-
-    // Process each moved item
-    for (const { itemId, quantity: qtyToMove } of items) {
-      let remainingQtyToMove = qtyToMove;
-
-      // Process each notification until we've moved all quantity
-      for (const notification of activeNotifications) {
-        if (remainingQtyToMove <= 0) break;
-
-        const notifData = notification.notification_data;
-        if (!notifData || !notifData[itemId]) continue;
-
-        const targetItem = notifData[itemId];
-        if (!targetItem || !targetItem.customizations) continue;
-
-        // Calculate how much we can take from this notification
-        const basicCustomization = targetItem.customizations.find(c => c.isBasic === true);
-        if (!basicCustomization) continue;
-
-        const currentQty = basicCustomization.qty || 0;
-        const currentQtyChange = basicCustomization.qtyChange || currentQty;
-
-        if (currentQty <= 0) continue;
-
-        const qtyToReduceHere = Math.min(remainingQtyToMove, currentQty);
-        remainingQtyToMove -= qtyToReduceHere;
-
-        // Update this notification
-        await pool.query(
-          `UPDATE notifications 
-           SET notification_data = jsonb_set(
-             notification_data,
-             array[$1::text],
-             jsonb_build_object(
-               'name', notification_data->$1->>'name',
-               'added', notification_data->$1->>'added',
-               'customizations', (
-                 SELECT jsonb_agg(
-                   CASE 
-                     WHEN c->>'isBasic' = 'true' THEN
-                       jsonb_build_object(
-                         'qty', ((c->>'qty')::int - $2),
-                         'price', c->>'price',
-                         'addons', c->'addons',
-                         'isBasic', true,
-                         'qtyChange', ((c->>'qtyChange')::int - $2),
-                         'variation', c->'variation',
-                         'instructions', c->>'instructions'
-                       )
-                     ELSE c
-                   END
-                 )
-                 FROM jsonb_array_elements(notification_data->$1->'customizations') c
-               )
-             )
-           ),
-           updated_at = CURRENT_TIMESTAMP
-           WHERE notification_id = $3
-           AND active = true`,
-          [itemId, qtyToReduceHere, notification.notification_id]
-        );
+    await deps.notifier.send({
+      type: 'tables.merged',
+      restaurantId,
+      audience: 'biller',
+      title: 'Tables Merged',
+      message: `Table(s) ${plan.sourceTableIds.join(', ')} merged into table ${newTableId}.`,
+      data: {
+        sourceTableIds: plan.sourceTableIds,
+        targetTableId: newTableId,
+        billOrderId: result.billOrderId,
+        mergedOrderIds: result.mergedOrderIds,
+        moveId: result.moveId
       }
-    }
+    });
+    return;
+  }
 
-    // Clean up notifications: delete NULL ones and deactivate empty ones
-    await Promise.all([
-      // Delete notifications with NULL data
-      pool.query(
-        `DELETE FROM notifications 
-         WHERE notification_id = ANY($1)
-         AND notification_data IS NULL`,
-        [activeNotifications.map(n => n.notification_id)]
-      ),
-      
-      // Delete notifications with zero quantities instead of just deactivating
-      pool.query(
-        `DELETE FROM notifications 
-         WHERE notification_id = ANY($1)
-         AND notification_data IS NOT NULL
-         AND NOT EXISTS (
-           SELECT 1
-           FROM jsonb_each(notification_data) items,
-           jsonb_array_elements(items.value->'customizations') c
-           WHERE (c->>'qty')::int > 0
-         )`,
-        [activeNotifications.map(n => n.notification_id)]
-      )
-    ]);
-
-    // 6. Handle both tables
-    if (Object.keys(remainingItems).length === 0) {
-      // If no items left, delete the order
-      await pool.query(
-        `DELETE FROM orders WHERE restaurant_id = $1 AND id = $2`,
-        [restaurantId, orderId]
-      );
-    } else {
-      // Update old table's order directly
-      await pool.query(
-        `UPDATE orders 
-         SET json_data = jsonb_set(json_data, '{items}', $1::jsonb),
-             updated_at = CURRENT_TIMESTAMP
-         WHERE id = $2 AND restaurant_id = $3`,
-        [JSON.stringify(remainingItems), orderId, restaurantId]
-      );
+  if (plan.operation === 'splitTable') {
+    for (const tableId of plan.tableIds) {
+      await refreshTable(restaurantId, tableId, deps);
     }
+    await deps.notifier.send({
+      type: 'table.split',
+      restaurantId,
+      audience: 'biller',
+      title: 'Table Split',
+      message: `Order on table ${oldTableId} split across table(s) ${result.splits.map(split => split.tableId).join(', ')}.`,
+      data: { sourceTableId: oldTableId, orderId: plan.orderId, splits: result.splits, moveId: result.moveId }
+    });
+    return;
+  }
 
-    // Create/update order on new table
-    // Check if destination table has any non-printed orders to merge with
-    const destOrderResult = await pool.query(
-      `SELECT id, print_status FROM orders 
-       WHERE restaurant_id = $1 AND table_id = $2
-       ORDER BY print_status ASC, created_at ASC`,
-      [restaurantId, newTableId]
-    );
+  if (plan.operation === 'moveKOT') {
+    await deps.notifier.send({
+      type: 'kot.moved',
+      restaurantId,
+      audience: 'biller',
+      title: 'KOT Moved',
+      message: `${plan.notificationIds.length} KOT(s) moved from table ${oldTableId} to ${newTableId}.`,
+      data: { oldTableId, newTableId, orderId: plan.orderId, notificationIds: plan.notificationIds, moveId: result.moveId }
+    });
+    return;
+  }
 
-    let mockReq;
-    // Check if there's a non-printed order to merge with
-    const nonPrintedOrder = destOrderResult.rows.find(order => order.print_status !== true);
-    
-    if (destOrderResult.rows.length > 0 && !nonPrintedOrder) {
-      // All orders on destination table are printed - create a new order
-      console.log("All orders on destination table are printed, creating new order");
-      mockReq = {
-        body: {
-          restaurantId,
-          tableId: newTableId,
-          items: itemsForNewTable,
-          orderType: 'captain',
-          forceNewOrder: true // Flag to indicate we want a new order
-        }
-      };
-    } else {
-      // Normal case - merge with existing non-printed order or create new one
-      mockReq = {
-      body: {
-        restaurantId,
-        tableId: newTableId,
-        items: itemsForNewTable,
-        orderType: 'captain'
-      }
-    };
+  await deps.notifier.send({
+    type: 'items.moved',
+    restaurantId,
+    audience: 'biller',
+    title: 'Items Moved',
+    message: `${plan.movedItems.length} item(s) moved from table ${oldTableId} to ${newTableId}.`,
+    data: {
+      oldTableId,
+      newTableId,
+      orderId: plan.orderId,
+      destinationOrderId: result.destinationOrderId,
+      movedItems: plan.movedItems,
+      moveId: result.moveId
     }
+  });
+};
 
-    const mockRes = {
-      status: (code) => ({
-        json: (data) => {
-          console.log('Order update response:', { code, data });
-          return data;
-        }
-      })
-    };
+// The kot_transfer KOTs a move created, which undoing it removes again
+const transferKotIds = (changeSet) => {
+  const before = new Set((changeSet.before_rows.notifications || []).map(n => String(n.notification_id)));
+  return (changeSet.after_rows.notifications || [])
+    .filter(n => n.action_type === KOT_TRANSFER_ACTION && !before.has(String(n.notification_id)))
+    .map(n => String(n.notification_id));
+};
 
-    await createOrUpdateOrder(mockReq, mockRes);
+// Same for an undone move; a full table move or swap also takes its sessions back
+const announceUndo = (changeSet, deps) => async () => {
+  const { restaurant_id: restaurantId, old_table_id: oldTableId, new_table_id: newTableId } = changeSet;
 
-    return {
-      success: true,
-      message: 'Items moved successfully'
-    };
+  if (changeSet.operation === 'swapTables') {
+    await swapTableSessions(restaurantId, oldTableId, newTableId, sessionOptions(deps));
+  } else if (changeSet.table_moved) {
+    await migrateTableSessions(restaurantId, newTableId, oldTableId, sessionOptions(deps));
+  }
 
-  } catch (error) {
-    console.error('Error moving items:', error);
-    throw error;
+  for (const tableId of changeSet.table_ids) {
+    await refreshTable(restaurantId, tableId, deps);
   }
+  await deps.notifier.send({
+    type: 'move.undone',
+    restaurantId,
+    audience: 'biller',
+    title: 'Move Undone',
+    message: `Move from table ${oldTableId} to ${newTableId} was undone.`,
+    data: { oldTableId, newTableId, operation: changeSet.operation, moveId: changeSet.move_id }
+  });
 };
 
-const moveTable = async (data) => {
-  try {
-    const { oldTableId, newTableId, restaurantId, orderId } = data;
-    if (!oldTableId || !newTableId || !restaurantId) {
-      throw new Error('Missing required fields');
-    }
+const cloneJson = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+// Orders on one table, non-printed first, oldest first
+const fetchTableOrders = async (client, restaurantId, tableId) => {
+  const { rows } = await client.query(
+    `SELECT id, json_data, instructions, print_status
+       FROM orders
+      WHERE restaurant_id = $1
+        AND table_id      = $2
+      ORDER BY print_status ASC, created_at ASC`,
+    [restaurantId, tableId]
+  );
+  return rows;
+};
 
-    // 1. Fetch destination + source orders, now including print_status
-    const destRes = await pool.query(
-      `SELECT id, json_data, instructions, print_status
-         FROM orders
-        WHERE restaurant_id = $1
-          AND table_id      = $2
-         ORDER BY print_status ASC, created_at ASC`,
-      [restaurantId, newTableId]
-    );
+// Lock both tables (a dry run only reads them), then check the caller's view
+// of the orders is still current
+const guardTables = async (client, data, tableIds = [data.oldTableId, data.newTableId]) => {
+  const { restaurantId } = data;
+  const orders = data.dryRun
+    ? await readTableOrders(client, restaurantId, tableIds)
+    : await lockTables(client, restaurantId, tableIds);
+  assertOrderVersions(orders, data.expectedVersions);
+  return orders;
+};
 
+// Where moved KOTs/items land on the destination table: the first non-printed
+// order, a forced new order when every order there is printed, or a new order
+// when the table is empty
+const chooseDestination = (destOrders) => {
+  const nonPrintedOrder = destOrders.find(order => order.print_status !== true);
+  if (nonPrintedOrder) {
+    return { strategy: 'merge', orderId: nonPrintedOrder.id };
+  }
+  if (destOrders.length > 0) {
+    return { strategy: 'force-new-order', orderId: null };
+  }
+  return { strategy: 'new-order', orderId: null };
+};
+
+/**
+ * Work out what moveTable will do, without writing anything
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} data - Move table data
+ */
+const planMoveTable = async (client, data, deps) => {
+  const { oldTableId, newTableId, restaurantId, orderId, scope = 'table' } = data;
+
+  // 0. Lock both tables, then check the caller's view is still current
+  await guardTables(client, data);
+
+  // 1. Fetch destination + source orders, now including print_status
+  const destOrders = await fetchTableOrders(client, restaurantId, newTableId);
+  const srcOrders = await fetchTableOrders(client, restaurantId, oldTableId);
+
+  let srcOrder;
+  if (scope === 'order') {
+    // Order scope moves exactly the order asked for, never a fallback
+    srcOrder = srcOrders.find(order => String(order.id) === String(orderId));
+    if (!srcOrder) {
+      throw new TableOperationError(ERROR_CODES.ORDER_NOT_FOUND, 'Order not found on source table', {
+        orderId,
+        tableId: oldTableId
+      });
+    }
+  } else {
     // Prefer the specific source order (orderId) if provided; otherwise pick a non-printed order
-    const srcResById = await pool.query(
-      `SELECT id, json_data, instructions, print_status
-         FROM orders
-        WHERE restaurant_id = $1
-          AND id            = $2
-          AND table_id      = $3`,
-      [restaurantId, orderId, oldTableId]
-    );
+    srcOrder = (orderId !== undefined && srcOrders.find(order => String(order.id) === String(orderId)))
+      || srcOrders.find(order => order.print_status !== true)
+      || srcOrders[0]
+      || null;
+  }
 
-    const srcRes = await pool.query(
-      `SELECT id, json_data, instructions, print_status
-         FROM orders
-        WHERE restaurant_id = $1
-          AND table_id      = $2
-         ORDER BY print_status ASC, created_at ASC`,
-      [restaurantId, oldTableId]
-    );
+  const plan = {
+    operation: 'moveTable',
+    restaurantId,
+    oldTableId,
+    newTableId,
+    orderId,
+    // The only order on its table takes the table-level rows along anyway
+    scope: scope === 'order' && srcOrders.length > 1 ? 'order' : 'table',
+    strategy: 'none',
+    sourceOrderId: srcOrder ? srcOrder.id : null,
+    destinationOrderId: null,
+    quantities: {
+      before: {
+        [oldTableId]: sumItemQuantities(srcOrders.map(orderItems)),
+        [newTableId]: sumItemQuantities(destOrders.map(orderItems))
+      },
+      after: {
+        [oldTableId]: sumItemQuantities(srcOrders.filter(o => o !== srcOrder).map(orderItems)),
+        [newTableId]: sumItemQuantities([...destOrders, srcOrder].map(orderItems))
+      }
+    }
+  };
 
-    // 2. Both tables have orders?
-    if (destRes.rows.length > 0 && srcRes.rows.length > 0) {
-      // Find the first non-printed order on destination table, or use the first order if all are printed
-      const destOrder = destRes.rows.find(order => order.print_status !== true) || destRes.rows[0];
-      const srcOrder  = (srcResById.rows && srcResById.rows[0])
-        || srcRes.rows.find(order => order.print_status !== true)
-        || srcRes.rows[0];
-      console.log("srcOrder", srcOrder);
-      console.log("destOrder", destOrder);
-      // 2a. Destination NOT printed → MERGE (your existing logic)
-      if (!destOrder.print_status) {
-        const existingItems = destOrder.json_data.items || {};
-        const sourceItems   = srcOrder.json_data.items   || {};
-        const mergedItems   = { ...existingItems };
+  // 2. Both tables have orders?
+  if (srcOrder && destOrders.length > 0) {
+    // Find the first non-printed order on destination table, or use the first order if all are printed
+    const destOrder = destOrders.find(order => order.print_status !== true) || destOrders[0];
+
+    // 2a. Destination NOT printed → MERGE
+    if (!destOrder.print_status) {
+      const existingItems = cloneJson(orderItems(destOrder));
+      const sourceItems   = orderItems(srcOrder);
+      const mergedItems   = { ...existingItems };
 
       for (const [itemId, itemData] of Object.entries(sourceItems)) {
         if (mergedItems[itemId]) {
@@ -463,351 +383,1816 @@ const moveTable = async (data) => {
             ...itemData.customizations
           ];
         } else {
-          mergedItems[itemId] = itemData;
+          mergedItems[itemId] = { ...itemData };
         }
       }
-      const mergedInstructions = [
-          destOrder.instructions,
-          srcOrder.instructions
-      ].filter(Boolean).join('\n');
 
-      await pool.query(
-          `UPDATE orders
-              SET json_data   = $1,
-                  instructions = $2,
-                  updated_at    = CURRENT_TIMESTAMP
-            WHERE id = $3`,
-          [{ items: mergedItems }, mergedInstructions, destOrder.id]
-      );
-
-        await pool.query(
-        `UPDATE notifications 
-              SET order_id     = $1,
-             table_number = $2,
-                  updated_at   = CURRENT_TIMESTAMP
-         WHERE restaurant_id = $3 
-              AND order_id       = $4
-              AND active         = true`,
-          [destOrder.id, newTableId, restaurantId, srcOrder.id]
-      );
-
-        await pool.query(
-        `UPDATE order_customization_deliveries 
-         SET order_id = $1
-            WHERE order_id = $2`,
-          [destOrder.id, srcOrder.id]
-      );
-
-        // delete the old source order
-        await pool.query(`DELETE FROM orders WHERE id = $1`, [srcOrder.id]);
-      }
-      // 2b. Destination **printed** → REUSE source.id (Option A)
-      else {
-        // simply move the row
-      await pool.query(
-          `UPDATE orders
-              SET table_id   = $1,
-                  updated_at = CURRENT_TIMESTAMP
-            WHERE id         = $2`,
-          [newTableId, srcOrder.id]
-      );
-        // (no need to touch notifications here — step 4 handles them)
-      }
+      plan.strategy = 'merge';
+      plan.destinationOrderId = destOrder.id;
+      plan.mergedItems = withTotals(mergedItems);
+      plan.mergedInstructions = [
+        destOrder.instructions,
+        srcOrder.instructions
+      ].filter(Boolean).join('\n');
     }
-    // 3. Only source has an order → simple move
-    else if (srcRes.rows.length > 0) {
-      await pool.query(
-        `UPDATE orders
-            SET table_id   = $1,
-                updated_at = CURRENT_TIMESTAMP
-          WHERE id         = $2`,
-        [newTableId, (srcResById.rows && srcResById.rows[0] ? srcResById.rows[0].id : (srcRes.rows.find(o => o.print_status !== true)?.id || srcRes.rows[0].id))]
-      );
+    // 2b. Destination **printed** → REUSE source.id (Option A)
+    else {
+      plan.strategy = 'reassign';
+      plan.destinationOrderId = srcOrder.id;
     }
+  }
+  // 3. Only source has an order → simple move
+  else if (srcOrder) {
+    plan.strategy = 'reassign';
+    plan.destinationOrderId = srcOrder.id;
+  }
 
-    // 4. Update ALL related tables exactly as before
-    const [
-      notificationsUpdate,
-      otpUpdate,
-      discountUpdate,
-      dynamicOffersUpdate,
-      captainsUpdate
-    ] = await Promise.all([
-      pool.query(
-        `UPDATE notifications
-            SET table_number = $1
-          WHERE restaurant_id = $2
-            AND table_number  = $3
-            AND active        = true`,
-        [newTableId, restaurantId, oldTableId]
-      ),
-      pool.query(
-        `UPDATE table_otps
-            SET table_id = $1
-          WHERE restaurant_id = $2
-            AND table_id      = $3`,
-        [newTableId, restaurantId, oldTableId]
-      ),
-      pool.query(
-        `UPDATE discounts
-            SET table_number = $1,
-                updated_at   = CURRENT_TIMESTAMP
-          WHERE restaurant_id = $2
-            AND table_number  = $3
-            AND is_active     = true`,
-        [newTableId, restaurantId, oldTableId]
+  if (data.dryRun) {
+    plan.relatedRows = await previewTableMoveRows(client, plan);
+  }
+
+  return plan;
+};
+
+// Rows step 4 of applyMoveTable will re-point, using the same conditions
+const previewTableMoveRows = async (client, plan) => {
+  const { restaurantId, oldTableId, orderId, sourceOrderId, strategy } = plan;
+  const count = async (query, values) => (await client.query(query, values)).rows[0].total;
+
+  if (plan.scope === 'order') {
+    const { rows: notifications } = await client.query(
+      `SELECT notification_id
+         FROM notifications
+        WHERE restaurant_id = $1
+          AND active        = true
+          AND order_id      = $2
+        ORDER BY notification_id`,
+      [restaurantId, sourceOrderId]
+    );
+    return {
+      notificationIds: notifications.map(n => n.notification_id),
+      otps: 0,
+      discounts: await count(
+        `SELECT COUNT(*)::int AS total FROM discounts
+          WHERE restaurant_id = $1 AND order_id = $2 AND is_active = true`,
+        [restaurantId, sourceOrderId]
       ),
-      pool.query(
-        `UPDATE dynamic_offers
-            SET table_id = $1
-          WHERE restaurant_id = $2
-            AND order_id      = $3
-            AND table_id      = $4
-            AND active        = true`,
-        [newTableId, restaurantId, orderId, oldTableId]
+      dynamicOffers: await count(
+        `SELECT COUNT(*)::int AS total FROM dynamic_offers
+          WHERE restaurant_id = $1 AND order_id = $2 AND active = true`,
+        [restaurantId, sourceOrderId]
       ),
-      pool.query(
-        `UPDATE captains
-         SET assigned_tables = (
-           SELECT jsonb_agg(DISTINCT CASE
-             WHEN value = to_jsonb($1::text) THEN to_jsonb($2::text)
-             ELSE value END
-           )
-           FROM jsonb_array_elements(assigned_tables) AS arr(value)
-         )
-          WHERE restaurant_id   = $3
-           AND assigned_tables @> to_jsonb($1::text)`,
-        [oldTableId, newTableId, restaurantId]
-      )
-    ]);
-
-    // 5. Migrate sessions
-    await migrateTableSessions(restaurantId, oldTableId, newTableId);
-
-    // 6. Send notifications
-    await sendNotificationToRestaurant('', '', { tableId: oldTableId }, restaurantId, 'captain', true);
-    await sendNotificationToRestaurant(
-      'Table Move Completed',
-      `Table move from ${oldTableId} to ${newTableId} completed.`,
-      { oldTable: oldTableId, newTable: newTableId, tableId: newTableId },
-      restaurantId,
-      'biller'
+      captains: 0
+    };
+  }
+
+  const { rows: notifications } = await client.query(
+    `SELECT notification_id
+       FROM notifications
+      WHERE restaurant_id = $1
+        AND active        = true
+        AND (table_number = $2 OR ($3::boolean AND order_id = $4))
+      ORDER BY notification_id`,
+    [restaurantId, oldTableId, strategy === 'merge', sourceOrderId]
+  );
+
+  return {
+    notificationIds: notifications.map(n => n.notification_id),
+    otps: await count(
+      `SELECT COUNT(*)::int AS total FROM table_otps
+        WHERE restaurant_id = $1 AND table_id = $2`,
+      [restaurantId, oldTableId]
+    ),
+    discounts: await count(
+      `SELECT COUNT(*)::int AS total FROM discounts
+        WHERE restaurant_id = $1 AND table_number = $2 AND is_active = true`,
+      [restaurantId, oldTableId]
+    ),
+    dynamicOffers: await count(
+      `SELECT COUNT(*)::int AS total FROM dynamic_offers
+        WHERE restaurant_id = $1 AND order_id = $2 AND table_id = $3 AND active = true`,
+      [restaurantId, orderId, oldTableId]
+    ),
+    captains: await count(
+      `SELECT COUNT(*)::int AS total FROM captains
+        WHERE restaurant_id = $1 AND assigned_tables @> to_jsonb($2::text)`,
+      [restaurantId, oldTableId]
+    )
+  };
+};
+
+const applyMoveTable = async (client, plan) => {
+  const { oldTableId, newTableId, restaurantId, orderId, sourceOrderId, destinationOrderId } = plan;
+
+  let notificationsMerged = 0;
+  if (plan.strategy === 'merge') {
+    await client.query(
+      `UPDATE orders
+          SET json_data    = $1,
+              instructions = $2,
+              updated_at   = CURRENT_TIMESTAMP
+        WHERE id = $3`,
+      [{ items: plan.mergedItems }, plan.mergedInstructions, destinationOrderId]
     );
 
-    // 7. Return summary
-    return {
-      success: true,
-      message: 'Table moved successfully',
-      ordersUpdated: notificationsUpdate.rowCount + otpUpdate.rowCount + discountUpdate.rowCount + dynamicOffersUpdate.rowCount + captainsUpdate.rowCount,
-      notificationsUpdated: notificationsUpdate.rowCount,
-      otpUpdated: otpUpdate.rowCount,
-      discountUpdated: discountUpdate.rowCount,
-      dynamicOffersUpdated: dynamicOffersUpdate.rowCount,
-      captainsUpdated: captainsUpdate.rowCount,
-    };
-  } catch (error) {
-    console.error('Error moving table:', error);
-    throw error;
+    ({ rowCount: notificationsMerged } = await client.query(
+      `UPDATE notifications
+          SET order_id     = $1,
+              table_number = $2,
+              updated_at   = CURRENT_TIMESTAMP
+        WHERE restaurant_id = $3
+          AND order_id      = $4
+          AND active        = true`,
+      [destinationOrderId, newTableId, restaurantId, sourceOrderId]
+    ));
+
+    await client.query(
+      `UPDATE order_customization_deliveries
+          SET order_id = $1
+        WHERE order_id = $2`,
+      [destinationOrderId, sourceOrderId]
+    );
+
+    // delete the old source order
+    await client.query(`DELETE FROM orders WHERE id = $1`, [sourceOrderId]);
+  } else if (plan.strategy === 'reassign') {
+    // simply move the row (no need to touch notifications here — step 4 handles them)
+    await client.query(
+      `UPDATE orders
+          SET table_id   = $1,
+              updated_at = CURRENT_TIMESTAMP
+        WHERE id         = $2`,
+      [newTableId, sourceOrderId]
+    );
   }
+
+  if (plan.scope === 'order') {
+    return moveOrderRows(client, plan, notificationsMerged);
+  }
+
+  // 4. Update ALL related tables exactly as before
+  const notificationsUpdate = await client.query(
+    `UPDATE notifications
+        SET table_number = $1
+      WHERE restaurant_id = $2
+        AND table_number  = $3
+        AND active        = true`,
+    [newTableId, restaurantId, oldTableId]
+  );
+  const otpUpdate = await client.query(
+    `UPDATE table_otps
+        SET table_id = $1
+      WHERE restaurant_id = $2
+        AND table_id      = $3`,
+    [newTableId, restaurantId, oldTableId]
+  );
+  const discountUpdate = await client.query(
+    `UPDATE discounts
+        SET table_number = $1,
+            updated_at   = CURRENT_TIMESTAMP
+      WHERE restaurant_id = $2
+        AND table_number  = $3
+        AND is_active     = true`,
+    [newTableId, restaurantId, oldTableId]
+  );
+  const dynamicOffersUpdate = await client.query(
+    `UPDATE dynamic_offers
+        SET table_id = $1
+      WHERE restaurant_id = $2
+        AND order_id      = $3
+        AND table_id      = $4
+        AND active        = true`,
+    [newTableId, restaurantId, orderId, oldTableId]
+  );
+  const captainsUpdate = await client.query(
+    `UPDATE captains
+     SET assigned_tables = (
+       SELECT jsonb_agg(DISTINCT CASE
+         WHEN value = to_jsonb($1::text) THEN to_jsonb($2::text)
+         ELSE value END
+       )
+       FROM jsonb_array_elements(assigned_tables) AS arr(value)
+     )
+      WHERE restaurant_id   = $3
+       AND assigned_tables @> to_jsonb($1::text)`,
+    [oldTableId, newTableId, restaurantId]
+  );
+
+  // 5. Return summary (sessions and notifications follow once committed, see announceMove)
+  return {
+    success: true,
+    message: 'Table moved successfully',
+    destinationOrderId,
+    ordersUpdated: notificationsUpdate.rowCount + otpUpdate.rowCount + discountUpdate.rowCount + dynamicOffersUpdate.rowCount + captainsUpdate.rowCount,
+    notificationsUpdated: notificationsUpdate.rowCount,
+    otpUpdated: otpUpdate.rowCount,
+    discountUpdated: discountUpdate.rowCount,
+    dynamicOffersUpdated: dynamicOffersUpdate.rowCount,
+    captainsUpdated: captainsUpdate.rowCount,
+    scope: plan.scope
+  };
 };
 
+// 4. (order scope) Only the moved order's own KOTs, discounts and offers
+// follow it; OTPs, captains and the other orders stay on the source table.
+// Deliveries are keyed by order and were already re-pointed by a merge.
+const moveOrderRows = async (client, plan, notificationsMerged) => {
+  const { newTableId, restaurantId, sourceOrderId, destinationOrderId } = plan;
+
+  const notificationsUpdate = await client.query(
+    `UPDATE notifications
+        SET table_number = $1,
+            updated_at   = CURRENT_TIMESTAMP
+      WHERE restaurant_id = $2
+        AND order_id      = $3
+        AND active        = true`,
+    [newTableId, restaurantId, sourceOrderId]
+  );
+  const discountUpdate = await client.query(
+    `UPDATE discounts
+        SET table_number = $1,
+            order_id     = $2,
+            updated_at   = CURRENT_TIMESTAMP
+      WHERE restaurant_id = $3
+        AND order_id      = $4
+        AND is_active     = true`,
+    [newTableId, destinationOrderId, restaurantId, sourceOrderId]
+  );
+  const dynamicOffersUpdate = await client.query(
+    `UPDATE dynamic_offers
+        SET table_id = $1,
+            order_id = $2
+      WHERE restaurant_id = $3
+        AND order_id      = $4
+        AND active        = true`,
+    [newTableId, destinationOrderId, restaurantId, sourceOrderId]
+  );
+
+  const notificationsUpdated = notificationsMerged + notificationsUpdate.rowCount;
+  return {
+    success: true,
+    message: 'Order moved successfully',
+    destinationOrderId,
+    ordersUpdated: notificationsUpdated + discountUpdate.rowCount + dynamicOffersUpdate.rowCount,
+    notificationsUpdated,
+    otpUpdated: 0,
+    discountUpdated: discountUpdate.rowCount,
+    dynamicOffersUpdated: dynamicOffersUpdate.rowCount,
+    captainsUpdated: 0,
+    scope: plan.scope
+  };
+};
 
+// The order items are taken from, with its active KOTs and its customization
+// deliveries in every state
+const fetchSourceOrder = async (client, restaurantId, orderId, tableId, deps) => {
+  const oldOrders = await client.query(
+    `SELECT * FROM orders WHERE restaurant_id = $1 AND id = $2 AND table_id = $3`,
+    [restaurantId, orderId, tableId]
+  );
+  const notifications = await client.query(
+    `SELECT * FROM notifications
+     WHERE restaurant_id = $1
+     AND order_id = $2
+     AND action_type IN ${KOT_ACTION_TYPES_SQL}
+     AND active = true`,
+    [restaurantId, orderId]
+  );
+  const deliveries = await client.query(
+    `SELECT *
+     FROM order_customization_deliveries
+     WHERE order_id = $1
+     ORDER BY id`,
+    [orderId]
+  );
+
+  // If order not found, return error
+  if (!oldOrders.rows.length) {
+    deps.logger.log("Order not found on source table");
+    throw new TableOperationError(ERROR_CODES.ORDER_NOT_FOUND, 'Order not found on source table', {
+      orderId,
+      tableId
+    });
+  }
 
-const moveKOT = async (reqOrData, res) => {
-  try {
-    // Support both (req, res) and (data) signatures
-    let oldTableId, newTableId, restaurantId, orderId, notificationIds;
-    let isExpress = false;
-    if (reqOrData && reqOrData.body) {
-      // Express handler style
-      isExpress = true;
-      ({ oldTableId, newTableId, restaurantId, orderId, notificationIds } = reqOrData.body);
-    } else {
-      // Utility style
-      ({ oldTableId, newTableId, restaurantId, orderId, notificationIds } = reqOrData);
-    }
+  return { order: oldOrders.rows[0], notifications: notifications.rows, deliveries: deliveries.rows };
+};
 
-    // 0. Validate inputs
-    if (!oldTableId || !newTableId || !restaurantId || !orderId || !Array.isArray(notificationIds)) {
-      if (isExpress && res) {
-        return res.status(400).json({ error: 'Missing required fields' });
-      } else {
-        return { success: false, error: 'Missing required fields' };
+/**
+ * Work out what moveItems will do, without writing anything
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} data - Move items data
+ * @param {string} data.restaurantId - Restaurant ID
+ * @param {string} data.oldTableId - Source table ID
+ * @param {string} data.newTableId - Destination table ID
+ * @param {string} data.orderId - Order ID on old table
+ * @param {Array<Object>} data.items - Items to move
+ * @param {string} data.items[].itemId - Item ID
+ * @param {number} data.items[].quantity - Quantity to move
+ * @param {number} [data.items[].customizationIndex] - Only move units of this customization
+ * @param {Object} [data.items[].customization] - Only move units matching { variation, addons }
+ */
+const planMoveItems = async (client, data, deps) => {
+  const { restaurantId, oldTableId, newTableId, orderId, items } = data;
+
+  // 0. Lock both tables, then check the caller's view is still current
+  await guardTables(client, data);
+
+  // 1. Fetch current state
+  const { order: oldOrder, notifications, deliveries } = await fetchSourceOrder(client, restaurantId, orderId, oldTableId, deps);
+  const oldItems = oldOrder.json_data.items;
+
+  // 2. Resolve every line to the customization units it moves; throws when
+  //    an item or customization is missing or the quantity is not there
+  const taken = new Map();
+  const { items: itemsForNewTable, moves } = takeCustomizations(oldItems, items, { orderId, verb: 'move' }, taken);
+  const remainingItems = remainingAfter(oldItems, taken);
+  const movedItems = movedPerItem(itemsForNewTable);
+
+  // 3. Everything moved with its full quantity: this is a full table move
+  if (Object.keys(remainingItems).length === 0) {
+    deps.logger.log("Moving table since all items are being moved with exact quantities");
+    return {
+      ...(await planMoveTable(client, { ...data, scope: 'order' }, deps)),
+      escalatedFrom: 'moveItems',
+      movedItems
+    };
+  }
+
+  // 4. Take the moved units off the deliveries and KOTs; the deliveries keep
+  //    their state on the destination
+  const { deliveryUpdates, carried } = rebalanceDeliveries(deliveries, notifications, moves);
+  const { notificationRewrites, deletedNotificationIds } = rebalanceKots(notifications, moves);
+
+  // 5. Destination: merge into an open order or create one
+  const destOrders = await fetchTableOrders(client, restaurantId, newTableId);
+  const srcOrders = await fetchTableOrders(client, restaurantId, oldTableId);
+  const otherSrcItems = srcOrders.filter(o => String(o.id) !== String(orderId)).map(orderItems);
+
+  return {
+    operation: 'moveItems',
+    restaurantId,
+    oldTableId,
+    newTableId,
+    orderId,
+    movedItems,
+    remainingItems,
+    deleteSourceOrder: Object.keys(remainingItems).length === 0,
+    itemsForNewTable,
+    itemNames: itemNames(oldItems),
+    destination: chooseDestination(destOrders),
+    deliveryUpdates,
+    carriedDeliveries: carried.flat(),
+    notificationRewrites,
+    deletedNotificationIds,
+    quantities: {
+      before: {
+        [oldTableId]: sumItemQuantities([...otherSrcItems, oldItems]),
+        [newTableId]: sumItemQuantities(destOrders.map(orderItems))
+      },
+      after: {
+        [oldTableId]: sumItemQuantities([...otherSrcItems, remainingItems]),
+        [newTableId]: sumItemQuantities([...destOrders.map(orderItems), itemsForNewTable])
       }
     }
+  };
+};
 
-    // 1. Count total KOT notifications on this order
-    const { rows: [{ total }] } = await pool.query(
-      `SELECT COUNT(*)::int AS total
-         FROM notifications
-        WHERE restaurant_id = $1
-          AND order_id       = $2
-          AND action_type IN ('order_created','order-updated')
-          AND active = true`,
-      [restaurantId, orderId]
+// Put the moved items on the destination table through the order engine,
+// on the move's transaction: merged into the open order, or in a new one
+// (forced when every order there is printed). The kitchen already has the
+// items, so the engine writes no KOT for them. An engine failure throws and
+// rolls the whole move back, source included.
+const writeDestinationOrder = (client, plan, items, deps) => {
+  const { destination } = plan;
+  return deps.orderEngine.upsertTableOrder(client, {
+    restaurantId: plan.restaurantId,
+    tableId: plan.newTableId,
+    items,
+    targetOrderId: destination.strategy === 'merge' ? destination.orderId : undefined,
+    forceNewOrder: destination.strategy === 'force-new-order',
+    createKots: false
+  });
+};
+
+// Engines that print KOTs regardless (the legacy handler) need the table's
+// watermark, so the transfer ticket can replace what they printed
+const engineKotWatermark = (client, restaurantId, tableId, deps) =>
+  (deps.orderEngine.writesKots ? kotWatermark(client, restaurantId, tableId) : null);
+
+// Write the source side of an item move or split: deliveries, KOT payloads
+// and what is left of the order
+const applySourceChanges = async (client, plan) => {
+  const { restaurantId, orderId } = plan;
+
+  // 1. Update deliveries and KOT payloads
+  for (const update of plan.deliveryUpdates) {
+    await client.query(
+      `UPDATE order_customization_deliveries
+       SET customization_details = $1
+       WHERE id = $2`,
+      [update.customization_details, update.id]
     );
-    console.log("Total notifications on this order:", total);
-    // 2. If all notifications are being moved, delegate to moveTable
-    if (notificationIds.length === total) {
-      console.log("Moving table Since all KOTs are being moved");
-      if (isExpress && res) {
-        return moveTable({ oldTableId, newTableId, restaurantId, orderId });
-      } else {
-        return moveTable({ oldTableId, newTableId, restaurantId, orderId });
-      }
-    }
+  }
 
-    // 3. Otherwise, update only the selected notifications
-    await pool.query(
+  for (const rewrite of plan.notificationRewrites) {
+    await client.query(
+      `UPDATE notifications
+       SET notification_data = $1,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE notification_id = $2
+       AND active = true`,
+      [rewrite.notificationData, rewrite.notificationId]
+    );
+  }
+
+  // Delete emptied notifications instead of just deactivating
+  if (plan.deletedNotificationIds.length > 0) {
+    await client.query(
       `DELETE FROM notifications
-        WHERE restaurant_id = $1
-          AND order_id = $2
-          AND notification_id = ANY($3::int[])`,
-      [restaurantId, orderId, notificationIds]
+       WHERE notification_id = ANY($1)`,
+      [plan.deletedNotificationIds]
     );
+  }
 
-    // 4. Re-print just this one order on the new table
-    //    fetch all items/customizations for the order
-    const { rows: deliveries } = await pool.query(
-      `SELECT item_id, customization_details
-         FROM order_customization_deliveries
-        WHERE notification_id = ANY($1::text[])`,
-      [ notificationIds.map(String) ]
+  // 2. Handle both tables
+  if (plan.deleteSourceOrder) {
+    // If no items left, delete the order
+    await client.query(
+      `DELETE FROM orders WHERE restaurant_id = $1 AND id = $2`,
+      [restaurantId, orderId]
+    );
+  } else {
+    // Update old table's order directly
+    await client.query(
+      `UPDATE orders
+       SET json_data = jsonb_set(json_data, '{items}', $1::jsonb),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND restaurant_id = $3`,
+      [JSON.stringify(plan.remainingItems), orderId, restaurantId]
     );
+  }
+};
+
+// KOTs of the source order a partial move took units from
+const touchedKotIds = (plan) => [
+  ...plan.notificationRewrites.map(rewrite => rewrite.notificationId),
+  ...plan.deletedNotificationIds
+];
+
+const applyMoveItems = async (client, plan, deps) => {
+  const { destination } = plan;
+
+  await applySourceChanges(client, plan);
+
+  // Create/update order on new table
+  if (destination.strategy === 'force-new-order') {
+    deps.logger.log("All orders on destination table are printed, creating new order");
+  }
+  const watermark = await engineKotWatermark(client, plan.restaurantId, plan.newTableId, deps);
+  const destinationOrderId = await writeDestinationOrder(client, plan, plan.itemsForNewTable, deps);
+
+  // The kitchen already has these items: it gets a transfer ticket, not a new KOT
+  const transferTicket = await issueTransferTicket(client, {
+    restaurantId: plan.restaurantId,
+    operation: plan.operation,
+    fromTableId: plan.oldTableId,
+    toTableId: plan.newTableId,
+    sourceOrderId: plan.orderId,
+    orderId: destinationOrderId,
+    originalNotificationIds: touchedKotIds(plan),
+    items: plan.itemsForNewTable,
+    itemNames: plan.itemNames,
+    watermark,
+    carriedDeliveries: plan.carriedDeliveries
+  });
+
+  return {
+    success: true,
+    message: 'Items moved successfully',
+    movedItems: plan.movedItems,
+    destinationOrderId,
+    escalatedToTableMove: false,
+    transferTicket
+  };
+};
+
+/**
+ * Work out what splitTable will do, without writing anything.
+ * Lines address one customization of an item, so e.g. the two "no onion"
+ * portions of a dish can go to one table and the rest to another.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} data - Split table data
+ * @param {string} data.restaurantId - Restaurant ID
+ * @param {string} data.sourceTableId - Table the order is on
+ * @param {string} data.orderId - Order to split
+ * @param {Array<Object>} data.splits - { tableId, items: [{ itemId, customizationIndex, qty }] } per destination table
+ */
+const planSplitTable = async (client, data, deps) => {
+  const { restaurantId, sourceTableId, orderId, splits } = data;
+  const tableIds = [sourceTableId, ...splits.map(split => split.tableId)];
+
+  // 0. Lock every table, then check the caller's view is still current
+  await guardTables(client, data, tableIds);
+
+  // 1. Fetch current state
+  const { order, notifications, deliveries } = await fetchSourceOrder(client, restaurantId, orderId, sourceTableId, deps);
+  const oldItems = order.json_data.items;
+
+  // 2. What each destination table gets, and where it lands there. All
+  //    splits together may not take more of a customization than the order holds.
+  const taken = new Map();
+  const destOrdersByTable = {};
+  const splitPlans = [];
+  const moves = [];
+  const splitMoveRanges = [];
+  for (const split of splits) {
+    const lines = split.items.map(({ itemId, customizationIndex, qty }) => ({ itemId, customizationIndex, quantity: qty }));
+    const { items, moves: splitMoves } = takeCustomizations(oldItems, lines, { orderId, verb: 'split' }, taken);
+    splitMoveRanges.push([moves.length, moves.length + splitMoves.length]);
+    moves.push(...splitMoves);
+
+    destOrdersByTable[split.tableId] = await fetchTableOrders(client, restaurantId, split.tableId);
+    splitPlans.push({
+      tableId: split.tableId,
+      items,
+      movedItems: movedPerItem(items),
+      destination: chooseDestination(destOrdersByTable[split.tableId])
+    });
+  }
+
+  // 3. What stays on the source order
+  const remainingItems = remainingAfter(oldItems, taken);
+
+  // 4. Take everything the splits move off the deliveries and KOTs; each
+  //    split's deliveries keep their state on its table
+  const { deliveryUpdates, carried } = rebalanceDeliveries(deliveries, notifications, moves);
+  const { notificationRewrites, deletedNotificationIds } = rebalanceKots(notifications, moves);
+  splitPlans.forEach((split, index) => {
+    split.carriedDeliveries = carried.slice(...splitMoveRanges[index]).flat();
+  });
+
+  const srcOrders = await fetchTableOrders(client, restaurantId, sourceTableId);
+  const otherSrcItems = srcOrders.filter(o => String(o.id) !== String(orderId)).map(orderItems);
+  const quantities = {
+    before: { [sourceTableId]: sumItemQuantities([...otherSrcItems, oldItems]) },
+    after: { [sourceTableId]: sumItemQuantities([...otherSrcItems, remainingItems]) }
+  };
+  for (const split of splitPlans) {
+    const destItems = destOrdersByTable[split.tableId].map(orderItems);
+    quantities.before[split.tableId] = sumItemQuantities(destItems);
+    quantities.after[split.tableId] = sumItemQuantities([...destItems, split.items]);
+  }
+
+  // oldTableId/newTableId keep change sets and audit entries readable; the
+  // full scope is tableIds
+  return {
+    operation: 'splitTable',
+    restaurantId,
+    oldTableId: sourceTableId,
+    newTableId: splits[0].tableId,
+    tableIds,
+    orderId,
+    remainingItems,
+    deleteSourceOrder: Object.keys(remainingItems).length === 0,
+    splits: splitPlans,
+    itemNames: itemNames(oldItems),
+    deliveryUpdates,
+    notificationRewrites,
+    deletedNotificationIds,
+    quantities
+  };
+};
+
+const applySplitTable = async (client, plan, deps) => {
+  await applySourceChanges(client, plan);
+
+  // Each split lands on its table like the destination of a moveItems
+  const splits = [];
+  for (const split of plan.splits) {
+    const watermark = await engineKotWatermark(client, plan.restaurantId, split.tableId, deps);
+    const destinationOrderId = await writeDestinationOrder(
+      client,
+      { restaurantId: plan.restaurantId, newTableId: split.tableId, destination: split.destination },
+      split.items,
+      deps
+    );
+    const transferTicket = await issueTransferTicket(client, {
+      restaurantId: plan.restaurantId,
+      operation: plan.operation,
+      fromTableId: plan.oldTableId,
+      toTableId: split.tableId,
+      sourceOrderId: plan.orderId,
+      orderId: destinationOrderId,
+      originalNotificationIds: touchedKotIds(plan),
+      items: split.items,
+      itemNames: plan.itemNames,
+      watermark,
+      carriedDeliveries: split.carriedDeliveries
+    });
+    splits.push({ tableId: split.tableId, destinationOrderId, movedItems: split.movedItems, transferTicket });
+  }
+
+  return {
+    success: true,
+    message: 'Table split successfully',
+    sourceOrderDeleted: plan.deleteSourceOrder,
+    splits
+  };
+};
+
+/**
+ * Work out what moveKOT will do, without writing anything
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} data - Move KOT data
+ */
+const planMoveKOT = async (client, data, deps) => {
+  const { oldTableId, newTableId, restaurantId, orderId, notificationIds } = data;
+
+  // 0. Lock both tables, then check the caller's view is still current
+  const lockedOrders = await guardTables(client, data);
+
+  if (!lockedOrders.some(o => String(o.id) === String(orderId) && String(o.table_id) === String(oldTableId))) {
+    throw new TableOperationError(ERROR_CODES.ORDER_NOT_FOUND, 'Order not found on source table', {
+      orderId,
+      tableId: oldTableId
+    });
+  }
+
+  // 1. Count total KOT notifications on this order
+  const { rows: activeKots } = await client.query(
+    `SELECT notification_id
+       FROM notifications
+      WHERE restaurant_id = $1
+        AND order_id       = $2
+        AND action_type IN ${KOT_ACTION_TYPES_SQL}
+        AND active = true`,
+    [restaurantId, orderId]
+  );
+  const total = activeKots.length;
+  deps.logger.log("Total notifications on this order:", total);
+
+  // Another captain may already have moved some of these KOTs
+  const activeIds = new Set(activeKots.map(n => String(n.notification_id)));
+  const staleIds = notificationIds.filter(id => !activeIds.has(String(id)));
+  if (staleIds.length) {
+    throw new MoveConflictError('Some KOTs are no longer active on this order', {
+      orderId,
+      notificationIds: staleIds
+    });
+  }
+
+  // 2. If all notifications are being moved, delegate to moveTable
+  if (notificationIds.length === total) {
+    deps.logger.log("Moving table Since all KOTs are being moved");
+    return {
+      ...(await planMoveTable(client, { ...data, scope: 'order' }, deps)),
+      escalatedFrom: 'moveKOT'
+    };
+  }
 
-    // 5. Build items object and call createOrUpdateOrder
-    const itemsToPrint = {};
-    for (const d of deliveries) {
-      if (!itemsToPrint[d.item_id]) {
-        itemsToPrint[d.item_id] = { customizations: [] };
+  // 3. Items/customizations carried by the moved KOTs
+  const { rows: deliveries } = await client.query(
+    `SELECT item_id, customization_details
+       FROM order_customization_deliveries
+      WHERE notification_id = ANY($1::text[])`,
+    [ notificationIds.map(String) ]
+  );
+
+  const { items: itemsToPrint, moves } = kotItems(deliveries);
+
+  // 4. Remove the same units from the old table's order
+  const { rows: [oldOrder] } = await client.query(
+    `SELECT * FROM orders WHERE restaurant_id = $1 AND id = $2`,
+    [restaurantId, orderId]
+  );
+  const sourceItemsBefore = orderItems(oldOrder);
+  const oldItems = removeUnits(sourceItemsBefore, moves);
+
+  // 5. Destination: merge into an open order or create one
+  const destOrders = await fetchTableOrders(client, restaurantId, newTableId);
+  const srcOrders = await fetchTableOrders(client, restaurantId, oldTableId);
+  const otherSrcItems = srcOrders.filter(o => String(o.id) !== String(orderId)).map(orderItems);
+
+  return {
+    operation: 'moveKOT',
+    restaurantId,
+    oldTableId,
+    newTableId,
+    orderId,
+    notificationIds,
+    itemsToPrint,
+    itemNames: itemNames(sourceItemsBefore),
+    remainingItems: oldItems,
+    destination: chooseDestination(destOrders),
+    deletedNotificationIds: notificationIds,
+    quantities: {
+      before: {
+        [oldTableId]: sumItemQuantities([...otherSrcItems, sourceItemsBefore]),
+        [newTableId]: sumItemQuantities(destOrders.map(orderItems))
+      },
+      after: {
+        [oldTableId]: sumItemQuantities([...otherSrcItems, oldItems]),
+        [newTableId]: sumItemQuantities([...destOrders.map(orderItems), itemsToPrint])
       }
-      itemsToPrint[d.item_id].customizations.push(d.customization_details);
     }
-    
-
-    // Check if destination table has any non-printed orders to merge with
-    const destOrderResult = await pool.query(
-      `SELECT id, print_status FROM orders 
-       WHERE restaurant_id = $1 AND table_id = $2
-       ORDER BY print_status ASC, created_at ASC`,
-      [restaurantId, newTableId]
-    );
+  };
+};
 
-    let mockReq;
-    const nonPrintedOrder = destOrderResult.rows.find(order => order.print_status !== true);
-
-    if (destOrderResult.rows.length > 0 && !nonPrintedOrder) {
-      // All orders on destination table are printed - create a new order
-      mockReq = {
-        body: {
-          restaurantId,
-          tableId: newTableId,
-          items: itemsToPrint,
-          orderType: 'captain',
-          forceNewOrder: true
-        },
-        app: { get: () => undefined }
-      };
-    } else if (nonPrintedOrder) {
-      // Merge with existing non-printed order
-      mockReq = {
-        body: {
-          restaurantId,
-          tableId: newTableId,
-          items: itemsToPrint,
-          orderType: 'captain',
-          orderId: nonPrintedOrder.id
-        },
-        app: { get: () => undefined }
-      };
-    } else {
-      // No orders on destination table - create new order
-      mockReq = {
-        body: {
-          restaurantId,
-          tableId: newTableId,
-          items: itemsToPrint,
-          orderType: 'captain'
-        },
-        app: { get: () => undefined }
-      };
+const applyMoveKOT = async (client, plan, deps) => {
+  const { restaurantId, orderId, notificationIds } = plan;
+
+  // 1. Put their items on the new table
+  const watermark = await engineKotWatermark(client, restaurantId, plan.newTableId, deps);
+  const destinationOrderId = await writeDestinationOrder(client, plan, plan.itemsToPrint, deps);
+
+  // 2. One transfer ticket instead of a fresh KOT; the selected KOTs'
+  //    deliveries move onto it with their delivered / cancelled state
+  const transferTicket = await issueTransferTicket(client, {
+    restaurantId,
+    operation: plan.operation,
+    fromTableId: plan.oldTableId,
+    toTableId: plan.newTableId,
+    sourceOrderId: orderId,
+    orderId: destinationOrderId,
+    originalNotificationIds: notificationIds,
+    items: plan.itemsToPrint,
+    itemNames: plan.itemNames,
+    watermark,
+    carryDeliveriesFrom: notificationIds
+  });
+
+  // 3. Delete the selected notifications
+  await client.query(
+    `DELETE FROM notifications
+      WHERE restaurant_id = $1
+        AND order_id = $2
+        AND notification_id = ANY($3::int[])`,
+    [restaurantId, orderId, notificationIds]
+  );
+
+  // 4. Save the old table's order without the moved items
+  await client.query(
+    `UPDATE orders SET json_data = $1, updated_at = NOW() WHERE id = $2`,
+    [JSON.stringify({ items: plan.remainingItems }), orderId]
+  );
+
+  return { success: true, message: 'KOT moved successfully', destinationOrderId, transferTicket, escalatedToTableMove: false };
+};
+
+// Rows on one table that a swap exchanges, counted for dry runs
+const countTableRows = async (client, restaurantId, tableId) => {
+  const count = async (query) => (await client.query(query, [restaurantId, tableId])).rows[0].total;
+
+  return {
+    otps: await count(
+      `SELECT COUNT(*)::int AS total FROM table_otps
+        WHERE restaurant_id = $1 AND table_id = $2`
+    ),
+    discounts: await count(
+      `SELECT COUNT(*)::int AS total FROM discounts
+        WHERE restaurant_id = $1 AND table_number = $2 AND is_active = true`
+    ),
+    dynamicOffers: await count(
+      `SELECT COUNT(*)::int AS total FROM dynamic_offers
+        WHERE restaurant_id = $1 AND table_id = $2 AND active = true`
+    ),
+    captains: await count(
+      `SELECT COUNT(*)::int AS total FROM captains
+        WHERE restaurant_id = $1 AND assigned_tables @> to_jsonb($2::text)`
+    )
+  };
+};
+
+/**
+ * Work out what swapTables will do, without writing anything.
+ * The plan reuses oldTableId/newTableId for tableA/tableB so change sets,
+ * audit entries and undo treat a swap like any other move.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} data - Swap tables data
+ */
+const planSwapTables = async (client, data) => {
+  const { restaurantId, tableA, tableB } = data;
+
+  // 0. Lock both tables, then check the caller's view is still current
+  await guardTables(client, data, [tableA, tableB]);
+
+  // 1. Everything on each table changes sides, nothing is merged
+  const ordersA = await fetchTableOrders(client, restaurantId, tableA);
+  const ordersB = await fetchTableOrders(client, restaurantId, tableB);
+  const { rows: notifications } = await client.query(
+    `SELECT notification_id, table_number
+       FROM notifications
+      WHERE restaurant_id = $1
+        AND table_number  = ANY($2::text[])
+        AND active        = true
+      ORDER BY notification_id`,
+    [restaurantId, [String(tableA), String(tableB)]]
+  );
+  const notificationIds = (tableId) => notifications
+    .filter(n => String(n.table_number) === String(tableId))
+    .map(n => n.notification_id);
+
+  const quantitiesA = sumItemQuantities(ordersA.map(orderItems));
+  const quantitiesB = sumItemQuantities(ordersB.map(orderItems));
+
+  const plan = {
+    operation: 'swapTables',
+    restaurantId,
+    oldTableId: tableA,
+    newTableId: tableB,
+    tables: {
+      [tableA]: { orderIds: ordersA.map(o => o.id), notificationIds: notificationIds(tableA) },
+      [tableB]: { orderIds: ordersB.map(o => o.id), notificationIds: notificationIds(tableB) }
+    },
+    quantities: {
+      before: { [tableA]: quantitiesA, [tableB]: quantitiesB },
+      after: { [tableA]: quantitiesB, [tableB]: quantitiesA }
     }
+  };
+
+  if (data.dryRun) {
+    Object.assign(plan.tables[tableA], await countTableRows(client, restaurantId, tableA));
+    Object.assign(plan.tables[tableB], await countTableRows(client, restaurantId, tableB));
+  }
+
+  return plan;
+};
+
+// Every statement flips table A <-> B in one pass, so no row is ever parked
+// on a temporary table id and nothing from one table lands next to the other's
+const applySwapTables = async (client, plan) => {
+  const { restaurantId, oldTableId: tableA, newTableId: tableB } = plan;
+  const values = [restaurantId, String(tableA), String(tableB)];
+
+  const ordersUpdate = await client.query(
+    `UPDATE orders
+        SET table_id   = CASE WHEN table_id = $2 THEN $3 ELSE $2 END,
+            updated_at = CURRENT_TIMESTAMP
+      WHERE restaurant_id = $1
+        AND table_id IN ($2, $3)`,
+    values
+  );
+  const notificationsUpdate = await client.query(
+    `UPDATE notifications
+        SET table_number = CASE WHEN table_number = $2 THEN $3 ELSE $2 END
+      WHERE restaurant_id = $1
+        AND table_number IN ($2, $3)
+        AND active        = true`,
+    values
+  );
+  const otpUpdate = await client.query(
+    `UPDATE table_otps
+        SET table_id = CASE WHEN table_id = $2 THEN $3 ELSE $2 END
+      WHERE restaurant_id = $1
+        AND table_id IN ($2, $3)`,
+    values
+  );
+  const discountUpdate = await client.query(
+    `UPDATE discounts
+        SET table_number = CASE WHEN table_number = $2 THEN $3 ELSE $2 END,
+            updated_at   = CURRENT_TIMESTAMP
+      WHERE restaurant_id = $1
+        AND table_number IN ($2, $3)
+        AND is_active     = true`,
+    values
+  );
+  const dynamicOffersUpdate = await client.query(
+    `UPDATE dynamic_offers
+        SET table_id = CASE WHEN table_id = $2 THEN $3 ELSE $2 END
+      WHERE restaurant_id = $1
+        AND table_id IN ($2, $3)
+        AND active        = true`,
+    values
+  );
+  // Keep each captain's table order, only exchanging the two ids
+  const captainsUpdate = await client.query(
+    `UPDATE captains
+     SET assigned_tables = (
+       SELECT jsonb_agg(CASE
+         WHEN value = to_jsonb($2::text) THEN to_jsonb($3::text)
+         WHEN value = to_jsonb($3::text) THEN to_jsonb($2::text)
+         ELSE value END ORDER BY position
+       )
+       FROM jsonb_array_elements(assigned_tables) WITH ORDINALITY AS arr(value, position)
+     )
+      WHERE restaurant_id = $1
+        AND (assigned_tables @> to_jsonb($2::text) OR assigned_tables @> to_jsonb($3::text))`,
+    values
+  );
+
+  return {
+    success: true,
+    message: 'Tables swapped successfully',
+    tableA,
+    tableB,
+    ordersSwapped: ordersUpdate.rowCount,
+    notificationsSwapped: notificationsUpdate.rowCount,
+    otpSwapped: otpUpdate.rowCount,
+    discountsSwapped: discountUpdate.rowCount,
+    dynamicOffersSwapped: dynamicOffersUpdate.rowCount,
+    captainsUpdated: captainsUpdate.rowCount
+  };
+};
 
-    await createOrUpdateOrder(
-      mockReq,
-      { status: () => ({ json: () => {} }) }
+/**
+ * Work out what mergeTables will do, without writing anything.
+ * The combined bill is the target's non-printed order, or else the first
+ * non-printed source order, moved over. Every other non-printed order is
+ * merged into it; printed orders (their bill is out) move over as they are.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} data - Merge tables data
+ */
+const planMergeTables = async (client, data) => {
+  const { restaurantId, sourceTableIds, targetTableId } = data;
+  const tableIds = [...sourceTableIds, targetTableId];
+
+  // 0. Lock every table, then check the caller's view is still current
+  await guardTables(client, data, tableIds);
+
+  // 1. Fetch every table's orders, non-printed first
+  const targetOrders = await fetchTableOrders(client, restaurantId, targetTableId);
+  const sources = [];
+  for (const tableId of sourceTableIds) {
+    sources.push({ tableId, orders: await fetchTableOrders(client, restaurantId, tableId) });
+  }
+  const sourceOrders = sources.flatMap(source => source.orders.map(order => ({ ...order, tableId: source.tableId })));
+
+  // 2. Pick the bill and sort the source orders into merged and moved as they are
+  const billOrder = targetOrders.find(order => order.print_status !== true)
+    || sourceOrders.find(order => order.print_status !== true)
+    || null;
+  const mergedOrders = sourceOrders.filter(order => order.print_status !== true && order !== billOrder);
+  const reassignedOrders = sourceOrders.filter(order => order.print_status === true || order === billOrder);
+
+  // 3. Combined items, with identical customizations summed, and a link back
+  //    to every order merged in
+  const mergedAt = new Date().toISOString();
+  // A bill taken from a source table links back to that table too
+  const linkedOrders = sourceOrders.includes(billOrder) ? [billOrder, ...mergedOrders] : mergedOrders;
+  const mergedItems = billOrder ? withTotals(mergeItems([billOrder, ...mergedOrders].map(orderItems))) : {};
+  const mergedFrom = billOrder
+    ? [
+      ...((billOrder.json_data && billOrder.json_data.mergedFrom) || []),
+      ...linkedOrders.map(order => ({ tableId: String(order.tableId), orderId: String(order.id), mergedAt }))
+    ]
+    : [];
+
+  const plan = {
+    operation: 'mergeTables',
+    restaurantId,
+    oldTableId: sourceTableIds[0],
+    newTableId: targetTableId,
+    tableIds,
+    sourceTableIds,
+    billOrderId: billOrder ? billOrder.id : null,
+    billJsonData: billOrder ? { ...billOrder.json_data, items: mergedItems, mergedFrom } : null,
+    billInstructions: billOrder
+      ? [billOrder, ...mergedOrders].map(order => order.instructions).filter(Boolean).join('\n')
+      : null,
+    mergedOrderIds: mergedOrders.map(order => order.id),
+    reassignedOrderIds: reassignedOrders.map(order => order.id),
+    mergedFrom,
+    sources: sources.map(source => ({ tableId: source.tableId, orderIds: source.orders.map(order => order.id) })),
+    quantities: {
+      before: {},
+      after: {}
+    }
+  };
+
+  for (const source of sources) {
+    plan.quantities.before[source.tableId] = sumItemQuantities(source.orders.map(orderItems));
+    plan.quantities.after[source.tableId] = {};
+  }
+  plan.quantities.before[targetTableId] = sumItemQuantities(targetOrders.map(orderItems));
+  plan.quantities.after[targetTableId] = sumItemQuantities([...targetOrders, ...sourceOrders].map(orderItems));
+
+  if (data.dryRun) {
+    for (const source of plan.sources) {
+      Object.assign(source, await countTableRows(client, restaurantId, source.tableId));
+    }
+  }
+
+  return plan;
+};
+
+const applyMergeTables = async (client, plan) => {
+  const { restaurantId, sourceTableIds, newTableId: targetTableId, billOrderId, mergedOrderIds } = plan;
+  const sources = sourceTableIds.map(String);
+  const merged = mergedOrderIds.map(String);
+
+  // 1. Source orders that stay orders (the bill, printed ones) move over as they are
+  if (plan.reassignedOrderIds.length) {
+    await client.query(
+      `UPDATE orders
+          SET table_id   = $1,
+              updated_at = CURRENT_TIMESTAMP
+        WHERE restaurant_id = $2
+          AND id::text = ANY($3::text[])`,
+      [targetTableId, restaurantId, plan.reassignedOrderIds.map(String)]
     );
+  }
 
-    await pool.query(
-      `DELETE FROM order_customization_deliveries
-        WHERE notification_id = ANY($1::text[])`,
-      [notificationIds.map(String)]
+  // 2. The bill takes the combined items; the merged orders' KOTs, deliveries
+  //    and offers follow them into it before the orders are deleted
+  if (billOrderId) {
+    await client.query(
+      `UPDATE orders
+          SET json_data    = $1,
+              instructions = $2,
+              updated_at   = CURRENT_TIMESTAMP
+        WHERE id = $3`,
+      [plan.billJsonData, plan.billInstructions, billOrderId]
+    );
+  }
+  if (merged.length) {
+    await client.query(
+      `UPDATE notifications
+          SET order_id     = $1,
+              table_number = $2,
+              updated_at   = CURRENT_TIMESTAMP
+        WHERE restaurant_id = $3
+          AND order_id::text = ANY($4::text[])
+          AND active        = true`,
+      [billOrderId, targetTableId, restaurantId, merged]
+    );
+    await client.query(
+      `UPDATE order_customization_deliveries
+          SET order_id = $1
+        WHERE order_id::text = ANY($2::text[])`,
+      [billOrderId, merged]
+    );
+    await client.query(
+      `UPDATE dynamic_offers
+          SET order_id = $1
+        WHERE restaurant_id = $2
+          AND order_id::text = ANY($3::text[])
+          AND active        = true`,
+      [billOrderId, restaurantId, merged]
+    );
+    await client.query(
+      `DELETE FROM orders WHERE restaurant_id = $1 AND id::text = ANY($2::text[])`,
+      [restaurantId, merged]
     );
+  }
 
-    // 6. Remove the same items from the old table's order
-    const { rows: oldOrders } = await pool.query(
-      `SELECT * FROM orders WHERE restaurant_id = $1 AND id = $2`,
-      [restaurantId, orderId]
+  // 3. Everything else on the source tables follows them, like a table move
+  const notificationsUpdate = await client.query(
+    `UPDATE notifications
+        SET table_number = $1
+      WHERE restaurant_id = $2
+        AND table_number  = ANY($3::text[])
+        AND active        = true`,
+    [targetTableId, restaurantId, sources]
+  );
+  const otpUpdate = await client.query(
+    `UPDATE table_otps
+        SET table_id = $1
+      WHERE restaurant_id = $2
+        AND table_id      = ANY($3::text[])`,
+    [targetTableId, restaurantId, sources]
+  );
+  const discountUpdate = await client.query(
+    `UPDATE discounts
+        SET table_number = $1,
+            updated_at   = CURRENT_TIMESTAMP
+      WHERE restaurant_id = $2
+        AND table_number  = ANY($3::text[])
+        AND is_active     = true`,
+    [targetTableId, restaurantId, sources]
+  );
+  const dynamicOffersUpdate = await client.query(
+    `UPDATE dynamic_offers
+        SET table_id = $1
+      WHERE restaurant_id = $2
+        AND table_id      = ANY($3::text[])
+        AND active        = true`,
+    [targetTableId, restaurantId, sources]
+  );
+  const captainsUpdate = await client.query(
+    `UPDATE captains
+     SET assigned_tables = (
+       SELECT jsonb_agg(DISTINCT CASE
+         WHEN value #>> '{}' = ANY($1::text[]) THEN to_jsonb($2::text)
+         ELSE value END
+       )
+       FROM jsonb_array_elements(assigned_tables) AS arr(value)
+     )
+      WHERE restaurant_id   = $3
+       AND assigned_tables ?| $1::text[]`,
+    [sources, targetTableId, restaurantId]
+  );
+
+  return {
+    success: true,
+    message: 'Tables merged successfully',
+    billOrderId,
+    mergedOrderIds,
+    reassignedOrderIds: plan.reassignedOrderIds,
+    notificationsUpdated: notificationsUpdate.rowCount,
+    otpUpdated: otpUpdate.rowCount,
+    discountUpdated: discountUpdate.rowCount,
+    dynamicOffersUpdated: dynamicOffersUpdate.rowCount,
+    captainsUpdated: captainsUpdate.rowCount
+  };
+};
+
+// Escalated plans (every KOT or item selected) run as a full table move
+const applyPlan = async (client, plan, deps) => {
+  if (plan.operation === 'moveTable') {
+    const result = await applyMoveTable(client, plan);
+    if (plan.escalatedFrom === 'moveItems') {
+      return {
+        ...result,
+        message: 'Items moved successfully',
+        movedItems: plan.movedItems,
+        escalatedToTableMove: true
+      };
+    }
+    return plan.escalatedFrom ? { ...result, escalatedToTableMove: true } : result;
+  }
+  if (plan.operation === 'swapTables') {
+    return applySwapTables(client, plan);
+  }
+  if (plan.operation === 'splitTable') {
+    return applySplitTable(client, plan, deps);
+  }
+  if (plan.operation === 'mergeTables') {
+    return applyMergeTables(client, plan);
+  }
+  if (plan.operation === 'moveItems') {
+    return applyMoveItems(client, plan, deps);
+  }
+  return applyMoveKOT(client, plan, deps);
+};
+
+// Structured diff of a plan, returned by dry runs
+const describePlan = (plan) => {
+  if (plan.operation === 'swapTables') {
+    return {
+      success: true,
+      dryRun: true,
+      operation: 'swapTables',
+      tables: plan.tables,
+      quantities: plan.quantities
+    };
+  }
+  if (plan.operation === 'mergeTables') {
+    return {
+      success: true,
+      dryRun: true,
+      operation: 'mergeTables',
+      target: { tableId: plan.newTableId, billOrderId: plan.billOrderId },
+      sources: plan.sources,
+      mergedOrderIds: plan.mergedOrderIds,
+      reassignedOrderIds: plan.reassignedOrderIds,
+      mergedFrom: plan.mergedFrom,
+      quantities: plan.quantities
+    };
+  }
+  if (plan.operation === 'splitTable') {
+    return {
+      success: true,
+      dryRun: true,
+      operation: 'splitTable',
+      source: { tableId: plan.oldTableId, orderId: plan.orderId, deleted: plan.deleteSourceOrder },
+      splits: plan.splits.map(split => ({
+        tableId: split.tableId,
+        strategy: split.destination.strategy,
+        orderId: split.destination.orderId,
+        movedItems: split.movedItems
+      })),
+      notifications: {
+        deleted: plan.deletedNotificationIds,
+        rewritten: plan.notificationRewrites.map(r => r.notificationId),
+        moved: []
+      },
+      quantities: plan.quantities
+    };
+  }
+
+  const isTableMove = plan.operation === 'moveTable';
+  const preview = {
+    success: true,
+    dryRun: true,
+    operation: plan.escalatedFrom || plan.operation,
+    escalatedToTableMove: Boolean(plan.escalatedFrom),
+    source: {
+      tableId: plan.oldTableId,
+      orderId: isTableMove ? plan.sourceOrderId : plan.orderId,
+      deleted: isTableMove ? plan.strategy === 'merge' : Boolean(plan.deleteSourceOrder)
+    },
+    destination: isTableMove
+      ? { tableId: plan.newTableId, strategy: plan.strategy, orderId: plan.destinationOrderId, scope: plan.scope }
+      : { tableId: plan.newTableId, ...plan.destination },
+    notifications: {
+      deleted: plan.deletedNotificationIds || [],
+      rewritten: (plan.notificationRewrites || []).map(r => r.notificationId),
+      moved: plan.relatedRows ? plan.relatedRows.notificationIds : []
+    },
+    quantities: plan.quantities
+  };
+
+  if (plan.movedItems) {
+    preview.movedItems = plan.movedItems;
+  }
+  if (plan.relatedRows) {
+    const { otps, discounts, dynamicOffers, captains } = plan.relatedRows;
+    preview.relatedRows = { otps, discounts, dynamicOffers, captains };
+  }
+  return preview;
+};
+
+// Occupied / cleaning follow the orders; logged, the floor view reads them back
+const updateTableStates = async (client, restaurantId, tableIds, deps) => {
+  const changes = await syncTableStates(client, restaurantId, tableIds);
+  if (changes.length) {
+    deps.logger.log('Updated table states:', { restaurantId, changes });
+  }
+};
+
+// The configured policy decides on the plan before anything is written
+const authorizeMove = async (client, plan, data, deps) => {
+  const context = await buildPolicyContext(client, plan, data, deps.policy);
+  const outcome = await deps.policy.authorize(context, data.approvalToken);
+  if (outcome.approved) {
+    deps.logger.log('Move approved with an approval token:', {
+      operation: context.operation,
+      restaurantId: plan.restaurantId,
+      actor: context.actor,
+      reasons: outcome.reasons
+    });
+  }
+};
+
+// With assertQuantities, a move may not throw order and KOT quantities out of
+// step. Only mismatches the move introduces fail it (and roll it back); ones
+// the tables already had are not its doing.
+const assertQuantitiesKept = async (client, plan, tableIds, mismatchesBefore) => {
+  const known = new Set(mismatchesBefore.map(m => `${m.tableId}:${m.itemId}:${m.orderQty}:${m.kotQty}`));
+  const introduced = (await findQuantityMismatches(client, plan.restaurantId, tableIds))
+    .filter(m => !known.has(`${m.tableId}:${m.itemId}:${m.orderQty}:${m.kotQty}`));
+  if (introduced.length) {
+    throw new TableOperationError(
+      ERROR_CODES.QUANTITY_MISMATCH,
+      'The move would leave order and KOT quantities out of step',
+      { operation: plan.escalatedFrom || plan.operation, mismatches: introduced }
     );
-    if (oldOrders.length) {
-      const oldOrder = oldOrders[0];
-      const oldItems = oldOrder.json_data.items;
-
-      // Build a map of items and customizations to remove (from deliveries)
-      for (const d of deliveries) {
-        const itemId = d.item_id;
-        const moveCustom = d.customization_details;
-        if (oldItems[itemId]) {
-          const oldCustoms = oldItems[itemId].customizations;
-          // Helper to compare customizations (variation + addons)
-          const isSameCustomization = (a, b) => {
-            return JSON.stringify(a.variation) === JSON.stringify(b.variation)
-              && JSON.stringify(a.addons) === JSON.stringify(b.addons);
-          };
-          for (let i = 0; i < oldCustoms.length; i++) {
-            if (isSameCustomization(moveCustom, oldCustoms[i])) {
-              // Use qtyChange if present, else qty
-              const qtyToRemove = moveCustom.qtyChange !== undefined ? moveCustom.qtyChange : moveCustom.qty;
-              oldCustoms[i].qty -= qtyToRemove;
-              if (oldCustoms[i].qty <= 0) {
-                oldCustoms.splice(i, 1);
-                i--; // adjust index after removal
-              }
-              break;
-            }
-          }
-          // If no customizations left, remove the item
-          if (oldCustoms.length === 0) {
-            delete oldItems[itemId];
-          } else {
-            oldItems[itemId].customizations = oldCustoms;
-            oldItems[itemId].totalQty = oldCustoms.reduce((sum, c) => sum + c.qty, 0);
-          }
-        }
+  }
+};
+
+// Plan and apply on one transaction, or only plan on a read-only one for a dry run
+// (which reports what the policy would decide instead of enforcing it).
+// Applied moves record a change set of both tables so they can be undone,
+// and an audit entry of who moved what and why.
+const runOperation = (planner, data, deps) => {
+  if (data.dryRun) {
+    return withTransaction(deps.pool, async (client) => {
+      await client.query('SET TRANSACTION READ ONLY');
+      const plan = await planner(client, data, deps);
+      await assertMoveTables(client, plan);
+      const preview = describePlan(plan);
+      if (deps.policy) {
+        preview.policy = await deps.policy.evaluate(await buildPolicyContext(client, plan, data, deps.policy));
       }
-      // Save the updated order
-      await pool.query(
-        `UPDATE orders SET json_data = $1, updated_at = NOW() WHERE id = $2`,
-        [JSON.stringify({ items: oldItems }), oldOrder.id]
-      );
+      return preview;
+    }, deps.logger);
+  }
+
+  return withTransaction(deps.pool, async (client, afterCommit) => {
+    const plan = await planner(client, data, deps);
+    await assertMoveTables(client, plan);
+    if (deps.policy) {
+      await authorizeMove(client, plan, data, deps);
+    }
+    const tableIds = plan.tableIds || [plan.oldTableId, plan.newTableId];
+    const before = await captureRows(client, { restaurantId: plan.restaurantId, tableIds });
+
+    const mismatchesBefore = deps.assertQuantities
+      ? await findQuantityMismatches(client, plan.restaurantId, tableIds)
+      : null;
+
+    const applied = await applyPlan(client, plan, deps);
+    const discountChanges = await reconcileDiscounts(client, plan, applied, before.rows, deps.discountPolicy);
+    if (discountChanges.some(c => c.action === 'flag')) {
+      deps.logger.log('Discounts flagged for review after a move:', {
+        restaurantId: plan.restaurantId,
+        flagged: discountChanges.filter(c => c.action === 'flag')
+      });
+    }
+    const result = { ...applied, discountChanges };
+    await updateTableStates(client, plan.restaurantId, tableIds, deps);
+
+    if (mismatchesBefore) {
+      await assertQuantitiesKept(client, plan, tableIds, mismatchesBefore);
     }
 
+    const { moveId, after } = await recordChangeSet(client, { plan, before });
+
+    await writeAuditEntry(client, {
+      restaurantId: plan.restaurantId,
+      operation: plan.escalatedFrom || plan.operation,
+      moveId,
+      oldTableId: plan.oldTableId,
+      newTableId: plan.newTableId,
+      tableIds,
+      ordersBefore: before.rows.orders,
+      ordersAfter: after.rows.orders,
+      actor: data.actor,
+      reasonCode: data.reasonCode,
+      reason: data.reason
+    });
+    await recordProvenance(client, {
+      plan,
+      result,
+      rows: before.rows,
+      moveId,
+      actor: data.actor,
+      reasonCode: data.reasonCode,
+      reason: data.reason
+    });
+
+    afterCommit(announceMove(plan, { ...result, moveId }, deps));
+
+    return { ...result, moveId };
+  }, deps.logger);
+};
+
+/**
+ * Move specific items from one table to another.
+ * Supports both (data) and Express (req, res) signatures, like moveKOT.
+ * @param {Object} reqOrData - Move items data, or an Express request carrying it in `body`
+ * @param {Object} [res] - Express response
+ * @param {Object} deps - Bound by createTableOperations
+ */
+const moveItems = async (reqOrData, res, deps) => {
+  // Support both (req, res) and (data) signatures
+  const isExpress = Boolean(reqOrData && reqOrData.body);
+  try {
+    const data = isExpress ? reqOrData.body : reqOrData;
+
+    // 0. Validate inputs before touching the database
+    validateMoveItemsData(data);
+
+    const result = await runOperation(planMoveItems, data, deps);
+
+    if (isExpress && res) {
+      return res.status(200).json(result);
+    }
+    return result;
+  } catch (error) {
+    deps.logger.error('Error moving items:', error);
+    if (isExpress && res) {
+      const { status, body } = toErrorResponse(error);
+      return res.status(status).json(body);
+    }
+    throw error;
+  }
+};
+
+const moveTable = async (data, deps) => {
+  try {
+    validateMoveTableData(data);
+
+    return await runOperation(planMoveTable, data, deps);
+  } catch (error) {
+    deps.logger.error('Error moving table:', error);
+    throw error;
+  }
+};
+
+/**
+ * Move selected KOTs (notifications) from one table to another.
+ * Supports both (data) and Express (req, res) signatures.
+ * @param {Object} reqOrData - Move KOT data, or an Express request carrying it in `body`
+ * @param {Object} [res] - Express response
+ * @param {Object} deps - Bound by createTableOperations
+ */
+const moveKOT = async (reqOrData, res, deps) => {
+  // Support both (req, res) and (data) signatures
+  const isExpress = Boolean(reqOrData && reqOrData.body);
+  try {
+    // Express handler style or utility style
+    const data = isExpress ? reqOrData.body : reqOrData;
+
+    // 0. Validate inputs before touching the database
+    validateMoveKOTData(data);
+
+    const result = await runOperation(planMoveKOT, data, deps);
+
     if (isExpress && res) {
-      return res.status(200).json({ message: 'KOT moved successfully' });
-    } else {
-      return { success: true, message: 'KOT moved successfully' };
+      return res.status(200).json(result);
     }
+    return result;
 
   } catch (err) {
-    console.error('Error moving KOT:', err);
+    deps.logger.error('Error moving KOT:', err);
     if (isExpress && res) {
-      return res.status(500).json({ error: 'Internal server error' });
-    } else {
-      return { success: false, error: err?.message || 'Internal server error' };
+      const { status, body } = toErrorResponse(err);
+      return res.status(status).json(body);
     }
+    throw err;
   }
 };
 
-exports.moveTable = moveTable;
-exports.moveKOT = moveKOT;
-exports.moveItems = moveItems; 
\ No newline at end of file
+/**
+ * Exchange everything on two tables: orders, active notifications, OTPs,
+ * active discounts and dynamic offers, captain assignments and sessions.
+ * Unlike moveTable, nothing is merged.
+ * @param {Object} data - { restaurantId, tableA, tableB, expectedVersions?, dryRun?, actor?, reasonCode?, reason? }
+ * @param {Object} deps - Bound by createTableOperations
+ */
+const swapTables = async (data, deps) => {
+  try {
+    validateSwapTablesData(data);
+
+    return await runOperation(planSwapTables, data, deps);
+  } catch (error) {
+    deps.logger.error('Error swapping tables:', error);
+    throw error;
+  }
+};
+
+/**
+ * Split one order's items across several tables (e.g. T5 -> T5A, T5B) in one
+ * transaction. Whatever the splits leave stays on the source order.
+ * @param {Object} data - { restaurantId, sourceTableId, orderId, splits, expectedVersions?, dryRun?, actor?, reasonCode?, reason? }
+ * @param {Object} deps - Bound by createTableOperations
+ */
+const splitTable = async (data, deps) => {
+  try {
+    validateSplitTableData(data);
+
+    return await runOperation(planSplitTable, data, deps);
+  } catch (error) {
+    deps.logger.error('Error splitting table:', error);
+    throw error;
+  }
+};
+
+/**
+ * Merge several tables into one combined bill on the target table, in one
+ * transaction. Identical customizations are summed, and the bill keeps a
+ * `mergedFrom` link to every order merged into it.
+ * @param {Object} data - { restaurantId, sourceTableIds, targetTableId, expectedVersions?, dryRun?, actor?, reasonCode?, reason? }
+ * @param {Object} deps - Bound by createTableOperations
+ */
+const mergeTables = async (data, deps) => {
+  try {
+    validateMergeTablesData(data);
+
+    return await runOperation(planMergeTables, data, deps);
+  } catch (error) {
+    deps.logger.error('Error merging tables:', error);
+    throw error;
+  }
+};
+
+/**
+ * Reverse a move: put every orders, notifications, deliveries, table_otps,
+ * discounts, dynamic_offers and captains row it touched back the way it was,
+ * with the original ids. Only possible while nothing on any of its tables has
+ * changed since the move.
+ * @param {string} moveId - `moveId` returned by any table operation
+ * @param {Object} [options] - Audit fields: actor, reasonCode, reason
+ * @param {Object} deps - Bound by createTableOperations
+ */
+const undoMove = async (moveId, options = {}, deps) => {
+  try {
+    if (!moveId || typeof moveId !== 'string') {
+      throw new TableOperationError(ERROR_CODES.MISSING_FIELD, 'moveId is required', { field: 'moveId' });
+    }
+    validateUndoMoveOptions(options);
+
+    return await withTransaction(deps.pool, async (client, afterCommit) => {
+      const changeSet = await loadChangeSet(client, moveId);
+      const { restaurant_id: restaurantId, old_table_id: oldTableId, new_table_id: newTableId } = changeSet;
+
+      await lockTables(client, restaurantId, changeSet.table_ids);
+      await restoreChangeSet(client, changeSet);
+      await markProvenanceUndone(client, moveId);
+      await markTransfersUndone(client, restaurantId, transferKotIds(changeSet));
+      await updateTableStates(client, restaurantId, changeSet.table_ids, deps);
+
+      await writeAuditEntry(client, {
+        restaurantId,
+        operation: 'undoMove',
+        moveId,
+        oldTableId,
+        newTableId,
+        tableIds: changeSet.table_ids,
+        ordersBefore: changeSet.after_rows.orders || [],
+        ordersAfter: changeSet.before_rows.orders || [],
+        actor: options.actor,
+        reasonCode: options.reasonCode,
+        reason: options.reason
+      });
+
+      afterCommit(announceUndo(changeSet, deps));
+
+      return {
+        success: true,
+        message: 'Move undone successfully',
+        moveId,
+        operation: changeSet.operation,
+        oldTableId,
+        newTableId
+      };
+    }, deps.logger);
+  } catch (error) {
+    deps.logger.error('Error undoing move:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create or update a restaurant's table definitions: name, section, capacity
+ * and whether the table is in service. Once a restaurant defines any table,
+ * moves only accept defined tables.
+ * @param {Object} data - { restaurantId, tables: [{ tableId, name?, section?, capacity?, inService? }] }
+ * @param {Object} deps - Bound by createTableOperations
+ * @returns {Promise<Array<Object>>} The tables as stored
+ */
+const defineTables = async (data, deps) => {
+  try {
+    validateDefineTablesData(data);
+    return await withTransaction(deps.pool, async (client) => {
+      await lockTables(client, data.restaurantId, data.tables.map(t => t.tableId));
+      return upsertTables(client, data.restaurantId, data.tables);
+    }, deps.logger);
+  } catch (error) {
+    deps.logger.error('Error defining tables:', error);
+    throw error;
+  }
+};
+
+/**
+ * Set a table's state (free, occupied, reserved, billing, cleaning) and/or
+ * take it in or out of service. Moves keep occupied and cleaning up to date
+ * themselves; this is for everything else, like reservations and cleaning.
+ * @param {Object} data - { restaurantId, tableId, state?, inService? }
+ * @param {Object} deps - Bound by createTableOperations
+ * @returns {Promise<Object>} The table as stored
+ */
+const setTableState = async (data, deps) => {
+  try {
+    validateTableStateData(data);
+    const table = await withTransaction(deps.pool, async (client) => {
+      await lockTables(client, data.restaurantId, [data.tableId]);
+      return updateTableState(client, data);
+    }, deps.logger);
+    await refreshTable(data.restaurantId, table.tableId, deps);
+    return table;
+  } catch (error) {
+    deps.logger.error('Error setting table state:', error);
+    throw error;
+  }
+};
+
+/**
+ * Every table of a restaurant with its state, active orders, active KOT
+ * count and assigned captains, for floor views.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {Object} deps - Bound by createTableOperations
+ * @returns {Promise<{ restaurantId: string, tables: Array<Object> }>}
+ */
+const getFloorState = async (restaurantId, deps) => {
+  try {
+    validateFloorQuery({ restaurantId });
+    return { restaurantId, tables: await readFloor(deps.pool, restaurantId) };
+  } catch (error) {
+    deps.logger.error('Error reading floor state:', error);
+    throw error;
+  }
+};
+
+/**
+ * Where an order's items came from, for bills and receipts: every move that
+ * put items on it, and through their source orders every earlier move, with
+ * tables, orders, KOTs, times and actors; plus the moves that took items off it.
+ * @param {Object} query - { restaurantId, orderId }
+ * @param {Object} deps - Bound by createTableOperations
+ * @returns {Promise<{ restaurantId: string, orderId: string, sourceTableIds: Array<string>,
+ *   entries: Array<Object>, movedOut: Array<Object> }>}
+ */
+const getOrderLineage = async (query, deps) => {
+  try {
+    validateLineageQuery(query);
+
+    const { entries, movedOut } = await readLineage(deps.pool, query.restaurantId, query.orderId);
+    return {
+      restaurantId: query.restaurantId,
+      orderId: String(query.orderId),
+      // Tables the items came from, oldest move first
+      sourceTableIds: [...new Set(entries.filter(e => e.sourceTableId !== e.tableId).map(e => e.sourceTableId))],
+      entries,
+      movedOut
+    };
+  } catch (error) {
+    deps.logger.error('Error reading order lineage:', error);
+    throw error;
+  }
+};
+
+/**
+ * Load a KOT transfer ticket a move issued, as stored or rendered for a printer.
+ * @param {Object} query - { restaurantId, transferId, format?, width? }; format is
+ *   'json' (default, the ticket), 'text' or 'escpos'
+ * @param {Object} deps - Bound by createTableOperations
+ * @returns {Promise<Object|string|Buffer>}
+ */
+const getKotTransfer = async (query, deps) => {
+  try {
+    validateKotTransferQuery(query);
+
+    const ticket = await fetchTransferTicket(deps.pool, query.restaurantId, query.transferId);
+    if (query.format === undefined || query.format === 'json') return ticket;
+    return renderTransferTicket(ticket, { format: query.format, width: query.width });
+  } catch (error) {
+    deps.logger.error('Error reading KOT transfer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check that every item's quantity on the tables' orders equals the units of
+ * their active KOTs.
+ * @param {Object} query - { restaurantId, tableIds }
+ * @param {Object} deps - Bound by createTableOperations
+ * @returns {Promise<{ ok: boolean, mismatches: Array<Object> }>}
+ */
+const checkQuantities = async (query, deps) => {
+  try {
+    validateQuantityQuery(query);
+
+    const mismatches = await findQuantityMismatches(deps.pool, query.restaurantId, query.tableIds);
+    return { ok: mismatches.length === 0, mismatches };
+  } catch (error) {
+    deps.logger.error('Error checking quantities:', error);
+    throw error;
+  }
+};
+
+// Captains are checked against the defined tables unless a list is given
+const consistencyContext = async (client, { restaurantId, tableIds }, deps) => {
+  const defined = tableIds ? [] : (await fetchTables(client, restaurantId, null)).map(t => t.table_id);
+  return {
+    restaurantId,
+    tableIds: tableIds || (defined.length ? defined : undefined),
+    hasTableSession: (tableId) => hasTableSession(restaurantId, tableId, sessionOptions(deps))
+  };
+};
+
+// Repairs can expose more to repair (an empty order's KOTs once it is gone);
+// give up after this many rounds rather than loop on a fix that does not hold
+const MAX_REPAIR_ROUNDS = 3;
+
+/**
+ * Scan a restaurant for anomalies left behind by moves: empty orders, KOTs
+ * and deliveries of deleted orders or KOTs, OTPs on tables without an order
+ * or session, captains on unknown tables and order/KOT quantity mismatches. With `fix`, repairs
+ * what can be repaired on one transaction, under the affected tables' locks.
+ * @param {Object} query - { restaurantId, tableIds?, fix? }
+ * @param {Object} deps - Bound by createTableOperations
+ * @returns {Promise<{ ok: boolean, anomalies: Array<Object>, fixed: Array<Object> }>}
+ *   What is still wrong afterwards, and what was repaired
+ */
+const checkConsistency = async (query, deps) => {
+  try {
+    validateConsistencyQuery(query);
+
+    if (!query.fix) {
+      return await withTransaction(deps.pool, async (client) => {
+        await client.query('SET TRANSACTION READ ONLY');
+        const anomalies = await findAnomalies(client, await consistencyContext(client, query, deps));
+        return { ok: anomalies.length === 0, anomalies, fixed: [] };
+      }, deps.logger);
+    }
+
+    return await withTransaction(deps.pool, async (client) => {
+      const context = await consistencyContext(client, query, deps);
+      const found = await findAnomalies(client, context);
+      await lockTables(client, query.restaurantId, found.filter(a => a.tableId).map(a => a.tableId));
+
+      const fixed = [];
+      for (let round = 0; round < MAX_REPAIR_ROUNDS; round++) {
+        const fixable = (await findAnomalies(client, context)).filter(a => a.fixable);
+        if (!fixable.length) break;
+        fixed.push(...(await repairAnomalies(client, context, fixable)));
+      }
+
+      const anomalies = await findAnomalies(client, context);
+      deps.logger.log('Repaired table consistency:', {
+        restaurantId: query.restaurantId,
+        fixed: fixed.length,
+        remaining: anomalies.length
+      });
+      return { ok: anomalies.length === 0, anomalies, fixed };
+    }, deps.logger);
+  } catch (error) {
+    deps.logger.error('Error checking consistency:', error);
+    throw error;
+  }
+};
+
+/**
+ * List audit entries for a restaurant, newest first, optionally narrowed to
+ * one table (as source, destination or split target), one order, or a date range.
+ * @param {Object} query - { restaurantId, tableId?, orderId?, from?, to?, limit?, offset? }
+ * @param {Object} deps - Bound by createTableOperations
+ */
+const listAuditEntries = async (query, deps) => {
+  try {
+    validateAuditQuery(query);
+
+    return await queryAuditEntries(deps.pool, {
+      ...query,
+      limit: query.limit === undefined ? 50 : query.limit,
+      offset: query.offset === undefined ? 0 : query.offset
+    });
+  } catch (error) {
+    deps.logger.error('Error listing audit entries:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create table operations bound to their own dependencies. Anything left out
+ * falls back to the package default: the DB_* env pool, the
+ * @butler/order-engine module, the package-wide notifier, the configured
+ * session store (see configureTableSessions) and console.
+ * @param {Object} [options]
+ * @param {import('pg').Pool} [options.pool] - Pool every operation runs its transaction on
+ * @param {Object} [options.orderEngine] - { upsertTableOrder(client, order) }, writing on `client`
+ * @param {Object} [options.notifier] - { send(event) }, e.g. createNotifier()
+ * @param {Object} [options.sessionStore] - createRedisSessionStore / createMemorySessionStore result
+ * @param {Object} [options.logger] - console-like { log, error }
+ * @param {Object} [options.policy] - createMovePolicy result, consulted before every move
+ * @param {Object} [options.discountPolicy] - { partialItem?, percentage?, fixedAmount?, stacked? }:
+ *   what moves do with discounts they do not simply carry along
+ * @param {boolean} [options.assertQuantities] - Check the quantity invariant
+ *   around every move and fail moves that break it (QUANTITY_MISMATCH)
+ */
+const createTableOperations = (options = {}) => {
+  // The defaults are resolved on first use, so requiring the package reads no
+  // DB_* env vars and loads no order engine. An injected engine is checked
+  // right away.
+  let orderEngine = options.orderEngine ? createOrderEngineAdapter(options.orderEngine) : null;
+  const deps = {
+    get pool() {
+      return options.pool || getPool();
+    },
+    get orderEngine() {
+      if (!orderEngine) {
+        orderEngine = createOrderEngineAdapter(loadOrderEngine());
+      }
+      return orderEngine;
+    },
+    notifier: options.notifier || defaultNotifier,
+    sessionStore: options.sessionStore || null,
+    logger: options.logger || console,
+    policy: options.policy || null,
+    discountPolicy: resolveDiscountPolicy(options.discountPolicy),
+    assertQuantities: Boolean(options.assertQuantities)
+  };
+
+  return {
+    moveTable: (data) => moveTable(data, deps),
+    moveKOT: (reqOrData, res) => moveKOT(reqOrData, res, deps),
+    moveItems: (reqOrData, res) => moveItems(reqOrData, res, deps),
+    swapTables: (data) => swapTables(data, deps),
+    splitTable: (data) => splitTable(data, deps),
+    mergeTables: (data) => mergeTables(data, deps),
+    undoMove: (moveId, undoOptions) => undoMove(moveId, undoOptions, deps),
+    listAuditEntries: (query) => listAuditEntries(query, deps),
+    checkQuantities: (query) => checkQuantities(query, deps),
+    checkConsistency: (query) => checkConsistency(query, deps),
+    defineTables: (data) => defineTables(data, deps),
+    setTableState: (data) => setTableState(data, deps),
+    getFloorState: (restaurantId) => getFloorState(restaurantId, deps),
+    getKotTransfer: (query) => getKotTransfer(query, deps),
+    getOrderLineage: (query) => getOrderLineage(query, deps),
+    // Used by createTableOperationsRouter to log failed requests
+    logger: deps.logger
+  };
+};
+
+// Module-level operations: the default instance
+const defaultOperations = createTableOperations();
+
+exports.createTableOperations = createTableOperations;
+exports.moveTable = defaultOperations.moveTable;
+exports.moveKOT = defaultOperations.moveKOT;
+exports.moveItems = defaultOperations.moveItems;
+exports.swapTables = defaultOperations.swapTables;
+exports.splitTable = defaultOperations.splitTable;
+exports.mergeTables = defaultOperations.mergeTables;
+exports.undoMove = defaultOperations.undoMove;
+exports.listAuditEntries = defaultOperations.listAuditEntries;
+exports.checkQuantities = defaultOperations.checkQuantities;
+exports.checkConsistency = defaultOperations.checkConsistency;
+exports.defineTables = defaultOperations.defineTables;
+exports.setTableState = defaultOperations.setTableState;
+exports.getFloorState = defaultOperations.getFloorState;
+exports.getKotTransfer = defaultOperations.getKotTransfer;
+exports.getOrderLineage = defaultOperations.getOrderLineage;
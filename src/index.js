@@ -1,9 +1,86 @@
 // Table operations package
 const tableController = require('./controllers/tableOperations');
+const { createTableOperationsRouter } = require('./routes/tableOperations');
+const { configureTableSessions, migrateTableSessions, swapTableSessions } = require('./services/tableSessions');
+const { createRedisSessionStore, createMemorySessionStore } = require('./services/sessionStores');
+const {
+    createNotifier,
+    registerNotificationTransport,
+    configureNotifications,
+    flushNotificationQueue
+} = require('./services/notifications');
+const {
+    createWebhookTransport,
+    createRedisPubSubTransport,
+    createEventEmitterTransport
+} = require('./services/notificationTransports');
+const { ANOMALY_CATEGORIES } = require('./services/consistency');
+const { DECISIONS, createMovePolicy } = require('./services/policies');
+const { DISCOUNT_ACTIONS } = require('./services/discounts');
+const { TABLE_STATES } = require('./services/tableStates');
+const { KOT_TRANSFER_ACTION } = require('./services/kotTransfers');
+const { renderTransferTicket } = require('./utils/ticketRenderer');
+const { ERROR_CODES, TableOperationError, MoveConflictError } = require('./utils/errors');
 
 module.exports = {
-    // Table operations
+    // Table operations (default instance)
     moveTable: tableController.moveTable,
     moveKOT: tableController.moveKOT,
-    moveItems: tableController.moveItems
+    moveItems: tableController.moveItems,
+    swapTables: tableController.swapTables,
+    splitTable: tableController.splitTable,
+    mergeTables: tableController.mergeTables,
+    undoMove: tableController.undoMove,
+
+    // Instances bound to their own pool, order engine, notifier, sessions and logger
+    createTableOperations: tableController.createTableOperations,
+
+    // Audit log and order lineage
+    listAuditEntries: tableController.listAuditEntries,
+    getOrderLineage: tableController.getOrderLineage,
+
+    // Consistency checks
+    checkQuantities: tableController.checkQuantities,
+    checkConsistency: tableController.checkConsistency,
+    ANOMALY_CATEGORIES,
+
+    // Tables and floor state
+    defineTables: tableController.defineTables,
+    setTableState: tableController.setTableState,
+    getFloorState: tableController.getFloorState,
+    TABLE_STATES,
+
+    // KOT transfer tickets
+    getKotTransfer: tableController.getKotTransfer,
+    renderTransferTicket,
+    KOT_TRANSFER_ACTION,
+
+    // Move policies
+    createMovePolicy,
+    POLICY_DECISIONS: DECISIONS,
+    DISCOUNT_ACTIONS,
+
+    // Table sessions
+    configureTableSessions,
+    migrateTableSessions,
+    swapTableSessions,
+    createRedisSessionStore,
+    createMemorySessionStore,
+
+    // Notifications
+    createNotifier,
+    registerNotificationTransport,
+    configureNotifications,
+    flushNotificationQueue,
+    createWebhookTransport,
+    createRedisPubSubTransport,
+    createEventEmitterTransport,
+
+    // Express routes
+    createTableOperationsRouter,
+
+    // Errors
+    ERROR_CODES,
+    TableOperationError,
+    MoveConflictError
 }; 
\ No newline at end of file
@@ -0,0 +1,153 @@
+// Express router exposing the table operations as REST routes
+const tableController = require('../controllers/tableOperations');
+const { toErrorResponse } = require('../utils/errors');
+
+// Query string numbers arrive as strings; leave anything non-numeric for validation to reject
+const toNumber = (value) => (value === undefined || value === '' || Number.isNaN(Number(value)) ? value : Number(value));
+
+// Run an operation for a route and translate its outcome into HTTP.
+// Payload validation happens inside the operation itself, so the routes and
+// direct callers get exactly the same TableOperationError codes.
+const createHandler = (deps) => (operation, buildData) => async (req, res) => {
+  try {
+    const result = await operation(buildData(req));
+    if (typeof result === 'string') {
+      return res.status(200).type('text/plain').send(result);
+    }
+    if (Buffer.isBuffer(result)) {
+      return res.status(200).type('application/octet-stream').send(result);
+    }
+    return res.status(200).json(result);
+  } catch (error) {
+    deps.logger.error('Error handling table operation request:', error);
+    const { status, body } = toErrorResponse(error);
+    return res.status(status).json(body);
+  }
+};
+
+/**
+ * Build an Express router with the table operation routes:
+ *
+ *   POST /tables/:oldTableId/move        { restaurantId, newTableId, orderId?, scope?, expectedVersions?, dryRun? }
+ *   POST /orders/:orderId/move           { restaurantId, oldTableId, newTableId, expectedVersions?, dryRun? }
+ *   POST /orders/:orderId/kots/move      { restaurantId, oldTableId, newTableId, notificationIds, expectedVersions?, dryRun? }
+ *   POST /orders/:orderId/items/move     { restaurantId, oldTableId, newTableId, items, expectedVersions?, dryRun? }
+ *   POST /tables/:tableA/swap            { restaurantId, tableB, expectedVersions?, dryRun? }
+ *   POST /tables/:targetTableId/merge    { restaurantId, sourceTableIds, expectedVersions?, dryRun? }
+ *   POST /orders/:orderId/split          { restaurantId, sourceTableId, splits, expectedVersions?, dryRun? }
+ *   POST /moves/:moveId/undo             { actor?, reasonCode?, reason? }
+ *   GET  /audit?restaurantId=&tableId=&orderId=&from=&to=&limit=&offset=
+ *   GET  /floor?restaurantId=
+ *   POST /tables/:tableId/state          { restaurantId, state?, inService? }
+ *   GET  /consistency?restaurantId=&tableIds=T1,T2
+ *   POST /consistency/fix                { restaurantId, tableIds? }
+ *   GET  /kot-transfers/:transferId?restaurantId=&format=json|text|escpos&width=
+ *   GET  /orders/:orderId/lineage?restaurantId=
+ *
+ * Every move also accepts the audit fields actor ({ captainId, device, role }),
+ * reasonCode and reason, and an approvalToken for moves the policy holds back.
+ *
+ * Failures answer with the TableOperationError status for their code
+ * (400 invalid payload, 403 refused by the move policy, 404 unknown
+ * order/item/move/table/transfer, 409 concurrent move, undo no longer possible or
+ * target table reserved / out of service, 422 quantity not available, 502 order
+ * engine failure) and 500 for anything unexpected.
+ *
+ * @param {Object} [operations] - createTableOperations() instance, defaults to the module-level one
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - console-like { error }, defaults to the instance's logger
+ * @returns {import('express').Router}
+ */
+const createTableOperationsRouter = (operations = tableController, options = {}) => {
+  const handle = createHandler({ logger: options.logger || operations.logger || console });
+
+  // express is a peer dependency - only needed by hosts that mount the router
+  const express = require('express');
+  const router = express.Router();
+  router.use(express.json());
+
+  router.post('/tables/:oldTableId/move', handle(operations.moveTable, (req) => ({
+    ...req.body,
+    oldTableId: req.params.oldTableId
+  })));
+
+  // Moves one order off a shared table: moveTable in order scope
+  router.post('/orders/:orderId/move', handle(operations.moveTable, (req) => ({
+    ...req.body,
+    orderId: req.params.orderId,
+    scope: 'order'
+  })));
+
+  router.post('/orders/:orderId/kots/move', handle(operations.moveKOT, (req) => ({
+    ...req.body,
+    orderId: req.params.orderId
+  })));
+
+  router.post('/orders/:orderId/items/move', handle(operations.moveItems, (req) => ({
+    ...req.body,
+    orderId: req.params.orderId
+  })));
+
+  router.post('/tables/:tableA/swap', handle(operations.swapTables, (req) => ({
+    ...req.body,
+    tableA: req.params.tableA
+  })));
+
+  router.post('/tables/:targetTableId/merge', handle(operations.mergeTables, (req) => ({
+    ...req.body,
+    targetTableId: req.params.targetTableId
+  })));
+
+  router.post('/orders/:orderId/split', handle(operations.splitTable, (req) => ({
+    ...req.body,
+    orderId: req.params.orderId
+  })));
+
+  router.post('/moves/:moveId/undo', handle(
+    ({ moveId, ...options }) => operations.undoMove(moveId, options),
+    (req) => ({ ...req.body, moveId: req.params.moveId })
+  ));
+
+  router.get('/audit', handle(operations.listAuditEntries, (req) => ({
+    ...req.query,
+    limit: toNumber(req.query.limit),
+    offset: toNumber(req.query.offset)
+  })));
+
+  router.get('/floor', handle(
+    ({ restaurantId }) => operations.getFloorState(restaurantId),
+    (req) => ({ restaurantId: req.query.restaurantId })
+  ));
+
+  router.post('/tables/:tableId/state', handle(operations.setTableState, (req) => ({
+    ...req.body,
+    tableId: req.params.tableId
+  })));
+
+  router.get('/consistency', handle(operations.checkConsistency, (req) => ({
+    restaurantId: req.query.restaurantId,
+    tableIds: req.query.tableIds === undefined ? undefined : String(req.query.tableIds).split(',').filter(Boolean)
+  })));
+
+  router.post('/consistency/fix', handle(operations.checkConsistency, (req) => ({
+    ...req.body,
+    fix: true
+  })));
+
+  // Printable tickets answer as text/plain or ESC/POS bytes for the printer
+  router.get('/kot-transfers/:transferId', handle(operations.getKotTransfer, (req) => ({
+    restaurantId: req.query.restaurantId,
+    transferId: req.params.transferId,
+    format: req.query.format,
+    width: toNumber(req.query.width)
+  })));
+
+  router.get('/orders/:orderId/lineage', handle(operations.getOrderLineage, (req) => ({
+    restaurantId: req.query.restaurantId,
+    orderId: req.params.orderId
+  })));
+
+  return router;
+};
+
+module.exports = { createTableOperationsRouter };
@@ -0,0 +1,143 @@
+// Audit log: one table_operation_audit row per committed table operation
+const { sumItemQuantities, orderItems } = require('../utils/items');
+
+// { tableId: [orderId, ...] } for the given tables, from snapshotted orders rows
+const ordersByTable = (orders, tableIds) => {
+  const byTable = {};
+  for (const tableId of tableIds) {
+    byTable[tableId] = orders
+      .filter(order => String(order.table_id) === tableId)
+      .map(order => String(order.id));
+  }
+  return byTable;
+};
+
+// { tableId: { itemId: change } } between two snapshots; unchanged items are left out
+const quantityDeltas = (beforeOrders, afterOrders, tableIds) => {
+  const totals = (orders, tableId) =>
+    sumItemQuantities(orders.filter(order => String(order.table_id) === tableId).map(orderItems));
+
+  const deltas = {};
+  for (const tableId of tableIds) {
+    const before = totals(beforeOrders, tableId);
+    const after = totals(afterOrders, tableId);
+    deltas[tableId] = {};
+    for (const itemId of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      const change = (after[itemId] || 0) - (before[itemId] || 0);
+      if (change !== 0) deltas[tableId][itemId] = change;
+    }
+  }
+  return deltas;
+};
+
+/**
+ * Write the audit entry of an operation applied on `client`, so it commits or
+ * rolls back together with the operation.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} entry
+ * @param {string} entry.restaurantId - Restaurant ID
+ * @param {string} entry.operation - moveTable, moveKOT, moveItems, swapTables, mergeTables,
+ *   splitTable or undoMove
+ * @param {string} [entry.moveId] - Change set the operation recorded or undid
+ * @param {string} entry.oldTableId - Source table ID
+ * @param {string} entry.newTableId - Destination table ID
+ * @param {Array<string>} [entry.tableIds] - Every table involved, when more than the two above
+ * @param {Array<Object>} entry.ordersBefore - orders rows in scope before the operation
+ * @param {Array<Object>} entry.ordersAfter - orders rows in scope after the operation
+ * @param {Object} [entry.actor] - { captainId, device }
+ * @param {string} [entry.reasonCode] - Reason code picked by the captain
+ * @param {string} [entry.reason] - Free-text note
+ * @returns {Promise<string>} The audit id
+ */
+const writeAuditEntry = async (client, entry) => {
+  const tableIds = (entry.tableIds || [entry.oldTableId, entry.newTableId]).map(String);
+  const actor = entry.actor || {};
+  const ordersBefore = ordersByTable(entry.ordersBefore, tableIds);
+  const ordersAfter = ordersByTable(entry.ordersAfter, tableIds);
+  const orderIds = [...new Set([...Object.values(ordersBefore), ...Object.values(ordersAfter)].flat())].sort();
+
+  const { rows: [row] } = await client.query(
+    `INSERT INTO table_operation_audit (
+       restaurant_id, operation, move_id, captain_id, device, reason_code, reason,
+       old_table_id, new_table_id, order_ids, orders_before, orders_after, quantity_deltas
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     RETURNING audit_id`,
+    [
+      entry.restaurantId,
+      entry.operation,
+      entry.moveId || null,
+      actor.captainId != null ? String(actor.captainId) : null,
+      actor.device || null,
+      entry.reasonCode || null,
+      entry.reason || null,
+      entry.oldTableId,
+      entry.newTableId,
+      orderIds,
+      JSON.stringify(ordersBefore),
+      JSON.stringify(ordersAfter),
+      JSON.stringify(quantityDeltas(entry.ordersBefore, entry.ordersAfter, tableIds))
+    ]
+  );
+
+  return String(row.audit_id);
+};
+
+const toAuditEntry = (row) => ({
+  auditId: String(row.audit_id),
+  restaurantId: row.restaurant_id,
+  operation: row.operation,
+  moveId: row.move_id,
+  actor: { captainId: row.captain_id, device: row.device },
+  reasonCode: row.reason_code,
+  reason: row.reason,
+  oldTableId: row.old_table_id,
+  newTableId: row.new_table_id,
+  ordersBefore: row.orders_before,
+  ordersAfter: row.orders_after,
+  quantityDeltas: row.quantity_deltas,
+  createdAt: row.created_at
+});
+
+/**
+ * Query audit entries, newest first. Filters are combined with AND.
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query on
+ * @param {Object} query - Validated AuditQuery
+ * @returns {Promise<Array<Object>>}
+ */
+const queryAuditEntries = async (db, query) => {
+  const params = [query.restaurantId];
+  const conditions = ['restaurant_id = $1'];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (query.tableId != null) {
+    const tableId = param(String(query.tableId));
+    // orders_before has a key for every table involved, split targets included
+    conditions.push(`(old_table_id = ${tableId} OR new_table_id = ${tableId} OR orders_before ? ${tableId})`);
+  }
+  if (query.orderId != null) {
+    conditions.push(`${param(String(query.orderId))} = ANY(order_ids)`);
+  }
+  if (query.from != null) {
+    conditions.push(`created_at >= ${param(new Date(query.from))}`);
+  }
+  if (query.to != null) {
+    conditions.push(`created_at < ${param(new Date(query.to))}`);
+  }
+
+  const { rows } = await db.query(
+    `SELECT * FROM table_operation_audit
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC, audit_id DESC
+      LIMIT ${param(query.limit)} OFFSET ${param(query.offset)}`,
+    params
+  );
+  return rows.map(toAuditEntry);
+};
+
+module.exports = {
+  writeAuditEntry,
+  queryAuditEntries
+};
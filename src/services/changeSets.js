@@ -0,0 +1,237 @@
+// Reversible change sets: before/after snapshots of every row a move touches
+const { ERROR_CODES, TableOperationError } = require('../utils/errors');
+
+// Tables a move can touch, how to find their rows in a move's scope, and
+// their primary key. `t` is the table, `s` the scope (restaurant_id,
+// table_ids, order_ids).
+// Listed parents first: restored in this order, deleted in reverse.
+const SNAPSHOT_TABLES = [
+  {
+    name: 'orders',
+    key: 'id',
+    where: `t.restaurant_id = s.restaurant_id AND (t.table_id = ANY(s.table_ids) OR t.id::text = ANY(s.order_ids))`
+  },
+  {
+    // Moves only ever write active notifications (KOTs, and on table moves
+    // whatever else is still open on the table); handled ones are history
+    // that grows with every service and is left alone
+    name: 'notifications',
+    key: 'notification_id',
+    where: `t.restaurant_id = s.restaurant_id AND t.active = true
+            AND (t.table_number = ANY(s.table_ids) OR t.order_id::text = ANY(s.order_ids))`
+  },
+  {
+    name: 'order_customization_deliveries',
+    key: 'id',
+    where: `t.order_id::text = ANY(s.order_ids)`
+  },
+  {
+    name: 'table_otps',
+    key: 'id',
+    where: `t.restaurant_id = s.restaurant_id AND t.table_id = ANY(s.table_ids)`
+  },
+  {
+    name: 'discounts',
+    key: 'id',
+    where: `t.restaurant_id = s.restaurant_id AND t.table_number = ANY(s.table_ids)`
+  },
+  {
+    name: 'dynamic_offers',
+    key: 'id',
+    where: `t.restaurant_id = s.restaurant_id AND (t.table_id = ANY(s.table_ids) OR t.order_id::text = ANY(s.order_ids))`
+  },
+  {
+    // Captains are shared by every table: only assigned_tables is restored
+    name: 'captains',
+    key: 'id',
+    where: `t.restaurant_id = s.restaurant_id AND t.assigned_tables ?| s.table_ids`,
+    columns: ['assigned_tables']
+  }
+];
+
+const sortByKey = (rows, key) =>
+  [...rows].sort((a, b) => String(a[key]).localeCompare(String(b[key]), undefined, { numeric: true }));
+
+/**
+ * Snapshot every row in a move's scope.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} scope
+ * @param {string} scope.restaurantId - Restaurant ID
+ * @param {Array<string>} scope.tableIds - Tables involved in the move
+ * @param {Array<string>} [scope.orderIds] - Orders involved beyond those currently on the tables
+ * @returns {Promise<{ orderIds: Array<string>, rows: Object<string, Array<Object>> }>}
+ */
+const captureRows = async (client, { restaurantId, tableIds, orderIds = [] }) => {
+  const tables = tableIds.map(String);
+
+  // Whatever is on the tables right now is in scope too
+  const { rows: currentOrders } = await client.query(
+    `SELECT id::text AS id FROM orders WHERE restaurant_id = $1 AND table_id = ANY($2::text[])`,
+    [restaurantId, tables]
+  );
+  const scopedOrderIds = [...new Set([...orderIds.map(String), ...currentOrders.map(o => o.id)])].sort();
+
+  const rows = {};
+  for (const table of SNAPSHOT_TABLES) {
+    const result = await client.query(
+      `WITH s AS (SELECT $1::text AS restaurant_id, $2::text[] AS table_ids, $3::text[] AS order_ids)
+       SELECT to_jsonb(t) AS row FROM ${table.name} t, s WHERE ${table.where}`,
+      [restaurantId, tables, scopedOrderIds]
+    );
+    rows[table.name] = sortByKey(result.rows.map(r => r.row), table.key);
+  }
+
+  return { orderIds: scopedOrderIds, rows };
+};
+
+/**
+ * Store the change set of a move that was just applied on `client`.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} changeSet
+ * @param {Object} changeSet.plan - The applied plan
+ * @param {Object} changeSet.before - captureRows result taken before applying the plan
+ * @returns {Promise<{ moveId: string, after: Object }>} The move id to pass to
+ *   undoMove and the captureRows result taken after the move
+ */
+const recordChangeSet = async (client, { plan, before }) => {
+  const { restaurantId, oldTableId, newTableId } = plan;
+  // Operations spanning more than two tables (splitTable) list them all
+  const tableIds = (plan.tableIds || [oldTableId, newTableId]).map(String);
+  const after = await captureRows(client, { restaurantId, tableIds, orderIds: before.orderIds });
+
+  const { rows: [changeSet] } = await client.query(
+    `INSERT INTO table_operation_changesets (
+       restaurant_id, operation, old_table_id, new_table_id, table_moved,
+       table_ids, order_ids, before_rows, after_rows
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING move_id`,
+    [
+      restaurantId,
+      plan.escalatedFrom || plan.operation,
+      oldTableId,
+      newTableId,
+      plan.operation === 'moveTable' && plan.scope !== 'order',
+      tableIds,
+      after.orderIds,
+      JSON.stringify(before.rows),
+      JSON.stringify(after.rows)
+    ]
+  );
+
+  return { moveId: changeSet.move_id, after };
+};
+
+/**
+ * Load a change set and lock it for the rest of the transaction.
+ * @throws {TableOperationError} MOVE_NOT_FOUND / MOVE_ALREADY_UNDONE
+ */
+const loadChangeSet = async (client, moveId) => {
+  const { rows: [changeSet] } = await client.query(
+    `SELECT * FROM table_operation_changesets WHERE move_id = $1 FOR UPDATE`,
+    [moveId]
+  );
+  if (!changeSet) {
+    throw new TableOperationError(ERROR_CODES.MOVE_NOT_FOUND, `Move ${moveId} not found`, { moveId });
+  }
+  if (changeSet.undone_at) {
+    throw new TableOperationError(ERROR_CODES.MOVE_ALREADY_UNDONE, `Move ${moveId} was already undone`, {
+      moveId,
+      undoneAt: changeSet.undone_at
+    });
+  }
+  return changeSet;
+};
+
+// What the conflict check compares: whole rows, or only the restored
+// columns of tables other operations share (a captain's name may change
+// while a move stays undoable)
+const comparable = (table, rows = []) => (table.columns
+  ? rows.map(row => Object.fromEntries([table.key, ...table.columns].map(column => [column, row[column]])))
+  : rows);
+
+const quote = (column) => `"${column.replace(/"/g, '""')}"`;
+
+// Write the before-snapshot of `rows` back over the rows still there, and
+// return the keys that were not (the move deleted them)
+const updateRows = async (client, table, rows) => {
+  const columns = (table.columns || [...new Set(rows.flatMap(row => Object.keys(row)))])
+    .filter(column => column !== table.key);
+  const { rows: updated } = await client.query(
+    `UPDATE ${table.name} AS t
+        SET ${columns.map(column => `${quote(column)} = r.${quote(column)}`).join(', ')}
+       FROM jsonb_populate_recordset(NULL::${table.name}, $1::jsonb) AS r
+      WHERE t.${table.key} = r.${table.key}
+      RETURNING t.${table.key}::text AS key`,
+    [JSON.stringify(rows)]
+  );
+  const found = new Set(updated.map(row => row.key));
+  return rows.filter(row => !found.has(String(row[table.key])));
+};
+
+/**
+ * Put every row in the change set's scope back to its before-snapshot.
+ * Rows the move created are deleted; rows it changed are updated in place and
+ * only the ones it deleted are inserted again, so no cascade or delete
+ * trigger fires on rows that survived the move. The tables must already be
+ * locked by the caller. Refuses when anything in scope differs from the
+ * after-snapshot, i.e. something changed since.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} changeSet - Row from table_operation_changesets
+ * @throws {TableOperationError} UNDO_CONFLICT
+ */
+const restoreChangeSet = async (client, changeSet) => {
+  const { restaurant_id: restaurantId, table_ids: tableIds, order_ids: orderIds } = changeSet;
+  const before = changeSet.before_rows;
+  const after = changeSet.after_rows;
+
+  const current = await captureRows(client, { restaurantId, tableIds, orderIds });
+  const changedTables = SNAPSHOT_TABLES
+    .filter(table => JSON.stringify(comparable(table, current.rows[table.name])) !== JSON.stringify(comparable(table, after[table.name])))
+    .map(table => table.name);
+  if (changedTables.length) {
+    throw new TableOperationError(
+      ERROR_CODES.UNDO_CONFLICT,
+      'The tables changed after this move and it can no longer be undone',
+      { moveId: changeSet.move_id, changedTables }
+    );
+  }
+
+  // Drop the rows the move created, children first...
+  for (const table of [...SNAPSHOT_TABLES].reverse()) {
+    if (table.columns) continue;
+    const kept = new Set((before[table.name] || []).map(row => String(row[table.key])));
+    const created = (after[table.name] || []).map(row => String(row[table.key])).filter(key => !kept.has(key));
+    if (!created.length) continue;
+    await client.query(
+      `DELETE FROM ${table.name} WHERE ${table.key}::text = ANY($1::text[])`,
+      [created]
+    );
+  }
+
+  // ...then restore the original rows, parents first: in place where they
+  // still exist, inserted again with their original ids where they do not
+  for (const table of SNAPSHOT_TABLES) {
+    const rows = before[table.name] || [];
+    if (!rows.length) continue;
+
+    const missing = await updateRows(client, table, rows);
+    if (!missing.length || table.columns) continue;
+    await client.query(
+      `INSERT INTO ${table.name}
+       SELECT * FROM jsonb_populate_recordset(NULL::${table.name}, $1::jsonb)`,
+      [JSON.stringify(missing)]
+    );
+  }
+
+  await client.query(
+    `UPDATE table_operation_changesets SET undone_at = NOW() WHERE move_id = $1`,
+    [changeSet.move_id]
+  );
+};
+
+module.exports = {
+  captureRows,
+  recordChangeSet,
+  loadChangeSet,
+  restoreChangeSet
+};
@@ -0,0 +1,223 @@
+// Consistency checks over the rows table operations keep in step: orders,
+// their KOTs and deliveries, and what is attached to a table (OTPs, captains)
+const { findQuantityMismatches } = require('./quantityLedger');
+
+const ANOMALY_CATEGORIES = {
+  EMPTY_ORDER: 'EMPTY_ORDER',
+  ORPHAN_NOTIFICATION: 'ORPHAN_NOTIFICATION',
+  ORPHAN_DELIVERY: 'ORPHAN_DELIVERY',
+  ORPHAN_OTP: 'ORPHAN_OTP',
+  UNKNOWN_CAPTAIN_TABLE: 'UNKNOWN_CAPTAIN_TABLE',
+  QUANTITY_MISMATCH: 'QUANTITY_MISMATCH'
+};
+
+// What each category looks for, and how it is repaired. `find` returns
+// { id, tableId?, orderId? } rows, with `fixable: false` for rows only
+// reported; `fix` gets the ids found. Listed in repair
+// order: dropping an empty order can leave its KOTs and deliveries orphaned,
+// and those are picked up by the next round.
+const CHECKS = [
+  {
+    category: ANOMALY_CATEGORIES.EMPTY_ORDER,
+    table: 'orders',
+    message: 'Order has no items',
+    find: (db, { restaurantId }) => db.query(
+      `SELECT id::text AS id, table_id AS "tableId", id::text AS "orderId"
+         FROM orders
+        WHERE restaurant_id = $1
+          AND (json_data -> 'items' IS NULL OR json_data -> 'items' = '{}'::jsonb)`,
+      [restaurantId]
+    ),
+    fix: (client, { restaurantId }, ids) => client.query(
+      `DELETE FROM orders WHERE restaurant_id = $1 AND id::text = ANY($2::text[])`,
+      [restaurantId, ids]
+    )
+  },
+  {
+    category: ANOMALY_CATEGORIES.ORPHAN_NOTIFICATION,
+    table: 'notifications',
+    message: 'Active notification points at an order that no longer exists',
+    find: (db, { restaurantId }) => db.query(
+      `SELECT n.notification_id::text AS id, n.table_number AS "tableId", n.order_id::text AS "orderId"
+         FROM notifications n
+        WHERE n.restaurant_id = $1
+          AND n.active = true
+          AND n.order_id IS NOT NULL
+          AND NOT EXISTS (SELECT 1 FROM orders o WHERE o.id::text = n.order_id::text)`,
+      [restaurantId]
+    ),
+    // Kept for history, like any handled KOT
+    fix: (client, { restaurantId }, ids) => client.query(
+      `UPDATE notifications SET active = false, updated_at = NOW()
+        WHERE restaurant_id = $1 AND notification_id::text = ANY($2::text[])`,
+      [restaurantId, ids]
+    )
+  },
+  {
+    // Deliveries carry no restaurant id: they are found through whichever of
+    // their KOT and order is left. One with neither cannot be told apart from
+    // another restaurant's.
+    category: ANOMALY_CATEGORIES.ORPHAN_DELIVERY,
+    table: 'order_customization_deliveries',
+    message: 'Delivery belongs to a KOT or order that no longer exists',
+    find: (db, { restaurantId }) => db.query(
+      `SELECT d.id::text AS id,
+              COALESCE(n.table_number, o.table_id) AS "tableId",
+              d.order_id::text AS "orderId",
+              CASE WHEN n.notification_id IS NULL
+                   THEN 'Delivery belongs to a KOT that no longer exists'
+                   ELSE 'Delivery belongs to an order that no longer exists'
+              END AS message
+         FROM order_customization_deliveries d
+         LEFT JOIN notifications n ON n.notification_id::text = d.notification_id::text
+         LEFT JOIN orders o ON o.id::text = d.order_id::text
+        WHERE COALESCE(n.restaurant_id, o.restaurant_id) = $1
+          AND (n.notification_id IS NULL OR o.id IS NULL)`,
+      [restaurantId]
+    ),
+    fix: (client, context, ids) => client.query(
+      `DELETE FROM order_customization_deliveries WHERE id::text = ANY($1::text[])`,
+      [ids]
+    )
+  },
+  {
+    // A table with no order yet may have guests who just scanned in: only
+    // OTPs of tables without a live session are orphans. Without a session
+    // store to ask, they are reported but not repaired.
+    category: ANOMALY_CATEGORIES.ORPHAN_OTP,
+    table: 'table_otps',
+    message: 'OTP on a table with no order and no session',
+    find: async (db, { restaurantId, hasTableSession }) => {
+      const { rows } = await db.query(
+        `SELECT t.id::text AS id, t.table_id AS "tableId"
+           FROM table_otps t
+          WHERE t.restaurant_id = $1
+            AND NOT EXISTS (
+              SELECT 1 FROM orders o WHERE o.restaurant_id = t.restaurant_id AND o.table_id = t.table_id
+            )`,
+        [restaurantId]
+      );
+      const sessions = new Map();
+      for (const tableId of new Set(rows.map(row => String(row.tableId)))) {
+        sessions.set(tableId, hasTableSession ? await hasTableSession(tableId) : null);
+      }
+      return {
+        rows: rows
+          .filter(row => sessions.get(String(row.tableId)) !== true)
+          .map(row => (sessions.get(String(row.tableId)) === false ? row : {
+            ...row,
+            message: 'OTP on a table with no order; its session could not be checked',
+            fixable: false
+          }))
+      };
+    },
+    fix: (client, { restaurantId }, ids) => client.query(
+      `DELETE FROM table_otps WHERE restaurant_id = $1 AND id::text = ANY($2::text[])`,
+      [restaurantId, ids]
+    )
+  },
+  {
+    // Only checked against a known list of tables: nothing else says which exist
+    category: ANOMALY_CATEGORIES.UNKNOWN_CAPTAIN_TABLE,
+    table: 'captains',
+    message: 'Captain is assigned to a table that does not exist',
+    find: async (db, { restaurantId, tableIds }) => {
+      if (!tableIds) return { rows: [] };
+      return db.query(
+        `SELECT c.id::text AS id, t.value AS "tableId"
+           FROM captains c, jsonb_array_elements_text(c.assigned_tables) AS t(value)
+          WHERE c.restaurant_id = $1
+            AND NOT (t.value = ANY($2::text[]))`,
+        [restaurantId, tableIds.map(String)]
+      );
+    },
+    // Keep the captain's known tables, in order
+    fix: (client, { restaurantId, tableIds }, ids) => client.query(
+      `UPDATE captains SET assigned_tables = (
+         SELECT COALESCE(jsonb_agg(value ORDER BY ord), '[]'::jsonb)
+           FROM jsonb_array_elements(assigned_tables) WITH ORDINALITY AS a(value, ord)
+          WHERE value #>> '{}' = ANY($1::text[])
+       )
+       WHERE restaurant_id = $2 AND id::text = ANY($3::text[])`,
+      [tableIds.map(String), restaurantId, ids]
+    )
+  },
+  {
+    // Which side is right cannot be told from the rows: reported only
+    category: ANOMALY_CATEGORIES.QUANTITY_MISMATCH,
+    table: 'orders',
+    find: async (db, { restaurantId }) => {
+      const { rows: tables } = await db.query(
+        `SELECT DISTINCT table_id FROM orders WHERE restaurant_id = $1 AND table_id IS NOT NULL`,
+        [restaurantId]
+      );
+      if (!tables.length) return { rows: [] };
+      const mismatches = await findQuantityMismatches(db, restaurantId, tables.map(t => t.table_id));
+      return {
+        rows: mismatches.map(m => ({
+          id: `${m.tableId}:${m.itemId}`,
+          tableId: m.tableId,
+          itemId: m.itemId,
+          message: `Item ${m.itemId} has ${m.orderQty} on the orders but ${m.kotQty} on active KOTs`,
+          orderQty: m.orderQty,
+          kotQty: m.kotQty
+        }))
+      };
+    }
+  }
+];
+
+/**
+ * Scan a restaurant for rows out of step with each other.
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query on
+ * @param {Object} context
+ * @param {string} context.restaurantId - Restaurant ID
+ * @param {Array<string>} [context.tableIds] - Every table the restaurant has
+ *   (given, or its defined tables); captains are only checked when known
+ * @param {Function} [context.hasTableSession] - async (tableId) => true, false,
+ *   or null when unknown; OTPs are only repaired on tables known to have none
+ * @returns {Promise<Array<Object>>} One { category, table, id, tableId?, orderId?,
+ *   message, fixable } per anomaly
+ */
+const findAnomalies = async (db, context) => {
+  const anomalies = [];
+  for (const check of CHECKS) {
+    const { rows } = await check.find(db, context);
+    for (const row of rows) {
+      anomalies.push({
+        category: check.category,
+        table: check.table,
+        message: check.message,
+        ...row,
+        fixable: Boolean(check.fix) && row.fixable !== false
+      });
+    }
+  }
+  return anomalies;
+};
+
+/**
+ * Repair fixable anomalies on `client`, category by category.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} context - Same as findAnomalies
+ * @param {Array<Object>} anomalies - findAnomalies result
+ * @returns {Promise<Array<Object>>} The anomalies repaired
+ */
+const repairAnomalies = async (client, context, anomalies) => {
+  const fixed = [];
+  for (const check of CHECKS) {
+    if (!check.fix) continue;
+    const found = anomalies.filter(a => a.category === check.category);
+    if (!found.length) continue;
+
+    await check.fix(client, context, [...new Set(found.map(a => a.id))]);
+    fixed.push(...found);
+  }
+  return fixed;
+};
+
+module.exports = {
+  ANOMALY_CATEGORIES,
+  findAnomalies,
+  repairAnomalies
+};
@@ -0,0 +1,389 @@
+// Discount and dynamic offer reconciliation: after a move, discounts and
+// offers follow the items they apply to, are split across the orders now
+// holding those items, or are flagged for a person to look at
+const { sumItemQuantities } = require('../utils/items');
+
+const DISCOUNT_ACTIONS = {
+  KEEP: 'keep',
+  MOVE: 'move',
+  SPLIT: 'split',
+  FLAG: 'flag',
+  DEACTIVATE: 'deactivate'
+};
+
+// What happens to a discount the move does not simply carry along
+const DEFAULT_DISCOUNT_POLICY = {
+  // Item discount whose item only partly moved
+  partialItem: DISCOUNT_ACTIONS.SPLIT,
+  // Order-wide percentage discount when part of the order moved
+  percentage: DISCOUNT_ACTIONS.SPLIT,
+  // Order-wide fixed amount when part of the order moved
+  fixedAmount: DISCOUNT_ACTIONS.FLAG,
+  // Discount or offer landing on a bill that already has one for the same target
+  stacked: DISCOUNT_ACTIONS.FLAG
+};
+
+const ALLOWED_ACTIONS = {
+  partialItem: [DISCOUNT_ACTIONS.KEEP, DISCOUNT_ACTIONS.SPLIT, DISCOUNT_ACTIONS.FLAG],
+  percentage: [DISCOUNT_ACTIONS.KEEP, DISCOUNT_ACTIONS.SPLIT, DISCOUNT_ACTIONS.FLAG],
+  fixedAmount: [DISCOUNT_ACTIONS.KEEP, DISCOUNT_ACTIONS.SPLIT, DISCOUNT_ACTIONS.FLAG],
+  stacked: [DISCOUNT_ACTIONS.KEEP, DISCOUNT_ACTIONS.FLAG, DISCOUNT_ACTIONS.DEACTIVATE]
+};
+
+/**
+ * Fill in a discount policy's defaults and check its actions.
+ * @param {Object} [policy] - { partialItem?, percentage?, fixedAmount?, stacked? }
+ * @returns {Object} The complete policy
+ * @throws {TypeError} On an unknown key or an action the key does not allow
+ */
+const resolveDiscountPolicy = (policy = {}) => {
+  for (const [key, action] of Object.entries(policy)) {
+    if (!ALLOWED_ACTIONS[key]) {
+      throw new TypeError(`Unknown discount policy setting ${key}`);
+    }
+    if (!ALLOWED_ACTIONS[key].includes(action)) {
+      throw new TypeError(`Discount policy ${key} must be one of ${ALLOWED_ACTIONS[key].join(', ')}`);
+    }
+  }
+  return { ...DEFAULT_DISCOUNT_POLICY, ...policy };
+};
+
+// The two tables reconciled, with the columns that differ between them
+const KINDS = {
+  discount: { table: 'discounts', tableColumn: 'table_number', activeColumn: 'is_active', touch: true },
+  offer: { table: 'dynamic_offers', tableColumn: 'table_id', activeColumn: 'active', touch: false }
+};
+
+const rowTableId = (kind, row) => String(row[KINDS[kind].tableColumn]);
+const rowOrderId = (row) => (row.order_id === null || row.order_id === undefined ? null : String(row.order_id));
+const isPercentage = (row) => row.discount_type === 'percentage';
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const readActive = async (client, kind, restaurantId, { tableIds, orderIds }) => {
+  const { table, tableColumn, activeColumn } = KINDS[kind];
+  const { rows } = await client.query(
+    `SELECT to_jsonb(t) AS row FROM ${table} t
+      WHERE t.restaurant_id = $1
+        AND t.${activeColumn} = true
+        AND (t.${tableColumn}::text = ANY($2::text[]) OR t.order_id::text = ANY($3::text[]))
+      ORDER BY t.id`,
+    [restaurantId, (tableIds || []).map(String), (orderIds || []).map(String)]
+  );
+  return rows.map(r => r.row);
+};
+
+const relocate = (client, kind, id, { tableId, orderId }) => {
+  const { table, tableColumn, touch } = KINDS[kind];
+  return client.query(
+    `UPDATE ${table}
+        SET ${tableColumn} = $1,
+            order_id = $2${touch ? ',\n            updated_at = CURRENT_TIMESTAMP' : ''}
+      WHERE id = $3`,
+    [tableId, orderId, id]
+  );
+};
+
+const deactivate = (client, kind, id) => {
+  const { table, activeColumn, touch } = KINDS[kind];
+  return client.query(
+    `UPDATE ${table} SET ${activeColumn} = false${touch ? ', updated_at = CURRENT_TIMESTAMP' : ''} WHERE id = $1`,
+    [id]
+  );
+};
+
+// Insert a copy of a discount row under a new id, with some fields replaced.
+// The columns come from the row itself, so whatever else the table holds is
+// copied as is.
+const insertCopy = async (client, row, changes) => {
+  const copy = { ...row, ...changes };
+  delete copy.id;
+  const columns = Object.keys(copy).filter(column => copy[column] !== undefined).map(column => `"${column.replace(/"/g, '""')}"`).join(', ');
+  const { rows: [inserted] } = await client.query(
+    `INSERT INTO discounts (${columns})
+     SELECT ${columns} FROM jsonb_populate_record(NULL::discounts, $1::jsonb)
+     RETURNING id`,
+    [JSON.stringify(copy)]
+  );
+  return inserted.id;
+};
+
+// Where the items of a partial move went: one target per destination order,
+// with the share of each item (and of the whole order) it took, and whether
+// that order already held items of its own
+const partialTargets = (plan, result) => {
+  const merged = (destination) => Boolean(destination) && destination.strategy === 'merge';
+  const destinations = plan.operation === 'splitTable'
+    ? result.splits.map(split => {
+      const planned = plan.splits.find(s => String(s.tableId) === String(split.tableId));
+      return {
+        tableId: split.tableId,
+        orderId: split.destinationOrderId,
+        items: planned.items,
+        existing: merged(planned.destination)
+      };
+    })
+    : [{
+      tableId: plan.newTableId,
+      orderId: result.destinationOrderId,
+      items: plan.operation === 'moveKOT' ? plan.itemsToPrint : plan.itemsForNewTable,
+      existing: merged(plan.destination)
+    }];
+
+  const remaining = sumItemQuantities([plan.remainingItems]);
+  const moved = destinations.map(d => sumItemQuantities([d.items]));
+  const before = sumItemQuantities([plan.remainingItems, ...destinations.map(d => d.items)]);
+  const units = (quantities) => Object.values(quantities).reduce((sum, qty) => sum + qty, 0);
+  const totalUnits = units(before);
+
+  return {
+    sourceRemains: !plan.deleteSourceOrder,
+    remainingShare: (itemId) => (itemId ? (remaining[itemId] || 0) / (before[itemId] || 1) : units(remaining) / (totalUnits || 1)),
+    targets: destinations.map((d, i) => ({
+      tableId: String(d.tableId),
+      orderId: d.orderId === null || d.orderId === undefined ? null : String(d.orderId),
+      existing: d.existing,
+      itemIds: Object.keys(moved[i]),
+      share: (itemId) => (itemId ? (moved[i][itemId] || 0) / (before[itemId] || 1) : units(moved[i]) / (totalUnits || 1))
+    }))
+  };
+};
+
+const partEntry = (id, part, value) => ({
+  id: String(id),
+  ...part.target,
+  ...(part.itemId ? { itemId: part.itemId } : {}),
+  value
+});
+
+// Spread one source-order discount over the orders holding its items now.
+// Percentages are copied as they are, one copy per item for shares scoped to
+// `itemIds`; fixed amounts are divided by share, rounding left to the part
+// that stays (or to the first part when none does).
+const splitDiscount = async (client, row, shares, remainingShare) => {
+  const value = Number(row.discount_value || 0);
+  const fixed = !isPercentage(row) && row.discount_value !== undefined && row.discount_value !== null;
+  const parts = shares.flatMap(({ target, share, itemIds }) => (itemIds
+    ? itemIds.map(itemId => ({ target, itemId, value: row.discount_value }))
+    : [{ target, value: fixed ? roundAmount(value * share) : row.discount_value }]));
+
+  const to = [];
+  let sourceValue = null;
+  let copies = parts;
+  if (remainingShare > 0) {
+    if (fixed) {
+      sourceValue = roundAmount(value - parts.reduce((sum, part) => sum + part.value, 0));
+      await client.query(
+        `UPDATE discounts SET discount_value = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [sourceValue, row.id]
+      );
+    }
+  } else {
+    // Nothing stays: the original row becomes the first part
+    const [first, ...rest] = parts;
+    const firstValue = fixed ? roundAmount(value - rest.reduce((sum, part) => sum + part.value, 0)) : row.discount_value;
+    await relocate(client, 'discount', row.id, first.target);
+    if (fixed) {
+      await client.query(`UPDATE discounts SET discount_value = $1 WHERE id = $2`, [firstValue, row.id]);
+    }
+    if (first.itemId) {
+      await client.query(`UPDATE discounts SET item_id = $1 WHERE id = $2`, [first.itemId, row.id]);
+    }
+    to.push(partEntry(row.id, first, firstValue));
+    copies = rest;
+  }
+
+  for (const part of copies) {
+    const id = await insertCopy(client, row, {
+      table_number: part.target.tableId,
+      order_id: part.target.orderId,
+      ...(part.itemId ? { item_id: part.itemId } : {}),
+      discount_value: part.value
+    });
+    to.push(partEntry(id, part, part.value));
+  }
+  return { to, sourceValue };
+};
+
+const change = (kind, row, action, reason, extra = {}) => ({
+  kind,
+  id: String(row.id),
+  action,
+  reason,
+  from: { tableId: rowTableId(kind, row), orderId: rowOrderId(row) },
+  ...extra
+});
+
+// Discounts and offers of the order a moveKOT / moveItems / splitTable took from
+const reconcilePartialMove = async (client, plan, result, policy) => {
+  const { targets, remainingShare, sourceRemains } = partialTargets(plan, result);
+  const changes = [];
+  const sourceOrder = { orderIds: [plan.orderId] };
+
+  for (const row of await readActive(client, 'discount', plan.restaurantId, sourceOrder)) {
+    if (rowOrderId(row) !== String(plan.orderId)) continue;
+    const itemId = row.item_id === null || row.item_id === undefined ? null : String(row.item_id);
+    const shares = targets
+      .map(target => ({
+        target: { tableId: target.tableId, orderId: target.orderId },
+        share: target.share(itemId),
+        // An order-wide percentage on an order that already had items would
+        // discount those too: there it only covers the items moved in
+        itemIds: !itemId && isPercentage(row) && target.existing ? target.itemIds : null
+      }))
+      .filter(s => s.share > 0);
+    if (!shares.length) continue;
+    const left = sourceRemains ? remainingShare(itemId) : 0;
+
+    // An item moved whole to one order, or an order emptied into a new one: the discount follows
+    if (left === 0 && shares.length === 1 && !shares[0].itemIds) {
+      await relocate(client, 'discount', row.id, shares[0].target);
+      changes.push(change('discount', row, DISCOUNT_ACTIONS.MOVE, itemId ? 'Its item moved' : 'Its order moved',
+        { to: [{ id: String(row.id), ...shares[0].target }] }));
+      continue;
+    }
+
+    // An emptied source order takes nothing with it: its discounts always follow the items
+    const setting = itemId ? 'partialItem' : (isPercentage(row) ? 'percentage' : 'fixedAmount');
+    const action = left === 0 ? DISCOUNT_ACTIONS.SPLIT : policy[setting];
+    const reason = itemId ? 'Its item was split across orders' : 'Part of its order moved';
+    if (action === DISCOUNT_ACTIONS.SPLIT) {
+      const { to, sourceValue } = await splitDiscount(client, row, shares, left);
+      changes.push(change('discount', row, DISCOUNT_ACTIONS.SPLIT, reason,
+        sourceValue === null ? { to } : { to, value: sourceValue }));
+    } else if (action === DISCOUNT_ACTIONS.FLAG) {
+      changes.push(change('discount', row, DISCOUNT_ACTIONS.FLAG, reason));
+    }
+  }
+
+  // Offers are rules rather than amounts: they follow an item moved whole (or
+  // an emptied order) and are flagged when their item ends up on several orders
+  for (const row of await readActive(client, 'offer', plan.restaurantId, sourceOrder)) {
+    if (rowOrderId(row) !== String(plan.orderId)) continue;
+    const itemId = row.item_id === null || row.item_id === undefined ? null : String(row.item_id);
+    const shares = targets.filter(target => target.share(itemId) > 0);
+    if (!shares.length) continue;
+    const left = sourceRemains ? remainingShare(itemId) : 0;
+
+    if (left === 0) {
+      // Emptied into several orders: the largest part takes it
+      const target = shares.reduce((best, t) => (t.share(itemId) > best.share(itemId) ? t : best));
+      const to = { tableId: target.tableId, orderId: target.orderId };
+      await relocate(client, 'offer', row.id, to);
+      changes.push(change('offer', row, DISCOUNT_ACTIONS.MOVE, itemId ? 'Its item moved' : 'Its order moved',
+        { to: [{ id: String(row.id), ...to }] }));
+    } else if (itemId) {
+      changes.push(change('offer', row, DISCOUNT_ACTIONS.FLAG, 'Its item was split across orders'));
+    }
+  }
+
+  return changes;
+};
+
+// Orders a merge deleted, and the bill each went into
+const mergedAway = (plan) => {
+  if (plan.operation === 'moveTable' && plan.strategy === 'merge') {
+    return { [String(plan.sourceOrderId)]: String(plan.destinationOrderId) };
+  }
+  if (plan.operation === 'mergeTables' && plan.billOrderId) {
+    return Object.fromEntries(plan.mergedOrderIds.map(id => [String(id), String(plan.billOrderId)]));
+  }
+  return {};
+};
+
+// Tables a move brings discounts or offers onto
+const landingTableIds = (plan) => {
+  switch (plan.operation) {
+    case 'splitTable':
+      return plan.splits.map(split => String(split.tableId));
+    case 'swapTables':
+      return [];
+    default:
+      return [String(plan.newTableId)];
+  }
+};
+
+// What a discount or offer applies to on its bill
+const stackKey = (row) => `${rowOrderId(row) || 'table'}|${row.item_id === null || row.item_id === undefined ? '*' : row.item_id}`;
+
+/**
+ * Reconcile the discounts and dynamic offers of an applied move, on the
+ * move's transaction:
+ *   - moveKOT, moveItems and splitTable: the source order's discounts follow
+ *     its items (moved, or split across the orders now holding them) or are
+ *     flagged, per policy; item offers follow an item moved whole;
+ *   - merges: discounts and offers of the orders merged away point at the bill;
+ *   - every move but a swap: a discount or offer that lands on a bill already
+ *     holding one for the same item (or the whole order) is stacked, and is
+ *     kept, flagged or deactivated per policy.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} plan - The applied plan
+ * @param {Object} result - What applying the plan returned
+ * @param {Object} before - captureRows(...).rows taken before applying the plan
+ * @param {Object} policy - resolveDiscountPolicy result
+ * @returns {Promise<Array<Object>>} One { kind, id, action, reason, from, to?, value? } per
+ *   discount or offer moved, split, flagged or deactivated
+ */
+const reconcileDiscounts = async (client, plan, result, before, policy) => {
+  const { restaurantId } = plan;
+  const changes = [];
+
+  if (['moveKOT', 'moveItems', 'splitTable'].includes(plan.operation)) {
+    changes.push(...await reconcilePartialMove(client, plan, result, policy));
+  }
+
+  const merged = mergedAway(plan);
+  const mergedIds = Object.keys(merged);
+  if (mergedIds.length) {
+    for (const kind of Object.keys(KINDS)) {
+      for (const row of await readActive(client, kind, restaurantId, { orderIds: mergedIds })) {
+        const to = { tableId: rowTableId(kind, row), orderId: merged[rowOrderId(row)] };
+        if (!to.orderId) continue;
+        await relocate(client, kind, row.id, to);
+        changes.push(change(kind, row, DISCOUNT_ACTIONS.MOVE, 'Its order was merged into the bill',
+          { to: [{ id: String(row.id), ...to }] }));
+      }
+    }
+  }
+
+  // Stacking: rows already on a landing table before the move are its own;
+  // anything else there now came with the move (copies included)
+  const landing = landingTableIds(plan);
+  if (!landing.length) return changes;
+  for (const kind of Object.keys(KINDS)) {
+    const beforeRows = before[KINDS[kind].table] || [];
+    const origin = (row) => {
+      const previous = beforeRows.find(b => String(b.id) === String(row.id));
+      return previous ? rowTableId(kind, previous) : String(plan.oldTableId);
+    };
+
+    const current = await readActive(client, kind, restaurantId, { tableIds: landing });
+    for (const tableId of landing) {
+      const groups = new Map();
+      for (const row of current.filter(r => rowTableId(kind, r) === tableId)) {
+        const key = stackKey(row);
+        groups.set(key, [...(groups.get(key) || []), row]);
+      }
+      for (const rows of groups.values()) {
+        const origins = [...new Set(rows.map(origin))];
+        if (origins.length < 2) continue;
+        // The landing table's own rows win; otherwise those of the first table they came from
+        const keep = origins.includes(tableId) ? tableId : origins[0];
+        for (const row of rows.filter(r => origin(r) !== keep)) {
+          if (policy.stacked === DISCOUNT_ACTIONS.KEEP) continue;
+          if (policy.stacked === DISCOUNT_ACTIONS.DEACTIVATE) {
+            await deactivate(client, kind, row.id);
+          }
+          changes.push(change(kind, row, policy.stacked, `Stacks with a ${kind} already on table ${tableId}`));
+        }
+      }
+    }
+  }
+
+  return changes;
+};
+
+module.exports = {
+  DISCOUNT_ACTIONS,
+  resolveDiscountPolicy,
+  reconcileDiscounts
+};
@@ -0,0 +1,290 @@
+// KOT transfer tickets: what the kitchen gets instead of a fresh KOT when a
+// move re-creates already printed items on another table. The ticket names
+// the original KOTs and both tables, carries the items' delivery status, and
+// is marked not for preparation.
+const { ERROR_CODES, TableOperationError } = require('../utils/errors');
+const { customizationKey } = require('../utils/items');
+const { KOT_ACTION_TYPES, kotUnits } = require('./quantityLedger');
+
+const KOT_TRANSFER_ACTION = 'kot_transfer';
+
+// KOT types the order engine writes for new items
+const ENGINE_KOT_TYPES = KOT_ACTION_TYPES.filter(type => type !== KOT_TRANSFER_ACTION);
+
+const toTicket = (row) => ({
+  transferId: String(row.transfer_id),
+  restaurantId: row.restaurant_id,
+  notificationId: String(row.notification_id),
+  operation: row.operation,
+  fromTableId: row.from_table_id,
+  toTableId: row.to_table_id,
+  sourceOrderId: row.source_order_id,
+  orderId: row.order_id,
+  originalNotificationIds: row.original_notification_ids,
+  lines: row.lines,
+  notForPreparation: row.not_for_preparation,
+  createdAt: row.created_at,
+  undoneAt: row.undone_at || null
+});
+
+const lineStatus = ({ qty, delivered, cancelled }) => {
+  if (cancelled >= qty) return 'cancelled';
+  if (delivered >= qty) return 'delivered';
+  if (delivered > 0) return 'partly delivered';
+  return 'pending';
+};
+
+// One line per customization, with the delivered and cancelled units of the
+// delivery rows matching it (same item, variation and addons)
+const ticketLines = (items, itemNames, deliveries) => {
+  const counts = new Map();
+  for (const delivery of deliveries) {
+    const key = `${delivery.item_id}|${customizationKey(delivery.customization_details)}`;
+    const count = counts.get(key) || { delivered: 0, cancelled: 0 };
+    const units = kotUnits(delivery.customization_details);
+    if (delivery.cancelled) count.cancelled += units;
+    else if (delivery.delivered) count.delivered += units;
+    counts.set(key, count);
+  }
+
+  const lines = [];
+  for (const [itemId, item] of Object.entries(items)) {
+    for (const customization of item.customizations || []) {
+      const qty = customization.qty || 0;
+      if (qty <= 0) continue;
+      // Shared between lines of the same customization, first come first served
+      const count = counts.get(`${itemId}|${customizationKey(customization)}`) || { delivered: 0, cancelled: 0 };
+      const cancelled = Math.min(qty, count.cancelled);
+      const delivered = Math.min(qty - cancelled, count.delivered);
+      count.cancelled -= cancelled;
+      count.delivered -= delivered;
+
+      const line = {
+        itemId,
+        name: (itemNames && itemNames[itemId]) || item.name || itemId,
+        variation: customization.variation || null,
+        addons: (customization.addons || []).map(addon => (addon && typeof addon === 'object' ? addon.name || addon.id : addon)),
+        qty,
+        delivered,
+        cancelled
+      };
+      lines.push({ ...line, status: lineStatus(line) });
+    }
+  }
+  return lines;
+};
+
+/**
+ * Highest notification id on a table, read before an order engine that
+ * prints KOTs regardless writes there, so the KOTs it creates for the move
+ * can be told apart.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} tableId - Destination table
+ * @returns {Promise<number>}
+ */
+const kotWatermark = async (client, restaurantId, tableId) => {
+  const { rows: [row] } = await client.query(
+    `SELECT COALESCE(MAX(notification_id), 0)::bigint AS last
+       FROM notifications
+      WHERE restaurant_id = $1 AND table_number = $2`,
+    [restaurantId, tableId]
+  );
+  return Number(row.last);
+};
+
+// Insert a copy of a delivery row under a new id, with some fields replaced.
+// The columns come from the row itself, so whatever else the table holds
+// (timestamps, who served it) is copied as is.
+const insertDeliveryCopy = async (client, row, changes) => {
+  const copy = { ...row, ...changes };
+  delete copy.id;
+  const columns = Object.keys(copy).filter(column => copy[column] !== undefined).map(column => `"${column.replace(/"/g, '""')}"`).join(', ');
+  await client.query(
+    `INSERT INTO order_customization_deliveries (${columns})
+     SELECT ${columns} FROM jsonb_populate_record(NULL::order_customization_deliveries, $1::jsonb)`,
+    [JSON.stringify(copy)]
+  );
+};
+
+/**
+ * Put moved items on one kot_transfer KOT, and store its ticket. The moved
+ * items' own delivery rows follow the transfer KOT with their delivered /
+ * cancelled state: whole KOTs' rows with `carryDeliveriesFrom`, rows or
+ * parts of rows with `carriedDeliveries`. With a `watermark`, KOTs the
+ * engine printed for the items anyway are replaced: their delivery rows are
+ * dropped (or, with neither option, follow the transfer KOT).
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} transfer
+ * @param {string} transfer.restaurantId - Restaurant ID
+ * @param {string} transfer.operation - moveKOT, moveItems or splitTable
+ * @param {string} transfer.fromTableId - Table the items were printed for
+ * @param {string} transfer.toTableId - Table they moved to
+ * @param {string} transfer.sourceOrderId - Order they came from
+ * @param {string} transfer.orderId - Order holding them now
+ * @param {Array<number|string>} transfer.originalNotificationIds - KOTs they were printed on
+ * @param {Object} transfer.items - The moved items, in KOT payload form
+ * @param {Object} [transfer.itemNames] - { itemId: name }
+ * @param {number|null} [transfer.watermark] - kotWatermark of the destination table before
+ *   an engine that prints KOTs regardless wrote there
+ * @param {Array<number|string>} [transfer.carryDeliveriesFrom] - Notifications whose delivery rows move over
+ * @param {Array<Object>} [transfer.carriedDeliveries] - { row, units, whole } from rebalanceDeliveries:
+ *   rows moved as they are when whole, else copied with `units` units
+ * @returns {Promise<Object>} The ticket: { transferId, notificationId, operation, fromTableId, toTableId,
+ *   sourceOrderId, orderId, originalNotificationIds, lines, notForPreparation, createdAt, undoneAt }
+ */
+const issueTransferTicket = async (client, transfer) => {
+  const { restaurantId, toTableId, orderId } = transfer;
+
+  // 1. KOTs an engine that could not leave them out printed for the moved
+  //    items on this move's transaction
+  let engineKotIds = [];
+  if (transfer.watermark !== null && transfer.watermark !== undefined) {
+    const { rows: engineKots } = await client.query(
+      `SELECT notification_id::text AS notification_id
+         FROM notifications
+        WHERE restaurant_id = $1
+          AND table_number = $2
+          AND order_id::text = $3
+          AND notification_id > $4
+          AND action_type = ANY($5::text[])`,
+      [restaurantId, toTableId, String(orderId), transfer.watermark, ENGINE_KOT_TYPES]
+    );
+    engineKotIds = engineKots.map(n => n.notification_id);
+  }
+
+  // 2. The transfer KOT carries the items, so they still count as printed
+  const { rows: [notification] } = await client.query(
+    `INSERT INTO notifications (
+       restaurant_id, table_number, order_id, action_type,
+       notification_data, order_type, captain_id, active, created_at
+     ) VALUES ($1, $2, $3, $4, $5, 'captain', NULL, true, NOW())
+     RETURNING notification_id`,
+    [restaurantId, toTableId, orderId, KOT_TRANSFER_ACTION, JSON.stringify(transfer.items)]
+  );
+  const notificationId = String(notification.notification_id);
+
+  // 3. Delivery rows follow it: the original ones when carried over (the
+  //    engine's duplicates go), else the engine's
+  if (transfer.carryDeliveriesFrom || transfer.carriedDeliveries) {
+    if (engineKotIds.length) {
+      await client.query(
+        `DELETE FROM order_customization_deliveries WHERE notification_id::text = ANY($1::text[])`,
+        [engineKotIds]
+      );
+    }
+    if (transfer.carryDeliveriesFrom) {
+      await client.query(
+        `UPDATE order_customization_deliveries
+            SET notification_id = $1,
+                order_id        = $2
+          WHERE notification_id::text = ANY($3::text[])`,
+        [notificationId, orderId, transfer.carryDeliveriesFrom.map(String)]
+      );
+    }
+    for (const { row, units, whole } of transfer.carriedDeliveries || []) {
+      if (whole) {
+        await client.query(
+          `UPDATE order_customization_deliveries
+              SET notification_id = $1,
+                  order_id        = $2
+            WHERE id = $3`,
+          [notificationId, orderId, row.id]
+        );
+        continue;
+      }
+      const { qtyChange, ...details } = row.customization_details;
+      await insertDeliveryCopy(client, row, {
+        notification_id: notificationId,
+        order_id: orderId,
+        customization_details: { ...details, qty: units }
+      });
+    }
+  } else if (engineKotIds.length) {
+    await client.query(
+      `UPDATE order_customization_deliveries
+          SET notification_id = $1
+        WHERE notification_id::text = ANY($2::text[])`,
+      [notificationId, engineKotIds]
+    );
+  }
+  if (engineKotIds.length) {
+    await client.query(
+      `DELETE FROM notifications WHERE notification_id::text = ANY($1::text[])`,
+      [engineKotIds]
+    );
+  }
+
+  // 4. The ticket, with the delivery status of every line
+  const { rows: deliveries } = await client.query(
+    `SELECT item_id, customization_details, delivered, cancelled
+       FROM order_customization_deliveries
+      WHERE notification_id::text = $1`,
+    [notificationId]
+  );
+  const { rows: [row] } = await client.query(
+    `INSERT INTO kot_transfers (
+       restaurant_id, notification_id, operation, from_table_id, to_table_id,
+       source_order_id, order_id, original_notification_ids, lines
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      restaurantId,
+      notificationId,
+      transfer.operation,
+      String(transfer.fromTableId),
+      String(toTableId),
+      transfer.sourceOrderId == null ? null : String(transfer.sourceOrderId),
+      orderId == null ? null : String(orderId),
+      transfer.originalNotificationIds.map(String),
+      JSON.stringify(ticketLines(transfer.items, transfer.itemNames, deliveries))
+    ]
+  );
+  return toTicket(row);
+};
+
+/**
+ * Mark the tickets of an undone move's transfer KOTs. They stay stored, as a
+ * record of what was printed.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {string} restaurantId - Restaurant ID
+ * @param {Array<string>} notificationIds - The move's kot_transfer notifications
+ */
+const markTransfersUndone = async (client, restaurantId, notificationIds) => {
+  if (!notificationIds.length) return;
+  await client.query(
+    `UPDATE kot_transfers SET undone_at = NOW()
+      WHERE restaurant_id = $1 AND notification_id = ANY($2::text[]) AND undone_at IS NULL`,
+    [restaurantId, notificationIds.map(String)]
+  );
+};
+
+/**
+ * Load a stored transfer ticket.
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query on
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} transferId - Ticket id
+ * @returns {Promise<Object>} Like issueTransferTicket
+ * @throws {TableOperationError} TRANSFER_NOT_FOUND
+ */
+const fetchTransferTicket = async (db, restaurantId, transferId) => {
+  const { rows: [row] } = await db.query(
+    `SELECT * FROM kot_transfers WHERE restaurant_id = $1 AND transfer_id::text = $2`,
+    [restaurantId, String(transferId)]
+  );
+  if (!row) {
+    throw new TableOperationError(ERROR_CODES.TRANSFER_NOT_FOUND, `KOT transfer ${transferId} not found`, {
+      restaurantId,
+      transferId: String(transferId)
+    });
+  }
+  return toTicket(row);
+};
+
+module.exports = {
+  KOT_TRANSFER_ACTION,
+  kotWatermark,
+  issueTransferTicket,
+  markTransfersUndone,
+  fetchTransferTicket
+};
@@ -0,0 +1,65 @@
+// Built-in notification transports for registerNotificationTransport.
+// A transport is any { name, send(event) } whose send rejects on failure.
+const { EventEmitter } = require('events');
+const { getRedisClient } = require('../config/redis');
+
+/**
+ * POST every event as JSON to a webhook. Any non-2xx answer is a failure.
+ * @param {Object} options
+ * @param {string} options.url - Webhook URL
+ * @param {Object<string, string>} [options.headers] - Extra headers, e.g. authorization
+ * @param {number} [options.timeoutMs=5000] - Abort the request after this long
+ */
+const createWebhookTransport = ({ url, headers = {}, timeoutMs = 5000 }) => {
+  if (!url) throw new TypeError('createWebhookTransport needs a url');
+
+  return {
+    name: 'webhook',
+    send: async (event) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: JSON.stringify(event),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook ${url} answered ${response.status}`);
+      }
+    }
+  };
+};
+
+/**
+ * PUBLISH every event as JSON on a Redis channel.
+ * @param {Object} [options]
+ * @param {import('redis').RedisClientType} [options.client] - Defaults to the shared client (REDIS_URL)
+ * @param {string} [options.channel] - Channel template, {restaurantId} is filled in
+ */
+const createRedisPubSubTransport = ({ client, channel = 'table_operations:{restaurantId}' } = {}) => ({
+  name: 'redis-pubsub',
+  send: async (event) => {
+    const redis = client || await getRedisClient();
+    if (!redis) throw new Error('Redis is disabled (REDIS_URL is not set)');
+
+    await redis.publish(channel.replace(/\{restaurantId\}/g, event.restaurantId), JSON.stringify(event));
+  }
+});
+
+/**
+ * Emit every event in-process, under its type and under 'event'.
+ * @param {EventEmitter} [emitter] - Defaults to a new EventEmitter, exposed as `emitter`
+ */
+const createEventEmitterTransport = (emitter = new EventEmitter()) => ({
+  name: 'event-emitter',
+  emitter,
+  send: async (event) => {
+    emitter.emit(event.type, event);
+    emitter.emit('event', event);
+  }
+});
+
+module.exports = {
+  createWebhookTransport,
+  createRedisPubSubTransport,
+  createEventEmitterTransport
+};
@@ -0,0 +1,192 @@
+// Restaurant notifications: typed events delivered through the transports the
+// host registered (webhook, Redis pub/sub, EventEmitter or its own).
+//
+// Events are only sent after the move committed, and sending never waits for
+// a transport: the move answers while deliveries are still under way. A
+// failed delivery never fails the move: it is queued and retried in the background with
+// exponential backoff, then dropped (and handed to onDeadLetter) once it has
+// used up its attempts.
+const { randomUUID } = require('crypto');
+
+const DEFAULT_SETTINGS = {
+  // Attempts per event and transport, the first one included
+  maxAttempts: 5,
+  // Delay before the first retry, doubled on every following one
+  retryDelayMs: 500,
+  // Oldest queued deliveries are dropped beyond this
+  maxQueueSize: 1000,
+  // Called with (event, error, transportName) for every dropped delivery
+  onDeadLetter: null
+};
+
+const transportName = (transport) => transport.name || 'anonymous';
+
+const attempt = async (delivery) => {
+  delivery.attempts += 1;
+  try {
+    await delivery.transport.send(delivery.event);
+    return true;
+  } catch (error) {
+    delivery.error = error;
+    return false;
+  }
+};
+
+/**
+ * Create a notifier with its own transports, settings and retry queue.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.transports] - Transports to start with
+ * @param {Object} [options.logger] - console-like logger, defaults to console
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.retryDelayMs]
+ * @param {number} [options.maxQueueSize]
+ * @param {Function} [options.onDeadLetter]
+ */
+const createNotifier = ({ transports: initialTransports = [], logger = console, ...options } = {}) => {
+  const transports = [];
+  const queue = [];
+  // First attempts still under way
+  const inFlight = new Set();
+  const settings = { ...DEFAULT_SETTINGS };
+  let retryTimer = null;
+
+  /**
+   * Register a transport. Every event goes to every registered transport.
+   * @param {Object} transport - { name?, send(event): Promise }
+   * @returns {Function} Unregisters the transport
+   */
+  const registerTransport = (transport) => {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new TypeError('A notification transport needs a send(event) function');
+    }
+    transports.push(transport);
+    return () => {
+      const index = transports.indexOf(transport);
+      if (index !== -1) transports.splice(index, 1);
+    };
+  };
+
+  /**
+   * Tune retries and the failure queue.
+   * @param {Object} changes - maxAttempts, retryDelayMs, maxQueueSize, onDeadLetter
+   */
+  const configure = (changes = {}) => {
+    for (const field of Object.keys(settings)) {
+      if (changes[field] !== undefined) settings[field] = changes[field];
+    }
+  };
+
+  const deadLetter = (delivery) => {
+    logger.error('Dropping notification after failed deliveries:', {
+      transport: transportName(delivery.transport),
+      eventId: delivery.event.eventId,
+      type: delivery.event.type,
+      attempts: delivery.attempts,
+      error: delivery.error && delivery.error.message
+    });
+    if (settings.onDeadLetter) {
+      try {
+        settings.onDeadLetter(delivery.event, delivery.error, transportName(delivery.transport));
+      } catch (error) {
+        logger.error('Error in notification dead letter handler:', error);
+      }
+    }
+  };
+
+  const enqueue = (delivery) => {
+    if (delivery.attempts >= settings.maxAttempts) {
+      deadLetter(delivery);
+      return;
+    }
+    queue.push(delivery);
+    while (queue.length > settings.maxQueueSize) {
+      deadLetter(queue.shift());
+    }
+  };
+
+  const drainQueue = async () => {
+    retryTimer = null;
+    const pending = queue.splice(0);
+    let delivered = 0;
+    for (const delivery of pending) {
+      if (await attempt(delivery)) {
+        delivered += 1;
+      } else {
+        enqueue(delivery);
+      }
+    }
+    scheduleRetry();
+    return delivered;
+  };
+
+  const scheduleRetry = () => {
+    if (retryTimer || !queue.length) return;
+    const attempts = Math.min(...queue.map(delivery => delivery.attempts));
+    retryTimer = setTimeout(() => {
+      drainQueue().catch(error => logger.error('Error retrying notifications:', error));
+    }, settings.retryDelayMs * 2 ** (attempts - 1));
+    // Pending retries must not keep the process alive
+    if (retryTimer.unref) retryTimer.unref();
+  };
+
+  /**
+   * Wait for first attempts under way, then retry every queued delivery now
+   * instead of waiting for the next retry.
+   * @returns {Promise<{ delivered: number, pending: number }>}
+   */
+  const flush = async () => {
+    await Promise.all([...inFlight]);
+    clearTimeout(retryTimer);
+    const delivered = await drainQueue();
+    return { delivered, pending: queue.length };
+  };
+
+  /**
+   * Send an event to the restaurant's staff through every registered transport.
+   * Resolves once the deliveries are started, without waiting for them, and
+   * never throws: failed deliveries are queued for retry.
+   * @param {Object} event - { type, restaurantId, audience, title, message, data }
+   * @returns {Promise<Object>} The event as sent, with eventId and occurredAt
+   */
+  const send = async (event) => {
+    const sent = { eventId: randomUUID(), occurredAt: new Date().toISOString(), ...event };
+
+    if (!transports.length) {
+      logger.log('Sending notification to restaurant:', sent);
+      return sent;
+    }
+
+    for (const transport of transports) {
+      const delivery = { transport, event: sent, attempts: 0, error: null };
+      // Not awaited: a slow webhook must not hold up the move's response
+      const first = attempt(delivery)
+        .then((delivered) => {
+          if (delivered) return;
+          logger.error(`Notification transport ${transportName(transport)} failed, queued for retry:`, delivery.error);
+          enqueue(delivery);
+          scheduleRetry();
+        })
+        .catch(error => logger.error('Error sending notification:', error))
+        .finally(() => inFlight.delete(first));
+      inFlight.add(first);
+    }
+    return sent;
+  };
+
+  initialTransports.forEach(registerTransport);
+  configure(options);
+
+  return { registerTransport, configure, flush, send };
+};
+
+// Package-wide notifier used by the module-level table operations
+const defaultNotifier = createNotifier();
+
+module.exports = {
+  createNotifier,
+  defaultNotifier,
+  registerNotificationTransport: defaultNotifier.registerTransport,
+  configureNotifications: defaultNotifier.configure,
+  flushNotificationQueue: defaultNotifier.flush,
+  sendNotificationToRestaurant: defaultNotifier.send
+};
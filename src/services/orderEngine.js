@@ -0,0 +1,161 @@
+// Order-engine adapter: the one place that knows how to ask the order engine
+// to write a table's order, so moves get a plain function with a real result.
+const { ERROR_CODES, TableOperationError } = require('../utils/errors');
+const { orderItems, mergeItems } = require('../utils/items');
+const { withTotals } = require('./quantityLedger');
+
+// Order id in an order-engine result, whichever shape it came in
+const responseOrderId = (body) => {
+  if (!body || typeof body !== 'object') return null;
+  const id = body.orderId || body.order_id
+    || (body.order && body.order.id)
+    || (body.data && (body.data.orderId || body.data.id));
+  return id != null ? id : null;
+};
+
+/**
+ * Wrap an order engine in the contract moves rely on. The engine must expose
+ * upsertTableOrder(client, order) and write through `client`: a write on any
+ * other connection would commit outside the move's transaction and survive
+ * its rollback. Engines without it are refused up front.
+ * @param {Object} engine - Order engine module or injected implementation
+ * @throws {TableOperationError} ORDER_ENGINE_ERROR when the engine has no upsertTableOrder
+ */
+const createOrderEngineAdapter = (engine) => {
+  if (!engine || typeof engine.upsertTableOrder !== 'function') {
+    throw new TableOperationError(
+      ERROR_CODES.ORDER_ENGINE_ERROR,
+      'The order engine must provide upsertTableOrder(client, order) writing on the given client',
+      {}
+    );
+  }
+
+  return {
+    // The engine prints KOTs for the items whatever createKots says
+    writesKots: engine.writesKots === true,
+
+    /**
+     * Create or merge an order on a table, on the move's transaction.
+     * @param {import('pg').PoolClient} client - Client holding the open transaction
+     * @param {Object} order
+     * @param {string} order.restaurantId - Restaurant ID
+     * @param {string} order.tableId - Table to write the order on
+     * @param {Object} order.items - Items to add, keyed by item id
+     * @param {string} [order.targetOrderId] - Existing order to merge into
+     * @param {boolean} [order.forceNewOrder] - Create a new order even if the table has one
+     * @param {boolean} [order.createKots] - false for items the kitchen already has: the
+     *   engine writes the order only, with no KOT, print or notification for them
+     * @returns {Promise<string>} The created or merged order id
+     * @throws {TableOperationError} ORDER_ENGINE_ERROR when the engine fails or
+     *   does not say which order it wrote
+     */
+    upsertTableOrder: async (client, order) => {
+      const { tableId, targetOrderId } = order;
+      const request = { ...order, forceNewOrder: Boolean(order.forceNewOrder), createKots: order.createKots !== false };
+
+      let result;
+      try {
+        result = await engine.upsertTableOrder(client, request);
+      } catch (error) {
+        if (error instanceof TableOperationError) throw error;
+        throw new TableOperationError(ERROR_CODES.ORDER_ENGINE_ERROR, `Order engine failed: ${error.message}`, {
+          tableId,
+          targetOrderId: targetOrderId || null
+        });
+      }
+      const orderId = result !== null && typeof result === 'object' ? responseOrderId(result) : result;
+
+      // Without it the move cannot tell which order took the items: the
+      // newest one on the table may be a printed order the engine was told
+      // to leave alone
+      if (orderId == null || orderId === '') {
+        throw new TableOperationError(ERROR_CODES.ORDER_ENGINE_ERROR, 'Order engine did not return the destination order id', {
+          tableId,
+          targetOrderId: targetOrderId || null,
+          forceNewOrder: request.forceNewOrder
+        });
+      }
+      return orderId;
+    }
+  };
+};
+
+/**
+ * Order engine for @butler/order-engine versions without upsertTableOrder,
+ * writing through their Express createOrUpdateOrder(req, res) handler like
+ * moves did before they ran on one transaction. The handler writes on its
+ * own connection, where it would wait forever on the orders the move has
+ * locked, so it is only asked for new orders; items merged into an open
+ * order are added here, on the move's transaction. A new order the handler
+ * created is committed on its own and survives a move that rolls back, and
+ * the handler prints KOTs for its items even when asked not to.
+ * @param {Function} createOrUpdateOrder - The order engine's (req, res) order handler
+ */
+const createLegacyOrderEngine = (createOrUpdateOrder) => ({
+  writesKots: true,
+
+  upsertTableOrder: async (client, { restaurantId, tableId, items, targetOrderId, createKots }) => {
+    if (targetOrderId) {
+      const { rows: [target] } = await client.query(
+        `SELECT json_data FROM orders WHERE restaurant_id = $1 AND id = $2`,
+        [restaurantId, targetOrderId]
+      );
+      if (!target) throw new Error(`Order ${targetOrderId} not found`);
+
+      await client.query(
+        `UPDATE orders
+            SET json_data  = jsonb_set(COALESCE(json_data, '{}'::jsonb), '{items}', $1::jsonb),
+                updated_at = NOW()
+          WHERE id = $2`,
+        [JSON.stringify(withTotals(mergeItems([orderItems(target), items]))), targetOrderId]
+      );
+      return targetOrderId;
+    }
+
+    let status = 200;
+    let body = null;
+    const json = (data) => {
+      body = data;
+      return data;
+    };
+    await createOrUpdateOrder(
+      {
+        // Forced, so the handler never picks an order the move has locked
+        body: { restaurantId, tableId, items, orderType: 'captain', forceNewOrder: true, createKots },
+        app: { get: () => undefined }
+      },
+      {
+        status: (code) => {
+          status = code;
+          return { json };
+        },
+        json
+      }
+    );
+    if (status >= 400) {
+      throw new Error((body && (body.error || body.message)) || `createOrUpdateOrder answered ${status}`);
+    }
+    return body;
+  }
+});
+
+/**
+ * The @butler/order-engine module when it has upsertTableOrder, else its
+ * createOrUpdateOrder handler behind createLegacyOrderEngine.
+ * @returns {Object} { upsertTableOrder(client, order) }
+ */
+const loadOrderEngine = () => {
+  let engine = null;
+  try {
+    engine = require('@butler/order-engine');
+  } catch (error) {
+    // Versions without an entry point only ship the controllers
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+  }
+  if (engine && typeof engine.upsertTableOrder === 'function') return engine;
+
+  const { createOrUpdateOrder } = require('@butler/order-engine/src/controllers/orderController');
+  return createLegacyOrderEngine(createOrUpdateOrder);
+};
+
+module.exports = { createOrderEngineAdapter, createLegacyOrderEngine, loadOrderEngine };
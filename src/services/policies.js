@@ -0,0 +1,216 @@
+// Move policies: rules deciding, before anything is written, whether a move
+// may go ahead, must be refused, or needs a manager's approval token
+const { ERROR_CODES, TableOperationError } = require('../utils/errors');
+const { orderItems } = require('../utils/items');
+const { KOT_ACTION_TYPES_SQL } = require('./quantityLedger');
+
+const DECISIONS = {
+  ALLOW: 'allow',
+  DENY: 'deny',
+  REQUIRE_APPROVAL: 'requireApproval'
+};
+
+// Strictest first: any deny refuses the move, then any approval requirement
+const PRECEDENCE = [DECISIONS.DENY, DECISIONS.REQUIRE_APPROVAL, DECISIONS.ALLOW];
+
+// Default bill amount: item prices from the order's json_data, a
+// customization's own price taking precedence over the item's
+const itemsAmount = (order) => Object.values(orderItems(order)).reduce(
+  (sum, item) => sum + (item.customizations || []).reduce(
+    (itemSum, c) => itemSum + (c.qty || 0) * Number(c.price !== undefined ? c.price : item.price || 0),
+    0
+  ),
+  0
+);
+
+const within = (value, min, max) =>
+  (min === undefined || value >= min) && (max === undefined || value <= max);
+
+// A declarative rule's `when`: every condition given must hold. Order
+// conditions hold when at least one order the move touches meets all of them.
+const matches = (when, context) => {
+  const { actor, operation, orders } = context;
+  if (when.operations && !when.operations.includes(operation)) return false;
+  if (when.roles && !when.roles.includes(actor.role)) return false;
+  if (when.exceptRoles && when.exceptRoles.includes(actor.role)) return false;
+
+  const orderConditions = ['printed', 'hasDiscounts', 'minBillAmount', 'maxBillAmount', 'minMinutesSinceKot', 'maxMinutesSinceKot']
+    .filter(field => when[field] !== undefined);
+  if (!orderConditions.length) return true;
+
+  const kotConditions = when.minMinutesSinceKot !== undefined || when.maxMinutesSinceKot !== undefined;
+  return orders.some(order =>
+    (when.printed === undefined || order.printed === when.printed)
+    && (when.hasDiscounts === undefined || (order.discounts.length > 0) === when.hasDiscounts)
+    && within(order.billAmount, when.minBillAmount, when.maxBillAmount)
+    && (!kotConditions
+      || (order.minutesSinceKot !== null && within(order.minutesSinceKot, when.minMinutesSinceKot, when.maxMinutesSinceKot))));
+};
+
+// Run one rule: a function returning a decision (or nothing, to abstain), or
+// { when, decision, reason }
+const applyRule = async (rule, context) => {
+  const outcome = typeof rule === 'function'
+    ? await rule(context)
+    : (matches(rule.when || {}, context) ? rule : null);
+  if (!outcome) return null;
+  if (typeof outcome === 'string') return { decision: outcome };
+  return { decision: outcome.decision, reason: outcome.reason };
+};
+
+/**
+ * Build a move policy from an ordered list of rules.
+ * @param {Object} options
+ * @param {Array<Function|Object>} options.rules - Functions (context) => decision
+ *   | { decision, reason } | undefined, or declarative { when, decision, reason }
+ * @param {Function} [options.verifyApproval] - async (token, context) => truthy
+ *   when the approval token is valid for this move
+ * @param {Function} [options.billAmount] - (orderRow) => number; defaults to
+ *   the item prices in json_data
+ * @param {string} [options.defaultDecision] - When no rule decides; 'allow'
+ * @returns {{ evaluate: Function, authorize: Function, billAmount: Function }}
+ */
+const createMovePolicy = ({
+  rules = [],
+  verifyApproval = null,
+  billAmount = itemsAmount,
+  defaultDecision = DECISIONS.ALLOW
+} = {}) => {
+  for (const rule of rules) {
+    if (typeof rule !== 'function' && !(rule && PRECEDENCE.includes(rule.decision))) {
+      throw new TypeError(`A move policy rule must be a function or have a decision of ${PRECEDENCE.join(', ')}`);
+    }
+  }
+
+  /**
+   * Decide on a move.
+   * @param {Object} context - See buildPolicyContext
+   * @returns {Promise<{ decision: string, reasons: Array<string> }>}
+   */
+  const evaluate = async (context) => {
+    const outcomes = [];
+    for (const rule of rules) {
+      const outcome = await applyRule(rule, context);
+      if (outcome) outcomes.push(outcome);
+    }
+
+    const decision = PRECEDENCE.find(d => outcomes.some(o => o.decision === d)) || defaultDecision;
+    const reasons = outcomes.filter(o => o.decision === decision && o.reason).map(o => o.reason);
+    return { decision, reasons };
+  };
+
+  /**
+   * Decide on a move and refuse it unless it may go ahead.
+   * @param {Object} context - See buildPolicyContext
+   * @param {string} [approvalToken] - Token from the caller, checked with verifyApproval
+   * @returns {Promise<{ decision: string, reasons: Array<string>, approved?: boolean }>}
+   * @throws {TableOperationError} MOVE_DENIED / APPROVAL_REQUIRED
+   */
+  const authorize = async (context, approvalToken) => {
+    const outcome = await evaluate(context);
+    const details = { operation: context.operation, reasons: outcome.reasons };
+
+    if (outcome.decision === DECISIONS.DENY) {
+      throw new TableOperationError(ERROR_CODES.MOVE_DENIED, 'This move is not allowed', details);
+    }
+    if (outcome.decision === DECISIONS.REQUIRE_APPROVAL) {
+      if (!approvalToken) {
+        throw new TableOperationError(ERROR_CODES.APPROVAL_REQUIRED, 'This move needs an approval token', details);
+      }
+      if (!verifyApproval || !(await verifyApproval(approvalToken, context))) {
+        throw new TableOperationError(ERROR_CODES.APPROVAL_REQUIRED, 'The approval token was not accepted', {
+          ...details,
+          invalidToken: true
+        });
+      }
+      return { ...outcome, approved: true };
+    }
+    return outcome;
+  };
+
+  return { evaluate, authorize, billAmount };
+};
+
+// Orders a plan moves: the order it takes KOTs or items from (or transfers
+// on its own), or else everything on the tables it empties (both tables for a swap)
+const movedOrderIds = (plan, tableOrders) => {
+  if (plan.orderId && plan.operation !== 'moveTable') return [String(plan.orderId)];
+  if (plan.scope === 'order') return [String(plan.sourceOrderId)];
+  const sourceTables = plan.operation === 'moveTable'
+    ? [String(plan.oldTableId)]
+    : (plan.tableIds || [plan.oldTableId, plan.newTableId]).map(String);
+  return tableOrders.filter(o => sourceTables.includes(String(o.table_id))).map(o => String(o.id));
+};
+
+/**
+ * What policy rules get to look at for a planned move, read on the move's
+ * transaction:
+ *   { operation, restaurantId, tableIds, actor, plan,
+ *     orders: [{ id, tableId, printed, billAmount, discounts, kotSentAt, minutesSinceKot, row }] }
+ * `kotSentAt` is the oldest active KOT of the order (of the moved KOTs, for
+ * moveKOT); `minutesSinceKot` is null when the order has none.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} plan - The planned move
+ * @param {Object} data - The move's payload (actor)
+ * @param {Object} policy - createMovePolicy result
+ * @returns {Promise<Object>}
+ */
+const buildPolicyContext = async (client, plan, data, policy) => {
+  const { restaurantId } = plan;
+  const tableIds = (plan.tableIds || [plan.oldTableId, plan.newTableId]).map(String);
+
+  const { rows: tableOrders } = await client.query(
+    `SELECT * FROM orders WHERE restaurant_id = $1 AND table_id = ANY($2::text[])`,
+    [restaurantId, tableIds]
+  );
+  const orderIds = movedOrderIds(plan, tableOrders);
+  const moved = tableOrders.filter(o => orderIds.includes(String(o.id)));
+
+  const { rows: discounts } = await client.query(
+    `SELECT * FROM discounts
+      WHERE restaurant_id = $1 AND table_number = ANY($2::text[]) AND is_active = true`,
+    [restaurantId, [...new Set(moved.map(o => String(o.table_id)))]]
+  );
+  const { rows: kots } = await client.query(
+    `SELECT order_id::text AS order_id, MIN(created_at) AS sent_at
+       FROM notifications
+      WHERE restaurant_id = $1
+        AND order_id::text = ANY($2::text[])
+        AND action_type IN ${KOT_ACTION_TYPES_SQL}
+        AND active = true
+        AND ($3::text[] IS NULL OR notification_id::text = ANY($3::text[]))
+      GROUP BY order_id`,
+    [restaurantId, orderIds, plan.operation === 'moveKOT' ? plan.notificationIds.map(String) : null]
+  );
+
+  const now = Date.now();
+  const orders = moved.map((order) => {
+    const kot = kots.find(k => k.order_id === String(order.id));
+    const kotSentAt = kot && kot.sent_at ? new Date(kot.sent_at) : null;
+    return {
+      id: String(order.id),
+      tableId: String(order.table_id),
+      printed: order.print_status === true,
+      billAmount: policy.billAmount(order),
+      discounts: discounts.filter(d => String(d.table_number) === String(order.table_id)),
+      kotSentAt,
+      minutesSinceKot: kotSentAt ? (now - kotSentAt.getTime()) / 60000 : null,
+      row: order
+    };
+  });
+
+  return {
+    operation: plan.escalatedFrom || plan.operation,
+    restaurantId,
+    tableIds,
+    actor: data.actor || {},
+    plan,
+    orders
+  };
+};
+
+module.exports = {
+  DECISIONS,
+  createMovePolicy,
+  buildPolicyContext
+};
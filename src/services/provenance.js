@@ -0,0 +1,221 @@
+// Order provenance: where each order's items came from. Every move writes one
+// order_provenance row per order it put items on and per order they came
+// from; getOrderLineage follows them back through earlier moves.
+const { sumItemQuantities, orderItems } = require('../utils/items');
+const { KOT_ACTION_TYPES } = require('./quantityLedger');
+
+// Moves followed back from an order, at most
+const MAX_LINEAGE_DEPTH = 50;
+
+const toEntry = (row) => ({
+  provenanceId: String(row.provenance_id),
+  orderId: row.order_id,
+  tableId: row.table_id,
+  sourceOrderId: row.source_order_id,
+  sourceTableId: row.source_table_id,
+  kind: row.kind,
+  operation: row.operation,
+  moveId: row.move_id,
+  notificationIds: row.notification_ids,
+  items: row.items,
+  instructions: row.instructions,
+  actor: row.actor,
+  reasonCode: row.reason_code,
+  reason: row.reason,
+  createdAt: row.created_at,
+  undoneAt: row.undone_at,
+  ...(row.depth !== undefined ? { depth: row.depth } : {})
+});
+
+// Active KOTs of an order in a before snapshot
+const orderKotIds = (rows, orderId) => (rows.notifications || [])
+  .filter(n => String(n.order_id) === String(orderId) && n.active && KOT_ACTION_TYPES.includes(n.action_type))
+  .map(n => String(n.notification_id));
+
+// An order that changed table or was merged whole, as it was before the move
+const wholeOrder = (rows, entry) => {
+  const order = (rows.orders || []).find(o => String(o.id) === String(entry.sourceOrderId));
+  return {
+    ...entry,
+    notificationIds: orderKotIds(rows, entry.sourceOrderId),
+    items: sumItemQuantities([orderItems(order)]),
+    instructions: entry.kind === 'merge' && order ? order.instructions || null : null
+  };
+};
+
+// Part of an order: KOTs or items
+const partOfOrder = (entry, items, notificationIds) => ({
+  ...entry,
+  kind: 'items',
+  notificationIds: notificationIds.map(String),
+  items: sumItemQuantities([items]),
+  instructions: null
+});
+
+// { orderId, tableId, sourceOrderId, sourceTableId, kind, notificationIds, items, instructions }
+// per order the move put items on and per order they came from
+const provenanceEntries = (plan, result, rows) => {
+  switch (plan.operation) {
+    case 'moveTable':
+      if (!plan.sourceOrderId) return [];
+      return [wholeOrder(rows, {
+        orderId: result.destinationOrderId,
+        tableId: plan.newTableId,
+        sourceOrderId: plan.sourceOrderId,
+        sourceTableId: plan.oldTableId,
+        kind: plan.strategy === 'merge' ? 'merge' : 'order'
+      })];
+
+    case 'swapTables':
+      return [[plan.oldTableId, plan.newTableId], [plan.newTableId, plan.oldTableId]].flatMap(([from, to]) =>
+        plan.tables[from].orderIds.map(orderId => wholeOrder(rows, {
+          orderId,
+          tableId: to,
+          sourceOrderId: orderId,
+          sourceTableId: from,
+          kind: 'order'
+        })));
+
+    case 'mergeTables':
+      return plan.sources.flatMap(source => source.orderIds.map((orderId) => {
+        const merged = plan.mergedOrderIds.some(id => String(id) === String(orderId));
+        return wholeOrder(rows, {
+          orderId: merged ? result.billOrderId : orderId,
+          tableId: plan.newTableId,
+          sourceOrderId: orderId,
+          sourceTableId: source.tableId,
+          kind: merged ? 'merge' : 'order'
+        });
+      }));
+
+    case 'splitTable':
+      return result.splits.map(split => partOfOrder(
+        {
+          orderId: split.destinationOrderId,
+          tableId: split.tableId,
+          sourceOrderId: plan.orderId,
+          sourceTableId: plan.oldTableId
+        },
+        plan.splits.find(s => String(s.tableId) === String(split.tableId)).items,
+        split.transferTicket ? split.transferTicket.originalNotificationIds : []
+      ));
+
+    case 'moveKOT':
+      return [partOfOrder(
+        { orderId: result.destinationOrderId, tableId: plan.newTableId, sourceOrderId: plan.orderId, sourceTableId: plan.oldTableId },
+        plan.itemsToPrint,
+        plan.notificationIds
+      )];
+
+    default:
+      return [partOfOrder(
+        { orderId: result.destinationOrderId, tableId: plan.newTableId, sourceOrderId: plan.orderId, sourceTableId: plan.oldTableId },
+        plan.itemsForNewTable,
+        result.transferTicket ? result.transferTicket.originalNotificationIds : []
+      )];
+  }
+};
+
+/**
+ * Write the provenance rows of a move applied on `client`, so they commit or
+ * roll back together with it.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} move
+ * @param {Object} move.plan - The applied plan
+ * @param {Object} move.result - What the apply step returned
+ * @param {Object} move.rows - captureRows snapshot from before the move
+ * @param {string} move.moveId - The move's change set
+ * @param {Object} [move.actor] - { captainId, device, role }
+ * @param {string} [move.reasonCode] - Reason code picked by the captain
+ * @param {string} [move.reason] - Free-text note
+ * @returns {Promise<number>} Rows written
+ */
+const recordProvenance = async (client, { plan, result, rows, moveId, actor, reasonCode, reason }) => {
+  const entries = provenanceEntries(plan, result, rows).filter(entry => entry.orderId != null);
+  for (const entry of entries) {
+    await client.query(
+      `INSERT INTO order_provenance (
+         restaurant_id, order_id, table_id, source_order_id, source_table_id, kind, operation,
+         move_id, notification_ids, items, instructions, actor, reason_code, reason
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+      [
+        plan.restaurantId,
+        String(entry.orderId),
+        String(entry.tableId),
+        String(entry.sourceOrderId),
+        String(entry.sourceTableId),
+        entry.kind,
+        plan.escalatedFrom || plan.operation,
+        moveId,
+        entry.notificationIds,
+        JSON.stringify(entry.items),
+        entry.instructions,
+        actor ? JSON.stringify(actor) : null,
+        reasonCode || null,
+        reason || null
+      ]
+    );
+  }
+  return entries.length;
+};
+
+/**
+ * Mark the provenance rows of an undone move. They stay for history but no
+ * longer count towards any lineage.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {string} moveId - The undone move
+ */
+const markProvenanceUndone = (client, moveId) => client.query(
+  `UPDATE order_provenance SET undone_at = NOW() WHERE move_id = $1 AND undone_at IS NULL`,
+  [moveId]
+);
+
+/**
+ * An order's lineage: every move that put items on it and, through their
+ * source orders, every earlier move those items went through; plus the moves
+ * that took items off it. Undone moves are left out.
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query on
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} orderId - Order ID
+ * @returns {Promise<{ entries: Array<Object>, movedOut: Array<Object> }>} Oldest first;
+ *   `depth` is 1 for moves onto the order itself, 2 for moves onto its source orders, and so on
+ */
+const readLineage = async (db, restaurantId, orderId) => {
+  // Only earlier moves lead further back, so an order moving between tables
+  // several times never loops
+  const { rows: lineage } = await db.query(
+    `WITH RECURSIVE lineage AS (
+       SELECT p.*, 1 AS depth
+         FROM order_provenance p
+        WHERE p.restaurant_id = $1 AND p.order_id = $2 AND p.undone_at IS NULL
+       UNION ALL
+       SELECT p.*, l.depth + 1
+         FROM order_provenance p
+         JOIN lineage l
+           ON p.restaurant_id = l.restaurant_id
+          AND p.order_id = l.source_order_id
+          AND p.provenance_id < l.provenance_id
+        WHERE p.undone_at IS NULL AND l.depth < $3
+     )
+     SELECT DISTINCT ON (provenance_id) *
+       FROM lineage
+      ORDER BY provenance_id, depth`,
+    [restaurantId, String(orderId), MAX_LINEAGE_DEPTH]
+  );
+  const { rows: movedOut } = await db.query(
+    `SELECT * FROM order_provenance
+      WHERE restaurant_id = $1
+        AND source_order_id = $2
+        AND order_id <> source_order_id
+        AND undone_at IS NULL
+      ORDER BY provenance_id`,
+    [restaurantId, String(orderId)]
+  );
+  return { entries: lineage.map(toEntry), movedOut: movedOut.map(toEntry) };
+};
+
+module.exports = {
+  recordProvenance,
+  markProvenanceUndone,
+  readLineage
+};
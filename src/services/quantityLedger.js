@@ -0,0 +1,388 @@
+// Quantity ledger: the one set of rules every move uses to change quantities
+// in orders.json_data.items, KOT payloads (notification_data) and
+// order_customization_deliveries, plus the invariant tying them together.
+//
+//   Order customization:     `qty` units are on the order; the item's
+//                            `totalQty` is the sum of its customizations' qty
+//   KOT / delivery entry:    contributes `qtyChange` units when set (an
+//                            order-updated KOT only prints the change), else `qty`
+//   Invariant, per table:    order qty of an item == units of its active KOTs
+const { ERROR_CODES, TableOperationError } = require('../utils/errors');
+const { itemQuantity, orderItems, customizationKey } = require('../utils/items');
+
+// Notification action types that are KOTs. A kot_transfer KOT carries items a
+// move brought over from another table: it counts like any KOT but is not
+// cooked again.
+const KOT_ACTION_TYPES = ['order_created', 'order-updated', 'kot_transfer'];
+// For `action_type IN ${KOT_ACTION_TYPES_SQL}`
+const KOT_ACTION_TYPES_SQL = `(${KOT_ACTION_TYPES.map(type => `'${type}'`).join(', ')})`;
+
+const cloneJson = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+// Units a KOT customization or delivery entry stands for
+const kotUnits = (entry) => (entry.qtyChange !== undefined ? entry.qtyChange : entry.qty || 0);
+
+// Take units off a KOT customization or delivery entry, keeping qty and
+// qtyChange in step
+const reduceKotEntry = (entry, units) => {
+  entry.qty = Math.max(0, (entry.qty || 0) - units);
+  if (entry.qtyChange !== undefined) {
+    entry.qtyChange -= units;
+  }
+  return entry;
+};
+
+/**
+ * Recompute every item's totalQty from its customizations, in place.
+ * @param {Object} items - `items` object
+ * @returns {Object} The same object
+ */
+const withTotals = (items) => {
+  for (const item of Object.values(items)) {
+    item.totalQty = itemQuantity(item);
+  }
+  return items;
+};
+
+// The entries among `candidates` for the moved customization, matched on
+// variation + addons; all of them when none matches (or no customization is given)
+const matchingCustomization = (candidates, customization, detailsOf = c => c) => {
+  if (!customization) return candidates;
+  const key = customizationKey(customization);
+  const matching = candidates.filter(candidate => customizationKey(detailsOf(candidate)) === key);
+  return matching.length ? matching : candidates;
+};
+
+// Indices of the customizations a line takes units from: the one at
+// customizationIndex, those matching `customization` ({ variation, addons }),
+// or all of the item's customizations in order
+const selectCustomizations = (customizations, line) => {
+  const indices = customizations.map((c, index) => index);
+  if (line.customizationIndex !== undefined) {
+    return customizations[line.customizationIndex] ? [line.customizationIndex] : [];
+  }
+  if (line.customization) {
+    const key = customizationKey(line.customization);
+    return indices.filter(index => customizationKey(customizations[index]) === key);
+  }
+  return indices;
+};
+
+/**
+ * Resolve item lines ({ itemId, quantity, customizationIndex?, customization? })
+ * to the exact customization units they take from the order.
+ * @param {Object} oldItems - The order's items
+ * @param {Array<Object>} lines - Lines to take
+ * @param {Object} context - { orderId, verb } for error messages
+ * @param {Map} [taken] - `${itemId}#${index}` -> units already taken by earlier
+ *   calls (other splits); updated in place
+ * @returns {{ items: Object, moves: Array<Object> }} The taken `items` object,
+ *   and one { itemId, quantity, customization } per customization taken from
+ * @throws {TableOperationError} ITEM_NOT_FOUND / QTY_EXCEEDS_AVAILABLE
+ */
+const takeCustomizations = (oldItems, lines, { orderId, verb }, taken = new Map()) => {
+  const items = {};
+  const moves = [];
+
+  for (const line of lines) {
+    const { itemId, quantity, customizationIndex, customization } = line;
+    const selector = { customizationIndex, customization };
+    const item = oldItems[itemId];
+    if (!item) {
+      throw new TableOperationError(ERROR_CODES.ITEM_NOT_FOUND, `Item ${itemId} not found in the order`, {
+        orderId,
+        itemId
+      });
+    }
+
+    const customizations = item.customizations || [];
+    const candidates = selectCustomizations(customizations, line);
+    if (!candidates.length) {
+      throw new TableOperationError(ERROR_CODES.ITEM_NOT_FOUND, `Item ${itemId} has no matching customization`, {
+        orderId,
+        itemId,
+        ...selector
+      });
+    }
+
+    const left = (index) => (customizations[index].qty || 0) - (taken.get(`${itemId}#${index}`) || 0);
+    const available = candidates.reduce((sum, index) => sum + Math.max(0, left(index)), 0);
+    if (quantity > available) {
+      throw new TableOperationError(
+        ERROR_CODES.QTY_EXCEEDS_AVAILABLE,
+        `Cannot ${verb} ${quantity} of item ${itemId}, only ${available} on the order`,
+        { orderId, itemId, ...selector, requested: quantity, available }
+      );
+    }
+
+    let remainingQty = quantity;
+    for (const index of candidates) {
+      const qty = Math.min(remainingQty, left(index));
+      if (qty <= 0) continue;
+
+      taken.set(`${itemId}#${index}`, (taken.get(`${itemId}#${index}`) || 0) + qty);
+      remainingQty -= qty;
+      if (!items[itemId]) items[itemId] = { ...item, customizations: [] };
+      items[itemId].customizations.push({ ...customizations[index], qty });
+      moves.push({ itemId, quantity: qty, customization: customizations[index] });
+    }
+  }
+
+  return { items: withTotals(items), moves };
+};
+
+// The order's items minus everything in `taken` (see takeCustomizations)
+const remainingAfter = (oldItems, taken) => {
+  const remainingItems = cloneJson(oldItems);
+  for (const [key, qty] of taken) {
+    const separator = key.lastIndexOf('#');
+    const customization = remainingItems[key.slice(0, separator)].customizations[Number(key.slice(separator + 1))];
+    customization.qty = (customization.qty || 0) - qty;
+  }
+  for (const [itemId, item] of Object.entries(remainingItems)) {
+    item.customizations = (item.customizations || []).filter(c => (c.qty || 0) > 0);
+    if (!item.customizations.length) delete remainingItems[itemId];
+  }
+  return withTotals(remainingItems);
+};
+
+// Total moved per item, as reported in movedItems
+const movedPerItem = (items) =>
+  Object.entries(items).map(([itemId, item]) => ({ itemId, quantity: itemQuantity(item) }));
+
+/**
+ * Items carried by whole KOTs, from their delivery rows: each entry becomes
+ * a customization with the units it stands for as qty.
+ * @param {Array<Object>} deliveries - { item_id, customization_details } rows
+ * @returns {{ items: Object, moves: Array<Object> }} Like takeCustomizations
+ */
+const kotItems = (deliveries) => {
+  const items = {};
+  const moves = [];
+  for (const { item_id: itemId, customization_details: details } of deliveries) {
+    const { qtyChange, ...customization } = details;
+    const units = kotUnits(details);
+    if (!items[itemId]) items[itemId] = { customizations: [] };
+    items[itemId].customizations.push({ ...customization, qty: units });
+    moves.push({ itemId, quantity: units, customization });
+  }
+  return { items: withTotals(items), moves };
+};
+
+/**
+ * The order's items minus `moves`, each taken off the customization matching
+ * it (variation + addons). Customizations and items left empty are dropped.
+ * @param {Object} oldItems - The order's items
+ * @param {Array<Object>} moves - { itemId, quantity, customization }
+ * @returns {Object} New `items` object
+ */
+const removeUnits = (oldItems, moves) => {
+  const remainingItems = cloneJson(oldItems);
+  for (const { itemId, quantity, customization } of moves) {
+    const item = remainingItems[itemId];
+    if (!item) continue;
+
+    const key = customizationKey(customization);
+    const target = (item.customizations || []).find(c => customizationKey(c) === key);
+    if (target) {
+      target.qty = (target.qty || 0) - quantity;
+    }
+    item.customizations = (item.customizations || []).filter(c => (c.qty || 0) > 0);
+    if (!item.customizations.length) delete remainingItems[itemId];
+  }
+  return withTotals(remainingItems);
+};
+
+// Delivery states in the order moved units are taken from them: what is still
+// pending goes first, then what was served, and cancelled units last (only
+// reached when a customization moves whole)
+const DELIVERY_STATES = ['pending', 'delivered', 'cancelled'];
+
+const deliveryState = (delivery) => {
+  if (delivery.cancelled) return 'cancelled';
+  return delivery.delivered ? 'delivered' : 'pending';
+};
+
+/**
+ * Take moved units off the deliveries of each moved customization, state by
+ * state (see DELIVERY_STATES), KOT by KOT, and work out the delivery rows
+ * that follow them. `moves` may list an item more than once (one line per
+ * customization or split); every delivery is rewritten once, with what is
+ * left after all of them.
+ * @param {Array<Object>} deliveries - The order's delivery rows, every state
+ * @param {Array<Object>} notifications - The order's active KOTs, in the order to take from
+ * @param {Array<Object>} moves - { itemId, quantity, customization }
+ * @returns {{ deliveryUpdates: Array<Object>, carried: Array<Array<Object>> }}
+ *   { id, customization_details } per source row left with fewer units, and
+ *   per move the rows its units take along: { row, units, whole }, whole when
+ *   the row moves as it is rather than as a copy of `units` units
+ */
+const rebalanceDeliveries = (deliveries, notifications, moves) => {
+  const updates = new Map();
+  const takes = new Map();
+  const current = (delivery) => (updates.has(delivery.id)
+    ? updates.get(delivery.id).customization_details
+    : delivery.customization_details);
+
+  // KOT by KOT in the order given; rows of KOTs no longer active (served and
+  // handled) come last
+  const kotRank = (delivery) => {
+    const rank = notifications.findIndex(n => String(n.notification_id) === String(delivery.notification_id));
+    return rank === -1 ? notifications.length : rank;
+  };
+  const ordered = [...deliveries].sort((a, b) => kotRank(a) - kotRank(b));
+
+  moves.forEach(({ itemId, quantity: requestedQty, customization }, moveIndex) => {
+    let remainingQtyToMove = requestedQty;
+    const matching = matchingCustomization(
+      ordered.filter(d => d.item_id === itemId),
+      customization,
+      d => d.customization_details
+    );
+
+    for (const state of DELIVERY_STATES) {
+      for (const delivery of matching.filter(d => deliveryState(d) === state)) {
+        if (remainingQtyToMove <= 0) break;
+
+        const units = Math.min(remainingQtyToMove, kotUnits(current(delivery)));
+        if (units <= 0) continue;
+
+        updates.set(delivery.id, {
+          id: delivery.id,
+          customization_details: reduceKotEntry({ ...current(delivery) }, units)
+        });
+        if (!takes.has(delivery.id)) takes.set(delivery.id, { delivery, portions: [] });
+        takes.get(delivery.id).portions.push({ moveIndex, units });
+        remainingQtyToMove -= units;
+      }
+    }
+  });
+
+  // A row taken whole by one move follows as it is; any other is rewritten on
+  // the source and copied for each move that took some of it
+  const carried = moves.map(() => []);
+  for (const { delivery, portions } of takes.values()) {
+    if (portions.length === 1 && portions[0].units === kotUnits(delivery.customization_details)) {
+      updates.delete(delivery.id);
+      carried[portions[0].moveIndex].push({ row: delivery, units: portions[0].units, whole: true });
+      continue;
+    }
+    for (const { moveIndex, units } of portions) {
+      carried[moveIndex].push({ row: delivery, units, whole: false });
+    }
+  }
+
+  return { deliveryUpdates: [...updates.values()], carried };
+};
+
+// A KOT whose entries no longer stand for any unit
+const isEmptyKot = (notificationData) => !notificationData || !Object.values(notificationData)
+  .some(item => (item.customizations || []).some(c => kotUnits(c) > 0));
+
+// Rewrite KOT payloads: take the moved units off the customization matching
+// the moved one in each KOT, oldest first, then off the basic customizations
+// for whatever no KOT matched. KOTs left with nothing are deleted, not
+// deactivated.
+const rebalanceKots = (notifications, moves) => {
+  const activeNotifications = notifications
+    .map(n => ({ ...n, notification_data: cloneJson(n.notification_data) }))
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));  // Process oldest first
+  const rewrittenIds = new Set();
+
+  for (const { itemId, quantity: qtyToMove, customization } of moves) {
+    let remainingQtyToMove = qtyToMove;
+    const key = customization && customizationKey(customization);
+    const passes = key
+      ? [c => customizationKey(c) === key, c => c.isBasic === true]
+      : [c => c.isBasic === true];
+
+    for (const isTarget of passes) {
+      // Process each notification until we've moved all quantity
+      for (const notification of activeNotifications) {
+        if (remainingQtyToMove <= 0) break;
+
+        const targetItem = notification.notification_data && notification.notification_data[itemId];
+        if (!targetItem || !targetItem.customizations) continue;
+
+        for (const target of targetItem.customizations.filter(isTarget)) {
+          const currentQty = kotUnits(target);
+          if (currentQty <= 0 || remainingQtyToMove <= 0) continue;
+
+          const qtyToReduceHere = Math.min(remainingQtyToMove, currentQty);
+          remainingQtyToMove -= qtyToReduceHere;
+          reduceKotEntry(target, qtyToReduceHere);
+          rewrittenIds.add(notification.notification_id);
+        }
+      }
+    }
+  }
+
+  const deletedNotificationIds = activeNotifications
+    .filter(n => isEmptyKot(n.notification_data))
+    .map(n => n.notification_id);
+  const notificationRewrites = activeNotifications
+    .filter(n => rewrittenIds.has(n.notification_id) && !deletedNotificationIds.includes(n.notification_id))
+    .map(n => ({ notificationId: n.notification_id, notificationData: n.notification_data }));
+
+  return { notificationRewrites, deletedNotificationIds };
+};
+
+/**
+ * Compare, per table and item, the quantity on the orders with the units of
+ * the active KOTs.
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query on
+ * @param {string} restaurantId - Restaurant ID
+ * @param {Array<string>} tableIds - Tables to check
+ * @returns {Promise<Array<{ tableId: string, itemId: string, orderQty: number, kotQty: number }>>}
+ *   Every item whose quantities differ; empty when the ledger balances
+ */
+const findQuantityMismatches = async (db, restaurantId, tableIds) => {
+  const tables = tableIds.map(String);
+  const { rows: orders } = await db.query(
+    `SELECT table_id, json_data FROM orders
+      WHERE restaurant_id = $1 AND table_id = ANY($2::text[])`,
+    [restaurantId, tables]
+  );
+  const { rows: kots } = await db.query(
+    `SELECT table_number, notification_data FROM notifications
+      WHERE restaurant_id = $1
+        AND table_number = ANY($2::text[])
+        AND action_type IN ${KOT_ACTION_TYPES_SQL}
+        AND active = true`,
+    [restaurantId, tables]
+  );
+
+  const totals = {};
+  const add = (tableId, itemId, field, qty) => {
+    const key = `${tableId}\u0000${itemId}`;
+    if (!totals[key]) totals[key] = { tableId: String(tableId), itemId, orderQty: 0, kotQty: 0 };
+    totals[key][field] += qty;
+  };
+  for (const order of orders) {
+    for (const [itemId, item] of Object.entries(orderItems(order))) {
+      add(order.table_id, itemId, 'orderQty', itemQuantity(item));
+    }
+  }
+  for (const kot of kots) {
+    for (const [itemId, item] of Object.entries(kot.notification_data || {})) {
+      add(kot.table_number, itemId, 'kotQty', (item.customizations || []).reduce((sum, c) => sum + kotUnits(c), 0));
+    }
+  }
+
+  return Object.values(totals).filter(total => total.orderQty !== total.kotQty);
+};
+
+module.exports = {
+  KOT_ACTION_TYPES,
+  KOT_ACTION_TYPES_SQL,
+  kotUnits,
+  withTotals,
+  takeCustomizations,
+  remainingAfter,
+  movedPerItem,
+  kotItems,
+  removeUnits,
+  rebalanceDeliveries,
+  rebalanceKots,
+  findQuantityMismatches
+};
@@ -0,0 +1,105 @@
+// Session stores used by migrateTableSessions.
+//
+// A store reads and writes whole keys as { type, value, ttlMs } entries:
+//   string: value is a string
+//   hash:   value is { field: string }
+//   set:    value is [member]
+//   list:   value is [element]
+//   zset:   value is [{ value, score }]
+// ttlMs is the remaining time to live, null for keys without one.
+
+const readers = {
+  string: (client, key) => client.get(key),
+  hash: (client, key) => client.hGetAll(key),
+  set: (client, key) => client.sMembers(key),
+  list: (client, key) => client.lRange(key, 0, -1),
+  zset: (client, key) => client.zRangeWithScores(key, 0, -1)
+};
+
+const writers = {
+  string: (multi, key, value) => multi.set(key, value),
+  hash: (multi, key, value) => (Object.keys(value).length ? multi.hSet(key, value) : multi),
+  set: (multi, key, value) => (value.length ? multi.sAdd(key, value) : multi),
+  list: (multi, key, value) => (value.length ? multi.rPush(key, value) : multi),
+  zset: (multi, key, value) => (value.length ? multi.zAdd(key, value) : multi)
+};
+
+/**
+ * Store backed by a connected node-redis v4 client.
+ * @param {import('redis').RedisClientType} client
+ */
+const createRedisSessionStore = (client) => ({
+  read: async (key) => {
+    const type = await client.type(key);
+    if (!readers[type]) return null;
+
+    const [value, ttlMs] = await Promise.all([readers[type](client, key), client.pTTL(key)]);
+    return { type, value, ttlMs: ttlMs >= 0 ? ttlMs : null };
+  },
+
+  // Replace the key in one MULTI so readers never see it half written
+  write: async (key, { type, value, ttlMs }) => {
+    let multi = writers[type](client.multi().del(key), key, value);
+    if (ttlMs != null) {
+      multi = multi.pExpire(key, Math.max(1, Math.round(ttlMs)));
+    }
+    await multi.exec();
+  },
+
+  remove: async (key) => {
+    await client.del(key);
+  }
+});
+
+/**
+ * In-memory stand-in with the same behaviour, for tests and local runs.
+ * @param {Object<string, { type: string, value: *, ttlMs?: number }>} [initial] - Keys to start with
+ */
+const createMemorySessionStore = (initial = {}) => {
+  const keys = new Map();
+  const clone = (value) => JSON.parse(JSON.stringify(value));
+
+  const write = async (key, { type, value, ttlMs }) => {
+    keys.set(key, {
+      type,
+      value: clone(value),
+      expiresAt: ttlMs != null ? Date.now() + ttlMs : null
+    });
+  };
+
+  const read = async (key) => {
+    const entry = keys.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt != null && entry.expiresAt <= Date.now()) {
+      keys.delete(key);
+      return null;
+    }
+    return {
+      type: entry.type,
+      value: clone(entry.value),
+      ttlMs: entry.expiresAt != null ? entry.expiresAt - Date.now() : null
+    };
+  };
+
+  for (const [key, entry] of Object.entries(initial)) {
+    write(key, entry);
+  }
+
+  return {
+    read,
+    write,
+    remove: async (key) => {
+      keys.delete(key);
+    },
+    // Live keys, for inspecting the store in tests
+    keys: () => [...keys.keys()].filter(key => {
+      const { expiresAt } = keys.get(key);
+      return expiresAt == null || expiresAt > Date.now();
+    })
+  };
+};
+
+module.exports = {
+  createRedisSessionStore,
+  createMemorySessionStore
+};
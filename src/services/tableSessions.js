@@ -0,0 +1,196 @@
+// Table session migration: moves guests' QR/OTP session keys along with a table
+const { getRedisClient } = require('../config/redis');
+const { createRedisSessionStore } = require('./sessionStores');
+
+// Keys holding one table's session; {restaurantId} and {tableId} are filled in
+const DEFAULT_KEY_SCHEMA = {
+  session: 'table_session:{restaurantId}:{tableId}',
+  guests: 'table_session:{restaurantId}:{tableId}:guests',
+  otp: 'table_otp:{restaurantId}:{tableId}'
+};
+
+const settings = {
+  store: null,
+  keySchema: DEFAULT_KEY_SCHEMA,
+  // Hash field holding the table id, rewritten to the new table
+  tableIdField: 'tableId',
+  // TTL for migrated keys that had none; null keeps them persistent
+  defaultTtlSeconds: null
+};
+
+/**
+ * Configure session migration. Without a store, the shared Redis client
+ * (REDIS_URL) is used, and migration is skipped when Redis is disabled.
+ * @param {Object} options
+ * @param {Object} [options.store] - createRedisSessionStore / createMemorySessionStore result
+ * @param {Object<string, string>} [options.keySchema] - Key name -> template using {restaurantId} and {tableId}
+ * @param {string} [options.tableIdField] - Hash field holding the table id
+ * @param {number} [options.defaultTtlSeconds] - TTL for migrated keys that had none
+ */
+const configureTableSessions = (options = {}) => {
+  for (const field of Object.keys(settings)) {
+    if (options[field] !== undefined) settings[field] = options[field];
+  }
+};
+
+const sessionKey = (template, restaurantId, tableId) =>
+  template.replace(/\{restaurantId\}/g, restaurantId).replace(/\{tableId\}/g, tableId);
+
+const resolveStore = async (store) => {
+  if (store) return store;
+  const client = await getRedisClient();
+  return client ? createRedisSessionStore(client) : null;
+};
+
+// Combine the moved table's key into the destination's live one. The
+// destination wins on conflicts: its guests are the ones at the table now.
+const mergeValues = (type, source, destination) => {
+  switch (type) {
+    case 'hash':
+      return { ...source, ...destination };
+    case 'set':
+      return [...new Set([...destination, ...source])];
+    case 'list':
+      return [...destination, ...source];
+    case 'zset': {
+      const scores = new Map(source.map(m => [m.value, m.score]));
+      for (const m of destination) {
+        scores.set(m.value, Math.max(m.score, scores.has(m.value) ? scores.get(m.value) : -Infinity));
+      }
+      return [...scores].map(([value, score]) => ({ value, score }));
+    }
+    default:
+      return destination;
+  }
+};
+
+// Point a hash's table id field at the table it now belongs to
+const retarget = (type, value, fromTableId, toTableId) => {
+  if (type === 'hash' && value[settings.tableIdField] === String(fromTableId)) {
+    return { ...value, [settings.tableIdField]: String(toTableId) };
+  }
+  return value;
+};
+
+// The longer of the remaining TTLs, so neither session expires early;
+// keys without a TTL get defaultTtlSeconds, or stay persistent
+const mergedTtl = (...entries) => {
+  const defaultTtlMs = settings.defaultTtlSeconds != null ? settings.defaultTtlSeconds * 1000 : null;
+  const ttls = entries.filter(Boolean).map(entry => (entry.ttlMs != null ? entry.ttlMs : defaultTtlMs));
+  return ttls.includes(null) ? null : Math.max(...ttls);
+};
+
+/**
+ * Move a table's session keys to another table: copied over when the new
+ * table has none, merged into its live session otherwise, then removed from
+ * the old table.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} oldTableId - Table the guests left
+ * @param {string} newTableId - Table the guests moved to
+ * @param {Object} [options] - Per-call overrides of the configured store and logger
+ * @returns {Promise<{ success: boolean, skipped?: boolean, migrated: Array<Object> }>}
+ */
+const migrateTableSessions = async (restaurantId, oldTableId, newTableId, options = {}) => {
+  const logger = options.logger || console;
+  const store = await resolveStore(options.store || settings.store);
+  if (!store) {
+    logger.log('Redis disabled, skipping table session migration:', { restaurantId, oldTableId, newTableId });
+    return { success: true, skipped: true, migrated: [] };
+  }
+
+  const migrated = [];
+  for (const [name, template] of Object.entries(settings.keySchema)) {
+    const from = sessionKey(template, restaurantId, oldTableId);
+    const to = sessionKey(template, restaurantId, newTableId);
+
+    const source = await store.read(from);
+    if (!source) continue;
+    const destination = await store.read(to);
+
+    if (destination && destination.type !== source.type) {
+      logger.error('Cannot merge table session keys of different types:', { from, to });
+      continue;
+    }
+
+    const value = retarget(
+      source.type,
+      destination ? mergeValues(source.type, source.value, destination.value) : source.value,
+      oldTableId,
+      newTableId
+    );
+
+    await store.write(to, { type: source.type, value, ttlMs: mergedTtl(source, destination) });
+    await store.remove(from);
+    migrated.push({ name, from, to, merged: Boolean(destination) });
+  }
+
+  logger.log('Migrated table sessions:', { restaurantId, oldTableId, newTableId, migrated });
+  return { success: true, migrated };
+};
+
+/**
+ * Exchange two tables' session keys, each keeping its own value and TTL.
+ * Nothing is merged: a key only one table has ends up only on the other.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} tableA - First table
+ * @param {string} tableB - Second table
+ * @param {Object} [options] - Per-call overrides of the configured store and logger
+ * @returns {Promise<{ success: boolean, skipped?: boolean, swapped: Array<Object> }>}
+ */
+const swapTableSessions = async (restaurantId, tableA, tableB, options = {}) => {
+  const logger = options.logger || console;
+  const store = await resolveStore(options.store || settings.store);
+  if (!store) {
+    logger.log('Redis disabled, skipping table session swap:', { restaurantId, tableA, tableB });
+    return { success: true, skipped: true, swapped: [] };
+  }
+
+  const swapped = [];
+  for (const [name, template] of Object.entries(settings.keySchema)) {
+    const keyA = sessionKey(template, restaurantId, tableA);
+    const keyB = sessionKey(template, restaurantId, tableB);
+
+    const [entryA, entryB] = [await store.read(keyA), await store.read(keyB)];
+    if (!entryA && !entryB) continue;
+
+    for (const [entry, fromTableId, to, toTableId] of [
+      [entryA, tableA, keyB, tableB],
+      [entryB, tableB, keyA, tableA]
+    ]) {
+      if (entry) {
+        await store.write(to, { ...entry, value: retarget(entry.type, entry.value, fromTableId, toTableId) });
+      } else {
+        await store.remove(to);
+      }
+    }
+    swapped.push({ name, keys: [keyA, keyB] });
+  }
+
+  logger.log('Swapped table sessions:', { restaurantId, tableA, tableB, swapped });
+  return { success: true, swapped };
+};
+
+/**
+ * Whether a table has a live session: any of its keys in the key schema.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} tableId - Table ID
+ * @param {Object} [options] - Per-call override of the configured store
+ * @returns {Promise<boolean|null>} null when there is no store to ask (Redis disabled)
+ */
+const hasTableSession = async (restaurantId, tableId, options = {}) => {
+  const store = await resolveStore(options.store || settings.store);
+  if (!store) return null;
+
+  for (const template of Object.values(settings.keySchema)) {
+    if (await store.read(sessionKey(template, restaurantId, tableId))) return true;
+  }
+  return false;
+};
+
+module.exports = {
+  DEFAULT_KEY_SCHEMA,
+  configureTableSessions,
+  migrateTableSessions,
+  swapTableSessions,
+  hasTableSession
+};
@@ -0,0 +1,273 @@
+// Table definitions, occupancy states and the floor view built on them
+const { ERROR_CODES, TableOperationError } = require('../utils/errors');
+const { orderItems, sumItemQuantities } = require('../utils/items');
+const { KOT_ACTION_TYPES_SQL } = require('./quantityLedger');
+
+const TABLE_STATES = {
+  FREE: 'free',
+  OCCUPIED: 'occupied',
+  RESERVED: 'reserved',
+  BILLING: 'billing',
+  CLEANING: 'cleaning'
+};
+
+// States a table with guests keeps through a move
+const SEATED_STATES = [TABLE_STATES.OCCUPIED, TABLE_STATES.BILLING];
+
+const toTable = (row) => ({
+  tableId: row.table_id,
+  name: row.name,
+  section: row.section,
+  capacity: row.capacity,
+  state: row.state,
+  inService: row.in_service,
+  stateChangedAt: row.state_changed_at
+});
+
+// Tables a plan puts guests or items on
+const targetTableIds = (plan) => {
+  switch (plan.operation) {
+    case 'swapTables':
+      return [plan.oldTableId, plan.newTableId].map(String);
+    case 'splitTable':
+      return plan.splits.map(split => String(split.tableId));
+    default:
+      return [String(plan.newTableId)];
+  }
+};
+
+// restaurant_tables comes with 003_restaurant_tables.sql; an install without
+// it is one where no restaurant defines tables
+const tablesInstalled = async (db) => {
+  const { rows } = await db.query(`SELECT to_regclass('restaurant_tables') IS NOT NULL AS installed`);
+  return rows[0].installed;
+};
+
+const fetchTables = async (db, restaurantId, tableIds) => {
+  if (!(await tablesInstalled(db))) return [];
+  const { rows } = await db.query(
+    `SELECT * FROM restaurant_tables
+      WHERE restaurant_id = $1 AND ($2::text[] IS NULL OR table_id = ANY($2::text[]))
+      ORDER BY section NULLS LAST, table_id`,
+    [restaurantId, tableIds ? tableIds.map(String) : null]
+  );
+  return rows;
+};
+
+const hasDefinitions = async (db, restaurantId) => {
+  if (!(await tablesInstalled(db))) return false;
+  const { rows } = await db.query(
+    `SELECT EXISTS (SELECT 1 FROM restaurant_tables WHERE restaurant_id = $1) AS defined`,
+    [restaurantId]
+  );
+  return rows[0].defined;
+};
+
+/**
+ * Check every table of a planned move is defined, and that the tables it
+ * moves onto are in service and not reserved. Skipped for restaurants that
+ * define no tables.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} plan - The planned move
+ * @throws {TableOperationError} TABLE_NOT_FOUND / TABLE_OUT_OF_SERVICE / TABLE_RESERVED
+ */
+const assertMoveTables = async (client, plan) => {
+  const { restaurantId } = plan;
+  if (!(await hasDefinitions(client, restaurantId))) return;
+
+  const tableIds = [...new Set((plan.tableIds || [plan.oldTableId, plan.newTableId]).map(String))];
+  const tables = await fetchTables(client, restaurantId, tableIds);
+  const unknown = tableIds.filter(tableId => !tables.some(t => t.table_id === tableId));
+  if (unknown.length) {
+    throw new TableOperationError(ERROR_CODES.TABLE_NOT_FOUND, `Table ${unknown[0]} does not exist in this restaurant`, {
+      restaurantId,
+      tableIds: unknown
+    });
+  }
+
+  for (const tableId of targetTableIds(plan)) {
+    const table = tables.find(t => t.table_id === tableId);
+    if (!table.in_service) {
+      throw new TableOperationError(ERROR_CODES.TABLE_OUT_OF_SERVICE, `Table ${tableId} is out of service`, {
+        tableId
+      });
+    }
+    if (table.state === TABLE_STATES.RESERVED) {
+      throw new TableOperationError(ERROR_CODES.TABLE_RESERVED, `Table ${tableId} is reserved`, { tableId });
+    }
+  }
+};
+
+/**
+ * Bring the tables' states in line with their orders after a move or undo:
+ * a table that now has orders is occupied (or stays billing), one left
+ * without orders after being seated needs cleaning. Reserved and free tables
+ * without orders are left alone.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {string} restaurantId - Restaurant ID
+ * @param {Array<string>} tableIds - Tables the move touched
+ * @returns {Promise<Array<{ tableId: string, from: string, to: string }>>} State changes
+ */
+const syncTableStates = async (client, restaurantId, tableIds) => {
+  const tables = await fetchTables(client, restaurantId, tableIds);
+  if (!tables.length) return [];
+
+  const { rows: occupied } = await client.query(
+    `SELECT DISTINCT table_id FROM orders WHERE restaurant_id = $1 AND table_id = ANY($2::text[])`,
+    [restaurantId, tables.map(t => t.table_id)]
+  );
+  const seated = new Set(occupied.map(o => String(o.table_id)));
+
+  const changes = [];
+  for (const table of tables) {
+    let state = table.state;
+    if (seated.has(table.table_id)) {
+      if (!SEATED_STATES.includes(state)) state = TABLE_STATES.OCCUPIED;
+    } else if (SEATED_STATES.includes(state)) {
+      state = TABLE_STATES.CLEANING;
+    }
+    if (state === table.state) continue;
+
+    await client.query(
+      `UPDATE restaurant_tables SET state = $1, state_changed_at = NOW()
+        WHERE restaurant_id = $2 AND table_id = $3`,
+      [state, restaurantId, table.table_id]
+    );
+    changes.push({ tableId: table.table_id, from: table.state, to: state });
+  }
+  return changes;
+};
+
+/**
+ * Create or update table definitions. Only the fields given are changed on
+ * existing tables; new tables start free and in service.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {string} restaurantId - Restaurant ID
+ * @param {Array<Object>} tables - { tableId, name?, section?, capacity?, inService? }
+ * @returns {Promise<Array<Object>>} The tables as stored
+ */
+const upsertTables = async (client, restaurantId, tables) => {
+  const stored = [];
+  for (const table of tables) {
+    const { rows: [row] } = await client.query(
+      `INSERT INTO restaurant_tables (restaurant_id, table_id, name, section, capacity, in_service)
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6, true))
+       ON CONFLICT (restaurant_id, table_id) DO UPDATE SET
+         name       = CASE WHEN $7 THEN EXCLUDED.name ELSE restaurant_tables.name END,
+         section    = CASE WHEN $8 THEN EXCLUDED.section ELSE restaurant_tables.section END,
+         capacity   = CASE WHEN $9 THEN EXCLUDED.capacity ELSE restaurant_tables.capacity END,
+         in_service = COALESCE($6, restaurant_tables.in_service)
+       RETURNING *`,
+      [
+        restaurantId,
+        String(table.tableId),
+        table.name === undefined ? null : table.name,
+        table.section === undefined ? null : table.section,
+        table.capacity === undefined ? null : table.capacity,
+        table.inService === undefined ? null : table.inService,
+        table.name !== undefined,
+        table.section !== undefined,
+        table.capacity !== undefined
+      ]
+    );
+    stored.push(toTable(row));
+  }
+  return stored;
+};
+
+/**
+ * Set a table's state and/or service flag by hand (seat a reservation,
+ * finish cleaning, take a table out of service).
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {Object} change - { restaurantId, tableId, state?, inService? }
+ * @returns {Promise<Object>} The table as stored
+ * @throws {TableOperationError} TABLE_NOT_FOUND
+ */
+const updateTableState = async (client, { restaurantId, tableId, state, inService }) => {
+  const { rows: [row] } = await client.query(
+    `UPDATE restaurant_tables SET
+       state            = COALESCE($3, state),
+       state_changed_at = CASE WHEN $3 IS NOT NULL AND $3 <> state THEN NOW() ELSE state_changed_at END,
+       in_service       = COALESCE($4, in_service)
+     WHERE restaurant_id = $1 AND table_id = $2
+     RETURNING *`,
+    [restaurantId, String(tableId), state === undefined ? null : state, inService === undefined ? null : inService]
+  );
+  if (!row) {
+    throw new TableOperationError(ERROR_CODES.TABLE_NOT_FOUND, `Table ${tableId} does not exist in this restaurant`, {
+      restaurantId,
+      tableIds: [String(tableId)]
+    });
+  }
+  return toTable(row);
+};
+
+/**
+ * Every table of a restaurant with what is on it. Tables that only appear on
+ * orders (not defined) are listed too, with a null state.
+ * @param {import('pg').Pool|import('pg').PoolClient} db - Pool or client to query on
+ * @param {string} restaurantId - Restaurant ID
+ * @returns {Promise<Array<Object>>} { tableId, name, section, capacity, state,
+ *   inService, stateChangedAt, orders, kotCount, captains }
+ */
+const readFloor = async (db, restaurantId) => {
+  const definitions = await fetchTables(db, restaurantId, null);
+  const { rows: orders } = await db.query(
+    `SELECT id, table_id, json_data, print_status, updated_at
+       FROM orders
+      WHERE restaurant_id = $1 AND table_id IS NOT NULL
+      ORDER BY created_at ASC, id ASC`,
+    [restaurantId]
+  );
+  const { rows: kots } = await db.query(
+    `SELECT table_number, COUNT(*)::int AS total
+       FROM notifications
+      WHERE restaurant_id = $1
+        AND action_type IN ${KOT_ACTION_TYPES_SQL}
+        AND active = true
+      GROUP BY table_number`,
+    [restaurantId]
+  );
+  const { rows: captains } = await db.query(
+    `SELECT c.id::text AS id, to_jsonb(c) ->> 'name' AS name, t.value AS table_id
+       FROM captains c, jsonb_array_elements_text(c.assigned_tables) AS t(value)
+      WHERE c.restaurant_id = $1`,
+    [restaurantId]
+  );
+
+  const tables = definitions.map(toTable);
+  const undefinedTableIds = [...new Set(orders.map(o => String(o.table_id)))]
+    .filter(tableId => !tables.some(t => t.tableId === tableId))
+    .sort();
+  for (const tableId of undefinedTableIds) {
+    tables.push({ tableId, name: null, section: null, capacity: null, state: null, inService: null, stateChangedAt: null });
+  }
+
+  return tables.map(table => {
+    const onTable = orders.filter(o => String(o.table_id) === table.tableId);
+    const kot = kots.find(k => String(k.table_number) === table.tableId);
+    return {
+      ...table,
+      orders: onTable.map(o => ({
+        id: String(o.id),
+        printStatus: o.print_status === true,
+        updatedAt: o.updated_at,
+        quantities: sumItemQuantities([orderItems(o)])
+      })),
+      kotCount: kot ? kot.total : 0,
+      captains: captains
+        .filter(c => String(c.table_id) === table.tableId)
+        .map(c => ({ id: c.id, name: c.name }))
+    };
+  });
+};
+
+module.exports = {
+  TABLE_STATES,
+  fetchTables,
+  assertMoveTables,
+  syncTableStates,
+  upsertTables,
+  updateTableState,
+  readFloor
+};
@@ -0,0 +1,20 @@
+-- Reversible change sets recorded by every table/KOT/item move (see undoMove)
+CREATE TABLE IF NOT EXISTS table_operation_changesets (
+  move_id        UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  restaurant_id  TEXT        NOT NULL,
+  operation      TEXT        NOT NULL,
+  old_table_id   TEXT        NOT NULL,
+  new_table_id   TEXT        NOT NULL,
+  table_moved    BOOLEAN     NOT NULL DEFAULT false,
+  -- Scope the snapshots were taken over
+  table_ids      TEXT[]      NOT NULL,
+  order_ids      TEXT[]      NOT NULL,
+  -- { orders: [...], notifications: [...], ... } rows as to_jsonb()
+  before_rows    JSONB       NOT NULL,
+  after_rows     JSONB       NOT NULL,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  undone_at      TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS table_operation_changesets_restaurant_idx
+  ON table_operation_changesets (restaurant_id, created_at DESC);
@@ -0,0 +1,37 @@
+-- Audit trail of every table operation (see listAuditEntries). Written on the
+-- move's own transaction; rows are never updated or deleted.
+CREATE TABLE IF NOT EXISTS table_operation_audit (
+  audit_id        BIGSERIAL   PRIMARY KEY,
+  restaurant_id   TEXT        NOT NULL,
+  -- moveTable, moveKOT, moveItems, swapTables, mergeTables, splitTable or
+  -- undoMove; a moveKOT / moveItems escalated to a table move keeps its own name
+  operation       TEXT        NOT NULL,
+  move_id         UUID,
+  -- Who did it and why
+  captain_id      TEXT,
+  device          TEXT,
+  reason_code     TEXT,
+  reason          TEXT,
+  -- swapTables: the two tables; mergeTables: the first source table and the
+  -- target; splitTable: the source table and the first split's table (every
+  -- table of a merge or split is a key of orders_before)
+  old_table_id    TEXT        NOT NULL,
+  new_table_id    TEXT        NOT NULL,
+  -- Every order id in orders_before/orders_after, for lookups by order
+  order_ids       TEXT[]      NOT NULL DEFAULT '{}',
+  -- { tableId: [orderId, ...] } for every table involved
+  orders_before   JSONB       NOT NULL,
+  orders_after    JSONB       NOT NULL,
+  -- { tableId: { itemId: quantity change } }
+  quantity_deltas JSONB       NOT NULL,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS table_operation_audit_restaurant_idx
+  ON table_operation_audit (restaurant_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS table_operation_audit_tables_idx
+  ON table_operation_audit (restaurant_id, old_table_id, new_table_id);
+
+CREATE INDEX IF NOT EXISTS table_operation_audit_order_ids_idx
+  ON table_operation_audit USING GIN (order_ids);
@@ -0,0 +1,20 @@
+-- Table definitions and their current state (see defineTables, setTableState
+-- and getFloorState). Restaurants without any row here, and installs without
+-- this table, keep the old behaviour: moves accept any table id.
+CREATE TABLE IF NOT EXISTS restaurant_tables (
+  restaurant_id    TEXT        NOT NULL,
+  table_id         TEXT        NOT NULL,
+  name             TEXT,
+  section          TEXT,
+  capacity         INTEGER     CHECK (capacity IS NULL OR capacity > 0),
+  state            TEXT        NOT NULL DEFAULT 'free'
+                   CHECK (state IN ('free', 'occupied', 'reserved', 'billing', 'cleaning')),
+  -- Out of service tables keep their state but never receive a move
+  in_service       BOOLEAN     NOT NULL DEFAULT true,
+  state_changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (restaurant_id, table_id)
+);
+
+CREATE INDEX IF NOT EXISTS restaurant_tables_section_idx
+  ON restaurant_tables (restaurant_id, section);
@@ -0,0 +1,34 @@
+-- KOT transfer tickets (see getKotTransfer and renderTransferTicket). Each one
+-- backs a kot_transfer notification: items a move brought from another
+-- table, printed for the kitchen but not cooked again. Rows are kept when
+-- the move is undone, as a record of what was printed, and marked with
+-- undone_at.
+CREATE TABLE IF NOT EXISTS kot_transfers (
+  transfer_id               BIGSERIAL   PRIMARY KEY,
+  restaurant_id             TEXT        NOT NULL,
+  -- The kot_transfer notification carrying the items
+  notification_id           TEXT        NOT NULL,
+  -- moveKOT, moveItems or splitTable
+  operation                 TEXT        NOT NULL,
+  from_table_id             TEXT        NOT NULL,
+  to_table_id               TEXT        NOT NULL,
+  source_order_id           TEXT,
+  order_id                  TEXT,
+  -- KOTs the items were printed on before the move
+  original_notification_ids TEXT[]      NOT NULL DEFAULT '{}',
+  -- [{ itemId, name, variation, addons, qty, delivered, cancelled, status }]
+  lines                     JSONB       NOT NULL,
+  not_for_preparation       BOOLEAN     NOT NULL DEFAULT true,
+  created_at                TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Set when the move is undone and its kot_transfer notification removed
+  undone_at                 TIMESTAMPTZ
+);
+
+-- Tables created before undone_at was added
+ALTER TABLE kot_transfers ADD COLUMN IF NOT EXISTS undone_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS kot_transfers_table_idx
+  ON kot_transfers (restaurant_id, to_table_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS kot_transfers_notification_idx
+  ON kot_transfers (restaurant_id, notification_id);
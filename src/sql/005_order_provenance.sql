@@ -0,0 +1,41 @@
+-- Where each order's items came from (see getOrderLineage). One row per order
+-- a move put items on, per source order: the order itself moving table, a
+-- whole order merged into it, or some of an order's KOTs or items. Rows of an
+-- undone move are kept and marked with undone_at.
+CREATE TABLE IF NOT EXISTS order_provenance (
+  provenance_id    BIGSERIAL   PRIMARY KEY,
+  restaurant_id    TEXT        NOT NULL,
+  -- The order that holds the items after the move, and its table
+  order_id         TEXT        NOT NULL,
+  table_id         TEXT        NOT NULL,
+  -- Where they were before
+  source_order_id  TEXT        NOT NULL,
+  source_table_id  TEXT        NOT NULL,
+  -- order (the order changed table), merge (merged in whole) or items (part of it)
+  kind             TEXT        NOT NULL CHECK (kind IN ('order', 'merge', 'items')),
+  -- moveTable, moveKOT, moveItems, swapTables, splitTable or mergeTables
+  operation        TEXT        NOT NULL,
+  -- Change set of the move (table_operation_changesets.move_id)
+  move_id          UUID,
+  -- KOTs the items were printed on
+  notification_ids TEXT[]      NOT NULL DEFAULT '{}',
+  -- { itemId: quantity } moved
+  items            JSONB       NOT NULL DEFAULT '{}'::jsonb,
+  -- The source order's instructions, for merges
+  instructions     TEXT,
+  -- { captainId, device, role }
+  actor            JSONB,
+  reason_code      TEXT,
+  reason           TEXT,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  undone_at        TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS order_provenance_order_idx
+  ON order_provenance (restaurant_id, order_id);
+
+CREATE INDEX IF NOT EXISTS order_provenance_source_idx
+  ON order_provenance (restaurant_id, source_order_id);
+
+CREATE INDEX IF NOT EXISTS order_provenance_move_idx
+  ON order_provenance (move_id);
@@ -0,0 +1,11 @@
+-- Adds order_id to the host's discounts table, so a discount can belong to
+-- one order of a shared table and follow it in an order-scoped move (see
+-- "One order off a shared table" in the README). Existing discounts keep
+-- order_id NULL and stay with their table. Safe to run on a table that
+-- already has the column.
+ALTER TABLE discounts
+  -- The order the discount belongs to; NULL for a discount on the table
+  ADD COLUMN IF NOT EXISTS order_id TEXT;
+
+CREATE INDEX IF NOT EXISTS discounts_order_idx
+  ON discounts (restaurant_id, order_id);
@@ -0,0 +1,14 @@
+-- Columns discount reconciliation reads and writes on the host's discounts
+-- and dynamic_offers tables (see "Discounts and Offers" in the README). Safe
+-- to run on tables that already have them. Needs 006_discount_order_id.sql.
+ALTER TABLE discounts
+  -- The item it applies to; NULL for an order-wide discount
+  ADD COLUMN IF NOT EXISTS item_id        TEXT,
+  -- 'percentage'; anything else is a fixed amount
+  ADD COLUMN IF NOT EXISTS discount_type  TEXT,
+  -- Percent or amount, by discount_type; fixed amounts are split by share
+  ADD COLUMN IF NOT EXISTS discount_value NUMERIC(12, 2);
+
+ALTER TABLE dynamic_offers
+  -- The item the offer applies to; NULL for an order-wide offer
+  ADD COLUMN IF NOT EXISTS item_id TEXT;
@@ -0,0 +1,125 @@
+// Error types surfaced by table operations
+
+/**
+ * Machine-readable failure codes. Every error an operation raises on purpose
+ * carries one of these; anything else is an unexpected internal failure.
+ */
+const ERROR_CODES = {
+  // Payload problems, detected before touching the database
+  MISSING_FIELD: 'MISSING_FIELD',
+  INVALID_FIELD: 'INVALID_FIELD',
+  SAME_TABLE: 'SAME_TABLE',
+  INVALID_QUANTITY: 'INVALID_QUANTITY',
+  DUPLICATE_ITEM: 'DUPLICATE_ITEM',
+  DUPLICATE_NOTIFICATION: 'DUPLICATE_NOTIFICATION',
+
+  // State problems, detected against the locked orders
+  ORDER_NOT_FOUND: 'ORDER_NOT_FOUND',
+  ITEM_NOT_FOUND: 'ITEM_NOT_FOUND',
+  QTY_EXCEEDS_AVAILABLE: 'QTY_EXCEEDS_AVAILABLE',
+  MOVE_CONFLICT: 'MOVE_CONFLICT',
+
+  // The order engine refused or failed the destination write
+  ORDER_ENGINE_ERROR: 'ORDER_ENGINE_ERROR',
+
+  // Table definitions (restaurants that define their tables)
+  TABLE_NOT_FOUND: 'TABLE_NOT_FOUND',
+  TABLE_OUT_OF_SERVICE: 'TABLE_OUT_OF_SERVICE',
+  TABLE_RESERVED: 'TABLE_RESERVED',
+
+  // Refused by the configured move policy
+  MOVE_DENIED: 'MOVE_DENIED',
+  APPROVAL_REQUIRED: 'APPROVAL_REQUIRED',
+
+  // The move would leave order and KOT quantities out of step (assertQuantities)
+  QUANTITY_MISMATCH: 'QUANTITY_MISMATCH',
+
+  // KOT transfer tickets
+  TRANSFER_NOT_FOUND: 'TRANSFER_NOT_FOUND',
+
+  // Undo problems
+  MOVE_NOT_FOUND: 'MOVE_NOT_FOUND',
+  MOVE_ALREADY_UNDONE: 'MOVE_ALREADY_UNDONE',
+  UNDO_CONFLICT: 'UNDO_CONFLICT'
+};
+
+const STATUS_BY_CODE = {
+  [ERROR_CODES.MISSING_FIELD]: 400,
+  [ERROR_CODES.INVALID_FIELD]: 400,
+  [ERROR_CODES.SAME_TABLE]: 400,
+  [ERROR_CODES.INVALID_QUANTITY]: 400,
+  [ERROR_CODES.DUPLICATE_ITEM]: 400,
+  [ERROR_CODES.DUPLICATE_NOTIFICATION]: 400,
+  [ERROR_CODES.ORDER_NOT_FOUND]: 404,
+  [ERROR_CODES.ITEM_NOT_FOUND]: 404,
+  [ERROR_CODES.QTY_EXCEEDS_AVAILABLE]: 422,
+  [ERROR_CODES.MOVE_CONFLICT]: 409,
+  [ERROR_CODES.ORDER_ENGINE_ERROR]: 502,
+  [ERROR_CODES.TABLE_NOT_FOUND]: 404,
+  [ERROR_CODES.TABLE_OUT_OF_SERVICE]: 409,
+  [ERROR_CODES.TABLE_RESERVED]: 409,
+  [ERROR_CODES.MOVE_DENIED]: 403,
+  [ERROR_CODES.APPROVAL_REQUIRED]: 403,
+  [ERROR_CODES.QUANTITY_MISMATCH]: 500,
+  [ERROR_CODES.TRANSFER_NOT_FOUND]: 404,
+  [ERROR_CODES.MOVE_NOT_FOUND]: 404,
+  [ERROR_CODES.MOVE_ALREADY_UNDONE]: 409,
+  [ERROR_CODES.UNDO_CONFLICT]: 409
+};
+
+/**
+ * Expected failure of a table operation. `code` is one of ERROR_CODES and
+ * `status` the matching HTTP status for hosts exposing the operation.
+ */
+class TableOperationError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Human readable description
+   * @param {Object} [details] - Offending ids, fields or quantities
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'TableOperationError';
+    this.code = code;
+    this.status = STATUS_BY_CODE[code] || 500;
+    this.details = details;
+  }
+}
+
+/**
+ * Raised when a move loses a race with another write to the same orders:
+ * the caller's expected order version is stale, or the KOTs it asked for are
+ * no longer active. Nothing has been written; the caller can re-read the
+ * table and retry.
+ */
+class MoveConflictError extends TableOperationError {
+  /**
+   * @param {string} message - Human readable description
+   * @param {Object} [details] - Which order/notification ids conflicted
+   */
+  constructor(message, details = {}) {
+    super(ERROR_CODES.MOVE_CONFLICT, message, details);
+    this.name = 'MoveConflictError';
+    this.retryable = true;
+  }
+}
+
+/**
+ * Map an error thrown by an operation to an HTTP status and JSON body.
+ * Unknown errors become an opaque 500 so internals never leak to clients.
+ * @param {Error} error - Error thrown by a table operation
+ * @returns {{ status: number, body: Object }}
+ */
+const toErrorResponse = (error) => {
+  if (error instanceof TableOperationError) {
+    return { status: error.status, body: { error: error.message, code: error.code, details: error.details } };
+  }
+  return { status: 500, body: { error: 'Internal server error' } };
+};
+
+module.exports = {
+  ERROR_CODES,
+  TableOperationError,
+  MoveConflictError,
+  toErrorResponse
+};
@@ -0,0 +1,96 @@
+// Helpers for the `items` object stored in orders.json_data and KOT payloads:
+// { [itemId]: { name, customizations: [{ qty, variation, addons, ... }] } }
+
+const itemQuantity = (item) => (item.customizations || []).reduce((sum, c) => sum + (c.qty || 0), 0);
+
+// Total quantity per item id across a list of `items` objects
+const sumItemQuantities = (itemsList) => {
+  const totals = {};
+  for (const items of itemsList) {
+    for (const [itemId, item] of Object.entries(items || {})) {
+      totals[itemId] = (totals[itemId] || 0) + itemQuantity(item);
+    }
+  }
+  for (const itemId of Object.keys(totals)) {
+    if (totals[itemId] <= 0) delete totals[itemId];
+  }
+  return totals;
+};
+
+const orderItems = (order) => (order && order.json_data && order.json_data.items) || {};
+
+// { itemId: name } of an `items` object, for tickets printed from KOT payloads without names
+const itemNames = (items) =>
+  Object.fromEntries(Object.entries(items || {}).map(([itemId, item]) => [itemId, item.name || null]));
+
+// JSON with object keys sorted, so equal addons compare equal whatever their key order
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Customizations are the same dish when variation and addons match
+const customizationKey = (customization) =>
+  stableStringify({ variation: customization.variation, addons: customization.addons });
+
+// A customization's own price, else its item's
+const unitPrice = (item, customization) => {
+  const price = customization.price !== undefined ? customization.price : item.price;
+  return price === undefined ? null : price;
+};
+
+// Lines are only combined when they also bill and cook the same: same unit
+// price, isBasic and kitchen instructions
+const mergeKey = (item, customization) => stableStringify({
+  customization: customizationKey(customization),
+  price: unitPrice(item, customization),
+  isBasic: customization.isBasic === true,
+  instructions: customization.instructions || null
+});
+
+/**
+ * Combine several `items` objects into one. Identical customizations (same
+ * variation, addons, unit price, isBasic and instructions) of an item become
+ * one line with the summed qty; the first one seen keeps its other fields.
+ * Lines that differ in price stay apart, and keep the price they were ordered at.
+ * @param {Array<Object>} itemsList - `items` objects, in priority order
+ * @returns {Object} The merged `items` object
+ */
+const mergeItems = (itemsList) => {
+  const merged = {};
+  for (const items of itemsList) {
+    for (const [itemId, item] of Object.entries(items || {})) {
+      if (!merged[itemId]) {
+        merged[itemId] = { ...item, customizations: [] };
+      }
+      const target = merged[itemId];
+      for (const customization of item.customizations || []) {
+        const key = mergeKey(item, customization);
+        const existing = target.customizations.find(c => mergeKey(target, c) === key);
+        if (existing) {
+          existing.qty = (existing.qty || 0) + (customization.qty || 0);
+          continue;
+        }
+        const line = { ...customization };
+        // The merged item keeps the first order's item price
+        if (unitPrice(target, line) !== unitPrice(item, customization)) {
+          line.price = unitPrice(item, customization);
+        }
+        target.customizations.push(line);
+      }
+    }
+  }
+  return merged;
+};
+
+module.exports = {
+  itemQuantity,
+  sumItemQuantities,
+  orderItems,
+  itemNames,
+  mergeItems,
+  customizationKey
+};
@@ -0,0 +1,93 @@
+// Row locking and optimistic version checks for concurrent moves
+const { MoveConflictError } = require('./errors');
+
+/**
+ * Lock every order on the given tables for the rest of the transaction.
+ *
+ * Tables are always locked in ascending table id order, so two moves touching
+ * the same pair of tables (T1 -> T2 and T2 -> T1) queue up instead of
+ * deadlocking. A transaction-scoped advisory lock per table is taken first so
+ * that a table with no orders yet is still serialised: otherwise two moves
+ * into an empty table would both create a new order there.
+ *
+ * The row locks belong to `client`'s transaction, so everything that writes
+ * these orders during the move, the order engine included, must run on
+ * `client`. A write on another connection would wait for the move to commit
+ * while the move waits for it in Node, which Postgres cannot see as a deadlock.
+ *
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {string} restaurantId - Restaurant ID
+ * @param {Array<string>} tableIds - Tables touched by the move
+ * @returns {Promise<Array<Object>>} Locked orders (id, table_id, updated_at)
+ */
+const lockTables = async (client, restaurantId, tableIds) => {
+  const sortedTableIds = [...new Set(tableIds.map(String))].sort();
+
+  for (const tableId of sortedTableIds) {
+    await client.query(
+      `SELECT pg_advisory_xact_lock(hashtext($1))`,
+      [`table-operations:${restaurantId}:${tableId}`]
+    );
+  }
+
+  const { rows } = await client.query(
+    `SELECT id, table_id, updated_at
+       FROM orders
+      WHERE restaurant_id = $1
+        AND table_id      = ANY($2::text[])
+      ORDER BY table_id ASC, id ASC
+      FOR UPDATE`,
+    [restaurantId, sortedTableIds]
+  );
+
+  return rows;
+};
+
+/**
+ * Same rows as lockTables, read without taking any lock. Used by dry runs,
+ * which run on a read-only transaction and must not block real moves.
+ * @param {import('pg').PoolClient} client - Client holding the open transaction
+ * @param {string} restaurantId - Restaurant ID
+ * @param {Array<string>} tableIds - Tables touched by the move
+ * @returns {Promise<Array<Object>>} Orders (id, table_id, updated_at)
+ */
+const readTableOrders = async (client, restaurantId, tableIds) => {
+  const { rows } = await client.query(
+    `SELECT id, table_id, updated_at
+       FROM orders
+      WHERE restaurant_id = $1
+        AND table_id      = ANY($2::text[])
+      ORDER BY table_id ASC, id ASC`,
+    [restaurantId, [...new Set(tableIds.map(String))]]
+  );
+  return rows;
+};
+
+/**
+ * Compare the caller's view of each order against the locked rows.
+ * @param {Array<Object>} lockedOrders - Rows returned by lockTables
+ * @param {Object<string, string>} [expectedVersions] - orderId -> updated_at the caller last read
+ * @throws {MoveConflictError} When an order changed or disappeared since it was read
+ */
+const assertOrderVersions = (lockedOrders, expectedVersions) => {
+  if (!expectedVersions) return;
+
+  for (const [orderId, expectedUpdatedAt] of Object.entries(expectedVersions)) {
+    const order = lockedOrders.find(o => String(o.id) === String(orderId));
+    if (!order) {
+      throw new MoveConflictError(`Order ${orderId} is no longer on the table`, { orderId });
+    }
+
+    const current = new Date(order.updated_at).getTime();
+    const expected = new Date(expectedUpdatedAt).getTime();
+    if (current !== expected) {
+      throw new MoveConflictError(`Order ${orderId} was modified by another operation`, {
+        orderId,
+        expectedUpdatedAt,
+        actualUpdatedAt: order.updated_at
+      });
+    }
+  }
+};
+
+module.exports = { lockTables, readTableOrders, assertOrderVersions };
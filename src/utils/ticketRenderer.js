@@ -0,0 +1,166 @@
+// Printable KOT transfer tickets: plain text for screens and generic
+// printers, ESC/POS bytes for kitchen and bar receipt printers
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const COMMANDS = {
+  init: [ESC, 0x40],
+  alignLeft: [ESC, 0x61, 0],
+  alignCenter: [ESC, 0x61, 1],
+  boldOn: [ESC, 0x45, 1],
+  boldOff: [ESC, 0x45, 0],
+  bigOn: [GS, 0x21, 0x11],
+  bigOff: [GS, 0x21, 0x00],
+  invertOn: [GS, 0x42, 1],
+  invertOff: [GS, 0x42, 0],
+  feed: (lines) => [ESC, 0x64, lines],
+  // Feed to the cutter, then partial cut
+  cut: [GS, 0x56, 0x42, 3]
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatTime = (value) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Break text into lines of at most `width` characters, on spaces where possible
+const wrap = (text, width) => {
+  const lines = [];
+  let line = '';
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    let rest = word;
+    while (rest.length > width) {
+      if (line) {
+        lines.push(line);
+        line = '';
+      }
+      lines.push(rest.slice(0, width));
+      rest = rest.slice(width);
+    }
+    if (!line) line = rest;
+    else if (line.length + 1 + rest.length <= width) line = `${line} ${rest}`;
+    else {
+      lines.push(line);
+      line = rest;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.length ? lines : [''];
+};
+
+// Left and right text on one line, the left one cut short if they do not fit
+const spread = (left, right, width) => {
+  const room = width - right.length - 1;
+  const shown = left.length > room ? left.slice(0, Math.max(0, room)) : left;
+  return `${shown}${' '.repeat(Math.max(1, width - shown.length - right.length))}${right}`;
+};
+
+// The ticket as styled rows, shared by both formats
+const ticketRows = (ticket, width) => {
+  const rows = [];
+  const add = (text, style = {}) => rows.push({ text, ...style });
+  const rule = (char) => add(char.repeat(width));
+
+  add('KOT TRANSFER', { center: true, big: true, bold: true });
+  add('NOT FOR PREPARATION', { center: true, bold: true, invert: true });
+  if (ticket.undoneAt) {
+    add(`MOVE UNDONE ${formatTime(ticket.undoneAt)}`, { center: true, bold: true });
+  }
+  rule('=');
+  add(spread(`Transfer #${ticket.transferId}`, formatTime(ticket.createdAt), width));
+  wrap(`From table ${ticket.fromTableId} -> table ${ticket.toTableId}`, width).forEach(line => add(line, { bold: true }));
+  const originals = (ticket.originalNotificationIds || []).map(id => `#${id}`).join(', ');
+  if (originals) {
+    wrap(`Original KOT ${originals}`, width).forEach(line => add(line));
+  }
+  if (ticket.orderId) {
+    const order = ticket.sourceOrderId && String(ticket.sourceOrderId) !== String(ticket.orderId)
+      ? `Order ${ticket.sourceOrderId} -> ${ticket.orderId}`
+      : `Order ${ticket.orderId}`;
+    wrap(order, width).forEach(line => add(line));
+  }
+  rule('-');
+
+  // QTY (4) | item | status, right aligned
+  const statusWidth = Math.min(16, Math.max(...(ticket.lines || []).map(line => line.status.length), 6));
+  const itemWidth = Math.max(8, width - 4 - statusWidth - 1);
+  add(spread('QTY ITEM', 'STATUS', width), { bold: true });
+  for (const line of ticket.lines || []) {
+    const [first, ...more] = wrap(line.name, itemWidth);
+    add(spread(`${String(line.qty).padStart(3)} ${first}`, line.status.slice(0, statusWidth), width));
+    more.forEach(text => add(`    ${text}`));
+    const details = [line.variation, ...(line.addons || [])].filter(Boolean).join(', ');
+    if (details) {
+      wrap(details, width - 6).forEach(text => add(`      ${text}`));
+    }
+    if (line.delivered > 0 && line.delivered < line.qty) {
+      add(`      ${line.delivered} of ${line.qty} delivered`);
+    }
+  }
+  rule('-');
+  wrap('Already sent to the kitchen. Do not prepare again.', width).forEach(text => add(text, { center: true }));
+  return rows;
+};
+
+const center = (text, width) => `${' '.repeat(Math.max(0, Math.floor((width - text.length) / 2)))}${text}`;
+
+// Printers get plain ASCII: accents are dropped, anything else becomes '?'
+const toAscii = (text) => Buffer.from(
+  text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '?'),
+  'ascii'
+);
+
+const renderEscPos = (rows, { cut }) => {
+  const chunks = [Buffer.from(COMMANDS.init)];
+  for (const row of rows) {
+    const on = [];
+    const off = [];
+    if (row.center) {
+      on.push(...COMMANDS.alignCenter);
+      off.push(...COMMANDS.alignLeft);
+    }
+    if (row.bold) {
+      on.push(...COMMANDS.boldOn);
+      off.push(...COMMANDS.boldOff);
+    }
+    if (row.big) {
+      on.push(...COMMANDS.bigOn);
+      off.push(...COMMANDS.bigOff);
+    }
+    if (row.invert) {
+      on.push(...COMMANDS.invertOn);
+      off.push(...COMMANDS.invertOff);
+    }
+    chunks.push(Buffer.from(on), toAscii(`${row.text}\n`), Buffer.from(off));
+  }
+  chunks.push(Buffer.from(cut ? COMMANDS.cut : COMMANDS.feed(4)));
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Render a KOT transfer ticket for printing.
+ * @param {Object} ticket - As returned in a move's transferTicket or by getKotTransfer
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'text' (default) or 'escpos'
+ * @param {number} [options.width] - Characters per line (default 42; 32 for 58 mm paper, 48 for 80 mm)
+ * @param {boolean} [options.cut] - ESC/POS only: cut the paper at the end (default true)
+ * @returns {string|Buffer} Text, or the bytes to send to an ESC/POS printer
+ */
+const renderTransferTicket = (ticket, { format = 'text', width = 42, cut = true } = {}) => {
+  if (!Number.isInteger(width) || width < 24) {
+    throw new TypeError('width must be an integer of at least 24');
+  }
+  const rows = ticketRows(ticket, width);
+  if (format === 'escpos') {
+    return renderEscPos(rows, { cut });
+  }
+  if (format !== 'text') {
+    throw new TypeError("format must be 'text' or 'escpos'");
+  }
+  return `${rows.map(row => (row.center ? center(row.text, width) : row.text)).join('\n')}\n`;
+};
+
+module.exports = { renderTransferTicket };
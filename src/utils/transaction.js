@@ -0,0 +1,50 @@
+// Transaction helper - runs a unit of work on a single checked-out client
+
+/**
+ * Run `work` inside one BEGIN/COMMIT block on a client checked out of `pool`.
+ * Any error rolls the whole transaction back and is rethrown to the caller.
+ *
+ * `work` also receives an `afterCommit(fn)` callback for side effects that
+ * must only happen once the writes are durable (Redis, notifications). Those
+ * run after COMMIT; their failures are logged, never rethrown, because the
+ * move itself has already succeeded. They are awaited before `work`'s result
+ * is returned, so they should only start slow deliveries, not wait for them.
+ *
+ * @param {import('pg').Pool} pool - Pool to check the client out of
+ * @param {Function} work - async (client, afterCommit) => result
+ * @param {Object} [logger] - console-like logger for rollback and effect failures
+ * @returns {Promise<*>} Whatever `work` resolved with
+ */
+const withTransaction = async (pool, work, logger = console) => {
+  const client = await pool.connect();
+  const effects = [];
+  const afterCommit = (effect) => { effects.push(effect); };
+
+  let result;
+  try {
+    await client.query('BEGIN');
+    result = await work(client, afterCommit);
+    await client.query('COMMIT');
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Error rolling back transaction:', rollbackError);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const effect of effects) {
+    try {
+      await effect();
+    } catch (error) {
+      logger.error('Error running post-commit effect:', error);
+    }
+  }
+
+  return result;
+};
+
+module.exports = { withTransaction };
@@ -0,0 +1,566 @@
+// Payload validation shared by every table operation.
+// Runs before any database access; every problem found is reported at once.
+const { ERROR_CODES, TableOperationError } = require('./errors');
+const { customizationKey } = require('./items');
+
+const isId = (value) =>
+  (typeof value === 'string' && value.trim().length > 0) || Number.isInteger(value);
+
+const problem = (code, field, message) => ({ code, field, message });
+
+const checkId = (data, field, problems, required = true) => {
+  const value = data[field];
+  if (value === undefined || value === null || value === '') {
+    if (required) {
+      problems.push(problem(ERROR_CODES.MISSING_FIELD, field, `${field} is required`));
+    }
+    return;
+  }
+  if (!isId(value)) {
+    problems.push(problem(ERROR_CODES.INVALID_FIELD, field, `${field} must be a non-empty string or integer id`));
+  }
+};
+
+// restaurantId and two different tables are required by every move
+const checkTables = (data, problems, [first, second] = ['oldTableId', 'newTableId']) => {
+  const before = problems.length;
+  checkId(data, 'restaurantId', problems);
+  checkId(data, first, problems);
+  checkId(data, second, problems);
+
+  if (problems.length === before && String(data[first]) === String(data[second])) {
+    problems.push(problem(ERROR_CODES.SAME_TABLE, second, `${second} must differ from ${first}`));
+  }
+};
+
+const checkExpectedVersions = (data, problems) => {
+  const { expectedVersions } = data;
+  if (expectedVersions === undefined) return;
+
+  const isMap = expectedVersions !== null && typeof expectedVersions === 'object' && !Array.isArray(expectedVersions);
+  const allDates = isMap && Object.values(expectedVersions).every(v => !Number.isNaN(new Date(v).getTime()));
+  if (!allDates) {
+    problems.push(problem(
+      ERROR_CODES.INVALID_FIELD,
+      'expectedVersions',
+      'expectedVersions must map order ids to updated_at timestamps'
+    ));
+  }
+};
+
+const checkDryRun = (data, problems) => {
+  if (data.dryRun !== undefined && typeof data.dryRun !== 'boolean') {
+    problems.push(problem(ERROR_CODES.INVALID_FIELD, 'dryRun', 'dryRun must be a boolean'));
+  }
+};
+
+// actor, reasonCode and reason are optional and only end up in the audit log
+const checkAudit = (data, problems) => {
+  const { actor, reasonCode, reason } = data;
+  if (actor !== undefined) {
+    if (actor === null || typeof actor !== 'object' || Array.isArray(actor)) {
+      problems.push(problem(ERROR_CODES.INVALID_FIELD, 'actor', 'actor must be an object'));
+    } else {
+      if (actor.captainId !== undefined && !isId(actor.captainId)) {
+        problems.push(problem(ERROR_CODES.INVALID_FIELD, 'actor.captainId', 'actor.captainId must be a non-empty string or integer id'));
+      }
+      if (actor.device !== undefined && typeof actor.device !== 'string') {
+        problems.push(problem(ERROR_CODES.INVALID_FIELD, 'actor.device', 'actor.device must be a string'));
+      }
+      if (actor.role !== undefined && typeof actor.role !== 'string') {
+        problems.push(problem(ERROR_CODES.INVALID_FIELD, 'actor.role', 'actor.role must be a string'));
+      }
+    }
+  }
+  if (reasonCode !== undefined && (typeof reasonCode !== 'string' || !reasonCode.trim())) {
+    problems.push(problem(ERROR_CODES.INVALID_FIELD, 'reasonCode', 'reasonCode must be a non-empty string'));
+  }
+  if (reason !== undefined && typeof reason !== 'string') {
+    problems.push(problem(ERROR_CODES.INVALID_FIELD, 'reason', 'reason must be a string'));
+  }
+};
+
+// Only read when a move policy asks for approval
+const checkApprovalToken = (data, problems) => {
+  if (data.approvalToken !== undefined && (typeof data.approvalToken !== 'string' || !data.approvalToken.trim())) {
+    problems.push(problem(ERROR_CODES.INVALID_FIELD, 'approvalToken', 'approvalToken must be a non-empty string'));
+  }
+};
+
+const isDate = (value) => (typeof value === 'string' || value instanceof Date) && !Number.isNaN(new Date(value).getTime());
+
+// Throw the collected problems as one TableOperationError coded after the first
+const throwProblems = (operation, problems) => {
+  if (!problems.length) return;
+
+  const [first] = problems;
+  const message = problems.length === 1
+    ? first.message
+    : `Invalid ${operation} payload: ${problems.map(p => p.message).join('; ')}`;
+  throw new TableOperationError(first.code, message, { problems });
+};
+
+const requireObject = (operation, data) => {
+  if (!data || typeof data !== 'object') {
+    throwProblems(operation, [problem(ERROR_CODES.MISSING_FIELD, 'data', `${operation} payload is required`)]);
+  }
+};
+
+const MOVE_SCOPES = ['table', 'order'];
+
+/**
+ * Validate MoveTableData. orderId is optional for a table-scoped move:
+ * without it the first non-printed order on the source table is moved.
+ * @throws {TableOperationError}
+ */
+const validateMoveTableData = (data) => {
+  requireObject('moveTable', data);
+  const problems = [];
+  checkTables(data, problems);
+  if (data.scope !== undefined && !MOVE_SCOPES.includes(data.scope)) {
+    problems.push(problem(ERROR_CODES.INVALID_FIELD, 'scope', `scope must be one of ${MOVE_SCOPES.join(', ')}`));
+  }
+  // An order-scoped move names its order
+  checkId(data, 'orderId', problems, data.scope === 'order');
+  checkExpectedVersions(data, problems);
+  checkDryRun(data, problems);
+  checkAudit(data, problems);
+  checkApprovalToken(data, problems);
+  throwProblems('moveTable', problems);
+};
+
+/**
+ * Validate MoveKOTData: notificationIds must be distinct integers.
+ * @throws {TableOperationError}
+ */
+const validateMoveKOTData = (data) => {
+  requireObject('moveKOT', data);
+  const problems = [];
+  checkTables(data, problems);
+  checkId(data, 'orderId', problems);
+  checkExpectedVersions(data, problems);
+  checkDryRun(data, problems);
+  checkAudit(data, problems);
+  checkApprovalToken(data, problems);
+
+  const { notificationIds } = data;
+  if (!Array.isArray(notificationIds) || notificationIds.length === 0) {
+    problems.push(problem(ERROR_CODES.MISSING_FIELD, 'notificationIds', 'notificationIds must be a non-empty array'));
+  } else if (!notificationIds.every(Number.isInteger)) {
+    problems.push(problem(ERROR_CODES.INVALID_FIELD, 'notificationIds', 'notificationIds must be integers'));
+  } else if (new Set(notificationIds).size !== notificationIds.length) {
+    problems.push(problem(ERROR_CODES.DUPLICATE_NOTIFICATION, 'notificationIds', 'notificationIds must not repeat'));
+  }
+
+  throwProblems('moveKOT', problems);
+};
+
+// Optional customization selector of an item line: customizationIndex, or
+// customization ({ variation, addons }), not both. Returns the line's key for
+// duplicate checks.
+const checkCustomizationSelector = (item, field, problems) => {
+  const { customizationIndex, customization } = item;
+  if (customizationIndex !== undefined && customization !== undefined) {
+    problems.push(problem(
+      ERROR_CODES.INVALID_FIELD,
+      `${field}.customization`,
+      `${field} must select a customization by customizationIndex or customization, not both`
+    ));
+    return null;
+  }
+  if (customizationIndex !== undefined) {
+    if (!Number.isInteger(customizationIndex) || customizationIndex < 0) {
+      problems.push(problem(
+        ERROR_CODES.INVALID_FIELD,
+        `${field}.customizationIndex`,
+        `${field}.customizationIndex must be a non-negative integer`
+      ));
+      return null;
+    }
+    return `${item.itemId}#${customizationIndex}`;
+  }
+  if (customization !== undefined) {
+    if (customization === null || typeof customization !== 'object' || Array.isArray(customization)) {
+      problems.push(problem(
+        ERROR_CODES.INVALID_FIELD,
+        `${field}.customization`,
+        `${field}.customization must be an object with variation and/or addons`
+      ));
+      return null;
+    }
+    return `${item.itemId}#${customizationKey(customization)}`;
+  }
+  return `${item.itemId}#*`;
+};
+
+/**
+ * Validate MoveItemsData: positive integer quantities, and no line repeated
+ * (same item and customization selector). Whether the quantities are actually
+ * available is checked later, against the locked order.
+ * @throws {TableOperationError}
+ */
+const validateMoveItemsData = (data) => {
+  requireObject('moveItems', data);
+  const problems = [];
+  checkTables(data, problems);
+  checkId(data, 'orderId', problems);
+  checkExpectedVersions(data, problems);
+  checkDryRun(data, problems);
+  checkAudit(data, problems);
+  checkApprovalToken(data, problems);
+
+  const { items } = data;
+  if (!Array.isArray(items) || items.length === 0) {
+    problems.push(problem(ERROR_CODES.MISSING_FIELD, 'items', 'items must be a non-empty array'));
+  } else {
+    const seen = new Set();
+    items.forEach((item, index) => {
+      const field = `items[${index}]`;
+      if (!item || !isId(item.itemId)) {
+        problems.push(problem(ERROR_CODES.INVALID_FIELD, `${field}.itemId`, `${field}.itemId must be a non-empty id`));
+        return;
+      }
+      if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+        problems.push(problem(ERROR_CODES.INVALID_QUANTITY, `${field}.quantity`, `${field}.quantity must be an integer of at least 1`));
+      }
+      const key = checkCustomizationSelector(item, field, problems);
+      if (key === null) return;
+      if (seen.has(key)) {
+        problems.push(problem(ERROR_CODES.DUPLICATE_ITEM, `${field}.itemId`, `Item ${item.itemId} is listed more than once with the same customization`));
+      }
+      seen.add(key);
+    });
+  }
+
+  throwProblems('moveItems', problems);
+};
+
+/**
+ * Validate SwapTablesData: two different tables.
+ * @throws {TableOperationError}
+ */
+const validateSwapTablesData = (data) => {
+  requireObject('swapTables', data);
+  const problems = [];
+  checkTables(data, problems, ['tableA', 'tableB']);
+  checkExpectedVersions(data, problems);
+  checkDryRun(data, problems);
+  checkAudit(data, problems);
+  checkApprovalToken(data, problems);
+  throwProblems('swapTables', problems);
+};
+
+/**
+ * Validate MergeTablesData: at least one source table, none repeated and none
+ * of them the target table.
+ * @throws {TableOperationError}
+ */
+const validateMergeTablesData = (data) => {
+  requireObject('mergeTables', data);
+  const problems = [];
+  checkId(data, 'restaurantId', problems);
+  checkId(data, 'targetTableId', problems);
+  checkExpectedVersions(data, problems);
+  checkDryRun(data, problems);
+  checkAudit(data, problems);
+  checkApprovalToken(data, problems);
+
+  const { sourceTableIds } = data;
+  if (!Array.isArray(sourceTableIds) || sourceTableIds.length === 0) {
+    problems.push(problem(ERROR_CODES.MISSING_FIELD, 'sourceTableIds', 'sourceTableIds must be a non-empty array'));
+  } else {
+    const seen = new Set();
+    sourceTableIds.forEach((tableId, index) => {
+      const field = `sourceTableIds[${index}]`;
+      if (!isId(tableId)) {
+        problems.push(problem(ERROR_CODES.INVALID_FIELD, field, `${field} must be a non-empty string or integer id`));
+      } else if (String(tableId) === String(data.targetTableId)) {
+        problems.push(problem(ERROR_CODES.SAME_TABLE, field, `${field} must differ from targetTableId`));
+      } else if (seen.has(String(tableId))) {
+        problems.push(problem(ERROR_CODES.INVALID_FIELD, field, `Table ${tableId} is listed more than once`));
+      } else {
+        seen.add(String(tableId));
+      }
+    });
+  }
+
+  throwProblems('mergeTables', problems);
+};
+
+// One split line: { itemId, customizationIndex, qty }
+const checkSplitItem = (item, field, seen, problems) => {
+  if (!item || !isId(item.itemId)) {
+    problems.push(problem(ERROR_CODES.INVALID_FIELD, `${field}.itemId`, `${field}.itemId must be a non-empty id`));
+    return;
+  }
+  if (!Number.isInteger(item.customizationIndex) || item.customizationIndex < 0) {
+    problems.push(problem(
+      ERROR_CODES.INVALID_FIELD,
+      `${field}.customizationIndex`,
+      `${field}.customizationIndex must be a non-negative integer`
+    ));
+    return;
+  }
+  if (!Number.isInteger(item.qty) || item.qty < 1) {
+    problems.push(problem(ERROR_CODES.INVALID_QUANTITY, `${field}.qty`, `${field}.qty must be an integer of at least 1`));
+  }
+  const key = `${item.itemId}#${item.customizationIndex}`;
+  if (seen.has(key)) {
+    problems.push(problem(
+      ERROR_CODES.DUPLICATE_ITEM,
+      `${field}.itemId`,
+      `Customization ${item.customizationIndex} of item ${item.itemId} is listed more than once in this split`
+    ));
+  }
+  seen.add(key);
+};
+
+/**
+ * Validate SplitTableData: one split per destination table, none of them the
+ * source table, each with distinct { itemId, customizationIndex } lines.
+ * Whether the quantities add up to what the order holds is checked later,
+ * against the locked order.
+ * @throws {TableOperationError}
+ */
+const validateSplitTableData = (data) => {
+  requireObject('splitTable', data);
+  const problems = [];
+  checkId(data, 'restaurantId', problems);
+  checkId(data, 'sourceTableId', problems);
+  checkId(data, 'orderId', problems);
+  checkExpectedVersions(data, problems);
+  checkDryRun(data, problems);
+  checkAudit(data, problems);
+  checkApprovalToken(data, problems);
+
+  const { splits } = data;
+  if (!Array.isArray(splits) || splits.length === 0) {
+    problems.push(problem(ERROR_CODES.MISSING_FIELD, 'splits', 'splits must be a non-empty array'));
+    throwProblems('splitTable', problems);
+  }
+
+  const tables = new Set();
+  splits.forEach((split, index) => {
+    const field = `splits[${index}]`;
+    if (!split || typeof split !== 'object') {
+      problems.push(problem(ERROR_CODES.INVALID_FIELD, field, `${field} must be an object`));
+      return;
+    }
+
+    if (!isId(split.tableId)) {
+      problems.push(problem(ERROR_CODES.INVALID_FIELD, `${field}.tableId`, `${field}.tableId must be a non-empty id`));
+    } else if (String(split.tableId) === String(data.sourceTableId)) {
+      problems.push(problem(ERROR_CODES.SAME_TABLE, `${field}.tableId`, `${field}.tableId must differ from sourceTableId`));
+    } else if (tables.has(String(split.tableId))) {
+      problems.push(problem(ERROR_CODES.INVALID_FIELD, `${field}.tableId`, `Table ${split.tableId} has more than one split`));
+    } else {
+      tables.add(String(split.tableId));
+    }
+
+    if (!Array.isArray(split.items) || split.items.length === 0) {
+      problems.push(problem(ERROR_CODES.MISSING_FIELD, `${field}.items`, `${field}.items must be a non-empty array`));
+      return;
+    }
+    const seen = new Set();
+    split.items.forEach((item, itemIndex) => checkSplitItem(item, `${field}.items[${itemIndex}]`, seen, problems));
+  });
+
+  throwProblems('splitTable', problems);
+};
+
+/**
+ * Validate undoMove options: only the audit fields are accepted.
+ * @throws {TableOperationError}
+ */
+const validateUndoMoveOptions = (options) => {
+  requireObject('undoMove', options);
+  const problems = [];
+  checkAudit(options, problems);
+  throwProblems('undoMove', problems);
+};
+
+/**
+ * Validate an AuditQuery: restaurantId is required, the other filters are
+ * optional. limit is 1-500, offset 0 or more.
+ * @throws {TableOperationError}
+ */
+const validateAuditQuery = (query) => {
+  requireObject('listAuditEntries', query);
+  const problems = [];
+  checkId(query, 'restaurantId', problems);
+  checkId(query, 'tableId', problems, false);
+  checkId(query, 'orderId', problems, false);
+
+  for (const field of ['from', 'to']) {
+    if (query[field] !== undefined && !isDate(query[field])) {
+      problems.push(problem(ERROR_CODES.INVALID_FIELD, field, `${field} must be a date`));
+    }
+  }
+  if (query.limit !== undefined && !(Number.isInteger(query.limit) && query.limit >= 1 && query.limit <= 500)) {
+    problems.push(problem(ERROR_CODES.INVALID_FIELD, 'limit', 'limit must be an integer between 1 and 500'));
+  }
+  if (query.offset !== undefined && !(Number.isInteger(query.offset) && query.offset >= 0)) {
+    problems.push(problem(ERROR_CODES.INVALID_FIELD, 'offset', 'offset must be a non-negative integer'));
+  }
+
+  throwProblems('listAuditEntries', problems);
+};
+
+const validateQuantityQuery = (query) => {
+  requireObject('checkQuantities', query);
+  const problems = [];
+  checkId(query, 'restaurantId', problems);
+
+  const { tableIds } = query;
+  if (!Array.isArray(tableIds) || tableIds.length === 0) {
+    problems.push(problem(ERROR_CODES.MISSING_FIELD, 'tableIds', 'tableIds must be a non-empty array'));
+  } else {
+    tableIds.forEach((tableId, index) => {
+      if (!isId(tableId)) {
+        const field = `tableIds[${index}]`;
+        problems.push(problem(ERROR_CODES.INVALID_FIELD, field, `${field} must be a non-empty string or integer id`));
+      }
+    });
+  }
+
+  throwProblems('checkQuantities', problems);
+};
+
+const validateConsistencyQuery = (query) => {
+  requireObject('checkConsistency', query);
+  const problems = [];
+  checkId(query, 'restaurantId', problems);
+
+  const { tableIds } = query;
+  if (tableIds !== undefined) {
+    if (!Array.isArray(tableIds)) {
+      problems.push(problem(ERROR_CODES.INVALID_FIELD, 'tableIds', 'tableIds must be an array'));
+    } else {
+      tableIds.forEach((tableId, index) => {
+        if (!isId(tableId)) {
+          const field = `tableIds[${index}]`;
+          problems.push(problem(ERROR_CODES.INVALID_FIELD, field, `${field} must be a non-empty string or integer id`));
+        }
+      });
+    }
+  }
+  if (query.fix !== undefined && typeof query.fix !== 'boolean') {
+    problems.push(problem(ERROR_CODES.INVALID_FIELD, 'fix', 'fix must be a boolean'));
+  }
+
+  throwProblems('checkConsistency', problems);
+};
+
+const TABLE_STATE_VALUES = ['free', 'occupied', 'reserved', 'billing', 'cleaning'];
+
+const checkInService = (data, field, problems) => {
+  if (data.inService !== undefined && typeof data.inService !== 'boolean') {
+    problems.push(problem(ERROR_CODES.INVALID_FIELD, field, `${field} must be a boolean`));
+  }
+};
+
+const validateDefineTablesData = (data) => {
+  requireObject('defineTables', data);
+  const problems = [];
+  checkId(data, 'restaurantId', problems);
+
+  const { tables } = data;
+  if (!Array.isArray(tables) || tables.length === 0) {
+    problems.push(problem(ERROR_CODES.MISSING_FIELD, 'tables', 'tables must be a non-empty array'));
+  } else {
+    const seen = new Set();
+    tables.forEach((table, index) => {
+      const field = `tables[${index}]`;
+      if (table === null || typeof table !== 'object' || Array.isArray(table)) {
+        problems.push(problem(ERROR_CODES.INVALID_FIELD, field, `${field} must be an object`));
+        return;
+      }
+      if (!isId(table.tableId)) {
+        problems.push(problem(ERROR_CODES.MISSING_FIELD, `${field}.tableId`, `${field}.tableId is required`));
+      } else if (seen.has(String(table.tableId))) {
+        problems.push(problem(ERROR_CODES.INVALID_FIELD, `${field}.tableId`, `Table ${table.tableId} is listed more than once`));
+      } else {
+        seen.add(String(table.tableId));
+      }
+      for (const text of ['name', 'section']) {
+        if (table[text] !== undefined && table[text] !== null && typeof table[text] !== 'string') {
+          problems.push(problem(ERROR_CODES.INVALID_FIELD, `${field}.${text}`, `${field}.${text} must be a string`));
+        }
+      }
+      if (table.capacity !== undefined && table.capacity !== null
+        && !(Number.isInteger(table.capacity) && table.capacity >= 1)) {
+        problems.push(problem(ERROR_CODES.INVALID_FIELD, `${field}.capacity`, `${field}.capacity must be an integer of at least 1`));
+      }
+      checkInService(table, `${field}.inService`, problems);
+    });
+  }
+
+  throwProblems('defineTables', problems);
+};
+
+const validateTableStateData = (data) => {
+  requireObject('setTableState', data);
+  const problems = [];
+  checkId(data, 'restaurantId', problems);
+  checkId(data, 'tableId', problems);
+
+  if (data.state === undefined && data.inService === undefined) {
+    problems.push(problem(ERROR_CODES.MISSING_FIELD, 'state', 'state or inService is required'));
+  }
+  if (data.state !== undefined && !TABLE_STATE_VALUES.includes(data.state)) {
+    problems.push(problem(ERROR_CODES.INVALID_FIELD, 'state', `state must be one of ${TABLE_STATE_VALUES.join(', ')}`));
+  }
+  checkInService(data, 'inService', problems);
+
+  throwProblems('setTableState', problems);
+};
+
+const validateFloorQuery = (query) => {
+  const problems = [];
+  checkId(query, 'restaurantId', problems);
+  throwProblems('getFloorState', problems);
+};
+
+const TICKET_FORMATS = ['json', 'text', 'escpos'];
+
+const validateKotTransferQuery = (query) => {
+  requireObject('getKotTransfer', query);
+  const problems = [];
+  checkId(query, 'restaurantId', problems);
+  checkId(query, 'transferId', problems);
+
+  if (query.format !== undefined && !TICKET_FORMATS.includes(query.format)) {
+    problems.push(problem(ERROR_CODES.INVALID_FIELD, 'format', `format must be one of ${TICKET_FORMATS.join(', ')}`));
+  }
+  if (query.width !== undefined && (!Number.isInteger(query.width) || query.width < 24)) {
+    problems.push(problem(ERROR_CODES.INVALID_FIELD, 'width', 'width must be an integer of at least 24'));
+  }
+
+  throwProblems('getKotTransfer', problems);
+};
+
+const validateLineageQuery = (query) => {
+  requireObject('getOrderLineage', query);
+  const problems = [];
+  checkId(query, 'restaurantId', problems);
+  checkId(query, 'orderId', problems);
+  throwProblems('getOrderLineage', problems);
+};
+
+module.exports = {
+  validateMoveTableData,
+  validateMoveKOTData,
+  validateMoveItemsData,
+  validateSwapTablesData,
+  validateSplitTableData,
+  validateMergeTablesData,
+  validateUndoMoveOptions,
+  validateAuditQuery,
+  validateQuantityQuery,
+  validateConsistencyQuery,
+  validateDefineTablesData,
+  validateTableStateData,
+  validateFloorQuery,
+  validateKotTransferQuery,
+  validateLineageQuery
+};
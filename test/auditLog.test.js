@@ -0,0 +1,117 @@
+const { writeAuditEntry, queryAuditEntries } = require('../src/services/auditLog');
+const { createTableOperations } = require('../src/controllers/tableOperations');
+const { ERROR_CODES } = require('../src/utils/errors');
+const { MOVE_ID, createFakePool, quietLogger } = require('./helpers/fakePg');
+
+const items = (quantities) => ({
+  items: Object.fromEntries(Object.entries(quantities).map(([itemId, qty]) => [itemId, { customizations: [{ qty }] }]))
+});
+
+describe('writeAuditEntry', () => {
+  it('records the actor, the orders per table and the quantity change of each item', async () => {
+    const pool = createFakePool();
+
+    const auditId = await writeAuditEntry(pool.client, {
+      restaurantId: 'r1',
+      operation: 'moveItems',
+      moveId: MOVE_ID,
+      oldTableId: 'T1',
+      newTableId: 'T2',
+      ordersBefore: [{ id: 'o1', table_id: 'T1', json_data: items({ i1: 3, i2: 1 }) }],
+      ordersAfter: [
+        { id: 'o1', table_id: 'T1', json_data: items({ i1: 1, i2: 1 }) },
+        { id: 'o2', table_id: 'T2', json_data: items({ i1: 2 }) }
+      ],
+      actor: { captainId: 42, device: 'tablet-3' },
+      reasonCode: 'GUEST_REQUEST'
+    });
+
+    expect(auditId).toBe('1');
+    const [{ params }] = pool.statements('INSERT INTO table_operation_audit');
+    expect(params.slice(0, 10)).toEqual(['r1', 'moveItems', MOVE_ID, '42', 'tablet-3', 'GUEST_REQUEST', null, 'T1', 'T2', ['o1', 'o2']]);
+    expect(JSON.parse(params[10])).toEqual({ T1: ['o1'], T2: [] });
+    expect(JSON.parse(params[11])).toEqual({ T1: ['o1'], T2: ['o2'] });
+    expect(JSON.parse(params[12])).toEqual({ T1: { i1: -2 }, T2: { i1: 2 } });
+  });
+
+  it('writes the entry of a move on its transaction', async () => {
+    const pool = createFakePool([
+      [/SELECT id, table_id, updated_at\s+FROM orders/, [{ id: 'o1', table_id: 'T1', updated_at: new Date(0) }]],
+      [/SELECT id, json_data, instructions, print_status/, (params) => (params[1] === 'T1'
+        ? [{ id: 'o1', json_data: { items: {} }, instructions: '', print_status: false }]
+        : [])]
+    ]);
+    const operations = createTableOperations({ pool, notifier: { send: jest.fn() }, logger: quietLogger() });
+
+    await operations.moveTable({
+      restaurantId: 'r1',
+      oldTableId: 'T1',
+      newTableId: 'T2',
+      actor: { captainId: 'c1' },
+      reason: 'window seat'
+    });
+
+    const statements = pool.queries.map(q => q.sql);
+    const audit = statements.findIndex(sql => sql.includes('INSERT INTO table_operation_audit'));
+    expect(audit).toBeGreaterThan(0);
+    expect(audit).toBeLessThan(statements.indexOf('COMMIT'));
+    expect(pool.queries[audit].params.slice(0, 7)).toEqual(['r1', 'moveTable', MOVE_ID, 'c1', null, null, 'window seat']);
+  });
+});
+
+describe('queryAuditEntries', () => {
+  it('combines the filters and maps the rows', async () => {
+    const pool = createFakePool([['FROM table_operation_audit', [{
+      audit_id: 5,
+      restaurant_id: 'r1',
+      operation: 'moveTable',
+      move_id: MOVE_ID,
+      captain_id: '42',
+      device: null,
+      reason_code: null,
+      reason: 'wrong table',
+      old_table_id: 'T1',
+      new_table_id: 'T2',
+      orders_before: { T1: ['o1'], T2: [] },
+      orders_after: { T1: [], T2: ['o1'] },
+      quantity_deltas: { T1: { i1: -1 }, T2: { i1: 1 } },
+      created_at: new Date(0)
+    }]]]);
+
+    const entries = await queryAuditEntries(pool, {
+      restaurantId: 'r1',
+      tableId: 'T2',
+      orderId: 'o1',
+      from: '2024-01-01',
+      limit: 10,
+      offset: 20
+    });
+
+    expect(entries).toEqual([expect.objectContaining({
+      auditId: '5',
+      moveId: MOVE_ID,
+      actor: { captainId: '42', device: null },
+      ordersAfter: { T1: [], T2: ['o1'] }
+    })]);
+    const [{ sql, params }] = pool.queries;
+    expect(sql).toContain('(old_table_id = $2 OR new_table_id = $2 OR orders_before ? $2)');
+    expect(sql).toContain('$3 = ANY(order_ids)');
+    expect(sql).toContain('created_at >= $4');
+    expect(sql).toContain('LIMIT $5 OFFSET $6');
+    expect(params).toEqual(['r1', 'T2', 'o1', new Date('2024-01-01'), 10, 20]);
+  });
+});
+
+describe('listAuditEntries', () => {
+  it('pages 50 entries at a time by default and validates the query first', async () => {
+    const pool = createFakePool();
+    const operations = createTableOperations({ pool, logger: quietLogger() });
+
+    expect(await operations.listAuditEntries({ restaurantId: 'r1' })).toEqual([]);
+    expect(pool.queries[0].params).toEqual(['r1', 50, 0]);
+
+    await expect(operations.listAuditEntries({ restaurantId: 'r1', limit: 0 }))
+      .rejects.toMatchObject({ code: ERROR_CODES.INVALID_FIELD });
+    expect(pool.queries).toHaveLength(1);
+  });
+});
@@ -0,0 +1,143 @@
+const { captureRows, restoreChangeSet } = require('../src/services/changeSets');
+const { createTableOperations } = require('../src/controllers/tableOperations');
+const { ERROR_CODES } = require('../src/utils/errors');
+const { MOVE_ID, createFakePool, quietLogger } = require('./helpers/fakePg');
+
+const o1 = { id: 'o1', restaurant_id: 'r1', table_id: 'T1', json_data: { items: { i1: { totalQty: 1 } } } };
+const o2 = { id: 'o2', restaurant_id: 'r1', table_id: 'T2', json_data: { items: { i2: { totalQty: 2 } } } };
+const captain = { id: 'c1', name: 'Asha', assigned_tables: ['T1'] };
+
+// A merge of o1 into o2: the move deleted o1, rewrote o2, re-pointed KOT 11,
+// copied a discount onto o2 and reassigned the captain
+const changeSet = {
+  move_id: MOVE_ID,
+  restaurant_id: 'r1',
+  operation: 'moveTable',
+  old_table_id: 'T1',
+  new_table_id: 'T2',
+  table_ids: ['T1', 'T2'],
+  order_ids: ['o1', 'o2'],
+  before_rows: {
+    orders: [o1, o2],
+    notifications: [{ notification_id: 11, order_id: 'o1', table_number: 'T1' }],
+    discounts: [],
+    captains: [captain]
+  },
+  after_rows: {
+    orders: [{ ...o2, json_data: { items: { i1: { totalQty: 1 }, i2: { totalQty: 2 } } } }],
+    notifications: [{ notification_id: 11, order_id: 'o2', table_number: 'T2' }],
+    discounts: [{ id: 100, order_id: 'o2', table_number: 'T2' }],
+    captains: [{ ...captain, assigned_tables: ['T2'] }]
+  }
+};
+
+// Answers captureRows with `current` and updates the rows it holds
+const createRestorePool = (current) => createFakePool([
+  [/FROM (\w+) t, s/, (params, sql) => (current[sql.match(/FROM (\w+) t, s/)[1]] || []).map(row => ({ row }))],
+  [/^\s*UPDATE (\w+) AS t/, (params, sql) => {
+    const [, name] = sql.match(/UPDATE (\w+) AS t/);
+    const key = name === 'notifications' ? 'notification_id' : 'id';
+    const present = new Set((current[name] || []).map(row => String(row[key])));
+    return JSON.parse(params[0]).filter(row => present.has(String(row[key]))).map(row => ({ key: String(row[key]) }));
+  }]
+]);
+
+describe('captureRows', () => {
+  it('snapshots every table in the scope of the tables and their current orders', async () => {
+    const pool = createFakePool([
+      ['SELECT id::text AS id FROM orders', [{ id: 'o2' }]],
+      [/FROM orders t, s/, [{ row: o2 }, { row: o1 }]]
+    ]);
+
+    const { orderIds, rows } = await captureRows(pool.client, { restaurantId: 'r1', tableIds: ['T1', 'T2'], orderIds: ['o1'] });
+
+    expect(orderIds).toEqual(['o1', 'o2']);
+    expect(rows.orders).toEqual([o1, o2]);
+    expect(Object.keys(rows)).toEqual([
+      'orders', 'notifications', 'order_customization_deliveries', 'table_otps', 'discounts', 'dynamic_offers', 'captains'
+    ]);
+    expect(pool.statements(/FROM \w+ t, s/).every(q => q.params[2].join() === 'o1,o2')).toBe(true);
+  });
+});
+
+describe('restoreChangeSet', () => {
+  it('deletes what the move created, updates what it changed and re-inserts only what it deleted', async () => {
+    const pool = createRestorePool(changeSet.after_rows);
+
+    await restoreChangeSet(pool.client, changeSet);
+
+    const writes = pool.queries.filter(q => /^\s*(UPDATE|INSERT|DELETE)/.test(q.sql));
+    expect(writes.map(q => q.sql.trim().split(/\s+/).slice(0, 3).join(' '))).toEqual([
+      'DELETE FROM discounts',
+      'UPDATE orders AS',
+      'INSERT INTO orders',
+      'UPDATE notifications AS',
+      'UPDATE captains AS',
+      'UPDATE table_operation_changesets SET'
+    ]);
+    expect(writes[0].params).toEqual([['100']]);
+    expect(JSON.parse(writes[2].params[0])).toEqual([o1]);
+    expect(pool.statements(/DELETE FROM (orders|notifications)/)).toEqual([]);
+  });
+
+  it('restores only the assigned tables of captains', async () => {
+    const pool = createRestorePool(changeSet.after_rows);
+
+    await restoreChangeSet(pool.client, changeSet);
+
+    const [update] = pool.statements('UPDATE captains');
+    expect(update.sql).toMatch(/SET "assigned_tables" = r\."assigned_tables"\n/);
+  });
+
+  it('is not blocked by a change to captain columns the move does not restore', async () => {
+    const pool = createRestorePool({
+      ...changeSet.after_rows,
+      captains: [{ ...captain, name: 'Asha R', assigned_tables: ['T2'] }]
+    });
+
+    await expect(restoreChangeSet(pool.client, changeSet)).resolves.toBeUndefined();
+  });
+
+  it('refuses with UNDO_CONFLICT when the scope changed since the move', async () => {
+    const pool = createRestorePool({
+      ...changeSet.after_rows,
+      notifications: [...changeSet.after_rows.notifications, { notification_id: 12, order_id: 'o2', table_number: 'T2' }],
+      captains: [{ ...captain, assigned_tables: ['T2', 'T5'] }]
+    });
+
+    await expect(restoreChangeSet(pool.client, changeSet)).rejects.toMatchObject({
+      code: ERROR_CODES.UNDO_CONFLICT,
+      details: { moveId: MOVE_ID, changedTables: ['notifications', 'captains'] }
+    });
+    expect(pool.statements(/^\s*(UPDATE|INSERT|DELETE)/)).toEqual([]);
+  });
+});
+
+describe('undoMove', () => {
+  const operationsOn = (pool, notifier = { send: jest.fn() }) => createTableOperations({ pool, notifier, logger: quietLogger() });
+
+  it('refuses unknown and already undone moves', async () => {
+    await expect(operationsOn(createFakePool()).undoMove(MOVE_ID)).rejects.toMatchObject({ code: ERROR_CODES.MOVE_NOT_FOUND });
+
+    const undone = createFakePool([['FROM table_operation_changesets', [{ ...changeSet, undone_at: new Date() }]]]);
+    await expect(operationsOn(undone).undoMove(MOVE_ID)).rejects.toMatchObject({ code: ERROR_CODES.MOVE_ALREADY_UNDONE });
+  });
+
+  it('restores the rows, marks the move undone and audits the undo', async () => {
+    const current = changeSet.after_rows;
+    const pool = createRestorePool(current);
+    pool.when('FROM table_operation_changesets', [changeSet]);
+    const notifier = { send: jest.fn() };
+
+    const result = await operationsOn(pool, notifier).undoMove(MOVE_ID, { reasonCode: 'WRONG_TABLE' });
+
+    expect(result).toMatchObject({ success: true, moveId: MOVE_ID, oldTableId: 'T1', newTableId: 'T2' });
+    expect(pool.statements('FOR UPDATE').map(q => q.params)).toEqual([[MOVE_ID], ['r1', ['T1', 'T2']]]);
+    expect(pool.statements('UPDATE table_operation_changesets SET undone_at')[0].params).toEqual([MOVE_ID]);
+    expect(pool.statements('UPDATE order_provenance SET undone_at')[0].params).toEqual([MOVE_ID]);
+    expect(pool.statements('INSERT INTO table_operation_audit')[0].params.slice(0, 6))
+      .toEqual(['r1', 'undoMove', MOVE_ID, null, null, 'WRONG_TABLE']);
+    expect(pool.queries[pool.queries.length - 1].sql).toBe('COMMIT');
+    expect(notifier.send).toHaveBeenCalledWith(expect.objectContaining({ type: 'move.undone' }));
+  });
+});
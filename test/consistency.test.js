@@ -0,0 +1,113 @@
+const { createTableOperations } = require('../src/controllers/tableOperations');
+const { createMemorySessionStore } = require('../src/services/sessionStores');
+const { ANOMALY_CATEGORIES } = require('../src/services/consistency');
+const { createFakePool, quietLogger } = require('./helpers/fakePg');
+
+let mockPool;
+const mockCloseRedisClient = jest.fn(async () => {});
+jest.mock('../src/config/db', () => ({ getPool: () => mockPool }));
+jest.mock('../src/config/redis', () => ({
+  getRedisClient: async () => null,
+  closeRedisClient: (...args) => mockCloseRedisClient(...args)
+}));
+
+// Order o1 on T1 has no items left; T5 and T6 have an OTP but no order, and
+// only T6 has guests
+const createPool = () => {
+  let emptyOrder = [{ id: 'o1', tableId: 'T1', orderId: 'o1' }];
+  let otps = [{ id: '5', tableId: 'T5' }, { id: '6', tableId: 'T6' }];
+  return createFakePool([
+    [/FROM orders\s+WHERE restaurant_id = \$1\s+AND \(json_data/, () => emptyOrder],
+    ['DELETE FROM orders', () => { emptyOrder = []; return { rowCount: 1 }; }],
+    [/FROM table_otps t/, () => otps],
+    ['DELETE FROM table_otps', (params) => { otps = otps.filter(otp => !params[1].includes(otp.id)); return { rowCount: 1 }; }]
+  ]);
+};
+
+const sessionStore = () => createMemorySessionStore({
+  'table_session:r1:T6': { type: 'hash', value: { tableId: 'T6' } }
+});
+
+describe('checkConsistency', () => {
+  it('reports anomalies on a read-only transaction', async () => {
+    const pool = createPool();
+    const operations = createTableOperations({ pool, sessionStore: sessionStore(), logger: quietLogger() });
+
+    const report = await operations.checkConsistency({ restaurantId: 'r1' });
+
+    expect(report.ok).toBe(false);
+    expect(report.fixed).toEqual([]);
+    expect(report.anomalies).toEqual([
+      expect.objectContaining({ category: ANOMALY_CATEGORIES.EMPTY_ORDER, id: 'o1', fixable: true }),
+      expect.objectContaining({ category: ANOMALY_CATEGORIES.ORPHAN_OTP, id: '5', tableId: 'T5', fixable: true })
+    ]);
+    expect(pool.queries[1].sql).toBe('SET TRANSACTION READ ONLY');
+    expect(pool.statements(/^\s*(UPDATE|INSERT|DELETE)/)).toEqual([]);
+  });
+
+  it('repairs what it found under the tables\' locks with fix', async () => {
+    const pool = createPool();
+    const operations = createTableOperations({ pool, sessionStore: sessionStore(), logger: quietLogger() });
+
+    const report = await operations.checkConsistency({ restaurantId: 'r1', fix: true });
+
+    expect(report).toMatchObject({ ok: true, anomalies: [] });
+    expect(report.fixed.map(a => a.category)).toEqual([ANOMALY_CATEGORIES.EMPTY_ORDER, ANOMALY_CATEGORIES.ORPHAN_OTP]);
+    expect(pool.statements('pg_advisory_xact_lock')).not.toEqual([]);
+    expect(pool.statements('DELETE FROM table_otps')[0].params).toEqual(['r1', ['5']]);
+    expect(pool.queries[pool.queries.length - 1].sql).toBe('COMMIT');
+  });
+
+  it('only reports OTPs when no session store can say which tables have guests', async () => {
+    const pool = createPool();
+    const operations = createTableOperations({ pool, logger: quietLogger() });
+
+    const { anomalies } = await operations.checkConsistency({ restaurantId: 'r1' });
+
+    expect(anomalies.filter(a => a.category === ANOMALY_CATEGORIES.ORPHAN_OTP).map(a => [a.id, a.fixable]))
+      .toEqual([['5', false], ['6', false]]);
+  });
+});
+
+describe('butler-table-consistency', () => {
+  const { main } = require('../src/bin/check-consistency');
+  let log;
+
+  beforeEach(() => {
+    mockCloseRedisClient.mockClear();
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('exits 1 when anomalies are found, and closes the pool and Redis', async () => {
+    mockPool = createPool();
+
+    expect(await main(['--restaurant', 'r1'])).toBe(1);
+
+    expect(log).toHaveBeenCalledWith('3 anomalies');
+    expect(mockPool.end).toHaveBeenCalled();
+    expect(mockCloseRedisClient).toHaveBeenCalled();
+  });
+
+  it('exits 0 when nothing is left wrong after --fix', async () => {
+    mockPool = createPool();
+    mockPool.when(/FROM table_otps t/, []);
+
+    expect(await main(['--restaurant', 'r1', '--fix'])).toBe(0);
+    expect(log).toHaveBeenCalledWith('No anomalies');
+  });
+
+  it('exits 2 on bad arguments or a failing check', async () => {
+    mockPool = createPool();
+    expect(await main(['--restaurant'])).toBe(2);
+    expect(await main(['--verbose'])).toBe(2);
+
+    mockPool.when('SET TRANSACTION READ ONLY', new Error('connection refused'));
+    expect(await main(['--restaurant', 'r1'])).toBe(2);
+    expect(mockCloseRedisClient).toHaveBeenCalled();
+  });
+});
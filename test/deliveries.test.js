@@ -0,0 +1,97 @@
+const { createTableOperations } = require('../src/controllers/tableOperations');
+const { createFakePool, quietLogger } = require('./helpers/fakePg');
+
+const spicy = { variation: 'spicy', addons: [] };
+const noodles = (qty) => ({ i1: { name: 'Noodles', totalQty: qty, customizations: [{ ...spicy, qty }] } });
+const delivery = (id, qty, state) => ({
+  id,
+  notification_id: 11,
+  order_id: 'o1',
+  item_id: 'i1',
+  delivered: state === 'delivered',
+  cancelled: state === 'cancelled',
+  customization_details: { ...spicy, qty }
+});
+
+// Order o1 on T1 with 4 spicy noodles on KOT 11, delivered as `deliveries` say; T2 is empty
+const moveItemsPool = (deliveries) => createFakePool([
+  [/FROM orders[\s\S]*FOR UPDATE/, [{ id: 'o1', table_id: 'T1', updated_at: new Date(0) }]],
+  ['SELECT * FROM orders WHERE restaurant_id = $1 AND id = $2 AND table_id = $3', [{ id: 'o1', json_data: { items: noodles(4) } }]],
+  [/SELECT \* FROM notifications/, [{ notification_id: 11, created_at: new Date(0), notification_data: noodles(4), active: true }]],
+  [/FROM order_customization_deliveries\s+WHERE order_id = \$1/, deliveries],
+  [/SELECT id, json_data, instructions, print_status/, (params) => (params[1] === 'T1'
+    ? [{ id: 'o1', json_data: { items: noodles(4) }, print_status: false }]
+    : [])]
+]);
+
+const operationsOn = (pool) => createTableOperations({
+  pool,
+  orderEngine: { upsertTableOrder: async () => 'o9' },
+  notifier: { send: jest.fn() },
+  logger: quietLogger()
+});
+
+const moveTwo = { restaurantId: 'r1', oldTableId: 'T1', newTableId: 'T2', orderId: 'o1', items: [{ itemId: 'i1', quantity: 2 }] };
+
+// Rows moved onto the transfer KOT as they are, and copies made for it
+const carried = (pool) => ({
+  moved: pool.statements(/SET notification_id = \$1,\s+order_id\s+= \$2\s+WHERE id = \$3/).map(q => q.params[2]),
+  copied: pool.statements('INSERT INTO order_customization_deliveries').map(q => JSON.parse(q.params[0]))
+});
+
+describe('delivery state through moveItems', () => {
+  it('takes pending units first, then served ones, keeping their state', async () => {
+    const pool = moveItemsPool([delivery(21, 3, 'delivered'), delivery(22, 1, 'pending')]);
+
+    await operationsOn(pool).moveItems(moveTwo);
+
+    const { moved, copied } = carried(pool);
+    expect(moved).toEqual([22]);
+    expect(copied).toEqual([expect.objectContaining({
+      notification_id: '900',
+      order_id: 'o9',
+      delivered: true,
+      customization_details: { ...spicy, qty: 1 }
+    })]);
+    expect(pool.statements(/SET customization_details = \$1/).map(q => q.params)).toEqual([[{ ...spicy, qty: 2 }, 21]]);
+  });
+
+  it('only takes cancelled units once nothing else is left', async () => {
+    const pool = moveItemsPool([delivery(21, 2, 'cancelled'), delivery(22, 1, 'delivered'), delivery(23, 1, 'pending')]);
+
+    await operationsOn(pool).moveItems(moveTwo);
+
+    expect(carried(pool)).toEqual({ moved: [23, 22], copied: [] });
+    expect(pool.statements(/SET customization_details = \$1/)).toEqual([]);
+  });
+
+  it('prints each line\'s state on the transfer ticket', async () => {
+    const pool = moveItemsPool([delivery(21, 1, 'delivered'), delivery(22, 1, 'pending'), delivery(23, 2, 'pending')]);
+    pool.when('WHERE notification_id::text = $1', [
+      { item_id: 'i1', customization_details: { ...spicy, qty: 1 }, delivered: true, cancelled: false },
+      { item_id: 'i1', customization_details: { ...spicy, qty: 1 }, delivered: false, cancelled: false }
+    ]);
+
+    const { transferTicket } = await operationsOn(pool).moveItems(moveTwo);
+
+    expect(transferTicket.lines).toEqual([expect.objectContaining({ qty: 2, delivered: 1, status: 'partly delivered' })]);
+  });
+});
+
+describe('delivery state through moveKOT', () => {
+  it('moves the KOT\'s delivery rows onto the transfer KOT whatever their state', async () => {
+    const pool = createFakePool([
+      [/FROM orders[\s\S]*FOR UPDATE/, [{ id: 'o1', table_id: 'T1', updated_at: new Date(0) }]],
+      [/SELECT notification_id\s+FROM notifications/, [{ notification_id: 11 }, { notification_id: 12 }]],
+      ['WHERE notification_id = ANY($1::text[])', [{ item_id: 'i1', customization_details: { ...spicy, qty: 2 } }]],
+      ['SELECT * FROM orders WHERE restaurant_id = $1 AND id = $2', [{ id: 'o1', json_data: { items: noodles(4) } }]]
+    ]);
+
+    await operationsOn(pool).moveKOT({ restaurantId: 'r1', oldTableId: 'T1', newTableId: 'T2', orderId: 'o1', notificationIds: [12] });
+
+    const [carry] = pool.statements(/WHERE notification_id::text = ANY\(\$3::text\[\]\)/);
+    expect(carry.sql).toContain('UPDATE order_customization_deliveries');
+    expect(carry.params).toEqual(['900', 'o9', ['12']]);
+    expect(pool.statements('DELETE FROM order_customization_deliveries')).toEqual([]);
+  });
+});
@@ -0,0 +1,213 @@
+const { DISCOUNT_ACTIONS, resolveDiscountPolicy, reconcileDiscounts } = require('../src/services/discounts');
+
+// Client answering the queries reconcileDiscounts makes from in-memory
+// discounts and dynamic_offers rows
+const createClient = ({ discounts = [], offers = [] } = {}) => {
+  const tables = { discounts, dynamic_offers: offers };
+  const columns = {
+    discounts: { table: 'table_number', active: 'is_active' },
+    dynamic_offers: { table: 'table_id', active: 'active' }
+  };
+  let nextId = 100;
+
+  const query = jest.fn(async (sql, params = []) => {
+    const name = sql.includes('dynamic_offers') ? 'dynamic_offers' : 'discounts';
+    const rows = tables[name];
+    const { table, active } = columns[name];
+    const find = (id) => rows.find(row => String(row.id) === String(id));
+
+    if (sql.includes('to_jsonb(t)')) {
+      const [restaurantId, tableIds, orderIds] = params;
+      return {
+        rows: rows
+          .filter(row => row.restaurant_id === restaurantId && row[active]
+            && (tableIds.includes(String(row[table])) || orderIds.includes(String(row.order_id))))
+          .sort((a, b) => a.id - b.id)
+          .map(row => ({ row: { ...row } }))
+      };
+    }
+    if (sql.includes('INSERT INTO discounts')) {
+      const id = nextId++;
+      rows.push({ ...JSON.parse(params[0]), id });
+      return { rows: [{ id }] };
+    }
+    if (sql.includes('SET discount_value')) {
+      find(params[1]).discount_value = params[0];
+    } else if (sql.includes('SET item_id')) {
+      find(params[1]).item_id = params[0];
+    } else if (sql.includes(`SET ${table} = $1`)) {
+      Object.assign(find(params[2]), { [table]: params[0], order_id: params[1] });
+    } else if (sql.includes(`SET ${active} = false`)) {
+      find(params[0])[active] = false;
+    } else {
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+    return { rows: [] };
+  });
+
+  return { query, tables };
+};
+
+const discount = (fields) => ({
+  restaurant_id: 'r1',
+  table_number: 'T1',
+  order_id: 'o1',
+  item_id: null,
+  discount_type: 'fixed',
+  discount_value: 100,
+  is_active: true,
+  ...fields
+});
+
+const items = (quantities) => Object.fromEntries(
+  Object.entries(quantities).map(([itemId, qty]) => [itemId, { customizations: [{ qty }] }])
+);
+
+// moveItems taking `moved` off order o1 on T1 to order o2 on T2, leaving `remaining`
+const moveItemsPlan = (remaining, moved) => ({
+  operation: 'moveItems',
+  restaurantId: 'r1',
+  orderId: 'o1',
+  oldTableId: 'T1',
+  newTableId: 'T2',
+  remainingItems: items(remaining),
+  itemsForNewTable: items(moved),
+  deleteSourceOrder: Object.keys(remaining).length === 0
+});
+
+describe('resolveDiscountPolicy', () => {
+  it('fills in the defaults', () => {
+    expect(resolveDiscountPolicy()).toEqual({
+      partialItem: DISCOUNT_ACTIONS.SPLIT,
+      percentage: DISCOUNT_ACTIONS.SPLIT,
+      fixedAmount: DISCOUNT_ACTIONS.FLAG,
+      stacked: DISCOUNT_ACTIONS.FLAG
+    });
+    expect(resolveDiscountPolicy({ stacked: DISCOUNT_ACTIONS.DEACTIVATE }).stacked).toBe(DISCOUNT_ACTIONS.DEACTIVATE);
+  });
+
+  it('refuses unknown settings and actions a setting does not allow', () => {
+    expect(() => resolveDiscountPolicy({ everything: DISCOUNT_ACTIONS.KEEP })).toThrow(TypeError);
+    expect(() => resolveDiscountPolicy({ stacked: DISCOUNT_ACTIONS.SPLIT })).toThrow(TypeError);
+  });
+});
+
+describe('reconcileDiscounts', () => {
+  const result = { destinationOrderId: 'o2' };
+
+  it('moves an item discount along with its item', async () => {
+    const client = createClient({ discounts: [discount({ id: 1, item_id: 'i1' })] });
+
+    const changes = await reconcileDiscounts(client, moveItemsPlan({}, { i1: 2 }), result, {}, resolveDiscountPolicy());
+
+    expect(changes).toEqual([{
+      kind: 'discount',
+      id: '1',
+      action: DISCOUNT_ACTIONS.MOVE,
+      reason: 'Its item moved',
+      from: { tableId: 'T1', orderId: 'o1' },
+      to: [{ id: '1', tableId: 'T2', orderId: 'o2' }]
+    }]);
+    expect(client.tables.discounts[0]).toMatchObject({ table_number: 'T2', order_id: 'o2' });
+  });
+
+  it('splits order discounts by the share of units moved, or flags them per policy', async () => {
+    const rows = () => [
+      discount({ id: 1 }),
+      discount({ id: 2, discount_type: 'percentage', discount_value: 10 }),
+      discount({ id: 3, item_id: 'i2' })
+    ];
+    const plan = moveItemsPlan({ i1: 1, i2: 1 }, { i1: 2 });
+
+    const flagged = createClient({ discounts: rows() });
+    const defaults = await reconcileDiscounts(flagged, plan, result, {}, resolveDiscountPolicy());
+    expect(defaults.map(c => [c.id, c.action])).toEqual([['1', DISCOUNT_ACTIONS.FLAG], ['2', DISCOUNT_ACTIONS.SPLIT]]);
+    expect(defaults[1].to).toEqual([{ id: '100', tableId: 'T2', orderId: 'o2', value: 10 }]);
+
+    const split = createClient({ discounts: rows() });
+    const changes = await reconcileDiscounts(split, plan, result, {}, resolveDiscountPolicy({ fixedAmount: DISCOUNT_ACTIONS.SPLIT }));
+    expect(changes[0]).toMatchObject({
+      id: '1',
+      action: DISCOUNT_ACTIONS.SPLIT,
+      value: 50,
+      to: [{ id: '100', tableId: 'T2', orderId: 'o2', value: 50 }]
+    });
+    expect(split.tables.discounts.find(d => d.id === 1).discount_value).toBe(50);
+    expect(split.tables.discounts.find(d => d.id === 100)).toMatchObject({
+      table_number: 'T2',
+      order_id: 'o2',
+      discount_value: 50,
+      is_active: true
+    });
+  });
+
+  it('only copies an order-wide percentage onto the moved items of an order that already had items', async () => {
+    const plan = (remaining) => ({
+      ...moveItemsPlan(remaining, { i1: 2, i3: 1 }),
+      destination: { strategy: 'merge', orderId: 'o2' }
+    });
+    const percentage = () => [discount({ id: 1, discount_type: 'percentage', discount_value: 10 })];
+
+    const partly = createClient({ discounts: percentage() });
+    const changes = await reconcileDiscounts(partly, plan({ i2: 1 }), result, {}, resolveDiscountPolicy());
+    expect(changes).toEqual([expect.objectContaining({
+      id: '1',
+      action: DISCOUNT_ACTIONS.SPLIT,
+      to: [
+        { id: '100', tableId: 'T2', orderId: 'o2', itemId: 'i1', value: 10 },
+        { id: '101', tableId: 'T2', orderId: 'o2', itemId: 'i3', value: 10 }
+      ]
+    })]);
+    expect(partly.tables.discounts.map(d => [d.id, d.order_id, d.item_id])).toEqual([
+      [1, 'o1', null],
+      [100, 'o2', 'i1'],
+      [101, 'o2', 'i3']
+    ]);
+
+    // Emptied into it: the original row covers the first item
+    const emptied = createClient({ discounts: percentage() });
+    await reconcileDiscounts(emptied, plan({}), result, {}, resolveDiscountPolicy());
+    expect(emptied.tables.discounts.map(d => [d.id, d.order_id, d.item_id])).toEqual([
+      [1, 'o2', 'i1'],
+      [100, 'o2', 'i3']
+    ]);
+  });
+
+  it('points merged orders at the bill and handles what stacks there per policy', async () => {
+    const plan = {
+      operation: 'moveTable',
+      strategy: 'merge',
+      restaurantId: 'r1',
+      oldTableId: 'T1',
+      newTableId: 'T2',
+      sourceOrderId: 'o1',
+      destinationOrderId: 'o2'
+    };
+    // The move itself already brought discount 1 over to T2
+    const rows = () => [
+      discount({ id: 1, table_number: 'T2' }),
+      discount({ id: 2, table_number: 'T2', order_id: 'o2' })
+    ];
+    const before = { discounts: [discount({ id: 1 }), discount({ id: 2, table_number: 'T2', order_id: 'o2' })] };
+
+    const client = createClient({ discounts: rows() });
+    const changes = await reconcileDiscounts(client, plan, {}, before, resolveDiscountPolicy({ stacked: DISCOUNT_ACTIONS.DEACTIVATE }));
+
+    expect(changes.map(c => [c.id, c.action])).toEqual([['1', DISCOUNT_ACTIONS.MOVE], ['1', DISCOUNT_ACTIONS.DEACTIVATE]]);
+    expect(changes[1].reason).toBe('Stacks with a discount already on table T2');
+    expect(client.tables.discounts.map(d => [d.id, d.order_id, d.is_active])).toEqual([[1, 'o2', false], [2, 'o2', true]]);
+
+    const kept = createClient({ discounts: rows() });
+    const keptChanges = await reconcileDiscounts(kept, plan, {}, before, resolveDiscountPolicy({ stacked: DISCOUNT_ACTIONS.KEEP }));
+    expect(keptChanges.map(c => c.action)).toEqual([DISCOUNT_ACTIONS.MOVE]);
+    expect(kept.tables.discounts.every(d => d.is_active)).toBe(true);
+  });
+
+  it('leaves a swap alone', async () => {
+    const client = createClient({ discounts: [discount({ id: 1 })] });
+    const plan = { operation: 'swapTables', restaurantId: 'r1', tableIds: ['T1', 'T2'] };
+
+    expect(await reconcileDiscounts(client, plan, {}, {}, resolveDiscountPolicy())).toEqual([]);
+    expect(client.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,66 @@
+// A stand-in for a pg Pool: every statement is recorded and answered by the
+// first rule whose pattern (substring or RegExp) matches its SQL, else with
+// no rows. A rule's reply is rows, { rows, rowCount }, an Error to throw, or
+// a function (params, sql) returning one of those.
+
+const MOVE_ID = '00000000-0000-4000-8000-000000000001';
+
+// What a move's own bookkeeping reads back, so a test only has to describe
+// the orders and notifications it is about
+const BOOKKEEPING = [
+  ['AS installed', [{ installed: true }]],
+  ['AS defined', [{ defined: false }]],
+  ['AS total', [{ total: 0 }]],
+  ['AS last', [{ last: '0' }]],
+  ['RETURNING move_id', [{ move_id: MOVE_ID }]],
+  ['RETURNING audit_id', [{ audit_id: '1' }]],
+  ['RETURNING notification_id', [{ notification_id: '900' }]],
+  ['INSERT INTO kot_transfers', (params) => [{
+    transfer_id: '1',
+    restaurant_id: params[0],
+    notification_id: params[1],
+    operation: params[2],
+    from_table_id: params[3],
+    to_table_id: params[4],
+    source_order_id: params[5],
+    order_id: params[6],
+    original_notification_ids: params[7],
+    lines: JSON.parse(params[8]),
+    not_for_preparation: true,
+    created_at: new Date(0)
+  }]]
+];
+
+const matches = (pattern, sql) => (typeof pattern === 'string' ? sql.includes(pattern) : pattern.test(sql));
+
+const createFakePool = (rules = []) => {
+  const ordered = [...rules, ...BOOKKEEPING];
+  const queries = [];
+
+  const answer = async (sql, params = []) => {
+    queries.push({ sql, params });
+    const rule = ordered.find(([pattern]) => matches(pattern, sql));
+    let reply = rule ? rule[1] : [];
+    if (typeof reply === 'function') reply = await reply(params, sql);
+    if (reply instanceof Error) throw reply;
+    return Array.isArray(reply) ? { rows: reply, rowCount: reply.length } : { rows: [], rowCount: 0, ...reply };
+  };
+
+  const client = { query: jest.fn(answer), release: jest.fn() };
+
+  return {
+    client,
+    queries,
+    query: jest.fn(answer),
+    connect: jest.fn(async () => client),
+    end: jest.fn(async () => {}),
+    // Answer `pattern` with `reply`, ahead of every other rule
+    when: (pattern, reply) => { ordered.unshift([pattern, reply]); },
+    // Statements run so far whose SQL matches `pattern`
+    statements: (pattern) => queries.filter(q => matches(pattern, q.sql))
+  };
+};
+
+const quietLogger = () => ({ log: jest.fn(), error: jest.fn(), warn: jest.fn() });
+
+module.exports = { MOVE_ID, createFakePool, quietLogger };
@@ -0,0 +1,94 @@
+const { createTableOperations } = require('../src/controllers/tableOperations');
+const { MOVE_ID, createFakePool, quietLogger } = require('./helpers/fakePg');
+
+const spicy = { variation: 'spicy', addons: [] };
+
+// Order o1 on T1 with KOTs 11 and 12; moving KOT 12 (1 spicy noodles) to the empty T2
+const moveKotPool = () => createFakePool([
+  [/FROM orders[\s\S]*FOR UPDATE/, [{ id: 'o1', table_id: 'T1', updated_at: new Date(0) }]],
+  [/SELECT notification_id\s+FROM notifications/, [{ notification_id: 11 }, { notification_id: 12 }]],
+  ['WHERE notification_id = ANY($1::text[])', [{ item_id: 'i1', customization_details: { ...spicy, qty: 1 } }]],
+  ['SELECT * FROM orders WHERE restaurant_id = $1 AND id = $2', [{
+    id: 'o1',
+    table_id: 'T1',
+    json_data: { items: { i1: { name: 'Noodles', totalQty: 3, customizations: [{ ...spicy, qty: 3 }] } } }
+  }]]
+]);
+
+const operationsOn = (pool, orderEngine) => createTableOperations({
+  pool,
+  orderEngine,
+  notifier: { send: jest.fn() },
+  logger: quietLogger()
+});
+
+const moveKotData = { restaurantId: 'r1', oldTableId: 'T1', newTableId: 'T2', orderId: 'o1', notificationIds: [12] };
+
+describe('transfer tickets', () => {
+  it('asks the engine for the order only, and issues the ticket in place of a KOT', async () => {
+    const pool = moveKotPool();
+    const upsertTableOrder = jest.fn(async () => 'o9');
+
+    const { transferTicket } = await operationsOn(pool, { upsertTableOrder }).moveKOT(moveKotData);
+
+    expect(upsertTableOrder).toHaveBeenCalledWith(pool.client, expect.objectContaining({
+      tableId: 'T2',
+      createKots: false
+    }));
+    expect(transferTicket).toMatchObject({
+      notificationId: '900',
+      fromTableId: 'T1',
+      toTableId: 'T2',
+      originalNotificationIds: ['12'],
+      undoneAt: null
+    });
+    // Nothing of the engine's to look for or clean up
+    expect(pool.statements('AS last')).toEqual([]);
+    expect(pool.statements('notification_id > $4')).toEqual([]);
+  });
+
+  it('replaces the KOTs an engine that cannot leave them out printed', async () => {
+    const pool = moveKotPool();
+    pool.when('AS last', [{ last: '40' }]);
+    pool.when('notification_id > $4', [{ notification_id: '41' }]);
+    const engine = { writesKots: true, upsertTableOrder: jest.fn(async () => 'o9') };
+
+    await operationsOn(pool, engine).moveKOT(moveKotData);
+
+    expect(pool.statements('notification_id > $4')[0].params.slice(0, 4)).toEqual(['r1', 'T2', 'o9', 40]);
+    expect(pool.statements('DELETE FROM notifications WHERE notification_id::text')[0].params).toEqual([['41']]);
+  });
+});
+
+describe('undoing a move with a transfer ticket', () => {
+  const changeSet = {
+    move_id: MOVE_ID,
+    restaurant_id: 'r1',
+    operation: 'moveKOT',
+    old_table_id: 'T1',
+    new_table_id: 'T2',
+    table_ids: ['T1', 'T2'],
+    order_ids: ['o1', 'o9'],
+    before_rows: {
+      notifications: [{ notification_id: 12, order_id: 'o1', table_number: 'T1', action_type: 'new_order' }]
+    },
+    after_rows: {
+      notifications: [
+        { notification_id: 900, order_id: 'o9', table_number: 'T2', action_type: 'kot_transfer' }
+      ]
+    }
+  };
+
+  it('marks the move\'s tickets undone along with the rest of it', async () => {
+    const pool = createFakePool([
+      ['FROM table_operation_changesets', [changeSet]],
+      [/FROM notifications t, s/, changeSet.after_rows.notifications.map(row => ({ row }))]
+    ]);
+
+    await operationsOn(pool).undoMove(MOVE_ID);
+
+    const [mark] = pool.statements('UPDATE kot_transfers SET undone_at');
+    expect(mark.params).toEqual(['r1', ['900']]);
+    expect(pool.queries.indexOf(mark)).toBeLessThan(pool.queries.findIndex(q => q.sql === 'COMMIT'));
+  });
+});
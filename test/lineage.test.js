@@ -0,0 +1,125 @@
+const { createTableOperations } = require('../src/controllers/tableOperations');
+const { ERROR_CODES } = require('../src/utils/errors');
+const { MOVE_ID, createFakePool, quietLogger } = require('./helpers/fakePg');
+
+const spicy = { variation: 'spicy', addons: [] };
+const noodles = (qty) => ({ i1: { name: 'Noodles', price: 100, customizations: [{ ...spicy, qty }] } });
+
+const operationsOn = (pool) => createTableOperations({ pool, notifier: { send: jest.fn() }, logger: quietLogger() });
+
+// Provenance row as order_provenance stores it
+const provenance = (id, orderId, sourceOrderId, tableId, sourceTableId, extra = {}) => ({
+  provenance_id: id,
+  order_id: orderId,
+  table_id: tableId,
+  source_order_id: sourceOrderId,
+  source_table_id: sourceTableId,
+  kind: 'order',
+  operation: 'moveTable',
+  move_id: MOVE_ID,
+  notification_ids: [],
+  items: {},
+  instructions: null,
+  actor: null,
+  reason_code: null,
+  reason: null,
+  created_at: new Date(0),
+  undone_at: null,
+  ...extra
+});
+
+describe('recording provenance', () => {
+  it('writes one row per order a merge put items on, inside the move\'s transaction', async () => {
+    const orders = {
+      A: [{ id: 'o1', print_status: false, instructions: 'birthday', json_data: { items: noodles(2) } }],
+      B: [{ id: 'o2', print_status: false, instructions: 'window', json_data: { items: noodles(1) } }]
+    };
+    const pool = createFakePool([
+      [/FROM orders[\s\S]*FOR UPDATE/, [{ id: 'o1', table_id: 'A', updated_at: new Date(0) }, { id: 'o2', table_id: 'B', updated_at: new Date(0) }]],
+      [/SELECT id, json_data, instructions, print_status/, (params) => orders[params[1]]],
+      [/FROM orders t, s/, [...orders.A, ...orders.B].map(order => ({ row: { ...order, restaurant_id: 'r1' } }))],
+      [/FROM notifications t, s/, [{ row: { notification_id: 11, order_id: 'o1', active: true, action_type: 'order_created' } }]]
+    ]);
+
+    await operationsOn(pool).mergeTables({
+      restaurantId: 'r1',
+      sourceTableIds: ['A'],
+      targetTableId: 'B',
+      actor: { captainId: '7' },
+      reasonCode: 'guests_joined'
+    });
+
+    const rows = pool.statements('INSERT INTO order_provenance');
+    expect(rows.map(q => q.params)).toEqual([[
+      'r1', 'o2', 'B', 'o1', 'A', 'merge', 'mergeTables', MOVE_ID, ['11'],
+      JSON.stringify({ i1: 2 }), 'birthday', JSON.stringify({ captainId: '7' }), 'guests_joined', null
+    ]]);
+    expect(pool.queries.indexOf(rows[0])).toBeLessThan(pool.queries.findIndex(q => q.sql === 'COMMIT'));
+  });
+
+  it('records moved items as part of the order, without instructions', async () => {
+    const pool = createFakePool([
+      [/FROM orders[\s\S]*FOR UPDATE/, [{ id: 'o1', table_id: 'T1', updated_at: new Date(0) }]],
+      ['SELECT * FROM orders WHERE restaurant_id = $1 AND id = $2 AND table_id = $3', [{ id: 'o1', json_data: { items: noodles(3) } }]],
+      [/SELECT \* FROM notifications/, [{ notification_id: 11, created_at: new Date(0), notification_data: noodles(3), active: true }]],
+      [/SELECT id, json_data, instructions, print_status/, (params) => (params[1] === 'T1'
+        ? [{ id: 'o1', json_data: { items: noodles(3) }, instructions: 'birthday', print_status: false }]
+        : [])]
+    ]);
+    const operations = createTableOperations({
+      pool,
+      orderEngine: { upsertTableOrder: async () => 'o9' },
+      notifier: { send: jest.fn() },
+      logger: quietLogger()
+    });
+
+    await operations.moveItems({ restaurantId: 'r1', oldTableId: 'T1', newTableId: 'T2', orderId: 'o1', items: [{ itemId: 'i1', quantity: 1 }] });
+
+    const [row] = pool.statements('INSERT INTO order_provenance');
+    expect(row.params.slice(0, 11)).toEqual([
+      'r1', 'o9', 'T2', 'o1', 'T1', 'items', 'moveItems', MOVE_ID, ['11'], JSON.stringify({ i1: 1 }), null
+    ]);
+  });
+});
+
+describe('getOrderLineage', () => {
+  it('follows the order back through earlier moves and lists what moved out of it', async () => {
+    const pool = createFakePool([
+      ['WITH RECURSIVE lineage', [
+        { ...provenance(3, 'o1', 'o0', 'T1', 'T9', { kind: 'merge' }), depth: 2 },
+        { ...provenance(8, 'o2', 'o1', 'T2', 'T1'), depth: 1 },
+        { ...provenance(9, 'o2', 'o2', 'T2', 'T2', { operation: 'swapTables' }), depth: 1 }
+      ]],
+      ['AND order_id <> source_order_id', [provenance(12, 'o5', 'o2', 'T5', 'T2', { kind: 'items', operation: 'moveItems' })]]
+    ]);
+
+    const lineage = await operationsOn(pool).getOrderLineage({ restaurantId: 'r1', orderId: 'o2' });
+
+    expect(lineage).toMatchObject({ restaurantId: 'r1', orderId: 'o2', sourceTableIds: ['T9', 'T1'] });
+    expect(lineage.entries.map(e => [e.provenanceId, e.sourceOrderId, e.kind, e.depth])).toEqual([
+      ['3', 'o0', 'merge', 2],
+      ['8', 'o1', 'order', 1],
+      ['9', 'o2', 'order', 1]
+    ]);
+    expect(lineage.movedOut).toEqual([expect.objectContaining({ provenanceId: '12', orderId: 'o5', kind: 'items' })]);
+    expect(lineage.movedOut[0]).not.toHaveProperty('depth');
+    expect(pool.statements('WITH RECURSIVE lineage')[0].params).toEqual(['r1', 'o2', 50]);
+  });
+
+  it('leaves out undone moves', async () => {
+    const pool = createFakePool();
+
+    await operationsOn(pool).getOrderLineage({ restaurantId: 'r1', orderId: 'o2' });
+
+    const reads = pool.statements('FROM order_provenance');
+    expect(reads).toHaveLength(2);
+    for (const { sql } of reads) {
+      expect(sql).toContain('undone_at IS NULL');
+    }
+  });
+
+  it('rejects a query without an order id', async () => {
+    await expect(operationsOn(createFakePool()).getOrderLineage({ restaurantId: 'r1' }))
+      .rejects.toMatchObject({ code: ERROR_CODES.MISSING_FIELD });
+  });
+});
@@ -0,0 +1,86 @@
+const { lockTables, assertOrderVersions } = require('../src/utils/locking');
+const { createTableOperations } = require('../src/controllers/tableOperations');
+const { ERROR_CODES, MoveConflictError } = require('../src/utils/errors');
+const { createFakePool, quietLogger } = require('./helpers/fakePg');
+
+const order = { id: 'o1', table_id: 'T1', updated_at: '2024-01-01T10:00:00.000Z' };
+
+// T1 holds order o1, T2 is empty
+const tablePool = () => createFakePool([
+  [/SELECT id, table_id, updated_at\s+FROM orders/, [order]],
+  [/SELECT id, json_data, instructions, print_status/, (params) => (params[1] === 'T1'
+    ? [{ ...order, json_data: { items: {} }, instructions: '', print_status: false }]
+    : [])]
+]);
+
+const operationsOn = (pool) => createTableOperations({ pool, notifier: { send: jest.fn() }, logger: quietLogger() });
+
+describe('lockTables', () => {
+  it('takes one advisory lock per table in table id order, then locks the orders', async () => {
+    const pool = createFakePool([['FOR UPDATE', [order]]]);
+
+    expect(await lockTables(pool.client, 'r1', ['T2', 'T1', 'T2'])).toEqual([order]);
+
+    expect(pool.queries.map(q => q.params)).toEqual([
+      ['table-operations:r1:T1'],
+      ['table-operations:r1:T2'],
+      ['r1', ['T1', 'T2']]
+    ]);
+    expect(pool.queries[2].sql).toMatch(/FOR UPDATE$/);
+  });
+});
+
+describe('assertOrderVersions', () => {
+  it('accepts the same instant in any format, and no expectations at all', () => {
+    expect(() => assertOrderVersions([order], { o1: '2024-01-01T11:00:00+01:00' })).not.toThrow();
+    expect(() => assertOrderVersions([order])).not.toThrow();
+  });
+
+  it('refuses an order changed or gone since the caller read it', () => {
+    expect(() => assertOrderVersions([order], { o1: '2024-01-01T09:59:59Z' })).toThrow(MoveConflictError);
+    expect(() => assertOrderVersions([order], { o2: order.updated_at }))
+      .toThrow(expect.objectContaining({ code: ERROR_CODES.MOVE_CONFLICT, status: 409, details: { orderId: 'o2' } }));
+  });
+});
+
+describe('concurrent moves', () => {
+  it('rolls a move back with MOVE_CONFLICT when an order changed under it', async () => {
+    const pool = tablePool();
+
+    await expect(operationsOn(pool).moveTable({
+      restaurantId: 'r1',
+      oldTableId: 'T1',
+      newTableId: 'T2',
+      expectedVersions: { o1: '2024-01-01T09:00:00Z' }
+    })).rejects.toMatchObject({ code: ERROR_CODES.MOVE_CONFLICT });
+
+    expect(pool.statements('FOR UPDATE')).toHaveLength(1);
+    expect(pool.statements(/^\s*UPDATE/)).toEqual([]);
+    expect(pool.queries[pool.queries.length - 1].sql).toBe('ROLLBACK');
+  });
+
+  it('moves when the versions still match', async () => {
+    const pool = tablePool();
+
+    const result = await operationsOn(pool).moveTable({
+      restaurantId: 'r1',
+      oldTableId: 'T1',
+      newTableId: 'T2',
+      expectedVersions: { o1: order.updated_at }
+    });
+
+    expect(result.moveId).toBeDefined();
+    expect(pool.statements(/UPDATE orders\s+SET table_id/)[0].params).toEqual(['T2', 'o1']);
+    expect(pool.queries[pool.queries.length - 1].sql).toBe('COMMIT');
+  });
+
+  it('lets a dry run read on a read-only transaction without locking', async () => {
+    const pool = tablePool();
+
+    const preview = await operationsOn(pool).moveTable({ restaurantId: 'r1', oldTableId: 'T1', newTableId: 'T2', dryRun: true });
+
+    expect(preview).toMatchObject({ operation: 'moveTable', destination: { tableId: 'T2', strategy: 'reassign', orderId: 'o1' } });
+    expect(pool.queries[1].sql).toBe('SET TRANSACTION READ ONLY');
+    expect(pool.statements(/FOR UPDATE|pg_advisory_xact_lock|^\s*(UPDATE|INSERT|DELETE)/)).toEqual([]);
+  });
+});
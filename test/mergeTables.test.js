@@ -0,0 +1,78 @@
+const { createTableOperations } = require('../src/controllers/tableOperations');
+const { mergeItems } = require('../src/utils/items');
+const { createFakePool, quietLogger } = require('./helpers/fakePg');
+
+const spicy = { variation: 'spicy', addons: [] };
+const noodles = (...customizations) => ({ i1: { name: 'Noodles', price: 100, customizations } });
+
+// Target B has the open order o2; source A has the open order o1 and the printed o3
+const createPool = () => {
+  const orders = {
+    A: [
+      { id: 'o1', print_status: false, instructions: 'birthday', json_data: { items: noodles({ ...spicy, qty: 2 }) } },
+      { id: 'o3', print_status: true, instructions: null, json_data: { items: noodles({ ...spicy, qty: 1 }) } }
+    ],
+    B: [{ id: 'o2', print_status: false, instructions: 'window', json_data: { items: noodles({ ...spicy, qty: 1 }) } }]
+  };
+  return createFakePool([
+    [/FROM orders[\s\S]*FOR UPDATE/, [
+      { id: 'o1', table_id: 'A', updated_at: new Date(0) },
+      { id: 'o2', table_id: 'B', updated_at: new Date(0) },
+      { id: 'o3', table_id: 'A', updated_at: new Date(0) }
+    ]],
+    [/SELECT id, json_data, instructions, print_status/, (params) => orders[params[1]]]
+  ]);
+};
+
+const operationsOn = (pool) => createTableOperations({ pool, notifier: { send: jest.fn() }, logger: quietLogger() });
+
+describe('mergeTables', () => {
+  it('merges the open source orders into the target\'s bill and moves printed ones as they are', async () => {
+    const pool = createPool();
+
+    const result = await operationsOn(pool).mergeTables({ restaurantId: 'r1', sourceTableIds: ['A'], targetTableId: 'B' });
+
+    expect(result).toMatchObject({
+      success: true,
+      billOrderId: 'o2',
+      mergedOrderIds: ['o1'],
+      reassignedOrderIds: ['o3']
+    });
+    const [bill] = pool.statements(/SET json_data\s+= \$1,\s+instructions = \$2/);
+    expect(bill.params[0]).toMatchObject({
+      items: { i1: { totalQty: 3, customizations: [{ ...spicy, qty: 3 }] } },
+      mergedFrom: [{ tableId: 'A', orderId: 'o1', mergedAt: expect.any(String) }]
+    });
+    expect(bill.params.slice(1)).toEqual(['window\nbirthday', 'o2']);
+    expect(pool.statements('DELETE FROM orders')[0].params).toEqual(['r1', ['o1']]);
+    expect(pool.statements(/SET table_id\s+= \$1,/)[0].params).toEqual(['B', 'r1', ['o3']]);
+  });
+
+  it('takes the first open source order as the bill when the target has none', async () => {
+    const pool = createFakePool([
+      [/SELECT id, json_data, instructions, print_status/, (params) => (params[1] === 'A'
+        ? [{ id: 'o1', print_status: false, json_data: { items: noodles({ ...spicy, qty: 2 }) } }]
+        : [])]
+    ]);
+
+    const result = await operationsOn(pool).mergeTables({ restaurantId: 'r1', sourceTableIds: ['A'], targetTableId: 'B' });
+
+    expect(result).toMatchObject({ billOrderId: 'o1', mergedOrderIds: [], reassignedOrderIds: ['o1'] });
+    expect(pool.statements('DELETE FROM orders')).toEqual([]);
+  });
+});
+
+describe('mergeItems', () => {
+  it('keeps lines with different prices or instructions apart', () => {
+    const merged = mergeItems([
+      noodles({ ...spicy, qty: 1 }, { ...spicy, qty: 1, instructions: 'no onions' }),
+      noodles({ ...spicy, qty: 2, instructions: 'no onions' }, { ...spicy, qty: 1, price: 120 })
+    ]);
+
+    expect(merged.i1.customizations).toEqual([
+      { ...spicy, qty: 1 },
+      { ...spicy, qty: 3, instructions: 'no onions' },
+      { ...spicy, qty: 1, price: 120 }
+    ]);
+  });
+});
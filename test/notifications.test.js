@@ -0,0 +1,123 @@
+const { createNotifier } = require('../src/services/notifications');
+const { createEventEmitterTransport, createRedisPubSubTransport } = require('../src/services/notificationTransports');
+const { quietLogger } = require('./helpers/fakePg');
+
+const event = { type: 'table.moved', restaurantId: 'r1', audience: 'biller', title: '', message: '', data: {} };
+
+// A transport failing its first `failures` deliveries
+const flakyTransport = (failures) => {
+  let calls = 0;
+  return {
+    name: 'flaky',
+    send: jest.fn(async () => {
+      calls += 1;
+      if (calls <= failures) throw new Error(`attempt ${calls} failed`);
+    })
+  };
+};
+
+describe('createNotifier', () => {
+  it('stamps each event and sends it to every transport', async () => {
+    const emitter = createEventEmitterTransport();
+    const received = jest.fn();
+    emitter.emitter.on('table.moved', received);
+    const other = { send: jest.fn(async () => {}) };
+    const notifier = createNotifier({ transports: [emitter, other], logger: quietLogger() });
+
+    const sent = await notifier.send(event);
+    await notifier.flush();
+
+    expect(sent).toMatchObject({ ...event, eventId: expect.any(String), occurredAt: expect.any(String) });
+    expect(received).toHaveBeenCalledWith(sent);
+    expect(other.send).toHaveBeenCalledWith(sent);
+  });
+
+  it('logs events when no transport is registered', async () => {
+    const logger = quietLogger();
+    await createNotifier({ logger }).send(event);
+    expect(logger.log).toHaveBeenCalledWith('Sending notification to restaurant:', expect.objectContaining(event));
+  });
+
+  it('does not wait for a slow transport', async () => {
+    let release;
+    const slow = { send: () => new Promise((resolve) => { release = resolve; }) };
+    const notifier = createNotifier({ transports: [slow], logger: quietLogger() });
+
+    await notifier.send(event);
+    release();
+    expect(await notifier.flush()).toEqual({ delivered: 0, pending: 0 });
+  });
+
+  it('queues a failed delivery and retries it', async () => {
+    const transport = flakyTransport(1);
+    const logger = quietLogger();
+    const notifier = createNotifier({ transports: [transport], logger });
+
+    await notifier.send(event);
+
+    expect(await notifier.flush()).toEqual({ delivered: 1, pending: 0 });
+    expect(transport.send).toHaveBeenCalledTimes(2);
+    expect(logger.error).toHaveBeenCalledWith('Notification transport flaky failed, queued for retry:', expect.any(Error));
+  });
+
+  it('retries with backoff in the background', async () => {
+    jest.useFakeTimers();
+    try {
+      const transport = flakyTransport(2);
+      const notifier = createNotifier({ transports: [transport], logger: quietLogger(), retryDelayMs: 100 });
+
+      await notifier.send(event);
+      await jest.advanceTimersByTimeAsync(99);
+      expect(transport.send).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(transport.send).toHaveBeenCalledTimes(2);
+      // Second retry waits twice as long
+      await jest.advanceTimersByTimeAsync(199);
+      expect(transport.send).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(transport.send).toHaveBeenCalledTimes(3);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('hands a delivery to onDeadLetter once it used up its attempts', async () => {
+    const onDeadLetter = jest.fn();
+    const notifier = createNotifier({ transports: [flakyTransport(5)], logger: quietLogger(), maxAttempts: 2, onDeadLetter });
+
+    const sent = await notifier.send(event);
+    expect(await notifier.flush()).toEqual({ delivered: 0, pending: 0 });
+
+    expect(onDeadLetter).toHaveBeenCalledWith(sent, expect.objectContaining({ message: 'attempt 2 failed' }), 'flaky');
+  });
+
+  it('drops the oldest deliveries beyond maxQueueSize', async () => {
+    const onDeadLetter = jest.fn();
+    const notifier = createNotifier({ transports: [flakyTransport(10)], logger: quietLogger(), maxQueueSize: 1, onDeadLetter });
+
+    const first = await notifier.send(event);
+    await notifier.send(event);
+    await notifier.flush();
+
+    expect(onDeadLetter.mock.calls[0][0]).toBe(first);
+  });
+
+  it('refuses a transport without send and can unregister one', async () => {
+    const notifier = createNotifier({ logger: quietLogger() });
+    expect(() => notifier.registerTransport({})).toThrow(TypeError);
+
+    const transport = { send: jest.fn(async () => {}) };
+    const unregister = notifier.registerTransport(transport);
+    unregister();
+    await notifier.send(event);
+    expect(transport.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('createRedisPubSubTransport', () => {
+  it('publishes on the restaurant channel', async () => {
+    const client = { publish: jest.fn(async () => 1) };
+    await createRedisPubSubTransport({ client }).send(event);
+    expect(client.publish).toHaveBeenCalledWith('table_operations:r1', JSON.stringify(event));
+  });
+});
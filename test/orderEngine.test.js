@@ -0,0 +1,125 @@
+const { createOrderEngineAdapter, createLegacyOrderEngine } = require('../src/services/orderEngine');
+const { ERROR_CODES } = require('../src/utils/errors');
+const { createFakePool } = require('./helpers/fakePg');
+
+// An @butler/order-engine version that only has the Express order handler
+const mockCreateOrUpdateOrder = jest.fn(async (req, res) => res.status(201).json({ data: { id: 'o9' } }));
+jest.mock('@butler/order-engine', () => ({}), { virtual: true });
+jest.mock('@butler/order-engine/src/controllers/orderController', () => ({
+  createOrUpdateOrder: (...args) => mockCreateOrUpdateOrder(...args)
+}), { virtual: true });
+
+let mockPool;
+jest.mock('../src/config/db', () => ({ getPool: () => mockPool }));
+
+const spicy = { variation: 'spicy', addons: [] };
+
+beforeEach(() => {
+  mockCreateOrUpdateOrder.mockClear();
+});
+
+describe('createOrderEngineAdapter', () => {
+  it('refuses an engine without upsertTableOrder', () => {
+    expect(() => createOrderEngineAdapter({ createOrUpdateOrder: () => {} }))
+      .toThrow(expect.objectContaining({ code: ERROR_CODES.ORDER_ENGINE_ERROR }));
+  });
+
+  it('resolves the order id from whatever shape the engine answers with', async () => {
+    const answer = jest.fn();
+    const adapter = createOrderEngineAdapter({ upsertTableOrder: answer });
+    const order = { restaurantId: 'r1', tableId: 'T2', items: {} };
+
+    for (const body of ['o1', { orderId: 'o1' }, { order_id: 'o1' }, { order: { id: 'o1' } }, { data: { id: 'o1' } }]) {
+      answer.mockResolvedValueOnce(body);
+      expect(await adapter.upsertTableOrder('client', order)).toBe('o1');
+    }
+    expect(answer).toHaveBeenCalledWith('client', { ...order, forceNewOrder: false, createKots: true });
+    expect(adapter.writesKots).toBe(false);
+  });
+
+  it('fails with ORDER_ENGINE_ERROR without an order id or when the engine fails', async () => {
+    const order = { restaurantId: 'r1', tableId: 'T2', items: {}, targetOrderId: 'o2' };
+
+    await expect(createOrderEngineAdapter({ upsertTableOrder: async () => ({}) }).upsertTableOrder('client', order))
+      .rejects.toMatchObject({ code: ERROR_CODES.ORDER_ENGINE_ERROR, details: { tableId: 'T2', targetOrderId: 'o2' } });
+    await expect(createOrderEngineAdapter({ upsertTableOrder: async () => { throw new Error('down'); } })
+      .upsertTableOrder('client', order))
+      .rejects.toMatchObject({ code: ERROR_CODES.ORDER_ENGINE_ERROR, message: 'Order engine failed: down' });
+  });
+});
+
+describe('createLegacyOrderEngine', () => {
+  const items = { i1: { name: 'Noodles', customizations: [{ ...spicy, qty: 1 }] } };
+
+  it('asks the handler for a new order, never one the move has locked', async () => {
+    const pool = createFakePool();
+    const engine = createOrderEngineAdapter(createLegacyOrderEngine(mockCreateOrUpdateOrder));
+
+    expect(await engine.upsertTableOrder(pool.client, { restaurantId: 'r1', tableId: 'T2', items, createKots: false }))
+      .toBe('o9');
+
+    expect(mockCreateOrUpdateOrder.mock.calls[0][0].body).toEqual({
+      restaurantId: 'r1',
+      tableId: 'T2',
+      items,
+      orderType: 'captain',
+      forceNewOrder: true,
+      createKots: false
+    });
+    expect(pool.queries).toEqual([]);
+    // The handler may print KOTs anyway: moves clean up after it
+    expect(engine.writesKots).toBe(true);
+  });
+
+  it('merges into an open order on the move\'s transaction', async () => {
+    const pool = createFakePool([['SELECT json_data FROM orders', [{
+      json_data: { items: { i1: { name: 'Noodles', totalQty: 2, customizations: [{ ...spicy, qty: 2 }] } } }
+    }]]]);
+    const engine = createLegacyOrderEngine(mockCreateOrUpdateOrder);
+
+    expect(await engine.upsertTableOrder(pool.client, { restaurantId: 'r1', tableId: 'T2', items, targetOrderId: 'o2' }))
+      .toBe('o2');
+
+    expect(mockCreateOrUpdateOrder).not.toHaveBeenCalled();
+    const [update] = pool.statements('UPDATE orders');
+    expect(JSON.parse(update.params[0])).toEqual({
+      i1: { name: 'Noodles', totalQty: 3, customizations: [{ ...spicy, qty: 3 }] }
+    });
+    expect(update.params[1]).toBe('o2');
+  });
+
+  it('fails when the handler answers with an error status', async () => {
+    const handler = async (req, res) => res.status(400).json({ error: 'Table is closed' });
+
+    const engine = createLegacyOrderEngine(handler);
+
+    await expect(engine.upsertTableOrder(createFakePool().client, { restaurantId: 'r1', tableId: 'T2', items }))
+      .rejects.toThrow('Table is closed');
+  });
+});
+
+describe('module-level operations', () => {
+  it('move KOTs through the (req, res) export with an engine that only has createOrUpdateOrder', async () => {
+    mockPool = createFakePool([
+      [/FROM orders[\s\S]*FOR UPDATE/, [{ id: 'o1', table_id: 'T1', updated_at: new Date(0) }]],
+      [/SELECT notification_id\s+FROM notifications/, [{ notification_id: 11 }, { notification_id: 12 }]],
+      ['WHERE notification_id = ANY($1::text[])', [{ item_id: 'i1', customization_details: { ...spicy, qty: 1 } }]],
+      ['SELECT * FROM orders WHERE restaurant_id = $1 AND id = $2', [{
+        id: 'o1',
+        json_data: { items: { i1: { name: 'Noodles', totalQty: 2, customizations: [{ ...spicy, qty: 2 }] } } }
+      }]]
+    ]);
+    const { moveKOT } = require('../src/controllers/tableOperations');
+    const json = jest.fn();
+    const res = { status: jest.fn(() => ({ json })) };
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await moveKOT({ body: { restaurantId: 'r1', oldTableId: 'T1', newTableId: 'T2', orderId: 'o1', notificationIds: [12] } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(json.mock.calls[0][0]).toMatchObject({ success: true, destinationOrderId: 'o9' });
+    expect(mockCreateOrUpdateOrder).toHaveBeenCalledTimes(1);
+    expect(mockPool.queries[mockPool.queries.length - 1].sql).toBe('COMMIT');
+    log.mockRestore();
+  });
+});
@@ -0,0 +1,64 @@
+const { createTableOperations } = require('../src/controllers/tableOperations');
+const { ERROR_CODES } = require('../src/utils/errors');
+const { createFakePool, quietLogger } = require('./helpers/fakePg');
+
+const items = (qty) => ({ items: { i1: { customizations: [{ qty }] } } });
+
+// T1 holds the printed bill o1 and the fresh order o2; T2 is empty
+const createPool = (orders = [
+  { id: 'o1', json_data: items(2), print_status: true },
+  { id: 'o2', json_data: items(1), print_status: false }
+]) => createFakePool([
+  [/SELECT id, table_id, updated_at\s+FROM orders/, orders.map(o => ({ id: o.id, table_id: 'T1', updated_at: new Date(0) }))],
+  [/SELECT id, json_data, instructions, print_status/, (params) => (params[1] === 'T1' ? orders : [])],
+  [/SELECT notification_id\s+FROM notifications[\s\S]*order_id\s+= \$2/, [{ notification_id: 12 }]],
+  [/UPDATE (notifications|discounts)/, { rowCount: 1 }],
+  [/COUNT\(\*\)::int AS total FROM discounts/, [{ total: 1 }]]
+]);
+
+const operationsOn = (pool) => createTableOperations({ pool, notifier: { send: jest.fn() }, logger: quietLogger() });
+const orderMove = { restaurantId: 'r1', oldTableId: 'T1', newTableId: 'T2', orderId: 'o2', scope: 'order' };
+
+describe('moveTable in order scope', () => {
+  it('moves only the order with its own KOTs, discounts and offers', async () => {
+    const pool = createPool();
+
+    const result = await operationsOn(pool).moveTable(orderMove);
+
+    expect(result).toMatchObject({ success: true, scope: 'order', destinationOrderId: 'o2', otpUpdated: 0, captainsUpdated: 0 });
+    const [order] = pool.statements(/UPDATE orders\s+SET table_id/);
+    expect(order.params).toContain('o2');
+    expect(order.params).not.toContain('o1');
+    expect(pool.statements(/UPDATE notifications[\s\S]*AND order_id\s+= \$3/)[0].params).toEqual(['T2', 'r1', 'o2']);
+    expect(pool.statements(/UPDATE discounts[\s\S]*order_id\s+= \$4/)[0].params).toEqual(['T2', 'o2', 'r1', 'o2']);
+    expect(pool.statements(/UPDATE (table_otps|captains)/)).toEqual([]);
+  });
+
+  it('never falls back to another order of the table', async () => {
+    const pool = createPool();
+
+    await expect(operationsOn(pool).moveTable({ ...orderMove, orderId: 'o9' }))
+      .rejects.toMatchObject({ code: ERROR_CODES.ORDER_NOT_FOUND, details: { orderId: 'o9', tableId: 'T1' } });
+    expect(pool.statements(/^\s*(UPDATE|INSERT|DELETE)/)).toEqual([]);
+  });
+
+  it('runs as a table move when the order is alone on its table', async () => {
+    const pool = createPool([{ id: 'o2', json_data: items(1), print_status: false }]);
+
+    const result = await operationsOn(pool).moveTable(orderMove);
+
+    expect(result.scope).toBe('table');
+    expect(pool.statements('UPDATE table_otps')).not.toEqual([]);
+  });
+
+  it('previews the rows that follow the order, matching discounts on order_id', async () => {
+    const pool = createPool();
+
+    const preview = await operationsOn(pool).moveTable({ ...orderMove, dryRun: true });
+
+    expect(preview.destination).toMatchObject({ scope: 'order', orderId: 'o2' });
+    expect(preview.notifications.moved).toEqual([12]);
+    expect(preview.relatedRows).toEqual({ otps: 0, discounts: 1, dynamicOffers: 0, captains: 0 });
+    expect(pool.statements(/FROM discounts\s+WHERE restaurant_id = \$1 AND order_id = \$2/)[0].params).toEqual(['r1', 'o2']);
+  });
+});
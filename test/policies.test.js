@@ -0,0 +1,135 @@
+const { DECISIONS, createMovePolicy } = require('../src/services/policies');
+const { ERROR_CODES } = require('../src/utils/errors');
+
+const order = (fields = {}) => ({
+  id: 'o1',
+  tableId: 'T1',
+  printed: false,
+  billAmount: 500,
+  discounts: [],
+  kotSentAt: null,
+  minutesSinceKot: null,
+  ...fields
+});
+
+const context = (fields = {}) => ({
+  operation: 'moveTable',
+  restaurantId: 'r1',
+  tableIds: ['T1', 'T2'],
+  actor: { role: 'captain' },
+  plan: {},
+  orders: [order()],
+  ...fields
+});
+
+describe('createMovePolicy', () => {
+  it('allows a move no rule decides on', async () => {
+    const policy = createMovePolicy();
+    expect(await policy.evaluate(context())).toEqual({ decision: DECISIONS.ALLOW, reasons: [] });
+  });
+
+  it('refuses rules without a known decision', () => {
+    expect(() => createMovePolicy({ rules: [{ when: {}, decision: 'maybe' }] })).toThrow(TypeError);
+  });
+
+  it('takes the strictest decision and its reasons', async () => {
+    const policy = createMovePolicy({
+      rules: [
+        () => DECISIONS.ALLOW,
+        () => ({ decision: DECISIONS.REQUIRE_APPROVAL, reason: 'Printed bill' }),
+        async () => ({ decision: DECISIONS.DENY, reason: 'Closing time' }),
+        () => undefined
+      ]
+    });
+
+    expect(await policy.evaluate(context())).toEqual({ decision: DECISIONS.DENY, reasons: ['Closing time'] });
+  });
+
+  it('matches declarative rules on the actor, the operation and the moved orders', async () => {
+    const policy = createMovePolicy({
+      rules: [
+        { when: { operations: ['moveTable'], exceptRoles: ['manager'], printed: true }, decision: DECISIONS.DENY, reason: 'printed' },
+        { when: { minBillAmount: 1000 }, decision: DECISIONS.REQUIRE_APPROVAL, reason: 'large bill' },
+        { when: { hasDiscounts: true, maxMinutesSinceKot: 10 }, decision: DECISIONS.REQUIRE_APPROVAL, reason: 'fresh discount' }
+      ]
+    });
+
+    expect((await policy.evaluate(context({ orders: [order({ printed: true })] }))).decision).toBe(DECISIONS.DENY);
+    expect((await policy.evaluate(context({
+      actor: { role: 'manager' },
+      orders: [order({ printed: true })]
+    }))).decision).toBe(DECISIONS.ALLOW);
+    expect((await policy.evaluate(context({ operation: 'moveKOT', orders: [order({ printed: true })] }))).decision)
+      .toBe(DECISIONS.ALLOW);
+    expect(await policy.evaluate(context({ orders: [order(), order({ id: 'o2', billAmount: 1200 })] })))
+      .toEqual({ decision: DECISIONS.REQUIRE_APPROVAL, reasons: ['large bill'] });
+
+    // KOT conditions never hold for an order without a KOT
+    expect((await policy.evaluate(context({ orders: [order({ discounts: [{ id: 1 }] })] }))).decision)
+      .toBe(DECISIONS.ALLOW);
+    expect((await policy.evaluate(context({ orders: [order({ discounts: [{ id: 1 }], minutesSinceKot: 4 })] }))).decision)
+      .toBe(DECISIONS.REQUIRE_APPROVAL);
+  });
+
+  it('adds up item prices for the default bill amount', () => {
+    const { billAmount } = createMovePolicy();
+    expect(billAmount({
+      json_data: {
+        items: {
+          i1: { price: 100, customizations: [{ qty: 2 }, { qty: 1, price: 150 }] },
+          i2: { customizations: [{ qty: 3 }] }
+        }
+      }
+    })).toBe(350);
+  });
+});
+
+describe('authorize', () => {
+  const requireApproval = { when: {}, decision: DECISIONS.REQUIRE_APPROVAL, reason: 'always' };
+
+  it('refuses a denied move with MOVE_DENIED', async () => {
+    const policy = createMovePolicy({ rules: [{ when: {}, decision: DECISIONS.DENY, reason: 'no' }] });
+
+    await expect(policy.authorize(context(), 'token')).rejects.toMatchObject({
+      code: ERROR_CODES.MOVE_DENIED,
+      status: 403,
+      details: { operation: 'moveTable', reasons: ['no'] }
+    });
+  });
+
+  it('asks for an approval token', async () => {
+    const policy = createMovePolicy({ rules: [requireApproval], verifyApproval: async () => true });
+
+    await expect(policy.authorize(context())).rejects.toMatchObject({ code: ERROR_CODES.APPROVAL_REQUIRED });
+  });
+
+  it('checks the token with verifyApproval', async () => {
+    const verifyApproval = jest.fn(async token => token === 'good');
+    const policy = createMovePolicy({ rules: [requireApproval], verifyApproval });
+
+    expect(await policy.authorize(context(), 'good')).toEqual({
+      decision: DECISIONS.REQUIRE_APPROVAL,
+      reasons: ['always'],
+      approved: true
+    });
+    expect(verifyApproval).toHaveBeenCalledWith('good', context());
+    await expect(policy.authorize(context(), 'bad')).rejects.toMatchObject({
+      code: ERROR_CODES.APPROVAL_REQUIRED,
+      details: { invalidToken: true }
+    });
+  });
+
+  it('refuses every token without verifyApproval', async () => {
+    const policy = createMovePolicy({ rules: [requireApproval] });
+
+    await expect(policy.authorize(context(), 'good')).rejects.toMatchObject({
+      code: ERROR_CODES.APPROVAL_REQUIRED,
+      details: { invalidToken: true }
+    });
+  });
+
+  it('lets an allowed move through', async () => {
+    const policy = createMovePolicy();
+    expect(await policy.authorize(context())).toEqual({ decision: DECISIONS.ALLOW, reasons: [] });
+  });
+});
@@ -0,0 +1,206 @@
+const {
+  kotUnits,
+  withTotals,
+  takeCustomizations,
+  remainingAfter,
+  kotItems,
+  removeUnits,
+  rebalanceKots,
+  rebalanceDeliveries
+} = require('../src/services/quantityLedger');
+const { ERROR_CODES } = require('../src/utils/errors');
+
+const spicy = { variation: 'spicy', addons: [] };
+const mild = { variation: 'mild', addons: [] };
+
+const orderItems = () => ({
+  i1: {
+    name: 'Noodles',
+    totalQty: 5,
+    customizations: [{ ...spicy, qty: 3 }, { ...mild, qty: 2 }]
+  },
+  i2: { name: 'Tea', totalQty: 1, customizations: [{ variation: null, addons: [], qty: 1, isBasic: true }] }
+});
+
+describe('kotUnits and withTotals', () => {
+  it('counts qtyChange before qty', () => {
+    expect(kotUnits({ qty: 4 })).toBe(4);
+    expect(kotUnits({ qty: 4, qtyChange: 1 })).toBe(1);
+    expect(kotUnits({})).toBe(0);
+  });
+
+  it('recomputes totalQty from the customizations', () => {
+    const items = withTotals({ i1: { totalQty: 99, customizations: [{ qty: 2 }, { qty: 3 }] } });
+    expect(items.i1.totalQty).toBe(5);
+  });
+});
+
+describe('takeCustomizations', () => {
+  const context = { orderId: 'o1', verb: 'move' };
+
+  it('takes units customization by customization', () => {
+    const { items, moves } = takeCustomizations(orderItems(), [{ itemId: 'i1', quantity: 4 }], context);
+
+    expect(items.i1.totalQty).toBe(4);
+    expect(items.i1.customizations.map(c => [c.variation, c.qty])).toEqual([['spicy', 3], ['mild', 1]]);
+    expect(moves.map(m => m.quantity)).toEqual([3, 1]);
+  });
+
+  it('takes from the selected customization only', () => {
+    const byIndex = takeCustomizations(orderItems(), [{ itemId: 'i1', quantity: 2, customizationIndex: 1 }], context);
+    expect(byIndex.items.i1.customizations).toEqual([{ ...mild, qty: 2 }]);
+
+    const byDetails = takeCustomizations(orderItems(), [{ itemId: 'i1', quantity: 1, customization: spicy }], context);
+    expect(byDetails.items.i1.customizations).toEqual([{ ...spicy, qty: 1 }]);
+  });
+
+  it('counts what earlier calls took', () => {
+    const taken = new Map();
+    takeCustomizations(orderItems(), [{ itemId: 'i1', quantity: 3 }], context, taken);
+    const { items } = takeCustomizations(orderItems(), [{ itemId: 'i1', quantity: 2 }], context, taken);
+
+    expect(items.i1.customizations).toEqual([{ ...mild, qty: 2 }]);
+    expect(taken.get('i1#0')).toBe(3);
+    expect(taken.get('i1#1')).toBe(2);
+  });
+
+  it('refuses unknown items and customizations', () => {
+    expect(() => takeCustomizations(orderItems(), [{ itemId: 'nope', quantity: 1 }], context))
+      .toThrow(expect.objectContaining({ code: ERROR_CODES.ITEM_NOT_FOUND }));
+    expect(() => takeCustomizations(orderItems(), [{ itemId: 'i1', quantity: 1, customizationIndex: 5 }], context))
+      .toThrow(expect.objectContaining({ code: ERROR_CODES.ITEM_NOT_FOUND }));
+  });
+
+  it('refuses more units than the order has', () => {
+    expect.assertions(2);
+    try {
+      takeCustomizations(orderItems(), [{ itemId: 'i1', quantity: 3, customization: mild }], context);
+    } catch (error) {
+      expect(error.code).toBe(ERROR_CODES.QTY_EXCEEDS_AVAILABLE);
+      expect(error.details).toMatchObject({ orderId: 'o1', itemId: 'i1', requested: 3, available: 2 });
+    }
+  });
+});
+
+describe('remainingAfter', () => {
+  it('leaves what was not taken, dropping emptied customizations and items', () => {
+    const taken = new Map([['i1#0', 3], ['i2#0', 1]]);
+    const remaining = remainingAfter(orderItems(), taken);
+
+    expect(Object.keys(remaining)).toEqual(['i1']);
+    expect(remaining.i1.customizations).toEqual([{ ...mild, qty: 2 }]);
+    expect(remaining.i1.totalQty).toBe(2);
+  });
+});
+
+describe('kotItems', () => {
+  it('turns delivery rows into items with the units each stands for', () => {
+    const { items, moves } = kotItems([
+      { item_id: 'i1', customization_details: { ...spicy, qty: 3, qtyChange: 1 } },
+      { item_id: 'i1', customization_details: { ...mild, qty: 2 } }
+    ]);
+
+    expect(items.i1.customizations).toEqual([{ ...spicy, qty: 1 }, { ...mild, qty: 2 }]);
+    expect(items.i1.totalQty).toBe(3);
+    expect(moves).toEqual([
+      { itemId: 'i1', quantity: 1, customization: { ...spicy, qty: 3 } },
+      { itemId: 'i1', quantity: 2, customization: { ...mild, qty: 2 } }
+    ]);
+  });
+});
+
+describe('removeUnits', () => {
+  it('takes each move off the matching customization', () => {
+    const remaining = removeUnits(orderItems(), [
+      { itemId: 'i1', quantity: 2, customization: mild },
+      { itemId: 'i2', quantity: 1, customization: { variation: null, addons: [] } }
+    ]);
+
+    expect(remaining).toEqual({
+      i1: { name: 'Noodles', totalQty: 3, customizations: [{ ...spicy, qty: 3 }] }
+    });
+  });
+});
+
+describe('rebalanceKots', () => {
+  const kots = () => [
+    {
+      notification_id: 2,
+      created_at: '2024-01-01T10:05:00Z',
+      notification_data: { i1: { customizations: [{ ...spicy, qty: 3, qtyChange: 1 }] } }
+    },
+    {
+      notification_id: 1,
+      created_at: '2024-01-01T10:00:00Z',
+      notification_data: { i1: { customizations: [{ ...spicy, qty: 2 }, { ...mild, qty: 2 }] } }
+    }
+  ];
+
+  it('takes units off the oldest KOTs first and deletes emptied ones', () => {
+    const { notificationRewrites, deletedNotificationIds } = rebalanceKots(kots(), [
+      { itemId: 'i1', quantity: 3, customization: spicy }
+    ]);
+
+    expect(notificationRewrites).toEqual([{
+      notificationId: 1,
+      notificationData: { i1: { customizations: [{ ...spicy, qty: 0 }, { ...mild, qty: 2 }] } }
+    }]);
+    expect(deletedNotificationIds).toEqual([2]);
+  });
+
+  it('falls back to basic customizations when no KOT line matches', () => {
+    const { notificationRewrites } = rebalanceKots([{
+      notification_id: 3,
+      created_at: '2024-01-01T10:00:00Z',
+      notification_data: { i1: { customizations: [{ variation: null, addons: [], qty: 2, isBasic: true }] } }
+    }], [{ itemId: 'i1', quantity: 1, customization: spicy }]);
+
+    expect(notificationRewrites[0].notificationData.i1.customizations[0].qty).toBe(1);
+  });
+
+  it('leaves the given notifications untouched', () => {
+    const input = kots();
+    rebalanceKots(input, [{ itemId: 'i1', quantity: 5, customization: spicy }]);
+    expect(input).toEqual(kots());
+  });
+});
+
+describe('rebalanceDeliveries', () => {
+  const deliveries = () => [
+    { id: 10, notification_id: 1, item_id: 'i1', delivered: true, customization_details: { ...spicy, qty: 2 } },
+    { id: 11, notification_id: 2, item_id: 'i1', delivered: false, customization_details: { ...spicy, qty: 2 } },
+    { id: 12, notification_id: 1, item_id: 'i1', cancelled: true, customization_details: { ...spicy, qty: 1 } }
+  ];
+  const notifications = [{ notification_id: 1 }, { notification_id: 2 }];
+
+  it('takes pending units first and carries a row taken whole as it is', () => {
+    const { deliveryUpdates, carried } = rebalanceDeliveries(deliveries(), notifications, [
+      { itemId: 'i1', quantity: 2, customization: spicy }
+    ]);
+
+    expect(deliveryUpdates).toEqual([]);
+    expect(carried).toEqual([[{ row: deliveries()[1], units: 2, whole: true }]]);
+  });
+
+  it('rewrites a row taken in part and copies the moved units', () => {
+    const { deliveryUpdates, carried } = rebalanceDeliveries(deliveries(), notifications, [
+      { itemId: 'i1', quantity: 3, customization: spicy }
+    ]);
+
+    expect(deliveryUpdates).toEqual([{ id: 10, customization_details: { ...spicy, qty: 1 } }]);
+    expect(carried[0]).toEqual([
+      { row: deliveries()[1], units: 2, whole: true },
+      { row: deliveries()[0], units: 1, whole: false }
+    ]);
+  });
+
+  it('splits a row shared by several moves between them', () => {
+    const { deliveryUpdates, carried } = rebalanceDeliveries(deliveries().slice(1, 2), notifications, [
+      { itemId: 'i1', quantity: 1, customization: spicy },
+      { itemId: 'i1', quantity: 1, customization: spicy }
+    ]);
+
+    expect(deliveryUpdates).toEqual([{ id: 11, customization_details: { ...spicy, qty: 0 } }]);
+    expect(carried.map(rows => rows.map(r => [r.row.id, r.units, r.whole]))).toEqual([[[11, 1, false]], [[11, 1, false]]]);
+  });
+});
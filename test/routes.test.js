@@ -0,0 +1,143 @@
+const express = require('express');
+const request = require('supertest');
+const { createTableOperationsRouter } = require('../src/routes/tableOperations');
+const { createTableOperations } = require('../src/controllers/tableOperations');
+const { ERROR_CODES } = require('../src/utils/errors');
+const { createFakePool, quietLogger } = require('./helpers/fakePg');
+
+const order = { id: 'o1', table_id: 'T1', updated_at: '2024-01-01T10:00:00.000Z' };
+
+const transfer = {
+  transfer_id: '7',
+  restaurant_id: 'r1',
+  notification_id: '900',
+  operation: 'moveKOT',
+  from_table_id: 'T1',
+  to_table_id: 'T2',
+  source_order_id: 'o1',
+  order_id: 'o2',
+  original_notification_ids: ['12'],
+  lines: [{ itemId: 'i1', name: 'Noodles', variation: null, addons: [], qty: 1, delivered: 0, cancelled: 0, status: 'pending' }],
+  not_for_preparation: true,
+  created_at: new Date(2024, 0, 2, 9, 5)
+};
+
+// T1 holds order o1, T2 is empty, and transfer 7 is stored
+const createPool = () => createFakePool([
+  [/SELECT id, table_id, updated_at\s+FROM orders/, [order]],
+  [/SELECT id, json_data, instructions, print_status/, (params) => (params[1] === 'T1'
+    ? [{ ...order, json_data: { items: {} }, instructions: '', print_status: false }]
+    : [])],
+  ['SELECT * FROM kot_transfers', (params) => (params[1] === '7' ? [transfer] : [])]
+]);
+
+const appWith = (operations) => {
+  const app = express();
+  app.use(createTableOperationsRouter(operations, { logger: quietLogger() }));
+  return app;
+};
+
+describe('table operation routes on a database', () => {
+  let pool;
+  let app;
+
+  beforeEach(() => {
+    pool = createPool();
+    app = appWith(createTableOperations({ pool, notifier: { send: jest.fn() }, logger: quietLogger() }));
+  });
+
+  it('moves a table', async () => {
+    const response = await request(app)
+      .post('/tables/T1/move')
+      .send({ restaurantId: 'r1', newTableId: 'T2' })
+      .expect(200);
+
+    expect(response.body).toMatchObject({ moveId: expect.any(String) });
+    expect(pool.statements(/UPDATE orders\s+SET table_id/)[0].params).toEqual(['T2', 'o1']);
+  });
+
+  it('answers an invalid payload with 400 before touching the database', async () => {
+    const response = await request(app)
+      .post('/tables/T1/move')
+      .send({ restaurantId: 'r1', newTableId: 'T1' })
+      .expect(400);
+
+    expect(response.body).toMatchObject({ code: ERROR_CODES.SAME_TABLE });
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 for an order that is not on the source table', async () => {
+    const response = await request(app)
+      .post('/orders/o5/move')
+      .send({ restaurantId: 'r1', oldTableId: 'T1', newTableId: 'T2' })
+      .expect(404);
+
+    expect(response.body).toMatchObject({ code: ERROR_CODES.ORDER_NOT_FOUND, details: { orderId: 'o5', tableId: 'T1' } });
+    expect(pool.queries[pool.queries.length - 1].sql).toBe('ROLLBACK');
+  });
+
+  it('serves a transfer ticket as JSON, text or ESC/POS bytes', async () => {
+    const json = await request(app).get('/kot-transfers/7?restaurantId=r1').expect(200);
+    expect(json.body).toMatchObject({ transferId: '7', fromTableId: 'T1', toTableId: 'T2', notForPreparation: true });
+
+    const text = await request(app).get('/kot-transfers/7?restaurantId=r1&format=text&width=32').expect(200);
+    expect(text.type).toBe('text/plain');
+    expect(text.text).toContain('From table T1 -> table T2');
+
+    const escpos = await request(app).get('/kot-transfers/7?restaurantId=r1&format=escpos').expect(200);
+    expect(escpos.type).toBe('application/octet-stream');
+
+    const missing = await request(app).get('/kot-transfers/8?restaurantId=r1').expect(404);
+    expect(missing.body.code).toBe(ERROR_CODES.TRANSFER_NOT_FOUND);
+  });
+});
+
+describe('table operation routes', () => {
+  const stubOperations = () => ({
+    moveTable: jest.fn(async () => ({ ok: true })),
+    moveKOT: jest.fn(async () => ({ ok: true })),
+    undoMove: jest.fn(async () => ({ ok: true })),
+    listAuditEntries: jest.fn(async () => []),
+    checkConsistency: jest.fn(async () => ({ ok: true })),
+    getFloorState: jest.fn(async () => ({ tables: [] }))
+  });
+
+  it('builds each operation\'s data from the path, body and query', async () => {
+    const operations = stubOperations();
+    const app = appWith(operations);
+
+    await request(app).post('/orders/o1/kots/move').send({ restaurantId: 'r1', notificationIds: [1] }).expect(200);
+    expect(operations.moveKOT).toHaveBeenCalledWith({ restaurantId: 'r1', notificationIds: [1], orderId: 'o1' });
+
+    await request(app).post('/orders/o1/move').send({ restaurantId: 'r1', scope: 'table' }).expect(200);
+    expect(operations.moveTable).toHaveBeenCalledWith({ restaurantId: 'r1', orderId: 'o1', scope: 'order' });
+
+    await request(app).post('/moves/m1/undo').send({ reason: 'wrong table' }).expect(200);
+    expect(operations.undoMove).toHaveBeenCalledWith('m1', { reason: 'wrong table' });
+
+    await request(app).get('/audit?restaurantId=r1&limit=20&offset=x').expect(200);
+    expect(operations.listAuditEntries).toHaveBeenCalledWith({ restaurantId: 'r1', limit: 20, offset: 'x' });
+
+    await request(app).get('/consistency?restaurantId=r1&tableIds=T1,T2').expect(200);
+    expect(operations.checkConsistency).toHaveBeenCalledWith({ restaurantId: 'r1', tableIds: ['T1', 'T2'] });
+
+    await request(app).post('/consistency/fix').send({ restaurantId: 'r1' }).expect(200);
+    expect(operations.checkConsistency).toHaveBeenLastCalledWith({ restaurantId: 'r1', fix: true });
+
+    await request(app).get('/floor?restaurantId=r1').expect(200, { tables: [] });
+    expect(operations.getFloorState).toHaveBeenCalledWith('r1');
+  });
+
+  it('hides unexpected errors behind a 500 and logs them', async () => {
+    const operations = stubOperations();
+    operations.moveTable.mockRejectedValue(new Error('connection reset'));
+    const logger = quietLogger();
+    const app = express();
+    app.use(createTableOperationsRouter(operations, { logger }));
+
+    const response = await request(app).post('/tables/T1/move').send({ restaurantId: 'r1' }).expect(500);
+
+    expect(response.body).toEqual({ error: 'Internal server error' });
+    expect(logger.error).toHaveBeenCalledWith('Error handling table operation request:', expect.any(Error));
+  });
+});
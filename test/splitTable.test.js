@@ -0,0 +1,116 @@
+const { createTableOperations } = require('../src/controllers/tableOperations');
+const { ERROR_CODES } = require('../src/utils/errors');
+const { createFakePool, quietLogger } = require('./helpers/fakePg');
+
+const spicy = { variation: 'spicy', addons: [] };
+const mild = { variation: 'mild', addons: [] };
+
+const noodles = (...customizations) => ({
+  i1: { name: 'Noodles', totalQty: customizations.reduce((sum, c) => sum + c.qty, 0), customizations }
+});
+
+// Order o1 on T1 holds 3 spicy (all served) and 2 mild noodles on KOT 11.
+// T2 has the open order o2, T3 is empty.
+const createPool = () => {
+  const orders = {
+    T1: [{ id: 'o1', print_status: false, json_data: { items: noodles({ ...spicy, qty: 3 }, { ...mild, qty: 2 }) } }],
+    T2: [{ id: 'o2', print_status: false, json_data: { items: {} } }],
+    T3: []
+  };
+  return createFakePool([
+    [/FROM orders[\s\S]*FOR UPDATE/, [
+      { id: 'o1', table_id: 'T1', updated_at: new Date(0) },
+      { id: 'o2', table_id: 'T2', updated_at: new Date(0) }
+    ]],
+    ['SELECT * FROM orders WHERE restaurant_id = $1 AND id = $2 AND table_id = $3', orders.T1],
+    [/SELECT \* FROM notifications/, [{
+      notification_id: 11,
+      created_at: '2024-01-01T10:00:00Z',
+      notification_data: noodles({ ...spicy, qty: 3 }, { ...mild, qty: 2 }),
+      active: true
+    }]],
+    [/FROM order_customization_deliveries\s+WHERE order_id = \$1/, [
+      { id: 21, notification_id: 11, order_id: 'o1', item_id: 'i1', delivered: true, customization_details: { ...spicy, qty: 3 } },
+      { id: 22, notification_id: 11, order_id: 'o1', item_id: 'i1', delivered: false, customization_details: { ...mild, qty: 2 } }
+    ]],
+    [/SELECT id, json_data, instructions, print_status/, (params) => orders[params[1]]]
+  ]);
+};
+
+const operationsOn = (pool, upsertTableOrder) => createTableOperations({
+  pool,
+  orderEngine: { upsertTableOrder },
+  notifier: { send: jest.fn() },
+  logger: quietLogger()
+});
+
+const splitData = {
+  restaurantId: 'r1',
+  sourceTableId: 'T1',
+  orderId: 'o1',
+  splits: [
+    { tableId: 'T2', items: [{ itemId: 'i1', customizationIndex: 0, qty: 2 }] },
+    { tableId: 'T3', items: [{ itemId: 'i1', customizationIndex: 1, qty: 2 }] }
+  ]
+};
+
+describe('splitTable', () => {
+  it('lands each split on its table and keeps the rest on the source order', async () => {
+    const pool = createPool();
+    const upsertTableOrder = jest.fn(async (client, order) => order.targetOrderId || 'o9');
+
+    const result = await operationsOn(pool, upsertTableOrder).splitTable(splitData);
+
+    expect(result).toMatchObject({
+      success: true,
+      sourceOrderDeleted: false,
+      splits: [
+        { tableId: 'T2', destinationOrderId: 'o2', movedItems: [{ itemId: 'i1', quantity: 2 }] },
+        { tableId: 'T3', destinationOrderId: 'o9', movedItems: [{ itemId: 'i1', quantity: 2 }] }
+      ]
+    });
+    expect(upsertTableOrder.mock.calls.map(([, order]) => [order.tableId, order.targetOrderId, order.items]))
+      .toEqual([
+        ['T2', 'o2', noodles({ ...spicy, qty: 2 })],
+        ['T3', undefined, noodles({ ...mild, qty: 2 })]
+      ]);
+
+    const [source] = pool.statements(/jsonb_set\(json_data, '\{items\}'/);
+    expect(JSON.parse(source.params[0])).toEqual(noodles({ ...spicy, qty: 1 }));
+    expect(pool.statements('INSERT INTO kot_transfers').map(q => q.params[4])).toEqual(['T2', 'T3']);
+  });
+
+  it('splits the deliveries: served units stay served on their new table', async () => {
+    const pool = createPool();
+
+    await operationsOn(pool, async (client, order) => order.targetOrderId || 'o9').splitTable(splitData);
+
+    // The served spicy row keeps 1 unit on o1 and is copied with 2 for T2
+    expect(pool.statements(/SET customization_details = \$1/)[0].params).toEqual([{ ...spicy, qty: 1 }, 21]);
+    const [copy] = pool.statements('INSERT INTO order_customization_deliveries');
+    expect(JSON.parse(copy.params[0])).toMatchObject({
+      order_id: 'o2',
+      delivered: true,
+      customization_details: { ...spicy, qty: 2 }
+    });
+    // The mild row moves to T3 whole
+    expect(pool.statements(/WHERE id = \$3/)[0].params).toEqual(['900', 'o9', 22]);
+  });
+
+  it('refuses splits taking more than the order holds, before writing', async () => {
+    const pool = createPool();
+    const upsertTableOrder = jest.fn();
+
+    await expect(operationsOn(pool, upsertTableOrder).splitTable({
+      ...splitData,
+      splits: [
+        { tableId: 'T2', items: [{ itemId: 'i1', customizationIndex: 1, qty: 2 }] },
+        { tableId: 'T3', items: [{ itemId: 'i1', customizationIndex: 1, qty: 1 }] }
+      ]
+    })).rejects.toMatchObject({ code: ERROR_CODES.QTY_EXCEEDS_AVAILABLE, status: 422 });
+
+    expect(upsertTableOrder).not.toHaveBeenCalled();
+    expect(pool.statements(/^\s*(UPDATE|INSERT|DELETE)/)).toEqual([]);
+    expect(pool.queries[pool.queries.length - 1].sql).toBe('ROLLBACK');
+  });
+});
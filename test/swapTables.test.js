@@ -0,0 +1,91 @@
+const { createTableOperations } = require('../src/controllers/tableOperations');
+const { createMemorySessionStore } = require('../src/services/sessionStores');
+const { ERROR_CODES } = require('../src/utils/errors');
+const { createFakePool, quietLogger } = require('./helpers/fakePg');
+
+const items = (quantities) => ({
+  items: Object.fromEntries(Object.entries(quantities).map(([itemId, qty]) => [itemId, { customizations: [{ qty }] }]))
+});
+
+// Order o1 (2 x i1) on A, order o2 (1 x i2) on B, and KOT 11 on A
+const createPool = () => createFakePool([
+  [/SELECT id, table_id, updated_at\s+FROM orders/, [
+    { id: 'o1', table_id: 'A', updated_at: new Date(0) },
+    { id: 'o2', table_id: 'B', updated_at: new Date(0) }
+  ]],
+  [/SELECT id, json_data, instructions, print_status/, (params) => [
+    { id: 'o1', table_id: 'A', json_data: items({ i1: 2 }), print_status: false },
+    { id: 'o2', table_id: 'B', json_data: items({ i2: 1 }), print_status: true }
+  ].filter(order => order.table_id === params[1])],
+  [/SELECT notification_id, table_number\s+FROM notifications/, [{ notification_id: 11, table_number: 'A' }]],
+  [/^\s*UPDATE (orders|table_otps)/, { rowCount: 2 }],
+  [/^\s*UPDATE notifications/, { rowCount: 1 }]
+]);
+
+const operationsOn = (pool, options = {}) => createTableOperations({
+  pool,
+  notifier: { send: jest.fn() },
+  logger: quietLogger(),
+  ...options
+});
+
+describe('swapTables', () => {
+  it('exchanges every row of the two tables in single statements', async () => {
+    const pool = createPool();
+
+    const result = await operationsOn(pool).swapTables({ restaurantId: 'r1', tableA: 'A', tableB: 'B' });
+
+    expect(result).toMatchObject({
+      success: true,
+      tableA: 'A',
+      tableB: 'B',
+      ordersSwapped: 2,
+      notificationsSwapped: 1,
+      otpSwapped: 2,
+      discountsSwapped: 0,
+      moveId: expect.any(String)
+    });
+    const swaps = pool.statements(/CASE\s+WHEN/);
+    expect(swaps.map(q => q.sql.trim().split(/\s+/)[1])).toEqual([
+      'orders', 'notifications', 'table_otps', 'discounts', 'dynamic_offers', 'captains'
+    ]);
+    expect(swaps.every(q => q.params.join() === 'r1,A,B')).toBe(true);
+    expect(pool.statements(/^\s*(INSERT INTO orders|DELETE FROM orders)/)).toEqual([]);
+  });
+
+  it('previews what changes sides without writing', async () => {
+    const pool = createPool();
+
+    const preview = await operationsOn(pool).swapTables({ restaurantId: 'r1', tableA: 'A', tableB: 'B', dryRun: true });
+
+    expect(preview.tables).toEqual({
+      A: { orderIds: ['o1'], notificationIds: [11], otps: 0, discounts: 0, dynamicOffers: 0, captains: 0 },
+      B: { orderIds: ['o2'], notificationIds: [], otps: 0, discounts: 0, dynamicOffers: 0, captains: 0 }
+    });
+    expect(preview.quantities).toEqual({
+      before: { A: { i1: 2 }, B: { i2: 1 } },
+      after: { A: { i2: 1 }, B: { i1: 2 } }
+    });
+    expect(pool.statements(/^\s*(UPDATE|INSERT|DELETE)/)).toEqual([]);
+  });
+
+  it('swaps the guests\' sessions once committed', async () => {
+    const sessionStore = createMemorySessionStore({
+      'table_session:r1:A': { type: 'hash', value: { tableId: 'A', guest: 'g1' } },
+      'table_session:r1:B': { type: 'hash', value: { tableId: 'B', guest: 'g2' } }
+    });
+
+    await operationsOn(createPool(), { sessionStore }).swapTables({ restaurantId: 'r1', tableA: 'A', tableB: 'B' });
+
+    expect((await sessionStore.read('table_session:r1:A')).value).toEqual({ tableId: 'A', guest: 'g2' });
+    expect((await sessionStore.read('table_session:r1:B')).value).toEqual({ tableId: 'B', guest: 'g1' });
+  });
+
+  it('refuses to swap a table with itself', async () => {
+    const pool = createPool();
+
+    await expect(operationsOn(pool).swapTables({ restaurantId: 'r1', tableA: 'A', tableB: 'A' }))
+      .rejects.toMatchObject({ code: ERROR_CODES.SAME_TABLE });
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,115 @@
+const {
+  migrateTableSessions,
+  swapTableSessions,
+  hasTableSession
+} = require('../src/services/tableSessions');
+const { createMemorySessionStore } = require('../src/services/sessionStores');
+
+const logger = { log: () => {}, error: jest.fn() };
+
+const MINUTE = 60 * 1000;
+
+describe('migrateTableSessions', () => {
+  it('copies the keys to a table without a session and removes them from the old one', async () => {
+    const store = createMemorySessionStore({
+      'table_session:r1:T1': { type: 'hash', value: { tableId: 'T1', guest: 'g1' }, ttlMs: 10 * MINUTE },
+      'table_session:r1:T1:guests': { type: 'set', value: ['g1'], ttlMs: 10 * MINUTE }
+    });
+
+    const result = await migrateTableSessions('r1', 'T1', 'T2', { store, logger });
+
+    expect(result.success).toBe(true);
+    expect(result.migrated.map(m => [m.name, m.merged])).toEqual([['session', false], ['guests', false]]);
+    expect(store.keys().sort()).toEqual(['table_session:r1:T2', 'table_session:r1:T2:guests']);
+    expect((await store.read('table_session:r1:T2')).value).toEqual({ tableId: 'T2', guest: 'g1' });
+    expect((await store.read('table_session:r1:T2:guests')).value).toEqual(['g1']);
+  });
+
+  it('merges into a live session, the destination winning conflicts, with the longer TTL', async () => {
+    const store = createMemorySessionStore({
+      'table_session:r1:T1': { type: 'hash', value: { tableId: 'T1', host: 'old', lang: 'en' }, ttlMs: 30 * MINUTE },
+      'table_session:r1:T2': { type: 'hash', value: { tableId: 'T2', host: 'new' }, ttlMs: 5 * MINUTE },
+      'table_session:r1:T1:guests': { type: 'set', value: ['g1', 'g2'], ttlMs: 5 * MINUTE },
+      'table_session:r1:T2:guests': { type: 'set', value: ['g2', 'g3'], ttlMs: 20 * MINUTE }
+    });
+
+    const result = await migrateTableSessions('r1', 'T1', 'T2', { store, logger });
+
+    expect(result.migrated.every(m => m.merged)).toBe(true);
+    const session = await store.read('table_session:r1:T2');
+    expect(session.value).toEqual({ tableId: 'T2', host: 'new', lang: 'en' });
+    expect(session.ttlMs).toBeGreaterThan(29 * MINUTE);
+    const guests = await store.read('table_session:r1:T2:guests');
+    expect(guests.value.sort()).toEqual(['g1', 'g2', 'g3']);
+    expect(guests.ttlMs).toBeGreaterThan(19 * MINUTE);
+    expect(guests.ttlMs).toBeLessThanOrEqual(20 * MINUTE);
+    expect(await store.read('table_session:r1:T1')).toBeNull();
+  });
+
+  it('keeps a merged key persistent when either side had no TTL', async () => {
+    const store = createMemorySessionStore({
+      'table_otp:r1:T1': { type: 'string', value: '1234', ttlMs: null },
+      'table_otp:r1:T2': { type: 'string', value: '9999', ttlMs: MINUTE }
+    });
+
+    await migrateTableSessions('r1', 'T1', 'T2', { store, logger });
+
+    expect(await store.read('table_otp:r1:T2')).toEqual({ type: 'string', value: '9999', ttlMs: null });
+  });
+
+  it('leaves keys of different types alone', async () => {
+    const store = createMemorySessionStore({
+      'table_session:r1:T1': { type: 'hash', value: { tableId: 'T1' } },
+      'table_session:r1:T2': { type: 'string', value: 'legacy' }
+    });
+
+    const result = await migrateTableSessions('r1', 'T1', 'T2', { store, logger });
+
+    expect(result.migrated).toEqual([]);
+    expect(logger.error).toHaveBeenCalled();
+    expect(store.keys().sort()).toEqual(['table_session:r1:T1', 'table_session:r1:T2']);
+  });
+});
+
+describe('swapTableSessions', () => {
+  it('exchanges the keys, each keeping its own value and TTL', async () => {
+    const store = createMemorySessionStore({
+      'table_session:r1:A': { type: 'hash', value: { tableId: 'A', guest: 'a' }, ttlMs: 5 * MINUTE },
+      'table_session:r1:B': { type: 'hash', value: { tableId: 'B', guest: 'b' }, ttlMs: 50 * MINUTE },
+      'table_otp:r1:A': { type: 'string', value: '1111', ttlMs: null }
+    });
+
+    const result = await swapTableSessions('r1', 'A', 'B', { store, logger });
+
+    expect(result.swapped.map(s => s.name)).toEqual(['session', 'otp']);
+    const a = await store.read('table_session:r1:A');
+    const b = await store.read('table_session:r1:B');
+    expect(a.value).toEqual({ tableId: 'A', guest: 'b' });
+    expect(a.ttlMs).toBeGreaterThan(49 * MINUTE);
+    expect(b.value).toEqual({ tableId: 'B', guest: 'a' });
+    expect(b.ttlMs).toBeLessThanOrEqual(5 * MINUTE);
+    expect(await store.read('table_otp:r1:A')).toBeNull();
+    expect(await store.read('table_otp:r1:B')).toEqual({ type: 'string', value: '1111', ttlMs: null });
+  });
+});
+
+describe('hasTableSession', () => {
+  it('tells whether any of the table keys is live', async () => {
+    const store = createMemorySessionStore({
+      'table_otp:r1:T1': { type: 'string', value: '1234' }
+    });
+
+    expect(await hasTableSession('r1', 'T1', { store })).toBe(true);
+    expect(await hasTableSession('r1', 'T2', { store })).toBe(false);
+  });
+
+  it('returns null without a store when Redis is disabled', async () => {
+    const { REDIS_URL } = process.env;
+    delete process.env.REDIS_URL;
+    try {
+      expect(await hasTableSession('r1', 'T1')).toBeNull();
+    } finally {
+      if (REDIS_URL !== undefined) process.env.REDIS_URL = REDIS_URL;
+    }
+  });
+});
@@ -0,0 +1,99 @@
+const { createTableOperations } = require('../src/controllers/tableOperations');
+const { ERROR_CODES } = require('../src/utils/errors');
+const { createFakePool, quietLogger } = require('./helpers/fakePg');
+
+const table = (tableId, state, inService = true) => ({
+  restaurant_id: 'r1',
+  table_id: tableId,
+  name: null,
+  section: null,
+  capacity: null,
+  state,
+  in_service: inService,
+  state_changed_at: new Date(0)
+});
+
+// Order o1 on T1; the restaurant defines `tables`
+const createPool = (tables) => createFakePool([
+  ['AS defined', [{ defined: tables.length > 0 }]],
+  [/SELECT \* FROM restaurant_tables/, (params) => tables.filter(t => !params[1] || params[1].includes(t.table_id))],
+  [/SELECT id, table_id, updated_at\s+FROM orders/, [{ id: 'o1', table_id: 'T1', updated_at: new Date(0) }]],
+  [/SELECT id, json_data, instructions, print_status/, (params) => (params[1] === 'T1'
+    ? [{ id: 'o1', json_data: { items: {} }, instructions: '', print_status: false }]
+    : [])],
+  ['SELECT DISTINCT table_id FROM orders', [{ table_id: 'T2' }]]
+]);
+
+const operationsOn = (pool) => createTableOperations({ pool, notifier: { send: jest.fn() }, logger: quietLogger() });
+const move = { restaurantId: 'r1', oldTableId: 'T1', newTableId: 'T2' };
+
+describe('table states', () => {
+  it('moves the guests\' state along with their orders', async () => {
+    const pool = createPool([table('T1', 'occupied'), table('T2', 'free')]);
+
+    await operationsOn(pool).moveTable(move);
+
+    expect(pool.statements('UPDATE restaurant_tables SET state').map(q => q.params)).toEqual([
+      ['cleaning', 'r1', 'T1'],
+      ['occupied', 'r1', 'T2']
+    ]);
+  });
+
+  it.each([
+    ['TABLE_NOT_FOUND', [table('T1', 'occupied')]],
+    ['TABLE_OUT_OF_SERVICE', [table('T1', 'occupied'), table('T2', 'free', false)]],
+    ['TABLE_RESERVED', [table('T1', 'occupied'), table('T2', 'reserved')]]
+  ])('fails the move with %s before writing', async (code, tables) => {
+    const pool = createPool(tables);
+
+    await expect(operationsOn(pool).moveTable(move)).rejects.toMatchObject({ code: ERROR_CODES[code] });
+    expect(pool.statements(/^\s*(UPDATE|INSERT|DELETE)/)).toEqual([]);
+  });
+
+  it('accepts any table id when the restaurant defines none', async () => {
+    const pool = createPool([]);
+
+    await expect(operationsOn(pool).moveTable(move)).resolves.toMatchObject({ success: true });
+  });
+
+  it('treats an install without restaurant_tables as one without definitions', async () => {
+    const pool = createPool([]);
+    pool.when('AS installed', [{ installed: false }]);
+
+    await expect(operationsOn(pool).moveTable(move)).resolves.toMatchObject({ success: true });
+    expect(pool.statements('FROM restaurant_tables')).toEqual([]);
+    expect((await operationsOn(pool).getFloorState('r1')).tables).toEqual([]);
+  });
+
+  it('refuses to set the state of a table that is not defined', async () => {
+    const pool = createPool([]);
+
+    await expect(operationsOn(pool).setTableState({ restaurantId: 'r1', tableId: 'T9', state: 'free' }))
+      .rejects.toMatchObject({ code: ERROR_CODES.TABLE_NOT_FOUND });
+  });
+});
+
+describe('getFloorState', () => {
+  it('lists defined tables, then tables only seen on orders', async () => {
+    const pool = createPool([table('T1', 'occupied')]);
+    pool.when(/SELECT id, table_id, json_data, print_status, updated_at/, [
+      { id: 'o1', table_id: 'T1', json_data: { items: { i1: { customizations: [{ qty: 2 }] } } }, print_status: false },
+      { id: 'o2', table_id: 'T7', json_data: { items: {} }, print_status: true }
+    ]);
+    pool.when('GROUP BY table_number', [{ table_number: 'T1', total: 2 }]);
+    pool.when('jsonb_array_elements_text(c.assigned_tables)', [{ id: '7', name: 'Asha', table_id: 'T1' }]);
+
+    const { tables } = await operationsOn(pool).getFloorState('r1');
+
+    expect(tables).toEqual([
+      expect.objectContaining({
+        tableId: 'T1',
+        state: 'occupied',
+        orders: [expect.objectContaining({ id: 'o1', printStatus: false, quantities: { i1: 2 } })],
+        kotCount: 2,
+        captains: [{ id: '7', name: 'Asha' }]
+      }),
+      expect.objectContaining({ tableId: 'T7', state: null, kotCount: 0, captains: [] })
+    ]);
+  });
+});
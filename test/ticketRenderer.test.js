@@ -0,0 +1,62 @@
+const { renderTransferTicket } = require('../src/utils/ticketRenderer');
+
+const ticket = {
+  transferId: 7,
+  createdAt: new Date(2024, 0, 2, 9, 5),
+  fromTableId: 'T1',
+  toTableId: 'T2',
+  originalNotificationIds: [11, 12],
+  orderId: 'o2',
+  sourceOrderId: 'o1',
+  lines: [
+    { name: 'Crème brûlée', qty: 2, status: 'pending', delivered: 0 },
+    { name: 'Noodles', qty: 3, status: 'partly served', delivered: 1, variation: 'spicy', addons: ['egg'] }
+  ]
+};
+
+describe('renderTransferTicket', () => {
+  it('renders text lines of the given width', () => {
+    const text = renderTransferTicket(ticket, { width: 32 });
+    const lines = text.split('\n');
+
+    expect(text.endsWith('\n')).toBe(true);
+    expect(lines.every(line => line.length <= 32)).toBe(true);
+    expect(lines[0].trim()).toBe('KOT TRANSFER');
+    expect(lines[1].trim()).toBe('NOT FOR PREPARATION');
+    expect(text).toContain('Transfer #7');
+    expect(text).toContain('2024-01-02 09:05');
+    expect(text).toContain('From table T1 -> table T2');
+    expect(text).toContain('Original KOT #11, #12');
+    expect(text).toContain('Order o1 -> o2');
+    expect(text).toMatch(/ {2}2 Crème brûlée +pending/);
+    expect(text).toContain('spicy, egg');
+    expect(text).toContain('1 of 3 delivered');
+    expect(text).not.toContain('MOVE UNDONE');
+  });
+
+  it('marks the ticket of an undone move', () => {
+    const lines = renderTransferTicket({ ...ticket, undoneAt: new Date(2024, 0, 2, 9, 20) }).split('\n');
+
+    expect(lines[2].trim()).toBe('MOVE UNDONE 2024-01-02 09:20');
+  });
+
+  it('renders ESC/POS bytes in ASCII, ending with a cut', () => {
+    const bytes = renderTransferTicket(ticket, { format: 'escpos' });
+
+    expect(Buffer.isBuffer(bytes)).toBe(true);
+    expect([...bytes.subarray(0, 2)]).toEqual([0x1b, 0x40]);
+    expect([...bytes.subarray(-4)]).toEqual([0x1d, 0x56, 0x42, 3]);
+    expect(bytes.toString('latin1')).toContain('Creme brulee');
+  });
+
+  it('feeds instead of cutting when cut is off', () => {
+    const bytes = renderTransferTicket(ticket, { format: 'escpos', cut: false });
+    expect([...bytes.subarray(-3)]).toEqual([0x1b, 0x64, 4]);
+  });
+
+  it('refuses narrow widths and unknown formats', () => {
+    expect(() => renderTransferTicket(ticket, { width: 20 })).toThrow(TypeError);
+    expect(() => renderTransferTicket(ticket, { width: 32.5 })).toThrow(TypeError);
+    expect(() => renderTransferTicket(ticket, { format: 'pdf' })).toThrow("format must be 'text' or 'escpos'");
+  });
+});
@@ -0,0 +1,118 @@
+const { withTransaction } = require('../src/utils/transaction');
+const { createTableOperations } = require('../src/controllers/tableOperations');
+const { ERROR_CODES } = require('../src/utils/errors');
+const { createFakePool, quietLogger } = require('./helpers/fakePg');
+
+const spicy = { variation: 'spicy', addons: [] };
+
+// Order o1 on T1 with two KOTs; KOT 12 carries one of its three noodles
+const moveKotPool = () => createFakePool([
+  [/FROM orders[\s\S]*FOR UPDATE/, [{ id: 'o1', table_id: 'T1', updated_at: '2024-01-01T10:00:00Z' }]],
+  [/SELECT notification_id\s+FROM notifications/, [{ notification_id: 11 }, { notification_id: 12 }]],
+  ['WHERE notification_id = ANY($1::text[])', [{ item_id: 'i1', customization_details: { ...spicy, qty: 1 } }]],
+  ['SELECT * FROM orders WHERE restaurant_id = $1 AND id = $2', [{
+    id: 'o1',
+    table_id: 'T1',
+    json_data: { items: { i1: { name: 'Noodles', totalQty: 3, customizations: [{ ...spicy, qty: 3 }] } } }
+  }]]
+]);
+
+const operationsOn = (pool, upsertTableOrder) => createTableOperations({
+  pool,
+  orderEngine: { upsertTableOrder },
+  notifier: { send: jest.fn() },
+  logger: quietLogger()
+});
+
+const moveKotData = { restaurantId: 'r1', oldTableId: 'T1', newTableId: 'T2', orderId: 'o1', notificationIds: [12] };
+
+describe('withTransaction', () => {
+  it('commits, releases the client, then runs the post-commit effects', async () => {
+    const pool = createFakePool();
+    const effect = jest.fn(async () => {
+      expect(pool.queries.map(q => q.sql)).toEqual(['BEGIN', 'SELECT 1', 'COMMIT']);
+    });
+
+    const result = await withTransaction(pool, async (client, afterCommit) => {
+      await client.query('SELECT 1');
+      afterCommit(effect);
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(effect).toHaveBeenCalledTimes(1);
+    expect(pool.client.release).toHaveBeenCalledTimes(1);
+  });
+
+  it('logs a failed effect without failing the committed work', async () => {
+    const logger = quietLogger();
+    const result = await withTransaction(createFakePool(), async (client, afterCommit) => {
+      afterCommit(async () => { throw new Error('redis down'); });
+      return 'done';
+    }, logger);
+
+    expect(result).toBe('done');
+    expect(logger.error).toHaveBeenCalledWith('Error running post-commit effect:', expect.any(Error));
+  });
+
+  it('rolls back, skips the effects and rethrows', async () => {
+    const pool = createFakePool();
+    const effect = jest.fn();
+
+    await expect(withTransaction(pool, async (client, afterCommit) => {
+      afterCommit(effect);
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(pool.queries.map(q => q.sql)).toEqual(['BEGIN', 'ROLLBACK']);
+    expect(effect).not.toHaveBeenCalled();
+    expect(pool.client.release).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('moves on one transaction', () => {
+  it('runs every statement of a KOT move, the order engine included, between BEGIN and COMMIT', async () => {
+    const pool = moveKotPool();
+    const upsertTableOrder = jest.fn(async () => 'o9');
+    const operations = operationsOn(pool, upsertTableOrder);
+
+    const result = await operations.moveKOT(moveKotData);
+
+    expect(result).toMatchObject({ success: true, destinationOrderId: 'o9', escalatedToTableMove: false });
+    expect(pool.query).not.toHaveBeenCalled();
+    expect(pool.queries[0].sql).toBe('BEGIN');
+    expect(pool.queries[pool.queries.length - 1].sql).toBe('COMMIT');
+    expect(upsertTableOrder).toHaveBeenCalledWith(pool.client, expect.objectContaining({
+      restaurantId: 'r1',
+      tableId: 'T2',
+      forceNewOrder: false
+    }));
+    expect(pool.statements(/DELETE FROM notifications\s+WHERE restaurant_id = \$1/)[0].params).toEqual(['r1', 'o1', [12]]);
+    expect(JSON.parse(pool.statements('UPDATE orders SET json_data')[0].params[0]).items.i1.totalQty).toBe(2);
+  });
+
+  it('rolls the whole move back when the order engine fails', async () => {
+    const pool = moveKotPool();
+    const operations = operationsOn(pool, async () => { throw new Error('engine down'); });
+
+    await expect(operations.moveKOT(moveKotData)).rejects.toMatchObject({ code: ERROR_CODES.ORDER_ENGINE_ERROR });
+
+    const statements = pool.queries.map(q => q.sql);
+    expect(statements).toContain('ROLLBACK');
+    expect(statements).not.toContain('COMMIT');
+    expect(pool.statements('UPDATE orders')).toEqual([]);
+  });
+
+  it('answers an Express request with the error status', async () => {
+    const pool = moveKotPool();
+    const operations = operationsOn(pool, async () => 'o9');
+    const json = jest.fn();
+    const res = { status: jest.fn(() => ({ json })) };
+
+    await operations.moveKOT({ body: { ...moveKotData, notificationIds: [] } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(json.mock.calls[0][0]).toMatchObject({ code: ERROR_CODES.MISSING_FIELD });
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,159 @@
+const {
+  validateMoveTableData,
+  validateMoveKOTData,
+  validateMoveItemsData,
+  validateSwapTablesData,
+  validateSplitTableData,
+  validateMergeTablesData,
+  validateAuditQuery
+} = require('../src/utils/validation');
+const { ERROR_CODES, TableOperationError } = require('../src/utils/errors');
+
+// The TableOperationError a validator throws for `data`
+const failure = (validate, data) => {
+  try {
+    validate(data);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the payload to be refused');
+};
+
+const fields = (error) => error.details.problems.map(p => p.field);
+
+describe('validateMoveTableData', () => {
+  const move = { restaurantId: 'r1', oldTableId: 'T1', newTableId: 'T2' };
+
+  it('accepts a table move without an orderId', () => {
+    expect(() => validateMoveTableData(move)).not.toThrow();
+    expect(() => validateMoveTableData({ ...move, scope: 'table', orderId: 'o1', dryRun: true })).not.toThrow();
+  });
+
+  it('requires an orderId for an order-scoped move', () => {
+    const error = failure(validateMoveTableData, { ...move, scope: 'order' });
+
+    expect(error).toBeInstanceOf(TableOperationError);
+    expect(error.code).toBe(ERROR_CODES.MISSING_FIELD);
+    expect(error.status).toBe(400);
+    expect(fields(error)).toEqual(['orderId']);
+    expect(() => validateMoveTableData({ ...move, scope: 'order', orderId: 'o1' })).not.toThrow();
+  });
+
+  it('refuses an unknown scope and a move onto the same table', () => {
+    expect(fields(failure(validateMoveTableData, { ...move, scope: 'floor' }))).toEqual(['scope']);
+
+    const error = failure(validateMoveTableData, { ...move, newTableId: 'T1' });
+    expect(error.code).toBe(ERROR_CODES.SAME_TABLE);
+  });
+
+  it('reports every problem at once, coded after the first', () => {
+    const error = failure(validateMoveTableData, {
+      oldTableId: 'T1',
+      newTableId: 'T2',
+      dryRun: 'yes',
+      actor: { role: 5 },
+      expectedVersions: { o1: 'not a date' }
+    });
+
+    expect(error.code).toBe(ERROR_CODES.MISSING_FIELD);
+    expect(fields(error)).toEqual(['restaurantId', 'expectedVersions', 'dryRun', 'actor.role']);
+    expect(error.message).toMatch(/^Invalid moveTable payload: /);
+  });
+
+  it('refuses a missing payload', () => {
+    expect(failure(validateMoveTableData, null).code).toBe(ERROR_CODES.MISSING_FIELD);
+  });
+});
+
+describe('validateMoveKOTData', () => {
+  const move = { restaurantId: 'r1', oldTableId: 'T1', newTableId: 'T2', orderId: 'o1' };
+
+  it('requires distinct integer notification ids', () => {
+    expect(() => validateMoveKOTData({ ...move, notificationIds: [1, 2] })).not.toThrow();
+    expect(failure(validateMoveKOTData, { ...move, notificationIds: [] }).code).toBe(ERROR_CODES.MISSING_FIELD);
+    expect(failure(validateMoveKOTData, { ...move, notificationIds: ['1'] }).code).toBe(ERROR_CODES.INVALID_FIELD);
+    expect(failure(validateMoveKOTData, { ...move, notificationIds: [1, 1] }).code).toBe(ERROR_CODES.DUPLICATE_NOTIFICATION);
+  });
+});
+
+describe('validateMoveItemsData', () => {
+  const move = { restaurantId: 'r1', oldTableId: 'T1', newTableId: 'T2', orderId: 'o1' };
+
+  it('accepts lines with a customization selector', () => {
+    expect(() => validateMoveItemsData({
+      ...move,
+      items: [
+        { itemId: 'i1', quantity: 1, customizationIndex: 0 },
+        { itemId: 'i1', quantity: 1, customization: { variation: 'spicy' } },
+        { itemId: 'i2', quantity: 2 }
+      ]
+    })).not.toThrow();
+  });
+
+  it('refuses bad quantities, repeated lines and double selectors', () => {
+    expect(failure(validateMoveItemsData, { ...move, items: [{ itemId: 'i1', quantity: 0 }] }).code)
+      .toBe(ERROR_CODES.INVALID_QUANTITY);
+    expect(failure(validateMoveItemsData, {
+      ...move,
+      items: [{ itemId: 'i1', quantity: 1, customizationIndex: 0 }, { itemId: 'i1', quantity: 2, customizationIndex: 0 }]
+    }).code).toBe(ERROR_CODES.DUPLICATE_ITEM);
+    expect(fields(failure(validateMoveItemsData, {
+      ...move,
+      items: [{ itemId: 'i1', quantity: 1, customizationIndex: 0, customization: {} }]
+    }))).toEqual(['items[0].customization']);
+  });
+});
+
+describe('validateSwapTablesData', () => {
+  it('requires two different tables', () => {
+    expect(() => validateSwapTablesData({ restaurantId: 'r1', tableA: 'A', tableB: 'B' })).not.toThrow();
+    expect(failure(validateSwapTablesData, { restaurantId: 'r1', tableA: 'A', tableB: 'A' }).code)
+      .toBe(ERROR_CODES.SAME_TABLE);
+  });
+});
+
+describe('validateMergeTablesData', () => {
+  it('refuses the target table and repeats among the sources', () => {
+    const error = failure(validateMergeTablesData, {
+      restaurantId: 'r1',
+      targetTableId: 'T1',
+      sourceTableIds: ['T1', 'T2', 'T2']
+    });
+
+    expect(error.code).toBe(ERROR_CODES.SAME_TABLE);
+    expect(fields(error)).toEqual(['sourceTableIds[0]', 'sourceTableIds[2]']);
+  });
+});
+
+describe('validateSplitTableData', () => {
+  const split = { restaurantId: 'r1', sourceTableId: 'T1', orderId: 'o1' };
+
+  it('accepts one split per destination table', () => {
+    expect(() => validateSplitTableData({
+      ...split,
+      splits: [
+        { tableId: 'T2', items: [{ itemId: 'i1', customizationIndex: 0, qty: 1 }] },
+        { tableId: 'T3', items: [{ itemId: 'i1', customizationIndex: 0, qty: 1 }] }
+      ]
+    })).not.toThrow();
+  });
+
+  it('refuses missing splits and a table split twice', () => {
+    expect(failure(validateSplitTableData, { ...split, splits: [] }).code).toBe(ERROR_CODES.MISSING_FIELD);
+    expect(fields(failure(validateSplitTableData, {
+      ...split,
+      splits: [
+        { tableId: 'T2', items: [{ itemId: 'i1', customizationIndex: 0, qty: 1 }] },
+        { tableId: 'T2', items: [{ itemId: 'i1', customizationIndex: 1, qty: 1 }] }
+      ]
+    }))).toEqual(['splits[1].tableId']);
+  });
+});
+
+describe('validateAuditQuery', () => {
+  it('checks dates and paging', () => {
+    expect(() => validateAuditQuery({ restaurantId: 'r1', from: '2024-01-01', limit: 50, offset: 0 })).not.toThrow();
+    expect(fields(failure(validateAuditQuery, { restaurantId: 'r1', to: 'yesterday', limit: 501, offset: -1 })))
+      .toEqual(['to', 'limit', 'offset']);
+  });
+});